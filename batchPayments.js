@@ -0,0 +1,264 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { extname } from 'path';
+import { getNetwork } from './networks.js';
+import { decodeAddress, parseAmount } from './validation.js';
+import { DUST_LIMIT } from './transactionBuilder.js';
+
+/**
+ * Supported recipient file formats, picked by file extension
+ * - csv: address,amount[,label] per line; a header line and # comments are allowed
+ * - json: [{ "address": ..., "amount": ..., "label": ... }] or { "recipients": [...] }
+ * Amounts are in BTC in both formats, unless they name a unit (e.g. 2500 sat).
+ */
+export const BATCH_FORMATS = ['csv', 'json'];
+
+/**
+ * Get the format of a recipient or report file from its extension
+ * @param {string} path - File path
+ * @returns {string} One of BATCH_FORMATS
+ */
+export function getBatchFormat(path) {
+  const format = extname(path).slice(1).toLowerCase();
+
+  if (!BATCH_FORMATS.includes(format)) {
+    throw new Error(`Unknown batch file format: ${path}. Use a .${BATCH_FORMATS.join(' or .')} file.`);
+  }
+
+  return format;
+}
+
+/**
+ * Split one CSV line into fields, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {string[]} Field values, trimmed
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Quote a CSV field if it contains a separator, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+export function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parse the recipients of a CSV or JSON file
+ * Rows are numbered from 1 as they appear in the file (the CSV line number),
+ * so validation errors and the report can point back to them.
+ * @param {string} content - File content
+ * @param {string} format - One of BATCH_FORMATS
+ * @returns {Array} Rows: [{ row, address, amount, label }] with the amount as written
+ */
+export function parseRecipients(content, format) {
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON recipient file: ${error.message}`);
+    }
+
+    const entries = Array.isArray(data) ? data : data && data.recipients;
+    if (!Array.isArray(entries)) {
+      throw new Error('A JSON recipient file must hold an array of recipients, or { "recipients": [...] }.');
+    }
+
+    return entries.map((entry, i) => ({
+      row: i + 1,
+      address: typeof entry?.address === 'string' ? entry.address.trim() : '',
+      amount: entry?.amount,
+      label: entry?.label ? String(entry.label) : ''
+    }));
+  }
+
+  const rows = [];
+  content.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) {
+      return;
+    }
+
+    const [address = '', amount = '', label = ''] = splitCsvLine(line);
+
+    // The first line may name the columns
+    if (rows.length === 0 && address.toLowerCase() === 'address') {
+      return;
+    }
+
+    rows.push({ row: i + 1, address, amount, label });
+  });
+
+  return rows;
+}
+
+/**
+ * Validate recipient rows and convert their amounts to satoshis
+ * Every row is checked before failing, so one run lists all problems of the file.
+ * @param {Array} rows - Rows from parseRecipients
+ * @param {Object} options - Optional settings
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Array} Recipients: [{ row, address, value, label }] with the value in satoshis
+ */
+export function validateRecipients(rows, { network = getNetwork() } = {}) {
+  if (rows.length === 0) {
+    throw new Error('The recipient file lists no recipients.');
+  }
+
+  const errors = [];
+  const firstRow = new Map();
+
+  const recipients = rows.map(({ row, address, amount, label }) => {
+    let value = null;
+    let canonical = null;
+
+    try {
+      canonical = decodeAddress(address, network).address;
+    } catch (error) {
+      errors.push(`Row ${row}: ${error.message}`);
+    }
+
+    try {
+      value = parseAmount(amount);
+    } catch (error) {
+      errors.push(`Row ${row}: ${error.message}`);
+    }
+
+    if (value !== null && value < DUST_LIMIT) {
+      errors.push(`Row ${row}: amount of ${value} satoshis is below the dust limit of ${DUST_LIMIT}`);
+    }
+
+    // Compared in canonical form, so an upper-case SegWit address is the same as its lower-case one
+    if (canonical && firstRow.has(canonical)) {
+      errors.push(`Row ${row}: duplicate address ${address} (first on row ${firstRow.get(canonical)})`);
+    } else if (canonical) {
+      firstRow.set(canonical, row);
+    }
+
+    return { row, address, value, label };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid recipient file:\n  ${errors.join('\n  ')}`);
+  }
+
+  return recipients;
+}
+
+/**
+ * Read and validate the recipients of a batch payment file
+ * @param {string} path - CSV or JSON file path
+ * @param {Object} options - Optional settings
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Array} Recipients: [{ row, address, value, label }] with the value in satoshis
+ */
+export function loadRecipients(path, { network = getNetwork() } = {}) {
+  const format = getBatchFormat(path);
+
+  if (!existsSync(path)) {
+    throw new Error(`Recipient file not found: ${path}`);
+  }
+
+  return validateRecipients(parseRecipients(readFileSync(path, 'utf8'), format), { network });
+}
+
+/**
+ * Get the default report path for a recipient file
+ * @param {string} path - Recipient file path, e.g. payouts.csv
+ * @returns {string} Report path next to it, e.g. payouts.report.csv
+ */
+export function getReportPath(path) {
+  const extension = extname(path);
+  return `${path.slice(0, path.length - extension.length)}.report${extension}`;
+}
+
+/**
+ * Display the summary of a signed batch transaction before it is broadcast
+ * @param {Object} transaction - Signed transaction from createSignedBatchTransaction
+ * @param {Array} recipients - Recipients from loadRecipients
+ */
+export function displayBatchSummary(transaction, recipients) {
+  // Recipients are the first outputs, in file order; the change output (if any) comes last
+  const total = recipients.reduce((sum, recipient) => sum + recipient.value, 0);
+  const changeOutput = transaction.selection.change > 0 ? transaction.outputs[transaction.outputs.length - 1] : null;
+
+  console.log('\n=== Batch Payment Summary ===');
+  console.log(`From: ${[...new Set(transaction.inputs.map(utxo => utxo.address))].join(', ')}`);
+  recipients.forEach(recipient => {
+    const label = recipient.label ? ` (${recipient.label})` : '';
+    console.log(`  - Row ${recipient.row}: ${recipient.address}: ${recipient.value / 100000000} BTC${label}`);
+  });
+  console.log(`Recipients: ${recipients.length}`);
+  console.log(`Total: ${total / 100000000} BTC (${total} satoshis)`);
+  console.log(`Fee: ${transaction.fee / 100000000} BTC (${transaction.fee} satoshis, ${transaction.selection.feeRate} sat/vB for ${transaction.vsize} vB)`);
+  console.log(changeOutput
+    ? `Change: ${changeOutput.value / 100000000} BTC to ${changeOutput.address}`
+    : 'Change: none');
+  console.log(`Total Debit: ${(total + transaction.fee) / 100000000} BTC`);
+  console.log('');
+}
+
+/**
+ * Write the results report of a batch payment: one row per recipient with its txid and output index
+ * The report format follows the file extension, like the recipient file.
+ * @param {string} path - Report file path (.csv or .json)
+ * @param {Array} recipients - Recipients from loadRecipients, in output order
+ * @param {Object} result - Batch transaction result
+ * @param {string} result.txId - Transaction hash
+ * @param {boolean} result.broadcast - Whether the transaction was broadcast (false for a dry run)
+ * @returns {Array} The report rows
+ */
+export function writeBatchReport(path, recipients, { txId, broadcast }) {
+  const format = getBatchFormat(path);
+  const status = broadcast ? 'broadcast' : 'dry run';
+
+  const report = recipients.map((recipient, vout) => ({
+    row: recipient.row,
+    address: recipient.address,
+    amount: recipient.value / 100000000,
+    label: recipient.label,
+    txid: txId,
+    vout,
+    status
+  }));
+
+  if (format === 'json') {
+    writeFileSync(path, `${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    const columns = ['row', 'address', 'amount', 'label', 'txid', 'vout', 'status'];
+    const lines = report.map(entry => columns.map(column => toCsvField(entry[column])).join(','));
+    writeFileSync(path, `${[columns.join(','), ...lines].join('\n')}\n`);
+  }
+
+  return report;
+}
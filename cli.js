@@ -0,0 +1,1705 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import {
+  generateAddressFromPrivateKey,
+  generateAllAddressesFromPrivateKey,
+  keyPairFromPrivateKey,
+  getAddressType,
+  ADDRESS_TYPES,
+  MULTISIG_SCRIPT_TYPES
+} from './generateAddresFromPK.js';
+import { getBitcoinBalance, getMinConfirmations } from './getUTXos.js';
+import { STRATEGIES, getMaxSendable } from './coinSelection.js';
+import { getFeeRates, resolveFeeRate, FEE_PRIORITIES, DEFAULT_FEE_PRIORITY } from './feeEstimation.js';
+import { bumpFee, BUMP_METHODS } from './feeBump.js';
+import { listWallets, addWallet, addWatchOnlyWallet, isWatchOnlyWallet, unlockWallet, removeWallet, getKeystorePath, MIN_PASSWORD_LENGTH } from './keystore.js';
+import {
+  generateMnemonic,
+  deriveMasterKey,
+  deriveAccount,
+  deriveAddress,
+  discoverAccount,
+  discoverWatchOnlyAccount,
+  watchOnlyAccount,
+  getGapLimit,
+  RECEIVE_CHAIN
+} from './hdWallet.js';
+import { loadConfig } from './config.js';
+import { getNetwork, getExplorerTxUrl } from './networks.js';
+import { decodeAddress, parseAmount } from './validation.js';
+import { getProvider, PROVIDERS } from './providers.js';
+import {
+  main as runInteractive,
+  askQuestion,
+  askSecret,
+  closePrompt,
+  createSingleKeyWallet,
+  displayAccountInfo,
+  displayWalletInfo,
+  formatUtxoStatus,
+  displayTransactionSummary,
+  validateAmount,
+  createSignedTransaction,
+  createSignedBatchTransaction,
+  createUnsignedTransaction
+} from './sendBTC.js';
+import { loadRecipients, displayBatchSummary, writeBatchReport, getReportPath, getBatchFormat } from './batchPayments.js';
+import {
+  parsePsbt,
+  readPsbt,
+  writePsbt,
+  decodePsbt,
+  displayPsbt,
+  signPsbtWithSecret,
+  combinePsbts,
+  finalizeTransaction,
+  getUnsignedTxid,
+  getPsbtSigners
+} from './offlineSigning.js';
+import { createMultisigAccount, getCosignerKey, getMultisigScriptType, DEFAULT_MULTISIG_SCRIPT_TYPE } from './multisig.js';
+import { getTransactionHistory, filterHistory, addFiatValues, writeHistory, displayHistory, parseHistoryDate, getHistoryFormat } from './history.js';
+import { getPriceSource } from './priceSources.js';
+import { watch, createStdoutHook, createWebhookHook, createExecHook, DEFAULT_WATCH_INTERVAL } from './watch.js';
+import { createPaymentUri, renderQrCode, writeQrCode } from './paymentRequests.js';
+import { signMessage, verifyMessage, MESSAGE_FORMATS } from './messageSigning.js';
+import { createWalletService, getServiceToken, ServiceError, DEFAULT_SERVICE_HOST, DEFAULT_SERVICE_PORT } from './walletService.js';
+import { readLabels, setLabel, setSpendable, importLabels, exportLabels, getLabelsPath, LABEL_TYPES } from './labels.js';
+import { getPolicy, enforcePolicy, recordSpend, readAuditLog, verifyAuditLog, getSpentTotals, getAuditLogPath, PolicyError } from './policy.js';
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  interactive                  Run the interactive wallet manager (default)
+  wallet new [--wallet <name>]  Generate a new HD wallet and store it in the encrypted keystore
+  wallet import [--wallet <name>]
+                               Encrypt a mnemonic or private key (WIF or hex) into the keystore,
+                               or store a watch-only wallet given by --xpub or --descriptor
+  wallet list                  List the wallets in the keystore
+  wallet export --wallet <name>
+                               Print the secret of a stored wallet, after confirmation
+  wallet remove --wallet <name>
+                               Delete a wallet from the keystore, after confirmation
+  address [--all]              Show the address of the wallet key (--all: every address type)
+  receive [--amount <btc>] [--label <text>] [--message <text>] [--qr <file>]
+                               Show an unused receive address as a BIP21 payment URI and QR code
+  sign-message <message> [--format <f>]
+                               Sign a message with the wallet key, proving ownership of its address
+  verify-message <address> <message> <signature>
+                               Check a message signature with the address only (exit code 1 if invalid)
+  balance [address]            Show the balance of an address, or of the wallet key or HD account
+  utxos [address]              List the unspent UTXOs of an address, or of the wallet key or HD account
+  label list                   List the labels and frozen UTXOs of the labels file (env: BTC_LABELS, default: ./labels.jsonl)
+  label set <type> <ref> <label>
+                               Label an address (addr), transaction (tx), UTXO (output, txHash:index) or key
+  label remove <type> <ref>    Remove a label
+  label import <file>          Merge a BIP329 label file, e.g. exported by another wallet
+  label export <file>          Write every label as a BIP329 file
+  freeze <txHash:index>...     Keep UTXOs out of automatic coin selection
+  unfreeze <txHash:index>...   Let automatic coin selection spend UTXOs again
+  fees                         Show the current fast, normal and economy fee rates
+  history [address] [--since <date>] [--until <date>] [--out <file>] [--fiat <currency>]
+                               List the transactions of an address or the wallet with net amounts, fees and balance
+  send --to <address> --amount <btc|all> [--fee-rate <rate>] [--yes]
+                               Send Bitcoin from the wallet key or HD account (watch-only: print an unsigned PSBT)
+  batch <file> [--fee-rate <rate>] [--report <path>] [--yes]
+                               Pay every recipient of a CSV or JSON file in one transaction
+  bump <txid> [--method <m>] [--fee-rate <rate>] [--yes]
+                               Speed up a pending wallet transaction with RBF or CPFP
+  policy show [wallet]         Show the spending policy of a wallet and what it spent in the last 24 hours and 7 days
+  policy audit [wallet]        List the audit log of policy violations, approvals and spends and check its hash chain
+  multisig key [--script-type <type>]
+                               Show the cosigner key (xpub with key origin) to share for a multisig wallet
+  multisig create --threshold <m> --key <key>... [--wallet <name>]
+                               Create an m-of-n sortedmulti wallet from cosigner keys (and store it watch-only)
+  psbt create --to <address> --amount <btc|all> [--out <file>]
+                               Build an unsigned PSBT to sign offline
+  psbt decode <psbt>           Show the inputs, outputs, fee, change and signatures of a PSBT
+  psbt sign <psbt> [--out <file>]
+                               Sign a PSBT with the wallet key or mnemonic, without network access
+  psbt combine <psbt> <psbt>... [--out <file>]
+                               Merge the signatures of several copies of a PSBT
+  psbt finalize <psbt>         Check the signatures and print the raw transaction
+  psbt broadcast <psbt>        Finalize a signed PSBT and broadcast it
+  watch [address...] [--webhook <url>] [--exec <command>]
+                               Watch addresses, or the wallet, and print payment events as JSON lines
+  serve [--port <n>] [--host <host>]
+                               Run the HTTP/JSON wallet service for keystore wallets (token from BTC_SERVICE_TOKEN)
+
+Options:
+  --json                       Print machine-readable JSON output
+  --network <name>             mainnet, testnet, signet or regtest (env: BTC_NETWORK, default: testnet)
+  --address-type <type>        ${ADDRESS_TYPES.join(', ')} (env: BTC_ADDRESS_TYPE, default: p2pkh)
+  --provider <name>            Blockchain data provider: ${PROVIDERS.join(', ')} (env: BTC_PROVIDER, default: per network)
+  --api-key <key>              Tatum API key (env: TATUM_API_KEY)
+  --min-conf <n>               Confirmations an output needs to be spent (env: BTC_MIN_CONFIRMATIONS, default: 1)
+  --offline                    Answer balance and UTXO queries from the transaction cache only (env: BTC_OFFLINE=1)
+  --wallet <name>              Stored wallet to unlock (env: BTC_WALLET; password from BTC_WALLET_PASSWORD or a prompt)
+  --private-key <key>          Wallet private key, WIF or hex (env: BTC_PRIVATE_KEY)
+  --mnemonic <phrase>          Wallet mnemonic phrase (env: BTC_MNEMONIC)
+  --passphrase <text>          BIP39 passphrase for the mnemonic (env: BTC_PASSPHRASE)
+  --xpub <key>                 Watch-only account key: xpub/ypub/zpub, tpub/upub/vpub on test networks (env: BTC_XPUB)
+  --descriptor <desc>          Watch-only output descriptor, e.g. wpkh([fingerprint/84h/1h/0h]tpub.../<0;1>/*) (env: BTC_DESCRIPTOR)
+  --account <n>                HD account index (default: 0)
+  --index <n>                  Receive address index for the address and sign-message commands (default: 0)
+  --gap-limit <n>              Unused addresses that end an HD account scan (default: 20)
+  --to <address>               Recipient address for send
+  --amount <btc|all>           Amount to send in BTC (or with a unit: 1.5mBTC, 2500sat), or all to send the whole balance without change;
+                               for receive: the amount to request
+  --label <text>               Recipient name in the payment URI of receive
+  --message <text>             Payment description in the payment URI of receive
+  --qr <file>                  Also write the QR code of receive to a .svg or .png file
+  --fee-rate <rate>            ${FEE_PRIORITIES.join(', ')} or a rate in sat/vB (default: ${DEFAULT_FEE_PRIORITY})
+  --fee <satoshis>             Fixed network fee in satoshis, instead of a fee rate
+  --no-rbf                     Do not signal replace-by-fee on send (or set rbf: false in config.json)
+  --method <name>              Fee bump method: ${BUMP_METHODS.join(', ')} (default: auto)
+  --strategy <name>            Coin selection: ${STRATEGIES.join(', ')} (default: auto)
+  --utxo <txHash:index>        Hand-pick an outpoint to spend, frozen or not; implies --strategy manual (repeatable)
+  --report <path>              Results report of batch, .csv or .json (default: <file>.report.<ext>)
+  --format <format>            Message signature format: ${MESSAGE_FORMATS.join(', ')} (default: bip322 for p2wpkh/p2tr, else bip137)
+  --threshold <m>              Signatures a multisig spend needs
+  --key <key>                  Cosigner key for multisig create: xpub with key origin, xpub/tpub or hex public key (repeatable)
+  --script-type <type>         Multisig script type: ${MULTISIG_SCRIPT_TYPES.join(', ')} (default: ${DEFAULT_MULTISIG_SCRIPT_TYPE})
+  --out <path>                 Write the PSBT of psbt create/sign/combine or a watch-only send to a file
+                               (.psbt: binary, otherwise base64); a <psbt> argument is a file or base64 text.
+                               For history: export to a .csv or .json file
+  --interval <seconds>         Seconds between two polls of watch (default: ${DEFAULT_WATCH_INTERVAL})
+  --confirmations <n>          Confirmations that raise a payment.confirmed event (default: --min-conf)
+  --webhook <url>              POST every watch event to this URL, signed with HMAC-SHA256
+  --webhook-secret <secret>    Webhook signing secret (env: BTC_WEBHOOK_SECRET)
+  --exec <command>             Run a shell command for every watch event, with the event as JSON on stdin
+  --port <n>                   Port of the wallet service (default: ${DEFAULT_SERVICE_PORT})
+  --host <host>                Interface of the wallet service (default: ${DEFAULT_SERVICE_HOST}, local only)
+  --since <date>               First day (YYYY-MM-DD, UTC) or ISO time of history
+  --until <date>               Last day (YYYY-MM-DD, UTC) or ISO time of history
+  --fiat <currency>            Add fiat values to history at the day's BTC price, e.g. usd or eur
+  --price-source <source>      coingecko or a .csv/.json file of daily prices (default: coingecko)
+  --approval <signature>       Second approver's signature of the approval message, for sends above the policy's threshold
+  --yes                        Broadcast without asking (send and batch are a dry run without it); skip export/remove confirmation
+  -h, --help                   Show this help
+`;
+
+const OPTIONS = {
+  json: { type: 'boolean', default: false },
+  network: { type: 'string' },
+  'address-type': { type: 'string' },
+  all: { type: 'boolean', default: false },
+  provider: { type: 'string' },
+  'api-key': { type: 'string' },
+  'min-conf': { type: 'string' },
+  offline: { type: 'boolean', default: false },
+  wallet: { type: 'string' },
+  'private-key': { type: 'string' },
+  mnemonic: { type: 'string' },
+  passphrase: { type: 'string' },
+  xpub: { type: 'string' },
+  descriptor: { type: 'string' },
+  account: { type: 'string', default: '0' },
+  index: { type: 'string', default: '0' },
+  'gap-limit': { type: 'string' },
+  to: { type: 'string' },
+  amount: { type: 'string' },
+  label: { type: 'string' },
+  message: { type: 'string' },
+  qr: { type: 'string' },
+  'fee-rate': { type: 'string' },
+  fee: { type: 'string' },
+  'no-rbf': { type: 'boolean', default: false },
+  method: { type: 'string', default: 'auto' },
+  strategy: { type: 'string', default: 'auto' },
+  utxo: { type: 'string', multiple: true, default: [] },
+  report: { type: 'string' },
+  out: { type: 'string' },
+  format: { type: 'string' },
+  threshold: { type: 'string' },
+  key: { type: 'string', multiple: true, default: [] },
+  'script-type': { type: 'string' },
+  interval: { type: 'string' },
+  confirmations: { type: 'string' },
+  webhook: { type: 'string' },
+  'webhook-secret': { type: 'string' },
+  exec: { type: 'string' },
+  port: { type: 'string' },
+  host: { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  fiat: { type: 'string' },
+  'price-source': { type: 'string' },
+  approval: { type: 'string' },
+  yes: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Print a command result as JSON or as console text
+ * @param {Object} ctx - Command context
+ * @param {Object} data - Result data printed in JSON mode
+ * @param {Function} printText - Prints the human-readable output
+ */
+function output(ctx, data, printText) {
+  if (ctx.json) {
+    console.log(JSON.stringify(data, null, 2));
+  } else {
+    printText();
+  }
+}
+
+/**
+ * Run a function with the configured blockchain data provider and close it afterwards
+ * @param {Object} ctx - Command context
+ * @param {Function} fn - Async function receiving the provider
+ * @returns {Promise<*>} Result of fn
+ */
+async function withProvider(ctx, fn) {
+  const provider = getProvider({ network: ctx.network });
+  try {
+    return await fn(provider);
+  } finally {
+    await provider.close();
+  }
+}
+
+/**
+ * Get the stored wallet name from flags or environment variables
+ * @param {Object} ctx - Command context
+ * @returns {string|undefined} Wallet name
+ */
+function getWalletName(ctx) {
+  return ctx.values.wallet || process.env.BTC_WALLET;
+}
+
+/**
+ * Get the password of a stored wallet from BTC_WALLET_PASSWORD or a hidden prompt
+ * @param {string} name - Wallet name
+ * @returns {Promise<string>} Password
+ */
+async function getPassword(name) {
+  return process.env.BTC_WALLET_PASSWORD || askSecret(`Password for ${name}: `);
+}
+
+/**
+ * Get a password for a new wallet from BTC_WALLET_PASSWORD or a hidden prompt, asked twice
+ * @returns {Promise<string>} Password
+ */
+async function getNewPassword() {
+  if (process.env.BTC_WALLET_PASSWORD) {
+    return process.env.BTC_WALLET_PASSWORD;
+  }
+
+  const password = await askSecret(`New password (at least ${MIN_PASSWORD_LENGTH} characters): `);
+  if (password !== await askSecret('Repeat password: ')) {
+    throw new Error('Passwords do not match.');
+  }
+  return password;
+}
+
+/**
+ * Get the wallet secret from flags, environment variables or the keystore
+ * Watch-only sources (--xpub, --descriptor) are returned as a descriptor.
+ * @param {Object} ctx - Command context
+ * @returns {Promise<Object>} { privateKey }, { mnemonic, passphrase } or { descriptor }, with the name of a stored wallet
+ */
+async function getWalletSecret(ctx) {
+  const { values } = ctx;
+
+  const privateKey = values['private-key'] || process.env.BTC_PRIVATE_KEY;
+  if (privateKey) {
+    return { privateKey };
+  }
+
+  const mnemonic = values.mnemonic || process.env.BTC_MNEMONIC;
+  if (mnemonic) {
+    return { mnemonic, passphrase: values.passphrase || process.env.BTC_PASSPHRASE || '' };
+  }
+
+  const source = getWatchOnlySource(ctx);
+  if (source) {
+    return { descriptor: watchOnlyAccount(source, { addressType: ctx.addressType, network: ctx.network }).descriptor };
+  }
+
+  // Stored wallets keep their name, which spending policies refer to
+  const name = getWalletName(ctx);
+  if (name) {
+    const secret = isWatchOnlyWallet(name) ? await unlockWallet(name) : await unlockWallet(name, await getPassword(name));
+    return { ...secret, name };
+  }
+
+  throw new Error('No wallet key given. Use --wallet (BTC_WALLET), --private-key (BTC_PRIVATE_KEY), --mnemonic (BTC_MNEMONIC), --xpub (BTC_XPUB) or --descriptor (BTC_DESCRIPTOR).');
+}
+
+/**
+ * Get the watch-only wallet source from flags or environment variables
+ * @param {Object} ctx - Command context
+ * @returns {string|undefined} Output descriptor or extended public key
+ */
+function getWatchOnlySource(ctx) {
+  const { values } = ctx;
+  return values.descriptor || process.env.BTC_DESCRIPTOR || values.xpub || process.env.BTC_XPUB;
+}
+
+/**
+ * Get the HD account options from flags
+ * @param {Object} ctx - Command context
+ * @returns {Object} Options for deriveAccount and discoverAccount, without the passphrase
+ */
+function getAccountOptions(ctx) {
+  return {
+    addressType: ctx.addressType,
+    account: parseIndex(ctx.values.account),
+    network: ctx.network
+  };
+}
+
+/**
+ * Resolve the wallet private key of a secret
+ * A mnemonic is derived along the account path of the address type, at --index on the receive chain.
+ * @param {Object} ctx - Command context
+ * @param {Object} secret - Secret from getWalletSecret
+ * @returns {string} Private key in WIF or hex format
+ */
+function resolvePrivateKey(ctx, secret) {
+  if (secret.privateKey) {
+    return secret.privateKey;
+  }
+
+  const account = deriveAccount(secret.mnemonic, { ...getAccountOptions(ctx), passphrase: secret.passphrase });
+  return deriveAddress(account, RECEIVE_CHAIN, parseIndex(ctx.values.index)).privateKey;
+}
+
+/**
+ * Load the wallet and its balance from flags, environment variables or the keystore
+ * A private key gives a single-address wallet, a mnemonic an HD account scanned up to the gap limit,
+ * and an xpub or descriptor a watch-only HD account.
+ * @param {Object} ctx - Command context
+ * @param {Object} walletSecret - Secret from getWalletSecret, to load a wallet again without asking (default: none)
+ * @returns {Promise<Object>} Wallet with its name (stored wallets only), addresses, keys, change address and balance
+ */
+async function loadWallet(ctx, walletSecret = null) {
+  const secret = walletSecret || await getWalletSecret(ctx);
+  let wallet;
+
+  if (secret.privateKey) {
+    const address = generateAddressFromPrivateKey(secret.privateKey, ctx.network, ctx.addressType);
+    const balance = await getBitcoinBalance(address, { log: ctx.log, network: ctx.network });
+    wallet = createSingleKeyWallet(address, secret.privateKey, balance);
+  } else if (secret.descriptor) {
+    wallet = await discoverWatchOnlyAccount(secret.descriptor, {
+      network: ctx.network,
+      gapLimit: getGapLimit(ctx.values['gap-limit']),
+      log: ctx.log
+    });
+  } else {
+    wallet = await discoverAccount(secret.mnemonic, {
+      ...getAccountOptions(ctx),
+      passphrase: secret.passphrase,
+      gapLimit: getGapLimit(ctx.values['gap-limit']),
+      log: ctx.log
+    });
+  }
+
+  return { ...wallet, name: secret.name || null };
+}
+
+/**
+ * Identify the wallet of a secret for its spending policy, without scanning its addresses
+ * @param {Object} ctx - Command context
+ * @param {Object} secret - Secret from getWalletSecret, with a mnemonic or private key
+ * @returns {Object} { name, fingerprint } of an HD wallet, { name, receiveAddress, keys } of a single key, for getWalletId
+ */
+function getSigningWallet(ctx, secret) {
+  if (secret.mnemonic) {
+    const root = deriveMasterKey(secret.mnemonic, { passphrase: secret.passphrase, network: ctx.network });
+    return { name: secret.name || null, fingerprint: Buffer.from(root.fingerprint).toString('hex') };
+  }
+
+  return {
+    name: secret.name || null,
+    receiveAddress: generateAddressFromPrivateKey(secret.privateKey, ctx.network, ctx.addressType),
+    keys: [{ privateKey: secret.privateKey }]
+  };
+}
+
+/**
+ * Get the data of a wallet that is safe to print (no private keys)
+ * @param {Object} wallet - Wallet from loadWallet
+ * @returns {Object} Printable wallet data
+ */
+function describeWallet(wallet) {
+  const { keys, changeKey, balance, ...info } = wallet;
+  return info;
+}
+
+/**
+ * Parse a derivation index flag
+ * @param {string} value - Index as given on the command line
+ * @returns {number} Derivation index
+ */
+function parseIndex(value) {
+  const index = Number(value);
+  if (!Number.isInteger(index) || index < 0) {
+    throw new Error(`Invalid derivation index: ${value}`);
+  }
+  return index;
+}
+
+/**
+ * Ask the user to confirm an action that reveals or destroys a wallet secret
+ * @param {Object} ctx - Command context
+ * @param {string} name - Wallet name the user has to type
+ * @param {string} warning - What the action does
+ */
+async function confirmWalletAction(ctx, name, warning) {
+  if (ctx.values.yes) {
+    return;
+  }
+
+  process.stderr.write(`${warning}\n`);
+  const answer = await askQuestion(`Type the wallet name (${name}) to confirm: `);
+  if (answer !== name) {
+    throw new Error('Not confirmed.');
+  }
+}
+
+/**
+ * wallet new|import|list|export|remove - manage the encrypted keystore
+ * Secrets are only ever printed by export, after confirmation.
+ * @param {Object} ctx - Command context
+ */
+async function walletCommand(ctx) {
+  const [subcommand] = ctx.args;
+  const name = getWalletName(ctx) || 'default';
+
+  switch (subcommand) {
+    case 'new': {
+      const mnemonic = generateMnemonic();
+      const account = deriveAccount(mnemonic, { ...getAccountOptions(ctx), passphrase: '' });
+      const { address, path } = deriveAddress(account, RECEIVE_CHAIN, 0);
+
+      await addWallet(name, { mnemonic, passphrase: '' }, await getNewPassword(), { network: ctx.network });
+
+      output(ctx, { name, type: 'mnemonic', keystore: getKeystorePath(), accountPath: account.path, xpub: account.xpub, address, path, addressType: ctx.addressType }, () => {
+        console.log(`Wallet ${name} saved to ${getKeystorePath()}`);
+        console.log('Account Path:', account.path);
+        console.log('Account xpub:', account.xpub);
+        console.log(`Address (${path}):`, address);
+        console.log('\n⚠️  IMPORTANT: Back up the mnemonic of this wallet! ⚠️');
+        console.log(`Show it once with: node cli.js wallet export --wallet ${name}`);
+      });
+      return;
+    }
+
+    case 'import': {
+      const { values } = ctx;
+      let secret;
+
+      // Watch-only wallets hold no secret and need no password
+      const source = getWatchOnlySource(ctx);
+      if (source) {
+        const stored = addWatchOnlyWallet(name, source, { network: ctx.network, addressType: ctx.addressType });
+        output(ctx, { ...stored, keystore: getKeystorePath() }, () => {
+          console.log(`Watch-only wallet ${name} saved to ${getKeystorePath()}`);
+          console.log('Descriptor:', stored.descriptor);
+        });
+        return;
+      }
+
+      if (values['private-key'] || process.env.BTC_PRIVATE_KEY || values.mnemonic || process.env.BTC_MNEMONIC) {
+        secret = await getWalletSecret(ctx);
+      } else {
+        const entered = await askSecret('Enter mnemonic phrase or private key (WIF or hex): ');
+        secret = /\s/.test(entered)
+          ? { mnemonic: entered, passphrase: values.passphrase || process.env.BTC_PASSPHRASE || '' }
+          : { privateKey: entered };
+      }
+
+      const stored = await addWallet(name, secret, await getNewPassword(), { network: ctx.network });
+      output(ctx, { ...stored, keystore: getKeystorePath() }, () => {
+        console.log(`Wallet ${name} (${stored.type}) saved to ${getKeystorePath()}`);
+      });
+      return;
+    }
+
+    case 'list': {
+      const wallets = listWallets();
+      output(ctx, { keystore: getKeystorePath(), wallets }, () => {
+        if (wallets.length === 0) {
+          console.log(`No wallets in ${getKeystorePath()}`);
+        }
+        wallets.forEach(entry => {
+          console.log(`${entry.name.padEnd(20)} ${entry.type.padEnd(10)} ${(entry.fingerprint || '').padEnd(8)} ${entry.createdAt}`);
+        });
+      });
+      return;
+    }
+
+    case 'export': {
+      if (isWatchOnlyWallet(name)) {
+        const { descriptor } = await unlockWallet(name);
+        output(ctx, { name, descriptor }, () => console.log('Descriptor:', descriptor));
+        return;
+      }
+
+      const secret = await unlockWallet(name, await getPassword(name));
+      await confirmWalletAction(ctx, name, 'This prints the wallet secret in clear text. Anyone who sees it can spend the funds.');
+
+      output(ctx, { name, ...secret }, () => {
+        if (secret.mnemonic) {
+          console.log('Mnemonic:', secret.mnemonic);
+          if (secret.passphrase) {
+            console.log('BIP39 Passphrase:', secret.passphrase);
+          }
+        } else {
+          console.log('Private Key:', secret.privateKey);
+        }
+      });
+      return;
+    }
+
+    case 'remove': {
+      await confirmWalletAction(ctx, name, `This deletes wallet ${name} from ${getKeystorePath()}. Make sure its secret is backed up.`);
+      removeWallet(name);
+      output(ctx, { name, removed: true }, () => console.log(`Wallet ${name} removed.`));
+      return;
+    }
+
+    default:
+      throw new Error('Usage: node cli.js wallet <new|import|list|export|remove> [--wallet <name>]');
+  }
+}
+
+/**
+ * address - show the address of the wallet key
+ * @param {Object} ctx - Command context
+ */
+async function addressCommand(ctx) {
+  const secret = await getWalletSecret(ctx);
+
+  if (secret.descriptor) {
+    if (ctx.values.all) {
+      throw new Error('A watch-only wallet has the single address type of its descriptor; drop --all.');
+    }
+
+    const account = watchOnlyAccount(secret.descriptor, { network: ctx.network });
+    const { address, path } = deriveAddress(account, RECEIVE_CHAIN, parseIndex(ctx.values.index));
+    output(ctx, { address, path, addressType: account.addressType }, () => console.log(address));
+    return;
+  }
+
+  const privateKey = resolvePrivateKey(ctx, secret);
+
+  if (ctx.values.all) {
+    const addresses = generateAllAddressesFromPrivateKey(privateKey, ctx.network);
+    output(ctx, { addresses }, () => {
+      for (const [addressType, address] of Object.entries(addresses)) {
+        console.log(`${addressType.padEnd(12)} ${address}`);
+      }
+    });
+    return;
+  }
+
+  const address = generateAddressFromPrivateKey(privateKey, ctx.network, ctx.addressType);
+  output(ctx, { address, addressType: ctx.addressType }, () => console.log(address));
+}
+
+/**
+ * receive - show a payment request for the next unused receive address
+ * An HD account is scanned for its first unused receive address; a single key has one address.
+ * @param {Object} ctx - Command context
+ */
+async function receiveCommand(ctx) {
+  const { values } = ctx;
+  const amount = values.amount ? parseAmount(values.amount) : null;
+  const secret = await getWalletSecret(ctx);
+
+  const address = secret.privateKey
+    ? generateAddressFromPrivateKey(secret.privateKey, ctx.network, ctx.addressType)
+    : (await loadWallet(ctx, secret)).receiveAddress;
+
+  const uri = createPaymentUri(address, { amount, label: values.label, message: values.message, network: ctx.network });
+  const qrFormat = values.qr ? await writeQrCode(values.qr, uri) : null;
+  const qrCode = await renderQrCode(uri);
+
+  output(ctx, { address, amount, label: values.label || null, message: values.message || null, uri, qrFile: values.qr || null }, () => {
+    console.log('\n=== Payment Request ===');
+    console.log(`Address: ${address}`);
+    if (amount !== null) {
+      console.log(`Amount: ${amount / 100000000} BTC (${amount} satoshis)`);
+    }
+    console.log(`URI: ${uri}\n`);
+    console.log(qrCode);
+    if (qrFormat) {
+      console.log(`QR code written to ${values.qr} (${qrFormat.toUpperCase()})`);
+    }
+  });
+}
+
+/**
+ * sign-message <message> - sign a message with the key of the wallet address
+ * The address is the one the address command shows for the same key, address type and --index.
+ * @param {Object} ctx - Command context
+ */
+async function signMessageCommand(ctx) {
+  const [message] = ctx.args;
+
+  if (message === undefined) {
+    throw new Error('Usage: sign-message <message>');
+  }
+
+  const secret = await getWalletSecret(ctx);
+  if (secret.descriptor) {
+    throw new Error('A watch-only wallet has no private key to sign with.');
+  }
+
+  const result = signMessage(message, resolvePrivateKey(ctx, secret), {
+    addressType: ctx.addressType,
+    format: ctx.values.format,
+    network: ctx.network
+  });
+
+  output(ctx, { ...result, message }, () => {
+    console.log('\n=== Signed Message ===');
+    console.log(`Address: ${result.address}`);
+    console.log(`Message: ${message}`);
+    console.log(`Format: ${result.format.toUpperCase()}`);
+    console.log(`Signature: ${result.signature}`);
+  });
+}
+
+/**
+ * verify-message <address> <message> <signature> - check a message signature without any key
+ * An invalid signature sets exit code 1, so scripts can rely on the status.
+ * @param {Object} ctx - Command context
+ */
+async function verifyMessageCommand(ctx) {
+  const [address, message, signature] = ctx.args;
+
+  if (signature === undefined) {
+    throw new Error('Usage: verify-message <address> <message> <signature>');
+  }
+
+  const result = verifyMessage(address, message, signature, { network: ctx.network });
+
+  output(ctx, { ...result, message }, () => {
+    console.log(result.valid
+      ? `Valid ${result.format.toUpperCase()} signature by ${result.address}`
+      : `Invalid signature: ${result.reason}`);
+  });
+
+  if (!result.valid) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * balance [address] - show the balance of an address, or of the wallet key or mnemonic
+ * @param {Object} ctx - Command context
+ */
+async function balanceCommand(ctx) {
+  const address = ctx.args[0] && decodeAddress(ctx.args[0], ctx.network).address;
+
+  if (address) {
+    const balance = await getBitcoinBalance(address, { log: ctx.log, network: ctx.network });
+    output(ctx, { address, network: ctx.network.name, ...balance }, () => displayWalletInfo(address, balance, ctx.network));
+    return;
+  }
+
+  const wallet = await loadWallet(ctx);
+  output(ctx, { network: ctx.network.name, ...describeWallet(wallet), ...wallet.balance }, () => {
+    if (wallet.descriptor) {
+      displayAccountInfo(wallet);
+    }
+    displayWalletInfo(wallet.receiveAddress, wallet.balance, ctx.network);
+  });
+}
+
+/**
+ * utxos [address] - list the unspent UTXOs of an address, or of the wallet key or mnemonic
+ * @param {Object} ctx - Command context
+ */
+async function utxosCommand(ctx) {
+  const address = ctx.args[0] && decodeAddress(ctx.args[0], ctx.network).address;
+
+  const unspentUTXOs = address
+    ? (await getBitcoinBalance(address, { log: ctx.log, network: ctx.network })).unspentUTXOs
+    : (await loadWallet(ctx)).balance.unspentUTXOs;
+
+  output(ctx, { address, unspentUTXOs }, () => {
+    unspentUTXOs.forEach(utxo => {
+      console.log(`${utxo.utxo} ${utxo.address} ${utxo.value} ${formatUtxoStatus(utxo)}${utxo.label ? ` [${utxo.label}]` : ''}`);
+    });
+  });
+}
+
+/**
+ * label - list, set, remove, import or export BIP329 labels of addresses, transactions and UTXOs
+ * @param {Object} ctx - Command context
+ */
+async function labelCommand(ctx) {
+  const [subcommand, ...args] = ctx.args;
+  const path = getLabelsPath();
+
+  switch (subcommand) {
+    case 'list': {
+      const records = [...readLabels(path).values()];
+      output(ctx, { file: path, labels: records }, () => {
+        if (records.length === 0) {
+          console.log(`No labels in ${path}`);
+        }
+        records.forEach(record => {
+          console.log(`${record.type} ${record.ref}${record.label ? ` ${record.label}` : ''}${record.spendable === false ? ' (frozen)' : ''}`);
+        });
+      });
+      return;
+    }
+
+    case 'set':
+    case 'remove': {
+      const [type, rawRef, ...words] = args;
+      const label = subcommand === 'set' ? words.join(' ') : '';
+
+      if (!type || !rawRef || (subcommand === 'set' && !label)) {
+        throw new Error(`Usage: node cli.js label ${subcommand} <${LABEL_TYPES.join('|')}> <ref>${subcommand === 'set' ? ' <label>' : ''}`);
+      }
+      const ref = type === 'addr' ? decodeAddress(rawRef, ctx.network).address : rawRef;
+
+      const record = setLabel(type, ref, label, path);
+      output(ctx, { file: path, type, ref, label: record ? record.label ?? null : null }, () => {
+        console.log(label ? `Labelled ${type} ${ref}: ${label}` : `Removed the label of ${type} ${ref}`);
+      });
+      return;
+    }
+
+    case 'import': {
+      if (!args[0]) {
+        throw new Error('Usage: node cli.js label import <file>');
+      }
+      const count = importLabels(args[0], path);
+      output(ctx, { file: path, imported: count }, () => {
+        console.log(`Imported ${count} label(s) from ${args[0]} into ${path}`);
+      });
+      return;
+    }
+
+    case 'export': {
+      if (!args[0]) {
+        throw new Error('Usage: node cli.js label export <file>');
+      }
+      const count = exportLabels(args[0], path);
+      output(ctx, { file: args[0], exported: count }, () => {
+        console.log(`Exported ${count} label(s) to ${args[0]}`);
+      });
+      return;
+    }
+
+    default:
+      throw new Error('Usage: node cli.js label <list|set|remove|import|export> [type ref label | file]');
+  }
+}
+
+/**
+ * freeze / unfreeze <txHash:index>... - keep UTXOs out of automatic coin selection, or release them
+ * @param {Object} ctx - Command context
+ */
+async function freezeCommand(ctx) {
+  const freeze = ctx.command === 'freeze';
+
+  if (ctx.args.length === 0) {
+    throw new Error(`Usage: node cli.js ${ctx.command} <txHash:index>...`);
+  }
+
+  const outpoints = setSpendable(ctx.args, !freeze);
+  output(ctx, { file: getLabelsPath(), outpoints, frozen: freeze }, () => {
+    outpoints.forEach(outpoint => console.log(`${freeze ? 'Frozen' : 'Unfrozen'}: ${outpoint}`));
+    if (freeze) {
+      console.log('Automatic coin selection skips frozen UTXOs; spend one deliberately with --utxo.');
+    }
+  });
+}
+
+/**
+ * history [address] - list the transactions of an address, or of the wallet, and export them
+ * @param {Object} ctx - Command context
+ */
+async function historyCommand(ctx) {
+  const { values } = ctx;
+  const address = ctx.args[0] && decodeAddress(ctx.args[0], ctx.network).address;
+  const since = values.since ? parseHistoryDate(values.since) : null;
+  const until = values.until ? parseHistoryDate(values.until, { endOfDay: true }) : null;
+
+  if (values.out) {
+    getHistoryFormat(values.out);
+  }
+
+  const priceSource = values.fiat || values['price-source']
+    ? getPriceSource({ source: values['price-source'], currency: values.fiat })
+    : null;
+
+  // The running balance needs the whole history, so the date range is applied afterwards
+  const addresses = address ? [address] : (await loadWallet(ctx)).addresses.map(entry => entry.address);
+  const history = await getTransactionHistory(addresses, { network: ctx.network, log: ctx.log });
+  let entries = filterHistory(history, { since, until });
+
+  if (priceSource) {
+    entries = await addFiatValues(entries, priceSource);
+  }
+
+  if (values.out) {
+    writeHistory(values.out, entries);
+  }
+
+  output(ctx, { addresses, entries, out: values.out || null }, () => {
+    displayHistory(entries);
+    if (values.out) {
+      console.log(`\nExported ${entries.length} transaction(s) to ${values.out}`);
+    }
+  });
+}
+
+/**
+ * fees - show the current fee rates per priority
+ * @param {Object} ctx - Command context
+ */
+async function feesCommand(ctx) {
+  const feeRates = await getFeeRates({ network: ctx.network });
+
+  output(ctx, feeRates, () => {
+    console.log('=== Network Fee Rates ===');
+    for (const priority of FEE_PRIORITIES) {
+      console.log(`${priority}: ${feeRates[priority]} sat/vB`);
+    }
+    console.log(`Source: ${feeRates.source}`);
+  });
+}
+
+/**
+ * Resolve the fee options of send: a fixed --fee or a --fee-rate
+ * @param {Object} ctx - Command context
+ * @returns {Promise<Object>} { fee } in satoshis or { feeRate } in sat/vB
+ */
+async function getFeeOptions(ctx) {
+  const { values } = ctx;
+
+  if (values.fee !== undefined) {
+    if (values['fee-rate'] !== undefined) {
+      throw new Error('Use either --fee or --fee-rate, not both.');
+    }
+
+    return { fee: parseAmount(values.fee, { unit: 'sat', field: 'fee' }) };
+  }
+
+  const value = values['fee-rate'] || DEFAULT_FEE_PRIORITY;
+  const feeRates = FEE_PRIORITIES.includes(value) ? await getFeeRates({ network: ctx.network }) : null;
+  return { feeRate: resolveFeeRate(value, feeRates) };
+}
+
+/**
+ * Check the recipient and amount of a send and load the wallet
+ * @param {Object} ctx - Command context
+ * @param {string} usage - Usage shown when --to or --amount is missing
+ * @returns {Promise<Object>} { to, wallet, amountSatoshis, feeOptions, sendAll }, to the canonical recipient address and amountSatoshis null with sendAll
+ */
+async function prepareSend(ctx, usage) {
+  const { values } = ctx;
+
+  if (!values.to || !values.amount) {
+    throw new Error(usage);
+  }
+
+  const to = decodeAddress(values.to, ctx.network).address;
+
+  const sendAll = values.amount.toLowerCase() === 'all';
+  const amountSatoshis = sendAll ? null : parseAmount(values.amount);
+  const feeOptions = await getFeeOptions(ctx);
+
+  const wallet = await loadWallet(ctx);
+
+  if (!sendAll) {
+    const maxSendable = getMaxSendable(wallet.balance.unspentUTXOs, { ...feeOptions, recipientAddress: to, outpoints: values.utxo, network: ctx.network });
+    const error = validateAmount(amountSatoshis, maxSendable);
+    if (error) {
+      throw new Error(error);
+    }
+  }
+
+  return { to, wallet, amountSatoshis, feeOptions, sendAll };
+}
+
+/**
+ * send - send Bitcoin from the wallet key or mnemonic without prompting
+ * @param {Object} ctx - Command context
+ */
+async function sendCommand(ctx) {
+  const { values } = ctx;
+  const { to, wallet, amountSatoshis, feeOptions, sendAll } = await prepareSend(ctx, 'Usage: node cli.js send --to <address> --amount <btc|all> [--fee-rate <rate>] [--yes]');
+
+  if (wallet.watchOnly) {
+    await printUnsignedTransaction(ctx, wallet, to, amountSatoshis, feeOptions, sendAll);
+    return;
+  }
+
+  // Build and sign locally, so the txid is known even in a dry run. The raw hex is only
+  // printed with --yes: a dry run does not count toward the policy limits.
+  const transaction = await createSignedTransaction(wallet, to, amountSatoshis, {
+    ...feeOptions,
+    sendAll,
+    log: ctx.log,
+    network: ctx.network,
+    strategy: values.utxo.length > 0 && values.strategy === 'auto' ? 'manual' : values.strategy,
+    outpoints: values.utxo,
+    approval: values.approval,
+    dryRun: !values.yes,
+    ...(values['no-rbf'] ? { rbf: false } : {})
+  });
+
+  const sent = transaction.outputs[0].value;
+  const summary = {
+    from: transaction.inputs.map(utxo => utxo.utxo),
+    to,
+    amountBTC: sent / 100000000,
+    feeBTC: transaction.fee / 100000000,
+    changeAddress: transaction.selection.change > 0 ? wallet.changeAddress : null,
+    outputs: transaction.outputs,
+    strategy: transaction.selection.strategy,
+    fee: transaction.fee,
+    feeRate: transaction.selection.feeRate,
+    waste: transaction.selection.waste,
+    vsize: transaction.vsize,
+    rbf: transaction.rbf,
+    txId: transaction.txId
+  };
+
+  if (!values.yes) {
+    output(ctx, { ...summary, broadcast: false }, () => {
+      displayTransactionSummary(transaction, to);
+      console.log(`Transaction: ${transaction.txId} (${transaction.vsize} vB, fee ${transaction.fee} satoshis)`);
+      console.log('Dry run: pass --yes to broadcast the transaction.');
+    });
+    return;
+  }
+
+  const txHash = await withProvider(ctx, (provider) => provider.broadcast(transaction.hex));
+  const explorerUrl = getExplorerTxUrl(txHash, ctx.network);
+  recordSpend(transaction.policy, { txid: txHash }, { network: ctx.network });
+
+  output(ctx, { ...summary, broadcast: true, txId: txHash, hex: transaction.hex, explorerUrl }, () => {
+    console.log('\n=== Transaction Successful! ===');
+    console.log(`txId: "${txHash}"`);
+    if (explorerUrl) {
+      console.log(`\nView on Block Explorer:`);
+      console.log(explorerUrl);
+    }
+  });
+}
+
+/**
+ * batch - pay every recipient of a CSV or JSON file in one transaction
+ * @param {Object} ctx - Command context
+ */
+async function batchCommand(ctx) {
+  const { values } = ctx;
+  const [file] = ctx.args;
+
+  if (!file) {
+    throw new Error('Usage: node cli.js batch <file.csv|file.json> [--fee-rate <rate>] [--report <path>] [--yes]');
+  }
+
+  // Check the whole file before unlocking the wallet or contacting the provider
+  const recipients = loadRecipients(file, { network: ctx.network });
+  const reportPath = values.report || getReportPath(file);
+  getBatchFormat(reportPath);
+  const feeOptions = await getFeeOptions(ctx);
+  const wallet = await loadWallet(ctx);
+
+  const transaction = await createSignedBatchTransaction(wallet, recipients, {
+    ...feeOptions,
+    log: ctx.log,
+    network: ctx.network,
+    strategy: values.utxo.length > 0 && values.strategy === 'auto' ? 'manual' : values.strategy,
+    outpoints: values.utxo,
+    approval: values.approval,
+    dryRun: !values.yes,
+    ...(values['no-rbf'] ? { rbf: false } : {})
+  });
+
+  const total = recipients.reduce((sum, recipient) => sum + recipient.value, 0);
+  const summary = {
+    from: transaction.inputs.map(utxo => utxo.utxo),
+    recipients: recipients.length,
+    totalBTC: total / 100000000,
+    feeBTC: transaction.fee / 100000000,
+    changeAddress: transaction.selection.change > 0 ? wallet.changeAddress : null,
+    outputs: transaction.outputs,
+    strategy: transaction.selection.strategy,
+    fee: transaction.fee,
+    feeRate: transaction.selection.feeRate,
+    vsize: transaction.vsize,
+    rbf: transaction.rbf,
+    txId: transaction.txId,
+    report: reportPath
+  };
+
+  if (!values.yes) {
+    writeBatchReport(reportPath, recipients, { txId: transaction.txId, broadcast: false });
+    output(ctx, { ...summary, broadcast: false }, () => {
+      displayBatchSummary(transaction, recipients);
+      console.log(`Transaction: ${transaction.txId} (${transaction.vsize} vB, fee ${transaction.fee} satoshis)`);
+      console.log(`Report: ${reportPath}`);
+      console.log('Dry run: pass --yes to broadcast the transaction.');
+    });
+    return;
+  }
+
+  const txHash = await withProvider(ctx, (provider) => provider.broadcast(transaction.hex));
+  const explorerUrl = getExplorerTxUrl(txHash, ctx.network);
+  recordSpend(transaction.policy, { txid: txHash }, { network: ctx.network });
+  writeBatchReport(reportPath, recipients, { txId: txHash, broadcast: true });
+
+  output(ctx, { ...summary, broadcast: true, txId: txHash, hex: transaction.hex, explorerUrl }, () => {
+    displayBatchSummary(transaction, recipients);
+    console.log('=== Transaction Successful! ===');
+    console.log(`txId: "${txHash}"`);
+    console.log(`Report: ${reportPath}`);
+    if (explorerUrl) {
+      console.log(`\nView on Block Explorer:`);
+      console.log(explorerUrl);
+    }
+  });
+}
+
+/**
+ * Print the unsigned PSBT of a send, or write it to the --out file
+ * Nothing is signed or broadcast: the PSBT must be signed where the keys are.
+ * @param {Object} ctx - Command context
+ * @param {Object} wallet - Watch-only wallet from loadWallet
+ * @param {string} to - Canonical recipient address
+ * @param {number} amountSatoshis - Amount to send in satoshis (null with sendAll)
+ * @param {Object} feeOptions - { fee } or { feeRate } from getFeeOptions
+ * @param {boolean} sendAll - Send the whole balance without change
+ */
+async function printUnsignedTransaction(ctx, wallet, to, amountSatoshis, feeOptions, sendAll) {
+  const { values } = ctx;
+  const transaction = await createUnsignedTransaction(wallet, to, amountSatoshis, {
+    ...feeOptions,
+    sendAll,
+    log: ctx.log,
+    network: ctx.network,
+    strategy: values.utxo.length > 0 && values.strategy === 'auto' ? 'manual' : values.strategy,
+    outpoints: values.utxo,
+    ...(values['no-rbf'] ? { rbf: false } : {})
+  });
+
+  const summary = {
+    from: transaction.inputs.map(utxo => utxo.utxo),
+    to,
+    amountBTC: transaction.outputs[0].value / 100000000,
+    feeBTC: transaction.fee / 100000000,
+    changeAddress: transaction.selection.change > 0 ? wallet.changeAddress : null,
+    outputs: transaction.outputs,
+    strategy: transaction.selection.strategy,
+    fee: transaction.fee,
+    feeRate: transaction.selection.feeRate,
+    vsize: transaction.vsize,
+    rbf: transaction.rbf,
+    psbt: transaction.psbt,
+    file: savePsbt(ctx, parsePsbt(transaction.psbt, ctx.network))
+  };
+
+  output(ctx, { ...summary, signed: false, broadcast: false }, () => {
+    displayTransactionSummary(transaction, to);
+    printPsbt('Unsigned PSBT', transaction.psbt, summary.file);
+    if (wallet.multisig) {
+      console.log(`\nCosigners sign the PSBT in turn (psbt sign) until ${wallet.multisig.threshold} have signed, then broadcast it (psbt broadcast).`);
+    } else {
+      console.log(wallet.watchOnly
+        ? '\nThis wallet is watch-only. Sign the PSBT with the wallet keys (psbt sign), then broadcast it (psbt broadcast).'
+        : '\nSign the PSBT offline (psbt sign), then broadcast it (psbt broadcast).');
+    }
+  });
+}
+
+/**
+ * Write a PSBT to the --out file, if given
+ * @param {Object} ctx - Command context
+ * @param {bitcoin.Psbt} psbt - PSBT
+ * @returns {string|null} File path, or null without --out
+ */
+function savePsbt(ctx, psbt) {
+  if (!ctx.values.out) {
+    return null;
+  }
+
+  writePsbt(psbt, ctx.values.out);
+  return ctx.values.out;
+}
+
+/**
+ * Print a PSBT, or where it was written
+ * @param {string} title - Section title
+ * @param {string} base64 - Base64 PSBT
+ * @param {string|null} file - File the PSBT was written to
+ */
+function printPsbt(title, base64, file) {
+  if (file) {
+    console.log(`${title} written to ${file}`);
+  } else {
+    console.log(`=== ${title} ===`);
+    console.log(base64);
+  }
+}
+
+/**
+ * multisig key|create - set up an m-of-n multisig wallet shared by several cosigners
+ * Each cosigner shares its key (multisig key); anyone then creates the wallet from all keys.
+ * @param {Object} ctx - Command context
+ */
+async function multisigCommand(ctx) {
+  const { values } = ctx;
+  const [subcommand] = ctx.args;
+  const scriptType = getMultisigScriptType(values['script-type']);
+
+  switch (subcommand) {
+    case 'key': {
+      const secret = await getWalletSecret(ctx);
+
+      if (secret.descriptor) {
+        throw new Error('A watch-only wallet cannot cosign. Share the key of a wallet with a mnemonic or private key.');
+      }
+
+      // A single private key can only share its public key, which gives a single-address multisig
+      const key = secret.mnemonic
+        ? getCosignerKey(deriveMasterKey(secret.mnemonic, { passphrase: secret.passphrase, network: ctx.network }), {
+          scriptType,
+          account: parseIndex(values.account),
+          network: ctx.network
+        })
+        : Buffer.from(keyPairFromPrivateKey(secret.privateKey, ctx.network).publicKey).toString('hex');
+
+      output(ctx, { key, scriptType }, () => {
+        console.log(`Cosigner key (${scriptType}):`);
+        console.log(key);
+      });
+      return;
+    }
+
+    case 'create': {
+      if (!/^\d+$/.test(values.threshold || '') || values.key.length < 2) {
+        throw new Error('Usage: node cli.js multisig create --threshold <m> --key <key> --key <key>... [--script-type <type>] [--wallet <name>]');
+      }
+
+      const account = createMultisigAccount(values.key, { threshold: Number(values.threshold), scriptType, network: ctx.network });
+      const { address, path } = deriveAddress({ ...account, network: ctx.network }, RECEIVE_CHAIN, 0);
+      const name = values.wallet;
+
+      if (name) {
+        addWatchOnlyWallet(name, account.descriptor, { network: ctx.network });
+      }
+
+      const summary = {
+        threshold: account.multisig.threshold,
+        cosigners: account.multisig.keys.length,
+        scriptType,
+        descriptor: account.descriptor,
+        address,
+        path,
+        wallet: name || null
+      };
+
+      output(ctx, summary, () => {
+        console.log(`\n=== Multisig Wallet (${summary.threshold}-of-${summary.cosigners}, ${scriptType}) ===`);
+        console.log('Descriptor:', account.descriptor);
+        console.log(`Address (${path}):`, address);
+        console.log(name
+          ? `Stored as watch-only wallet ${name} in ${getKeystorePath()}`
+          : 'Pass --wallet <name> to store it, or use it with --descriptor.');
+      });
+      return;
+    }
+
+    default:
+      throw new Error('Usage: node cli.js multisig <key|create> [--threshold <m>] [--key <key>...] [--script-type <type>]');
+  }
+}
+
+/**
+ * Check a PSBT against the spending policy of every wallet that signed it, before it is broadcast
+ * A PSBT signed on this machine was checked when it was signed. For others the signing wallet's keys
+ * are not at hand to verify change, so every output except those paying back to an input address
+ * counts as a payment.
+ * @param {Object} ctx - Command context
+ * @param {bitcoin.Psbt} psbt - Signed PSBT
+ * @param {string} txid - Unsigned transaction id of the PSBT
+ * @returns {Array} Policy checks to pass to recordSpend after the broadcast
+ * @throws {PolicyError} If a rule of a signer's policy is broken or the payment needs an approval
+ */
+function checkPsbtPolicies(ctx, psbt, txid) {
+  if (!getPolicy(null, { network: ctx.network })) {
+    return [];
+  }
+
+  const decoded = decodePsbt(psbt, ctx.network);
+  const inputAddresses = new Set(decoded.inputs.map(input => input.address));
+  const payment = {
+    outputs: decoded.outputs.filter(entry => !inputAddresses.has(entry.address)).map(({ address, value }) => ({ address, value })),
+    fee: decoded.fee,
+    feeRate: decoded.feeRate
+  };
+
+  // The signer's id stands in for the wallet: getWalletId returns it as its fingerprint
+  return getPsbtSigners(psbt).map(walletId => enforcePolicy({ fingerprint: walletId }, payment, {
+    approval: ctx.values.approval,
+    txid,
+    network: ctx.network
+  }));
+}
+
+/**
+ * psbt - offline signing workflow: create, decode, sign, combine, finalize and broadcast PSBTs
+ * Only create and broadcast use the network; sign runs on an air-gapped machine.
+ * @param {Object} ctx - Command context
+ */
+async function psbtCommand(ctx) {
+  const [subcommand, ...inputs] = ctx.args;
+
+  switch (subcommand) {
+    case 'create': {
+      const { to, wallet, amountSatoshis, feeOptions, sendAll } = await prepareSend(ctx, 'Usage: node cli.js psbt create --to <address> --amount <btc|all> [--fee-rate <rate>] [--out <file>]');
+      await printUnsignedTransaction(ctx, wallet, to, amountSatoshis, feeOptions, sendAll);
+      return;
+    }
+
+    case 'decode': {
+      const decoded = decodePsbt(readPsbt(inputs[0], ctx.network), ctx.network);
+      output(ctx, decoded, () => displayPsbt(decoded));
+      return;
+    }
+
+    case 'sign': {
+      const psbt = readPsbt(inputs[0], ctx.network);
+      const secret = await getWalletSecret(ctx);
+
+      // The signed PSBT can be broadcast anywhere, so it counts as a spend of this wallet, once per
+      // unsigned transaction. Only outputs that pay back to this wallet are change.
+      const txid = getUnsignedTxid(psbt);
+      const unsigned = decodePsbt(psbt, ctx.network, { secret });
+      const policy = secret.descriptor ? null : enforcePolicy(getSigningWallet(ctx, secret), {
+        outputs: unsigned.outputs.filter(entry => !entry.change).map(({ address, value }) => ({ address, value })),
+        fee: unsigned.fee,
+        feeRate: unsigned.feeRate
+      }, { approval: ctx.values.approval, txid, network: ctx.network });
+
+      const signed = signPsbtWithSecret(psbt, secret, ctx.network);
+      const decoded = decodePsbt(psbt, ctx.network, { secret });
+      const file = savePsbt(ctx, psbt);
+      if (signed > 0) {
+        recordSpend(policy, { txid, via: 'psbt' }, { network: ctx.network });
+      }
+
+      output(ctx, { signedInputs: signed, status: decoded.status, psbt: psbt.toBase64(), file }, () => {
+        displayPsbt(decoded);
+        console.log(`Signed ${signed} input(s).`);
+        printPsbt('Signed PSBT', psbt.toBase64(), file);
+      });
+      return;
+    }
+
+    case 'combine': {
+      if (inputs.length < 2) {
+        throw new Error('Usage: node cli.js psbt combine <psbt> <psbt>... [--out <file>]');
+      }
+
+      const psbt = combinePsbts(inputs.map(input => readPsbt(input, ctx.network)));
+      const decoded = decodePsbt(psbt, ctx.network);
+      const file = savePsbt(ctx, psbt);
+
+      output(ctx, { status: decoded.status, psbt: psbt.toBase64(), file }, () => {
+        displayPsbt(decoded);
+        printPsbt('Combined PSBT', psbt.toBase64(), file);
+      });
+      return;
+    }
+
+    case 'finalize': {
+      const transaction = finalizeTransaction(readPsbt(inputs[0], ctx.network));
+
+      output(ctx, { ...transaction, broadcast: false }, () => {
+        console.log(`Signed transaction: ${transaction.txId} (${transaction.vsize} vB, fee ${transaction.fee} satoshis)`);
+        console.log(`Raw transaction: ${transaction.hex}`);
+      });
+      return;
+    }
+
+    case 'broadcast': {
+      const psbt = readPsbt(inputs[0], ctx.network);
+      const txid = getUnsignedTxid(psbt);
+      const policies = checkPsbtPolicies(ctx, psbt, txid);
+      const transaction = finalizeTransaction(psbt);
+      const txHash = await withProvider(ctx, (provider) => provider.broadcast(transaction.hex));
+      const explorerUrl = getExplorerTxUrl(txHash, ctx.network);
+      policies.forEach(policy => recordSpend(policy, { txid, via: 'psbt' }, { network: ctx.network }));
+
+      output(ctx, { ...transaction, broadcast: true, txId: txHash, explorerUrl }, () => {
+        console.log('\n=== Transaction Successful! ===');
+        console.log(`txId: "${txHash}"`);
+        if (explorerUrl) {
+          console.log(`\nView on Block Explorer:`);
+          console.log(explorerUrl);
+        }
+      });
+      return;
+    }
+
+    default:
+      throw new Error('Usage: node cli.js psbt <create|decode|sign|combine|finalize|broadcast> [psbt] [--out <file>]');
+  }
+}
+
+/**
+ * bump - speed up a pending wallet transaction by replacing it (RBF) or spending its change (CPFP)
+ * @param {Object} ctx - Command context
+ */
+async function bumpCommand(ctx) {
+  const { values } = ctx;
+  const [txid] = ctx.args;
+
+  if (!txid) {
+    throw new Error('Usage: node cli.js bump <txid> [--method auto|rbf|cpfp] [--fee-rate <rate>] [--approval <signature>] [--yes]');
+  }
+  if (values.fee !== undefined) {
+    throw new Error('bump takes a --fee-rate, not a fixed --fee.');
+  }
+
+  const { feeRate } = await getFeeOptions(ctx);
+  const wallet = await loadWallet(ctx);
+  const transaction = await bumpFee(wallet, txid, { method: values.method, feeRate, approval: values.approval, dryRun: !values.yes, network: ctx.network });
+
+  const summary = {
+    method: transaction.method,
+    bumps: txid,
+    from: transaction.inputs.map(utxo => utxo.utxo),
+    outputs: transaction.outputs,
+    fee: transaction.fee,
+    feeRate: transaction.feeRate,
+    vsize: transaction.vsize,
+    txId: transaction.txId
+  };
+
+  const printSummary = () => {
+    console.log(`\n=== Fee Bump (${transaction.method.toUpperCase()}) ===`);
+    if (transaction.method === 'rbf') {
+      console.log(`Replaces: ${txid} (fee ${transaction.originalFee} satoshis)`);
+      console.log(`New Fee: ${transaction.fee} satoshis (${transaction.feeRate} sat/vB for ${transaction.vsize} vB)`);
+    } else {
+      console.log(`Parent: ${txid}`);
+      console.log(`Child Fee: ${transaction.fee} satoshis (${transaction.feeRate} sat/vB for parent and child)`);
+    }
+    transaction.outputs.forEach(entry => {
+      console.log(`  - ${entry.address}: ${entry.value} satoshis`);
+    });
+    console.log('');
+  };
+
+  if (!values.yes) {
+    output(ctx, { ...summary, broadcast: false }, () => {
+      printSummary();
+      console.log(`Transaction: ${transaction.txId}`);
+      console.log('Dry run: pass --yes to broadcast the transaction.');
+    });
+    return;
+  }
+
+  const txHash = await withProvider(ctx, (provider) => provider.broadcast(transaction.hex));
+  const explorerUrl = getExplorerTxUrl(txHash, ctx.network);
+  recordSpend(transaction.policy, { txid: txHash }, { network: ctx.network });
+
+  output(ctx, { ...summary, broadcast: true, txId: txHash, hex: transaction.hex, explorerUrl }, () => {
+    printSummary();
+    console.log('=== Transaction Successful! ===');
+    console.log(`txId: "${txHash}"`);
+    if (explorerUrl) {
+      console.log(`\nView on Block Explorer:`);
+      console.log(explorerUrl);
+    }
+  });
+}
+
+/**
+ * policy show [wallet] | policy audit [wallet] - show the spending policy of a wallet, or check and list the audit log
+ * The wallet is a keystore name (default: --wallet), or the fingerprint the audit log shows.
+ * @param {Object} ctx - Command context
+ */
+async function policyCommand(ctx) {
+  const [subcommand, id] = ctx.args;
+  const name = id || getWalletName(ctx) || null;
+  const stored = name ? listWallets().find(entry => entry.name === name) : null;
+  const path = getAuditLogPath();
+
+  if (stored && !stored.fingerprint && stored.type !== 'watch-only') {
+    throw new Error(`The key fingerprint of wallet ${name} is not recorded yet. Unlock it once (e.g. node cli.js balance --wallet ${name}) to record it.`);
+  }
+  const walletId = stored ? stored.fingerprint : name;
+
+  switch (subcommand) {
+    case 'show': {
+      const policy = getPolicy(walletId, { network: ctx.network });
+      const spent = policy && walletId ? getSpentTotals(walletId, { network: ctx.network, path }) : null;
+
+      output(ctx, { wallet: walletId, name: stored ? name : null, policy, spent, auditLog: path }, () => {
+        if (!policy) {
+          console.log('No spending policy configured. Add a policy section to config.json.');
+          return;
+        }
+
+        const btc = (satoshis) => satoshis === null ? 'none' : `${satoshis / 100000000} BTC`;
+        console.log(`\n=== Spending Policy${walletId ? ` of ${stored ? `${name} (${walletId})` : walletId}` : ''} ===`);
+        console.log(`Maximum per send: ${btc(policy.maxAmount)}`);
+        console.log(`Daily limit: ${btc(policy.dailyLimit)}${spent ? ` (spent in the last 24 hours: ${btc(spent.day)})` : ''}`);
+        console.log(`Weekly limit: ${btc(policy.weeklyLimit)}${spent ? ` (spent in the last 7 days: ${btc(spent.week)})` : ''}`);
+        console.log(`Maximum fee rate: ${policy.maxFeeRate === null ? 'none' : `${policy.maxFeeRate} sat/vB`}`);
+        console.log(`Maximum fee ratio: ${policy.maxFeeRatio === null ? 'none' : `${policy.maxFeeRatio * 100}% of the amount`}`);
+        console.log(`Allow list: ${policy.allowlist.length > 0 ? policy.allowlist.join(', ') : 'any recipient'}`);
+        console.log(`Deny list: ${policy.denylist.length > 0 ? policy.denylist.join(', ') : 'none'}`);
+        console.log(`Second approver above: ${btc(policy.approvalThreshold)}${policy.approvers.length > 0 ? ` (approvers: ${policy.approvers.join(', ')})` : ''}`);
+        console.log(`Audit log: ${path}`);
+      });
+      return;
+    }
+
+    case 'audit': {
+      const check = verifyAuditLog(path);
+      const entries = readAuditLog(path).filter(entry => !walletId || entry.wallet === walletId);
+
+      output(ctx, { auditLog: path, ...check, entries }, () => {
+        entries.forEach(entry => {
+          const detail = {
+            violation: () => (entry.violations || []).map(violation => violation.rule).join(', '),
+            'approval-requested': () => `request ${entry.requestId}`,
+            approved: () => `request ${entry.requestId} by ${entry.approver}`,
+            spend: () => `${entry.via} ${entry.txid || ''}`.trim()
+          }[entry.event];
+          console.log(`${entry.time} ${entry.event} ${entry.wallet} ${entry.amount / 100000000} BTC${detail ? ` ${detail()}` : ''}`);
+        });
+        console.log(check.valid
+          ? `${check.entries} entries, hash chain intact (${path})`
+          : `Audit log ${path} was altered: entry ${check.brokenAt} does not match the entries before it.`);
+      });
+
+      if (!check.valid) {
+        process.exitCode = 1;
+      }
+      return;
+    }
+
+    default:
+      throw new Error('Usage: node cli.js policy <show|audit> [wallet]');
+  }
+}
+
+/**
+ * watch [address...] - report payments to and spends from addresses, or the wallet, until interrupted
+ * Events are printed to stdout as JSON lines and sent to the --webhook and --exec hooks.
+ * @param {Object} ctx - Command context
+ */
+async function watchCommand(ctx) {
+  const { values } = ctx;
+  const interval = Number(values.interval || DEFAULT_WATCH_INTERVAL);
+  const confirmations = getMinConfirmations(values.confirmations);
+
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error(`Invalid interval: ${values.interval}. Use a whole number of seconds.`);
+  }
+
+  const args = ctx.args.map(address => decodeAddress(address, ctx.network).address);
+
+  const controller = new AbortController();
+  const hooks = [createStdoutHook()];
+
+  if (values.webhook) {
+    const secret = values['webhook-secret'] || loadConfig().webhookSecret;
+    hooks.push(createWebhookHook(values.webhook, { secret, signal: controller.signal }));
+  }
+  if (values.exec) {
+    hooks.push(createExecHook(values.exec));
+  }
+
+  // stdout carries the events only
+  const watchCtx = { ...ctx, log: console.error };
+  let loadAddresses = () => args;
+
+  if (args.length === 0) {
+    const secret = await getWalletSecret(watchCtx);
+    loadAddresses = async () => {
+      const wallet = await loadWallet(watchCtx, secret);
+      return [...wallet.addresses.map(entry => entry.address), wallet.receiveAddress, wallet.changeAddress];
+    };
+  }
+
+  const stop = () => controller.abort();
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  try {
+    await watch(loadAddresses, { hooks, interval, confirmations, network: ctx.network, signal: controller.signal, log: console.error });
+  } finally {
+    process.off('SIGINT', stop);
+    process.off('SIGTERM', stop);
+  }
+}
+
+/**
+ * serve - run the wallet service until interrupted
+ * Wallets are unlocked per request: watch-only ones as they are, encrypted ones with
+ * BTC_WALLET_PASSWORD, since a service cannot prompt.
+ * @param {Object} ctx - Command context
+ */
+async function serveCommand(ctx) {
+  const { values } = ctx;
+  const port = Number(values.port || DEFAULT_SERVICE_PORT);
+  const host = values.host || DEFAULT_SERVICE_HOST;
+
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${values.port}`);
+  }
+
+  const token = getServiceToken();
+  const walletCtx = { ...ctx, log: () => {} };
+
+  const loadServiceWallet = async (id) => {
+    if (!listWallets().some(entry => entry.name === id)) {
+      throw new ServiceError(`Unknown wallet: ${id}`, 404);
+    }
+    if (isWatchOnlyWallet(id)) {
+      return loadWallet(walletCtx, { ...await unlockWallet(id), name: id });
+    }
+    if (!process.env.BTC_WALLET_PASSWORD) {
+      throw new ServiceError(`Wallet ${id} is encrypted; start the service with BTC_WALLET_PASSWORD to use it.`, 403);
+    }
+
+    return loadWallet(walletCtx, { ...await unlockWallet(id, process.env.BTC_WALLET_PASSWORD), name: id });
+  };
+
+  const server = createWalletService({ token, loadWallet: loadServiceWallet, network: ctx.network, log: console.error });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const { port: listening } = server.address();
+  console.error(`Wallet service on http://${host}:${listening} (${ctx.network.name}); OpenAPI description at /openapi.json`);
+
+  await new Promise((resolve) => {
+    const stop = () => {
+      process.off('SIGINT', stop);
+      process.off('SIGTERM', stop);
+      server.close(resolve);
+      server.closeIdleConnections();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+
+  console.error('Wallet service stopped.');
+}
+
+const COMMANDS = {
+  interactive: () => runInteractive(),
+  wallet: walletCommand,
+  address: addressCommand,
+  receive: receiveCommand,
+  'sign-message': signMessageCommand,
+  'verify-message': verifyMessageCommand,
+  balance: balanceCommand,
+  utxos: utxosCommand,
+  label: labelCommand,
+  freeze: freezeCommand,
+  unfreeze: freezeCommand,
+  fees: feesCommand,
+  history: historyCommand,
+  send: sendCommand,
+  batch: batchCommand,
+  bump: bumpCommand,
+  policy: policyCommand,
+  multisig: multisigCommand,
+  psbt: psbtCommand,
+  watch: watchCommand,
+  serve: serveCommand
+};
+
+/**
+ * Parse the command line and run the selected command
+ * @param {string[]} argv - Command line arguments without node and script path
+ */
+export async function run(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const { values, positionals } = parsed;
+  const [command = 'interactive', ...args] = positionals;
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const handler = COMMANDS[command];
+  if (!handler) {
+    console.error(`Unknown command: ${command}\n`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  // Flags override config.json and environment variables for every module
+  if (values['api-key']) {
+    process.env.TATUM_API_KEY = values['api-key'];
+  }
+  if (values.provider) {
+    process.env.BTC_PROVIDER = values.provider;
+  }
+  if (values['min-conf']) {
+    process.env.BTC_MIN_CONFIRMATIONS = values['min-conf'];
+  }
+  if (values.offline) {
+    process.env.BTC_OFFLINE = '1';
+  }
+  if (values.network) {
+    process.env.BTC_NETWORK = values.network;
+  }
+  if (values['address-type']) {
+    process.env.BTC_ADDRESS_TYPE = values['address-type'];
+  }
+
+  const ctx = {
+    command,
+    args,
+    values,
+    json: values.json,
+    // Keep stdout clean for JSON output by sending progress to stderr
+    log: values.json ? console.error : console.log
+  };
+
+  try {
+    ctx.network = getNetwork();
+    ctx.addressType = getAddressType();
+    await handler(ctx);
+  } catch (error) {
+    closePrompt();
+    if (ctx.json) {
+      const policy = error instanceof PolicyError ? { violations: error.violations, approval: error.approval } : {};
+      console.log(JSON.stringify({ error: error.message, ...policy }, null, 2));
+    } else {
+      console.error('Error:', error.message);
+    }
+    process.exit(1);
+  }
+
+  closePrompt();
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  run(process.argv.slice(2));
+}
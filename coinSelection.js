@@ -0,0 +1,560 @@
+import { getNetwork } from './networks.js';
+import { getScriptType } from './generateAddresFromPK.js';
+import { DUST_LIMIT } from './transactionBuilder.js';
+
+/**
+ * Estimated virtual size in vbytes of an input spending each script type
+ * P2SH inputs are our own nested SegWit (P2SH-P2WPKH) inputs, P2WSH inputs 2-of-3 multisig.
+ * Multisig wallet UTXOs carry an exact input type instead (see multisigInputType).
+ */
+export const INPUT_VSIZE = {
+  p2pkh: 148,
+  p2sh: 91,
+  p2wpkh: 68,
+  p2wsh: 104.5,
+  p2tr: 57.5
+};
+
+// Input types of m-of-n multisig inputs, e.g. p2wsh-2-of-3
+const MULTISIG_INPUT_TYPE = /^(p2wsh|p2sh-p2wsh|p2sh)-(\d+)-of-(\d+)$/;
+
+/**
+ * Virtual size in vbytes of an output paying to each script type
+ */
+export const OUTPUT_VSIZE = {
+  p2pkh: 34,
+  p2sh: 32,
+  p2wpkh: 31,
+  p2wsh: 43,
+  p2tr: 43
+};
+
+// Version, locktime and input/output counts; SegWit adds marker and flag
+const TX_OVERHEAD_VSIZE = 10;
+const SEGWIT_OVERHEAD_VSIZE = 0.5;
+
+// Fee rate (sat/vB) expected when change is spent later, for the waste metric
+const DEFAULT_LONG_TERM_FEE_RATE = 10;
+
+// Search limits of the branch-and-bound and knapsack strategies
+const BNB_MAX_TRIES = 100000;
+const KNAPSACK_ITERATIONS = 1000;
+
+export const STRATEGIES = ['auto', 'bnb', 'knapsack', 'largest-first', 'smallest-first', 'manual'];
+
+/**
+ * Estimated virtual size of an input
+ * @param {string} scriptType - Script type from getScriptType
+ * @returns {number} Size in vbytes
+ */
+function inputVsize(scriptType) {
+  const multisig = MULTISIG_INPUT_TYPE.exec(scriptType);
+  if (multisig) {
+    return multisigInputVsize(multisig[1], Number(multisig[2]), Number(multisig[3]));
+  }
+
+  const vsize = INPUT_VSIZE[scriptType];
+  if (vsize === undefined) {
+    throw new Error(`Cannot estimate the size of a ${scriptType} input.`);
+  }
+  return vsize;
+}
+
+/**
+ * Get the input type of an m-of-n multisig script, for size estimates
+ * @param {string} scriptType - p2wsh, p2sh-p2wsh or p2sh
+ * @param {number} threshold - Required signatures (m)
+ * @param {number} keyCount - Number of keys (n)
+ * @returns {string} Input type, e.g. p2wsh-2-of-3
+ */
+export function multisigInputType(scriptType, threshold, keyCount) {
+  return `${scriptType}-${threshold}-of-${keyCount}`;
+}
+
+/**
+ * Estimated virtual size of an input spending an m-of-n multisig script
+ * Signatures are counted at 72 bytes plus their push.
+ * @param {string} scriptType - p2wsh, p2sh-p2wsh or p2sh
+ * @param {number} threshold - Required signatures (m)
+ * @param {number} keyCount - Number of keys (n)
+ * @returns {number} Size in vbytes
+ */
+function multisigInputVsize(scriptType, threshold, keyCount) {
+  // OP_m <n compressed keys> OP_n OP_CHECKMULTISIG
+  const script = 3 + 34 * keyCount;
+  const signatures = threshold * 73;
+
+  if (scriptType === 'p2sh') {
+    // OP_0 <signatures> <redeem script> in the scriptSig
+    const scriptSig = 1 + signatures + (script < 76 ? 1 : 2) + script;
+    return 40 + (scriptSig < 253 ? 1 : 3) + scriptSig;
+  }
+
+  // Item count, empty item (CHECKMULTISIG bug), signatures and witness script, at a quarter of the weight
+  const witness = 1 + 1 + signatures + (script < 253 ? 1 : 3) + script;
+  // Nested P2WSH pushes the 34-byte witness program in its scriptSig
+  return 41 + (scriptType === 'p2sh-p2wsh' ? 35 : 0) + witness / 4;
+}
+
+/**
+ * Virtual size of an output, assuming the largest standard output for unknown types
+ * @param {string} scriptType - Script type from getScriptType
+ * @returns {number} Size in vbytes
+ */
+function outputVsize(scriptType) {
+  return OUTPUT_VSIZE[scriptType] || OUTPUT_VSIZE.p2tr;
+}
+
+/**
+ * Estimate the virtual size of a transaction from its input and output script types
+ * @param {string[]} inputTypes - Script types of the inputs, or multisig input types (e.g. p2wsh-2-of-3)
+ * @param {string[]} outputTypes - Script types of the outputs
+ * @returns {number} Estimated size in vbytes, rounded up
+ */
+export function estimateVsize(inputTypes, outputTypes) {
+  const segwit = inputTypes.some(type => type !== 'p2pkh' && !/^p2sh-\d/.test(type));
+  let vsize = TX_OVERHEAD_VSIZE + (segwit ? SEGWIT_OVERHEAD_VSIZE : 0);
+
+  for (const type of inputTypes) {
+    vsize += inputVsize(type);
+  }
+  for (const type of outputTypes) {
+    vsize += outputVsize(type);
+  }
+
+  return Math.ceil(vsize);
+}
+
+/**
+ * Sum the effective values of candidates
+ * @param {Array} candidates - Candidates with an effectiveValue
+ * @returns {number} Sum in satoshis
+ */
+function sumEffectiveValues(candidates) {
+  return candidates.reduce((sum, candidate) => sum + candidate.effectiveValue, 0);
+}
+
+/**
+ * Accumulate candidates in the given order until the target is reached
+ * @param {Array} candidates - Sorted candidates
+ * @param {number} target - Target effective value in satoshis
+ * @returns {Array|null} Selected candidates, or null if the target cannot be reached
+ */
+function accumulate(candidates, target) {
+  const selected = [];
+  let value = 0;
+
+  for (const candidate of candidates) {
+    selected.push(candidate);
+    value += candidate.effectiveValue;
+
+    if (value >= target) {
+      return selected;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Largest-first: spend the biggest UTXOs, giving few inputs
+ * @param {Array} candidates - Candidates
+ * @param {number} target - Target effective value in satoshis
+ * @returns {Array|null} Selected candidates
+ */
+function selectLargestFirst(candidates, target) {
+  return accumulate([...candidates].sort((a, b) => b.effectiveValue - a.effectiveValue), target);
+}
+
+/**
+ * Smallest-first: spend the smallest UTXOs, consolidating them
+ * @param {Array} candidates - Candidates
+ * @param {number} target - Target effective value in satoshis
+ * @returns {Array|null} Selected candidates
+ */
+function selectSmallestFirst(candidates, target) {
+  const positive = candidates.filter(candidate => candidate.effectiveValue > 0);
+  return accumulate(positive.sort((a, b) => a.effectiveValue - b.effectiveValue), target);
+}
+
+/**
+ * Branch-and-bound: depth-first search for a changeless input set
+ * Finds the set with the lowest waste whose effective value lies between the
+ * target and the target plus the cost of creating and spending change.
+ * @param {Array} candidates - Candidates
+ * @param {number} target - Target effective value in satoshis
+ * @param {number} costOfChange - Cost of a change output in satoshis
+ * @returns {Array|null} Selected candidates, or null if no changeless set exists
+ */
+function selectBranchAndBound(candidates, target, costOfChange) {
+  const pool = candidates
+    .filter(candidate => candidate.effectiveValue > 0)
+    .sort((a, b) => b.effectiveValue - a.effectiveValue);
+
+  // remaining[i] = effective value still available from pool[i] onwards
+  const remaining = new Array(pool.length + 1).fill(0);
+  for (let i = pool.length - 1; i >= 0; i--) {
+    remaining[i] = remaining[i + 1] + pool[i].effectiveValue;
+  }
+
+  const selected = [];
+  let best = null;
+  let bestWaste = Infinity;
+  let tries = 0;
+
+  const search = (i, value, waste) => {
+    if (tries++ >= BNB_MAX_TRIES || value > target + costOfChange) {
+      return;
+    }
+
+    if (value >= target) {
+      const totalWaste = waste + (value - target);
+      if (totalWaste < bestWaste) {
+        best = [...selected];
+        bestWaste = totalWaste;
+      }
+      return;
+    }
+
+    if (i >= pool.length || value + remaining[i] < target) {
+      return;
+    }
+
+    // Branch: include pool[i], then exclude it
+    selected.push(pool[i]);
+    search(i + 1, value + pool[i].effectiveValue, waste + pool[i].waste);
+    selected.pop();
+    search(i + 1, value, waste);
+  };
+
+  search(0, 0, 0);
+  return best;
+}
+
+/**
+ * Stochastic approximation of the subset closest to (and not below) the target
+ * @param {Array} pool - Candidates, sorted by effective value descending
+ * @param {number} total - Sum of the pool's effective values
+ * @param {number} target - Target effective value in satoshis
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @returns {{ selected: Array, value: number }} Best subset and its effective value
+ */
+function approximateBestSubset(pool, total, target, random) {
+  let bestIncluded = pool.map(() => true);
+  let bestValue = total;
+
+  for (let iteration = 0; iteration < KNAPSACK_ITERATIONS && bestValue !== target; iteration++) {
+    const included = pool.map(() => false);
+    let value = 0;
+    let reachedTarget = false;
+
+    // First pass includes coins at random, the second fills up with the rest
+    for (let pass = 0; pass < 2 && !reachedTarget; pass++) {
+      for (let i = 0; i < pool.length; i++) {
+        if (pass === 0 ? random() < 0.5 : !included[i]) {
+          value += pool[i].effectiveValue;
+          included[i] = true;
+
+          if (value >= target) {
+            reachedTarget = true;
+            if (value < bestValue) {
+              bestValue = value;
+              bestIncluded = [...included];
+            }
+            value -= pool[i].effectiveValue;
+            included[i] = false;
+          }
+        }
+      }
+    }
+  }
+
+  return { selected: pool.filter((candidate, i) => bestIncluded[i]), value: bestValue };
+}
+
+/**
+ * Knapsack: the classic Bitcoin Core selection
+ * Prefers an exact match, then the best random subset of smaller UTXOs leaving
+ * enough change, and otherwise the smallest single UTXO that covers the target.
+ * @param {Array} candidates - Candidates
+ * @param {number} target - Target effective value in satoshis
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @returns {Array|null} Selected candidates
+ */
+function selectKnapsack(candidates, target, random) {
+  const pool = candidates
+    .filter(candidate => candidate.effectiveValue > 0)
+    .sort((a, b) => b.effectiveValue - a.effectiveValue);
+
+  const exact = pool.find(candidate => candidate.effectiveValue === target);
+  if (exact) {
+    return [exact];
+  }
+
+  const smaller = pool.filter(candidate => candidate.effectiveValue < target + DUST_LIMIT);
+  const larger = pool.filter(candidate => candidate.effectiveValue >= target + DUST_LIMIT);
+  const lowestLarger = larger.length > 0 ? larger[larger.length - 1] : null;
+  const totalSmaller = sumEffectiveValues(smaller);
+
+  if (totalSmaller === target) {
+    return smaller;
+  }
+
+  if (totalSmaller < target) {
+    return lowestLarger ? [lowestLarger] : null;
+  }
+
+  let best = approximateBestSubset(smaller, totalSmaller, target, random);
+  if (best.value !== target && totalSmaller >= target + DUST_LIMIT) {
+    best = approximateBestSubset(smaller, totalSmaller, target + DUST_LIMIT, random);
+  }
+
+  // A single larger UTXO wins when the subset leaves dust change or is bigger
+  if (lowestLarger && ((best.value !== target && best.value < target + DUST_LIMIT) || lowestLarger.effectiveValue <= best.value)) {
+    return [lowestLarger];
+  }
+
+  return best.selected;
+}
+
+/**
+ * Manual: spend exactly the given outpoints
+ * Frozen outpoints are allowed: naming one is a deliberate choice to spend it.
+ * @param {Array} candidates - Candidates
+ * @param {string[]} outpoints - Outpoints as "txHash:index"
+ * @returns {Array} Selected candidates
+ */
+function selectManual(candidates, outpoints) {
+  if (outpoints.length === 0) {
+    throw new Error('Manual coin selection needs at least one outpoint (txHash:index).');
+  }
+
+  return [...new Set(outpoints)].map(outpoint => {
+    const candidate = candidates.find(entry => entry.utxo.utxo === outpoint);
+    if (!candidate) {
+      throw new Error(`Outpoint ${outpoint} is not a spendable output of this wallet.`);
+    }
+    return candidate;
+  });
+}
+
+/**
+ * Select UTXOs to pay a set of recipients
+ * The fee is either a fee rate in sat/vB, which charges every input for its
+ * size, or a fixed amount in satoshis. Change is only created when it is at
+ * least the dust limit; smaller change is added to the fee.
+ * @param {Array} utxos - Unspent UTXOs from analyzeUTXOs (only spendable ones are spent)
+ * @param {Array} recipients - Outputs to pay in satoshis: [{ address, value }]
+ * @param {Object} options - Selection settings
+ * @param {string} options.changeAddress - Address receiving the change
+ * @param {string} options.strategy - One of STRATEGIES (default: auto, branch-and-bound then knapsack)
+ * @param {number} options.feeRate - Fee rate in sat/vB
+ * @param {number} options.fee - Fixed fee in satoshis, instead of a fee rate
+ * @param {string[]} options.outpoints - Outpoints ("txHash:index") for manual selection
+ * @param {number} options.longTermFeeRate - Expected future fee rate in sat/vB for the waste metric (default: 10)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {Function} options.random - Random number generator for knapsack (default: Math.random)
+ * @returns {Object} Selection: strategy, inputs, inputSum, outputs, change, fee, vsize, feeRate and waste
+ */
+export function selectCoins(utxos, recipients, {
+  changeAddress,
+  strategy = 'auto',
+  feeRate,
+  fee,
+  outpoints = [],
+  longTermFeeRate = DEFAULT_LONG_TERM_FEE_RATE,
+  network = getNetwork(),
+  random = Math.random
+} = {}) {
+  if ((feeRate === undefined) === (fee === undefined)) {
+    throw new Error('Coin selection needs either a fee rate or a fixed fee.');
+  }
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown coin selection strategy: ${strategy}. Use one of: ${STRATEGIES.join(', ')}`);
+  }
+
+  // With a fixed fee the size of the transaction does not change the fee
+  const rate = feeRate === undefined ? 0 : feeRate;
+  const longTermRate = feeRate === undefined ? 0 : longTermFeeRate;
+
+  const recipientSum = recipients.reduce((sum, recipient) => sum + recipient.value, 0);
+  const outputTypes = recipients.map(recipient => getScriptType(recipient.address, network));
+  const changeType = getScriptType(changeAddress, network);
+
+  const candidates = utxos
+    .filter(utxo => utxo.spendable)
+    .map(utxo => {
+      const type = utxo.inputType || getScriptType(utxo.address, network);
+      const size = inputVsize(type);
+      return {
+        utxo,
+        type,
+        effectiveValue: utxo.value - Math.ceil(size * rate),
+        waste: size * (rate - longTermRate)
+      };
+    });
+
+  // Frozen coins are only spent when picked by hand
+  const unfrozen = candidates.filter(candidate => !candidate.utxo.frozen);
+
+  // Effective value the inputs must cover: recipients plus the fee of everything but the inputs
+  const baseVsize = TX_OVERHEAD_VSIZE + SEGWIT_OVERHEAD_VSIZE
+    + outputTypes.reduce((sum, type) => sum + outputVsize(type), 0);
+  const target = recipientSum + (fee === undefined ? Math.ceil(baseVsize * rate) : fee);
+  const costOfChange = Math.ceil(outputVsize(changeType) * rate + inputVsize(changeType) * longTermRate);
+
+  let selected;
+  let usedStrategy = strategy;
+
+  switch (strategy) {
+    case 'manual':
+      selected = selectManual(candidates, outpoints);
+      break;
+    case 'largest-first':
+      selected = selectLargestFirst(unfrozen, target);
+      break;
+    case 'smallest-first':
+      selected = selectSmallestFirst(unfrozen, target);
+      break;
+    case 'bnb':
+      selected = selectBranchAndBound(unfrozen, target, costOfChange);
+      break;
+    case 'knapsack':
+      selected = selectKnapsack(unfrozen, target, random);
+      break;
+    default:
+      selected = selectBranchAndBound(unfrozen, target, costOfChange);
+      usedStrategy = 'bnb';
+      if (!selected) {
+        selected = selectKnapsack(unfrozen, target, random);
+        usedStrategy = 'knapsack';
+      }
+  }
+
+  const available = unfrozen.reduce((sum, candidate) => sum + candidate.utxo.value, 0);
+  if (!selected) {
+    throw new Error(strategy === 'bnb'
+      ? 'No changeless input set found. Try another coin selection strategy.'
+      : `Insufficient spendable funds. Have ${available}, need ${target} satoshis${fee === undefined ? ' plus input fees' : ''}.`);
+  }
+
+  const inputs = selected.map(candidate => candidate.utxo);
+  const inputTypes = selected.map(candidate => candidate.type);
+  const inputSum = inputs.reduce((sum, utxo) => sum + utxo.value, 0);
+
+  // Fee and change with a change output; without one if the change would be dust
+  const vsizeWithChange = estimateVsize(inputTypes, [...outputTypes, changeType]);
+  const feeWithChange = fee === undefined ? Math.ceil(vsizeWithChange * rate) : fee;
+  const change = inputSum - recipientSum - feeWithChange;
+
+  const vsizeWithoutChange = estimateVsize(inputTypes, outputTypes);
+  const feeWithoutChange = fee === undefined ? Math.ceil(vsizeWithoutChange * rate) : fee;
+  const excess = inputSum - recipientSum - feeWithoutChange;
+
+  if (excess < 0) {
+    throw new Error(`Insufficient funds in the selected inputs. Have ${inputSum}, need ${recipientSum + feeWithoutChange} satoshis.`);
+  }
+
+  const hasChange = change >= DUST_LIMIT;
+  const outputs = hasChange
+    ? [...recipients, { address: changeAddress, value: change }]
+    : [...recipients];
+  const vsize = hasChange ? vsizeWithChange : vsizeWithoutChange;
+  const totalFee = inputSum - recipientSum - (hasChange ? change : 0);
+  const inputWaste = selected.reduce((sum, candidate) => sum + candidate.waste, 0);
+
+  return {
+    strategy: usedStrategy,
+    inputs,
+    inputSum,
+    outputs,
+    change: hasChange ? change : 0,
+    fee: totalFee,
+    vsize,
+    feeRate: Math.round((totalFee / vsize) * 100) / 100,
+    waste: Math.round(inputWaste + (hasChange ? costOfChange : excess))
+  };
+}
+
+/**
+ * Select every spendable UTXO to send the whole balance to one recipient
+ * There is no change output: the recipient gets the inputs minus the fee.
+ * Frozen UTXOs are only spent when given as outpoints.
+ * With a fee rate, UTXOs worth less than the fee to spend them are left out.
+ * @param {Array} utxos - Unspent UTXOs from analyzeUTXOs (only spendable ones are spent)
+ * @param {string} recipientAddress - Recipient address (default: none, sized as the largest output)
+ * @param {Object} options - Selection settings
+ * @param {number} options.feeRate - Fee rate in sat/vB
+ * @param {number} options.fee - Fixed fee in satoshis, instead of a fee rate
+ * @param {string[]} options.outpoints - Outpoints ("txHash:index") to spend instead of every unfrozen UTXO
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Object} Selection in the format of selectCoins, with the strategy "send-all"
+ */
+export function selectAllCoins(utxos, recipientAddress, {
+  feeRate,
+  fee,
+  outpoints = [],
+  network = getNetwork()
+} = {}) {
+  if ((feeRate === undefined) === (fee === undefined)) {
+    throw new Error('Coin selection needs either a fee rate or a fixed fee.');
+  }
+
+  const rate = feeRate === undefined ? 0 : feeRate;
+  const candidates = utxos
+    .filter(utxo => utxo.spendable)
+    .map(utxo => {
+      const type = utxo.inputType || getScriptType(utxo.address, network);
+      return { utxo, type, effectiveValue: utxo.value - Math.ceil(inputVsize(type) * rate), waste: 0 };
+    });
+
+  const selected = outpoints.length > 0
+    ? selectManual(candidates, outpoints)
+    : candidates.filter(candidate => candidate.effectiveValue > 0 && !candidate.utxo.frozen);
+
+  if (selected.length === 0) {
+    throw new Error('No spendable funds to send.');
+  }
+
+  const inputs = selected.map(candidate => candidate.utxo);
+  const inputSum = inputs.reduce((sum, utxo) => sum + utxo.value, 0);
+  const recipientType = recipientAddress ? getScriptType(recipientAddress, network) : 'p2tr';
+  const vsize = estimateVsize(selected.map(candidate => candidate.type), [recipientType]);
+  const totalFee = fee === undefined ? Math.ceil(vsize * rate) : fee;
+  const value = inputSum - totalFee;
+
+  if (value < DUST_LIMIT) {
+    throw new Error(`Insufficient spendable funds. Have ${inputSum} satoshis, which leaves ${value} after a fee of ${totalFee}; the dust limit is ${DUST_LIMIT}.`);
+  }
+
+  return {
+    strategy: 'send-all',
+    inputs,
+    inputSum,
+    outputs: [{ address: recipientAddress, value }],
+    change: 0,
+    fee: totalFee,
+    vsize,
+    feeRate: Math.round((totalFee / vsize) * 100) / 100,
+    waste: 0
+  };
+}
+
+/**
+ * Calculate the largest amount that can be sent to one recipient
+ * @param {Array} utxos - Unspent UTXOs from analyzeUTXOs (only spendable ones are spent)
+ * @param {Object} options - Fee settings
+ * @param {number} options.feeRate - Fee rate in sat/vB
+ * @param {number} options.fee - Fixed fee in satoshis, instead of a fee rate
+ * @param {string} options.recipientAddress - Recipient address, if already known
+ * @param {string[]} options.outpoints - Hand-picked outpoints ("txHash:index") to spend (default: every unfrozen UTXO)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {number} Maximum sendable amount in satoshis (0 if nothing can be sent)
+ */
+export function getMaxSendable(utxos, { feeRate, fee, recipientAddress, outpoints = [], network = getNetwork() } = {}) {
+  try {
+    return selectAllCoins(utxos, recipientAddress, { feeRate, fee, outpoints, network }).outputs[0].value;
+  } catch (error) {
+    return 0;
+  }
+}
@@ -0,0 +1,51 @@
+import { readFileSync, existsSync } from 'fs';
+
+/**
+ * Environment variables that override values from config.json
+ * Keys are config properties, values are the variable names
+ */
+const ENV_OVERRIDES = {
+  apiKey: 'TATUM_API_KEY',
+  network: 'BTC_NETWORK',
+  addressType: 'BTC_ADDRESS_TYPE',
+  keystorePath: 'BTC_KEYSTORE',
+  provider: 'BTC_PROVIDER',
+  esploraUrl: 'BTC_ESPLORA_URL',
+  rpcUrl: 'BTC_RPC_URL',
+  rpcUser: 'BTC_RPC_USER',
+  rpcPassword: 'BTC_RPC_PASSWORD',
+  cachePath: 'BTC_CACHE',
+  offline: 'BTC_OFFLINE',
+  minConfirmations: 'BTC_MIN_CONFIRMATIONS',
+  webhookSecret: 'BTC_WEBHOOK_SECRET',
+  serviceToken: 'BTC_SERVICE_TOKEN',
+  labelsPath: 'BTC_LABELS',
+  auditLogPath: 'BTC_AUDIT_LOG'
+};
+
+/**
+ * Load application configuration
+ * Values from config.json are overridden by environment variables,
+ * so the CLI can run in CI or cron jobs without a config file.
+ * @param {string} path - Path to the JSON config file (default: ./config.json)
+ * @returns {Object} Configuration object
+ */
+export function loadConfig(path = process.env.BTC_CONFIG || './config.json') {
+  let config = {};
+
+  if (existsSync(path)) {
+    try {
+      config = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to parse ${path}: ${error.message}`);
+    }
+  }
+
+  for (const [key, envName] of Object.entries(ENV_OVERRIDES)) {
+    if (process.env[envName]) {
+      config[key] = process.env[envName];
+    }
+  }
+
+  return config;
+}
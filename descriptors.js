@@ -0,0 +1,342 @@
+import crypto from 'crypto';
+import { BIP32Factory } from 'bip32';
+import * as ecc from 'tiny-secp256k1';
+import { getNetwork } from './networks.js';
+import { getAddressType } from './generateAddresFromPK.js';
+
+const bip32 = BIP32Factory(ecc);
+
+/**
+ * Output descriptor script expressions per address type (BIP380-386)
+ * Only single-key, ranged descriptors are supported; Taproot is key-path only.
+ */
+export const DESCRIPTOR_SCRIPTS = {
+  p2pkh: (key) => `pkh(${key})`,
+  'p2sh-p2wpkh': (key) => `sh(wpkh(${key}))`,
+  p2wpkh: (key) => `wpkh(${key})`,
+  p2tr: (key) => `tr(${key})`
+};
+
+/**
+ * Multisig descriptor script expressions per script type (BIP383), around a sortedmulti() expression
+ */
+export const MULTISIG_DESCRIPTOR_SCRIPTS = {
+  p2wsh: (multi) => `wsh(${multi})`,
+  'p2sh-p2wsh': (multi) => `sh(wsh(${multi}))`,
+  p2sh: (multi) => `sh(${multi})`
+};
+
+// A P2SH redeem script may not exceed 520 bytes, which allows 15 compressed keys
+export const MAX_MULTISIG_KEYS = 15;
+
+/**
+ * SLIP-132 extended public key versions that also name the address type
+ * xpub (mainnet) and tpub (test networks) leave the address type to the caller.
+ */
+const SLIP132_VERSIONS = {
+  ypub: { version: 0x049d7cb2, addressType: 'p2sh-p2wpkh', mainnet: true },
+  zpub: { version: 0x04b24746, addressType: 'p2wpkh', mainnet: true },
+  upub: { version: 0x044a5262, addressType: 'p2sh-p2wpkh', mainnet: false },
+  vpub: { version: 0x045f1cf6, addressType: 'p2wpkh', mainnet: false }
+};
+
+// Descriptor checksum alphabets and generator (BIP380)
+const INPUT_CHARSET = '0123456789()[],\'/*abcdefgh@:$%{}IJKLMNOPQRSTUVWXYZ&+-.;<=>?!^_|~ijklmnopqrstuvwxyzABCDEFGH`#"\\ ';
+const CHECKSUM_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0xf5dee51989n, 0xa9fdca3312n, 0x1bab10e32dn, 0x3706b1677an, 0x644d626ffdn];
+
+// [fingerprint/origin/path]key/derivation/steps/* with at most one <receive;change> step
+const KEY_PATTERN = /^(?:\[([0-9a-fA-F]{8})((?:\/\d+['hH]?)*)\])?([1-9A-HJ-NP-Za-km-z]+)((?:\/(?:\d+|<\d+;\d+>))*)\/\*$/;
+
+// wsh(sortedmulti(m,key,...)), sh(wsh(sortedmulti(...))) or sh(sortedmulti(...))
+const MULTISIG_PATTERN = /^(wsh|sh\(wsh|sh)\((?:sorted)?multi\((\d+),([^()]*)\)\)\)?$/;
+
+// [fingerprint/origin/path]compressed public key (hex), as multisig descriptors allow
+const PUBLIC_KEY_PATTERN = /^(?:\[([0-9a-fA-F]{8})((?:\/\d+['hH]?)*)\])?(0[23][0-9a-fA-F]{64})$/;
+
+/**
+ * Compute the BIP380 checksum of a descriptor
+ * @param {string} descriptor - Descriptor without checksum
+ * @returns {string} 8-character checksum
+ */
+export function descriptorChecksum(descriptor) {
+  const symbols = [];
+  const groups = [];
+
+  for (const char of descriptor) {
+    const value = INPUT_CHARSET.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid character in descriptor: ${char}`);
+    }
+    symbols.push(value & 31);
+    groups.push(value >> 5);
+    if (groups.length === 3) {
+      symbols.push(groups[0] * 9 + groups[1] * 3 + groups[2]);
+      groups.length = 0;
+    }
+  }
+
+  if (groups.length === 1) {
+    symbols.push(groups[0]);
+  } else if (groups.length === 2) {
+    symbols.push(groups[0] * 3 + groups[1]);
+  }
+
+  let checksum = 1n;
+  for (const value of [...symbols, 0, 0, 0, 0, 0, 0, 0, 0]) {
+    const top = checksum >> 35n;
+    checksum = ((checksum & 0x7ffffffffn) << 5n) ^ BigInt(value);
+    GENERATOR.forEach((generator, i) => {
+      if ((top >> BigInt(i)) & 1n) {
+        checksum ^= generator;
+      }
+    });
+  }
+  checksum ^= 1n;
+
+  let result = '';
+  for (let i = 0; i < 8; i++) {
+    result += CHECKSUM_CHARSET[Number((checksum >> BigInt(5 * (7 - i))) & 31n)];
+  }
+  return result;
+}
+
+/**
+ * Parse an extended public key, including SLIP-132 ypub/zpub/upub/vpub keys
+ * @param {string} key - Extended public key
+ * @param {Object} options - Optional settings
+ * @param {string} options.addressType - Address type for xpub/tpub keys (default: configured address type)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {{ node: Object, addressType: string }} Public BIP32 node (xpub/tpub encoded) and its address type
+ */
+export function parseExtendedKey(key, { addressType, network = getNetwork() } = {}) {
+  const prefix = key.trim().slice(0, 4);
+  const mainnet = network.name === 'mainnet';
+  const slip132 = SLIP132_VERSIONS[prefix];
+
+  if (/^[a-z]prv$/.test(prefix)) {
+    throw new Error('Watch-only wallets take an extended public key, never a private one.');
+  }
+  if (prefix !== (mainnet ? 'xpub' : 'tpub') && (!slip132 || slip132.mainnet !== mainnet)) {
+    const prefixes = mainnet ? 'xpub, ypub or zpub' : 'tpub, upub or vpub';
+    throw new Error(`Not an extended public key for Bitcoin ${network.name}: use ${prefixes}.`);
+  }
+
+  const bip32Network = slip132
+    ? { ...network.bitcoinjs, bip32: { ...network.bitcoinjs.bip32, public: slip132.version } }
+    : network.bitcoinjs;
+
+  let node;
+  try {
+    node = bip32.fromBase58(key.trim(), bip32Network);
+  } catch (error) {
+    throw new Error(`Invalid extended public key: ${error.message}`);
+  }
+
+  // Re-encode SLIP-132 keys with the standard version, as descriptors expect
+  node.network = network.bitcoinjs;
+
+  return { node, addressType: slip132 ? slip132.addressType : getAddressType(addressType) };
+}
+
+/**
+ * Parse the key expression of a descriptor, e.g. [d34db33f/84h/1h/0h]tpub.../<0;1>/*
+ * @param {string} expression - Key expression
+ * @param {Object} options - Optional settings
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {boolean} options.allowPublicKey - Also accept a single hex public key, which is not ranged (default: false)
+ * @returns {Object} Key: node, xpub, fingerprint, path and chains; or publicKey, fingerprint and path for a hex key
+ */
+export function parseKeyExpression(expression, { network = getNetwork(), allowPublicKey = false } = {}) {
+  const publicKey = allowPublicKey && PUBLIC_KEY_PATTERN.exec(expression);
+  if (publicKey) {
+    const [, fingerprint, originPath = '', hex] = publicKey;
+    return {
+      publicKey: hex.toLowerCase(),
+      fingerprint: fingerprint ? fingerprint.toLowerCase() : null,
+      path: fingerprint ? `m${originPath.replace(/[hH]/g, '\'')}` : null
+    };
+  }
+
+  const key = KEY_PATTERN.exec(expression);
+  if (!key) {
+    throw new Error(`Unsupported key in descriptor: ${expression}. Use [fingerprint/path]xpub/<0;1>/* with unhardened steps after the key.`);
+  }
+
+  const [, fingerprint, originPath = '', extendedKey, steps] = key;
+  if (SLIP132_VERSIONS[extendedKey.slice(0, 4)]) {
+    throw new Error('Descriptors take xpub or tpub keys; the script expression sets the address type.');
+  }
+
+  const { node } = parseExtendedKey(extendedKey, { network });
+
+  const derivation = steps.split('/').slice(1);
+  const multipath = derivation.filter(step => step.startsWith('<'));
+  if (multipath.length > 1) {
+    throw new Error('A descriptor may have only one <receive;change> step.');
+  }
+
+  const chains = multipath.length === 0
+    ? [derivation.map(Number)]
+    : multipath[0].slice(1, -1).split(';').map(chain => derivation.map(step => Number(step.startsWith('<') ? chain : step)));
+
+  return {
+    node,
+    xpub: node.toBase58(),
+    // Without key origin the extended key itself is the root of the derivation paths
+    fingerprint: fingerprint ? fingerprint.toLowerCase() : Buffer.from(node.fingerprint).toString('hex'),
+    path: `m${originPath.replace(/[hH]/g, '\'')}`,
+    chains
+  };
+}
+
+/**
+ * Write the key expression of a descriptor, with key origin
+ * @param {Object} key - Key from parseKeyExpression, or an account from deriveAccount
+ * @returns {string} Key expression, e.g. [d34db33f/84h/1h/0h]tpub.../<0;1>/*
+ */
+export function formatKeyExpression(key) {
+  if (!key.node) {
+    return key.fingerprint ? `[${key.fingerprint}${key.path.slice(1).replace(/'/g, 'h')}]${key.publicKey}` : key.publicKey;
+  }
+
+  const [receive, change] = key.chains;
+  const steps = receive.map((step, i) => (change && change[i] !== step ? `<${step};${change[i]}>` : step));
+  const origin = key.path === 'm' ? '' : `[${key.fingerprint}${key.path.slice(1).replace(/'/g, 'h')}]`;
+
+  return `${origin}${key.xpub}${steps.map(step => `/${step}`).join('')}/*`;
+}
+
+/**
+ * Parse a single-key ranged output descriptor, e.g. wpkh([d34db33f/84h/1h/0h]tpub.../<0;1>/*)#checksum
+ * The checksum is optional but verified when present.
+ * @param {string} descriptor - Output descriptor
+ * @param {Object} options - Optional settings
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Object} Watch-only account: addressType, node, xpub, fingerprint, path, chains and descriptor
+ */
+export function parseDescriptor(descriptor, { network = getNetwork() } = {}) {
+  const [body, checksum] = descriptor.trim().split('#');
+
+  if (checksum !== undefined && checksum !== descriptorChecksum(body)) {
+    throw new Error(`Invalid descriptor checksum: ${checksum} (expected ${descriptorChecksum(body)})`);
+  }
+
+  const wrapper = /^(sh\(wpkh|pkh|wpkh|tr)\((.*?)\)\)?$/.exec(body);
+  const addressType = wrapper && { 'sh(wpkh': 'p2sh-p2wpkh', pkh: 'p2pkh', wpkh: 'p2wpkh', tr: 'p2tr' }[wrapper[1]];
+
+  if (!addressType || body !== DESCRIPTOR_SCRIPTS[addressType](wrapper[2])) {
+    throw new Error(`Unsupported descriptor: ${body}. Use pkh(), sh(wpkh()), wpkh() or key-path tr() with one extended key.`);
+  }
+
+  const account = { addressType, ...parseKeyExpression(wrapper[2], { network }) };
+  return { ...account, descriptor: formatDescriptor(account) };
+}
+
+/**
+ * Parse an m-of-n sortedmulti() output descriptor, e.g. wsh(sortedmulti(2,[fp/48h/1h/0h/2h]tpub.../<0;1>/*,...))
+ * Keys are all extended keys (a ranged wallet) or all hex public keys (a single address).
+ * @param {string} descriptor - Output descriptor, with optional checksum
+ * @param {Object} options - Optional settings
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Object} Multisig account: addressType (script type), multisig ({ threshold, keys }), path, chains, ranged and descriptor
+ */
+export function parseMultisigDescriptor(descriptor, { network = getNetwork() } = {}) {
+  const [body, checksum] = descriptor.trim().split('#');
+
+  if (checksum !== undefined && checksum !== descriptorChecksum(body)) {
+    throw new Error(`Invalid descriptor checksum: ${checksum} (expected ${descriptorChecksum(body)})`);
+  }
+
+  const match = MULTISIG_PATTERN.exec(body);
+  const addressType = match && { wsh: 'p2wsh', 'sh(wsh': 'p2sh-p2wsh', sh: 'p2sh' }[match[1]];
+
+  if (!addressType || body !== MULTISIG_DESCRIPTOR_SCRIPTS[addressType](`sortedmulti(${match[2]},${match[3]})`)) {
+    throw new Error(`Unsupported multisig descriptor: ${body}. Use wsh(sortedmulti()), sh(wsh(sortedmulti())) or sh(sortedmulti()).`);
+  }
+
+  const threshold = Number(match[2]);
+  const keys = match[3].split(',').map(expression => parseKeyExpression(expression, { network, allowPublicKey: true }));
+  const extendedKeys = keys.filter(key => key.node);
+
+  if (keys.length < 2 || keys.length > MAX_MULTISIG_KEYS) {
+    throw new Error(`A multisig wallet needs 2 to ${MAX_MULTISIG_KEYS} keys, not ${keys.length}.`);
+  }
+  if (threshold < 1 || threshold > keys.length) {
+    throw new Error(`Invalid threshold ${threshold}: a ${keys.length}-key multisig needs 1 to ${keys.length} signatures.`);
+  }
+  if (extendedKeys.length > 0 && extendedKeys.length < keys.length) {
+    throw new Error('A multisig descriptor takes extended keys only or public keys only, not both.');
+  }
+  if (new Set(keys.map(key => key.xpub || key.publicKey)).size < keys.length) {
+    throw new Error('A multisig descriptor lists the same key twice.');
+  }
+  if (new Set(extendedKeys.map(key => key.chains.length)).size > 1) {
+    throw new Error('Every key of a multisig descriptor needs the same chains (all /<0;1>/* or all /0/*).');
+  }
+
+  const ranged = extendedKeys.length > 0;
+  const account = {
+    addressType,
+    multisig: { threshold, keys },
+    xpub: null,
+    fingerprint: null,
+    path: 'm',
+    chains: ranged ? keys[0].chains : [[]],
+    ranged
+  };
+
+  return { ...account, descriptor: formatDescriptor(account) };
+}
+
+/**
+ * Read a watch-only wallet source: an output descriptor (single-key or multisig) or an extended public key
+ * An extended key is taken as an account key with receive (/0/*) and change (/1/*) chains.
+ * @param {string} source - Descriptor, or xpub/ypub/zpub (tpub/upub/vpub on test networks)
+ * @param {Object} options - Optional settings
+ * @param {string} options.addressType - Address type for xpub/tpub keys (default: configured address type)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Object} Watch-only account: addressType, node, xpub, fingerprint, path, chains and descriptor
+ */
+export function parseWatchOnly(source, { addressType, network = getNetwork() } = {}) {
+  if (source.includes('multi(')) {
+    return parseMultisigDescriptor(source, { network });
+  }
+  if (source.includes('(')) {
+    return parseDescriptor(source, { network });
+  }
+
+  const { node, addressType: keyAddressType } = parseExtendedKey(source, { addressType, network });
+  const account = {
+    addressType: keyAddressType,
+    node,
+    xpub: node.toBase58(),
+    fingerprint: Buffer.from(node.fingerprint).toString('hex'),
+    path: 'm',
+    chains: [[0], [1]]
+  };
+
+  return { ...account, descriptor: formatDescriptor(account) };
+}
+
+/**
+ * Write the output descriptor of an HD or multisig account, with key origin and checksum
+ * @param {Object} account - Account from deriveAccount, parseWatchOnly or parseMultisigDescriptor
+ * @returns {string} Descriptor, e.g. wpkh([d34db33f/84h/1h/0h]tpub.../<0;1>/*)#checksum
+ */
+export function formatDescriptor(account) {
+  const body = account.multisig
+    ? MULTISIG_DESCRIPTOR_SCRIPTS[account.addressType](`sortedmulti(${account.multisig.threshold},${account.multisig.keys.map(formatKeyExpression).join(',')})`)
+    : DESCRIPTOR_SCRIPTS[account.addressType](formatKeyExpression(account));
+
+  return `${body}#${descriptorChecksum(body)}`;
+}
+
+/**
+ * Get the id of a watch-only wallet that has no master key fingerprint, e.g. a multisig account
+ * @param {string} descriptor - Descriptor from formatDescriptor
+ * @returns {string} First 4 bytes of the SHA-256 of the descriptor (8 hex characters, like a fingerprint)
+ */
+export function getDescriptorId(descriptor) {
+  return crypto.createHash('sha256').update(descriptor).digest('hex').slice(0, 8);
+}
@@ -0,0 +1,268 @@
+import * as bitcoin from 'bitcoinjs-lib';
+import { getNetwork } from './networks.js';
+import { getScriptType } from './generateAddresFromPK.js';
+import { CHANGE_CHAIN } from './hdWallet.js';
+import { fetchTransaction } from './getUTXos.js';
+import { estimateVsize } from './coinSelection.js';
+import { buildPsbt, signPsbt, extractTransaction, DUST_LIMIT } from './transactionBuilder.js';
+import { enforcePolicy } from './policy.js';
+
+export const BUMP_METHODS = ['auto', 'rbf', 'cpfp'];
+
+// Fee rate (sat/vB) a replacement must add on top of the replaced fee to pay
+// for its own relay (BIP125 rule 4); also the minimum rate of a CPFP child
+const INCREMENTAL_RELAY_FEE_RATE = 1;
+
+// Inputs with a lower sequence signal replaceability (BIP125)
+const MAX_REPLACEABLE_SEQUENCE = 0xfffffffd;
+
+/**
+ * Load an unconfirmed transaction of the wallet and work out which outputs are ours
+ * Change is an output to an address of the wallet's change chain, or to its change address
+ * (the only address of a single-key wallet); a payment to one of our receive addresses is not.
+ * @param {Object} wallet - Wallet with keys, addresses, change address and balance
+ * @param {string} txid - Transaction hash
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {Promise<Object>} Pending transaction: inputs, outputs (with own and change flags), fee, vsize, feeRate and RBF status
+ */
+export async function getPendingTransaction(wallet, txid, network = getNetwork()) {
+  const transaction = await fetchTransaction(txid, network);
+
+  if (transaction.blockNumber !== undefined && transaction.blockNumber !== null) {
+    throw new Error(`Transaction ${txid} is already confirmed.`);
+  }
+  if (!transaction.hex) {
+    throw new Error(`Raw transaction ${txid} not available.`);
+  }
+
+  const decoded = bitcoin.Transaction.fromHex(transaction.hex);
+  const ownAddresses = new Set(wallet.keys.map(key => key.address));
+  const changeAddresses = new Set([
+    wallet.changeAddress,
+    ...(wallet.addresses || []).filter(entry => entry.chain === CHANGE_CHAIN).map(entry => entry.address)
+  ]);
+
+  const inputs = transaction.inputs.map(input => ({
+    utxo: `${input.prevout.hash}:${input.prevout.index}`,
+    txHash: input.prevout.hash,
+    index: input.prevout.index,
+    address: input.coin ? input.coin.address : null,
+    value: input.coin ? input.coin.value : 0
+  }));
+
+  const outputs = decoded.outs.map((out, index) => {
+    let address = null;
+    try {
+      address = bitcoin.address.fromOutputScript(out.script, network.bitcoinjs);
+    } catch (error) {
+      // OP_RETURN and other outputs without an address
+    }
+    return { address, value: Number(out.value), index, own: ownAddresses.has(address), change: address !== null && changeAddresses.has(address) };
+  });
+
+  const fee = inputs.reduce((sum, input) => sum + input.value, 0) - outputs.reduce((sum, output) => sum + output.value, 0);
+  const vsize = decoded.virtualSize();
+
+  return {
+    txid,
+    inputs,
+    outputs,
+    fee,
+    vsize,
+    feeRate: Math.round((fee / vsize) * 100) / 100,
+    replaceable: decoded.ins.some(input => input.sequence <= MAX_REPLACEABLE_SEQUENCE),
+    ownsAllInputs: inputs.every(input => ownAddresses.has(input.address))
+  };
+}
+
+/**
+ * Replace a pending transaction with one paying a higher fee (RBF)
+ * The recipients are paid the same amounts. The higher fee comes out of the change
+ * output (the largest one, if there are several); when that is not enough, spendable
+ * wallet UTXOs are added. Every other output is kept as it is; transactions with outputs
+ * without an address (OP_RETURN and the like) are not replaced.
+ * @param {Object} wallet - Wallet with keys, change address and balance
+ * @param {Object} pending - Pending transaction from getPendingTransaction
+ * @param {Object} options - Bump settings
+ * @param {number} options.feeRate - New fee rate in sat/vB
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Promise<Object>} Signed replacement: hex, txId, vsize, fee, inputs, outputs, recipients, feeRate and the replaced txid
+ */
+export async function bumpFeeRBF(wallet, pending, { feeRate, network = getNetwork() } = {}) {
+  if (!pending.replaceable) {
+    throw new Error(`Transaction ${pending.txid} does not signal replace-by-fee. Use CPFP instead.`);
+  }
+  if (!pending.ownsAllInputs) {
+    throw new Error(`Transaction ${pending.txid} spends inputs this wallet cannot sign. Use CPFP instead.`);
+  }
+  if (pending.outputs.some(output => output.address === null)) {
+    throw new Error(`Transaction ${pending.txid} has outputs without an address (e.g. OP_RETURN), and RBF cannot replace transactions with non-address outputs. Use CPFP instead.`);
+  }
+  if (feeRate <= pending.feeRate) {
+    throw new Error(`New fee rate must be higher than the current ${pending.feeRate} sat/vB.`);
+  }
+
+  const changeOutput = pending.outputs
+    .filter(output => output.change)
+    .sort((a, b) => b.value - a.value)[0] || null;
+  const recipients = pending.outputs
+    .filter(output => output !== changeOutput)
+    .map(({ address, value }) => ({ address, value }));
+  const changeAddress = changeOutput ? changeOutput.address : wallet.changeAddress;
+
+  const recipientSum = recipients.reduce((sum, recipient) => sum + recipient.value, 0);
+  const outputTypes = recipients.map(recipient => getScriptType(recipient.address, network));
+  const changeType = getScriptType(changeAddress, network);
+
+  // Replacements must pay more in total and for their own relay
+  const requiredFee = (vsize) => Math.max(
+    Math.ceil(vsize * feeRate),
+    pending.fee + Math.ceil(vsize * INCREMENTAL_RELAY_FEE_RATE)
+  );
+
+  const spent = new Set(pending.inputs.map(input => input.utxo));
+  const extraUtxos = wallet.balance.unspentUTXOs
+    .filter(utxo => utxo.spendable && !spent.has(utxo.utxo))
+    .sort((a, b) => b.value - a.value);
+  const inputs = [...pending.inputs];
+
+  while (true) {
+    const inputTypes = inputs.map(input => getScriptType(input.address, network));
+    const inputSum = inputs.reduce((sum, input) => sum + input.value, 0);
+
+    const change = inputSum - recipientSum - requiredFee(estimateVsize(inputTypes, [...outputTypes, changeType]));
+    if (change >= DUST_LIMIT) {
+      return signReplacement(wallet, pending, inputs, recipients, [...recipients, { address: changeAddress, value: change }], network);
+    }
+
+    // Dropping a dust change output still leaves a valid transaction
+    const excess = inputSum - recipientSum - requiredFee(estimateVsize(inputTypes, outputTypes));
+    if (excess >= 0 && recipients.length > 0) {
+      return signReplacement(wallet, pending, inputs, recipients, recipients, network);
+    }
+
+    if (extraUtxos.length === 0) {
+      throw new Error(`Insufficient spendable funds to bump the fee of ${pending.txid} to ${feeRate} sat/vB.`);
+    }
+    inputs.push(extraUtxos.shift());
+  }
+}
+
+/**
+ * Sign a replacement transaction
+ * @param {Object} wallet - Wallet with keys
+ * @param {Object} pending - Replaced transaction from getPendingTransaction
+ * @param {Array} inputs - Inputs of the replacement
+ * @param {Array} recipients - Outputs of the replaced transaction that are not change
+ * @param {Array} outputs - Outputs of the replacement
+ * @param {Object} network - Network settings from getNetwork
+ * @returns {Promise<Object>} Signed replacement
+ */
+async function signReplacement(wallet, pending, inputs, recipients, outputs, network) {
+  const psbt = await buildPsbt(inputs, outputs, wallet.keys, { network });
+  signPsbt(psbt, wallet.keys, network);
+  const transaction = extractTransaction(psbt);
+
+  return {
+    ...transaction,
+    method: 'rbf',
+    replaces: pending.txid,
+    originalFee: pending.fee,
+    feeRate: Math.round((transaction.fee / transaction.vsize) * 100) / 100,
+    inputs,
+    outputs,
+    recipients
+  };
+}
+
+/**
+ * Spend an unconfirmed output of a pending transaction with a high-fee child (CPFP)
+ * The child pays enough for parent and child together to reach the fee rate,
+ * and sends what is left to the wallet's change address.
+ * @param {Object} wallet - Wallet with keys, change address and balance
+ * @param {Object} pending - Pending parent transaction from getPendingTransaction
+ * @param {Object} options - Bump settings
+ * @param {number} options.feeRate - Fee rate in sat/vB for parent and child together
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Promise<Object>} Signed child: hex, txId, vsize, fee, inputs, outputs, recipients (none), package fee rate and the parent txid
+ */
+export async function bumpFeeCPFP(wallet, pending, { feeRate, network = getNetwork() } = {}) {
+  if (feeRate <= pending.feeRate) {
+    throw new Error(`New fee rate must be higher than the current ${pending.feeRate} sat/vB.`);
+  }
+
+  const parentUtxo = wallet.balance.unspentUTXOs
+    .filter(utxo => utxo.txHash === pending.txid)
+    .sort((a, b) => b.value - a.value)[0];
+
+  if (!parentUtxo) {
+    throw new Error(`Transaction ${pending.txid} has no unspent output of this wallet to spend.`);
+  }
+
+  const childVsize = estimateVsize(
+    [getScriptType(parentUtxo.address, network)],
+    [getScriptType(wallet.changeAddress, network)]
+  );
+  const childFee = Math.max(
+    Math.ceil((pending.vsize + childVsize) * feeRate) - pending.fee,
+    Math.ceil(childVsize * INCREMENTAL_RELAY_FEE_RATE)
+  );
+  const value = parentUtxo.value - childFee;
+
+  if (value < DUST_LIMIT) {
+    throw new Error(`Output ${parentUtxo.utxo} of ${parentUtxo.value} satoshis cannot pay a child fee of ${childFee} satoshis.`);
+  }
+
+  const outputs = [{ address: wallet.changeAddress, value }];
+  const psbt = await buildPsbt([parentUtxo], outputs, wallet.keys, { network });
+  signPsbt(psbt, wallet.keys, network);
+  const transaction = extractTransaction(psbt);
+
+  return {
+    ...transaction,
+    method: 'cpfp',
+    parent: pending.txid,
+    feeRate: Math.round(((pending.fee + transaction.fee) / (pending.vsize + transaction.vsize)) * 100) / 100,
+    inputs: [parentUtxo],
+    outputs,
+    recipients: []
+  };
+}
+
+/**
+ * Bump the fee of a pending wallet transaction
+ * With the auto method, RBF is used when the transaction signals it, every input
+ * belongs to the wallet and every output has an address; otherwise a CPFP child is created.
+ * The bump is checked against the spending policy once it is built: a replacement with the
+ * recipients it pays in place of the replaced transaction and the fee it adds, a child with its fee.
+ * @param {Object} wallet - Wallet with keys, change address and balance
+ * @param {string} txid - Hash of the pending transaction
+ * @param {Object} options - Bump settings
+ * @param {string} options.method - One of BUMP_METHODS (default: auto)
+ * @param {number} options.feeRate - Target fee rate in sat/vB
+ * @param {string} options.approval - Signature of a second approver, for a replacement above the approval threshold (default: none)
+ * @param {boolean} options.dryRun - The bump is only shown, not broadcast: the policy is checked without writing the audit log (default: false)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Promise<Object>} Signed replacement or child transaction, with the policy check to pass to recordSpend
+ * @throws {PolicyError} If the bump breaks a rule of the spending policy
+ */
+export async function bumpFee(wallet, txid, { method = 'auto', feeRate, approval = null, dryRun = false, network = getNetwork() } = {}) {
+  if (!BUMP_METHODS.includes(method)) {
+    throw new Error(`Unknown fee bump method: ${method}. Use one of: ${BUMP_METHODS.join(', ')}`);
+  }
+
+  const pending = await getPendingTransaction(wallet, txid, network);
+  const useRbf = method === 'rbf' || (method === 'auto' && pending.replaceable && pending.ownsAllInputs && pending.outputs.every(output => output.address !== null));
+
+  const transaction = useRbf
+    ? await bumpFeeRBF(wallet, pending, { feeRate, network })
+    : await bumpFeeCPFP(wallet, pending, { feeRate, network });
+
+  const policy = enforcePolicy(wallet, {
+    outputs: transaction.recipients.map(({ address, value }) => ({ address, value })),
+    fee: useRbf ? transaction.fee - pending.fee : transaction.fee,
+    feeRate: transaction.feeRate
+  }, { approval, replaces: useRbf ? pending.txid : null, record: !dryRun, network });
+
+  return { ...transaction, policy };
+}
@@ -0,0 +1,69 @@
+import { loadConfig } from './config.js';
+import { getNetwork } from './networks.js';
+import { getProvider } from './providers.js';
+
+export const FEE_PRIORITIES = ['fast', 'normal', 'economy'];
+export const DEFAULT_FEE_PRIORITY = 'normal';
+
+// Lowest fee rate (sat/vB) relayed by default Bitcoin Core nodes
+export const MIN_FEE_RATE = 1;
+
+/**
+ * Get the current fee rates for each priority
+ * A `feeRates` object in config.json ({ fast, normal, economy } in sat/vB) is
+ * used as is, e.g. on regtest. Otherwise the rates come from the provider's
+ * fee estimates; providers without them fall back to the minimum relay fee rate.
+ * @param {Object} options - Optional settings
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Promise<Object>} Rates in sat/vB: { fast, normal, economy, source }
+ */
+export async function getFeeRates({ network = getNetwork() } = {}) {
+  const config = loadConfig();
+
+  if (config.feeRates) {
+    return {
+      fast: resolveFeeRate(config.feeRates.fast),
+      normal: resolveFeeRate(config.feeRates.normal),
+      economy: resolveFeeRate(config.feeRates.economy),
+      source: 'config'
+    };
+  }
+
+  const provider = getProvider({ network });
+  const estimates = await provider.getFeeEstimates();
+
+  if (!estimates) {
+    return { fast: MIN_FEE_RATE, normal: MIN_FEE_RATE, economy: MIN_FEE_RATE, source: 'default' };
+  }
+
+  // Never go below the relay minimum, or the transaction would not propagate
+  return {
+    fast: Math.max(estimates.fast, MIN_FEE_RATE),
+    normal: Math.max(estimates.medium, MIN_FEE_RATE),
+    economy: Math.max(estimates.slow, MIN_FEE_RATE),
+    source: provider.name
+  };
+}
+
+/**
+ * Resolve a fee priority or custom fee rate to a rate in sat/vB
+ * @param {string|number} value - fast, normal, economy or a rate in sat/vB
+ * @param {Object} feeRates - Rates from getFeeRates, needed for priorities
+ * @returns {number} Fee rate in sat/vB
+ */
+export function resolveFeeRate(value, feeRates = null) {
+  if (FEE_PRIORITIES.includes(value)) {
+    if (!feeRates) {
+      throw new Error(`Fee rates are needed to resolve the ${value} priority.`);
+    }
+    return feeRates[value];
+  }
+
+  const feeRate = Number(value);
+
+  if (value === '' || !Number.isFinite(feeRate) || feeRate < MIN_FEE_RATE) {
+    throw new Error(`Invalid fee rate: ${value}. Use ${FEE_PRIORITIES.join(', ')} or a number of sat/vB of at least ${MIN_FEE_RATE}.`);
+  }
+
+  return feeRate;
+}
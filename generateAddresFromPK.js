@@ -1,34 +1,211 @@
 import * as bitcoin from 'bitcoinjs-lib';
 import { ECPairFactory } from 'ecpair';
 import * as ecc from 'tiny-secp256k1';
-import { readFileSync } from 'fs';
+import { loadConfig } from './config.js';
+import { getNetwork } from './networks.js';
 
 const ECPair = ECPairFactory(ecc);
-const network = bitcoin.networks.testnet;
+bitcoin.initEccLib(ecc); // Required for Taproot (P2TR) payments
 
 /**
- * Generate Bitcoin testnet address from private key
+ * Supported address types for a single key
+ * - p2pkh: legacy (1... / m... / n...)
+ * - p2sh-p2wpkh: nested SegWit (3... / 2...)
+ * - p2wpkh: native SegWit (bc1q... / tb1q... / bcrt1q...)
+ * - p2tr: Taproot key-path (bc1p... / tb1p... / bcrt1p...)
+ */
+export const ADDRESS_TYPES = ['p2pkh', 'p2sh-p2wpkh', 'p2wpkh', 'p2tr'];
+
+export const DEFAULT_ADDRESS_TYPE = 'p2pkh';
+
+/**
+ * Supported script types for an m-of-n multisig (sortedmulti) script
+ * - p2wsh: native SegWit (bc1q... / tb1q..., 62 characters)
+ * - p2sh-p2wsh: nested SegWit (3... / 2...)
+ * - p2sh: legacy (3... / 2...)
+ */
+export const MULTISIG_SCRIPT_TYPES = ['p2wsh', 'p2sh-p2wsh', 'p2sh'];
+
+/**
+ * Get a validated address type
+ * The type defaults to the `addressType` config value (or BTC_ADDRESS_TYPE), then P2PKH.
+ * @param {string} name - Address type name
+ * @returns {string} Address type
+ */
+export function getAddressType(name) {
+  const addressType = name || loadConfig().addressType || DEFAULT_ADDRESS_TYPE;
+
+  if (!ADDRESS_TYPES.includes(addressType)) {
+    throw new Error(`Unknown address type: ${addressType}. Use one of: ${ADDRESS_TYPES.join(', ')}`);
+  }
+
+  return addressType;
+}
+
+/**
+ * Create a key pair from a private key
  * @param {string} privateKey - Private key in WIF or hex format
- * @returns {string} Bitcoin testnet address
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {ECPairInterface} Key pair
  */
-export function generateAddressFromPrivateKey(privateKey) {
+export function keyPairFromPrivateKey(privateKey, network = getNetwork()) {
+  const btcNetwork = network.bitcoinjs;
+
   // Check if it's WIF format or hex
-  const keyPair = privateKey.length === 64
-    ? ECPair.fromPrivateKey(Buffer.from(privateKey, 'hex'), { network })
-    : ECPair.fromWIF(privateKey, network);
+  return privateKey.length === 64
+    ? ECPair.fromPrivateKey(Buffer.from(privateKey, 'hex'), { network: btcNetwork })
+    : ECPair.fromWIF(privateKey, btcNetwork);
+}
+
+/**
+ * Get the fingerprint of a single key, the same whatever address type the key is used with
+ * Like a BIP32 fingerprint it is the first 4 bytes of the key's HASH160, but taken over the
+ * x-only key so that the Taproot and ECDSA encodings of one key give the same fingerprint.
+ * @param {Uint8Array} publicKey - Public key: compressed, uncompressed or x-only
+ * @returns {string} Fingerprint, 8 hex characters
+ */
+export function getKeyFingerprint(publicKey) {
+  const xOnly = publicKey.length === 32 ? publicKey : publicKey.subarray(1, 33);
+  return Buffer.from(bitcoin.crypto.hash160(xOnly)).subarray(0, 4).toString('hex');
+}
+
+/**
+ * Create the bitcoinjs payment for a public key and address type
+ * @param {Uint8Array} publicKey - Compressed public key
+ * @param {string} addressType - One of ADDRESS_TYPES
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {Object} bitcoinjs payment with address and output script
+ */
+export function createPayment(publicKey, addressType, network = getNetwork()) {
+  const btcNetwork = network.bitcoinjs;
+
+  switch (addressType) {
+    case 'p2pkh':
+      return bitcoin.payments.p2pkh({ pubkey: publicKey, network: btcNetwork });
+
+    case 'p2sh-p2wpkh':
+      return bitcoin.payments.p2sh({
+        redeem: bitcoin.payments.p2wpkh({ pubkey: publicKey, network: btcNetwork }),
+        network: btcNetwork
+      });
+
+    case 'p2wpkh':
+      return bitcoin.payments.p2wpkh({ pubkey: publicKey, network: btcNetwork });
+
+    case 'p2tr':
+      // Taproot uses the x-only internal key (public key without its prefix byte)
+      return bitcoin.payments.p2tr({ internalPubkey: publicKey.slice(1, 33), network: btcNetwork });
+
+    default:
+      throw new Error(`Unknown address type: ${addressType}. Use one of: ${ADDRESS_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Create the bitcoinjs payment of an m-of-n multisig script
+ * Keys are sorted first (BIP67), as in a sortedmulti descriptor, so their order does not matter.
+ * @param {Uint8Array[]} publicKeys - Compressed public keys of the cosigners
+ * @param {number} threshold - Signatures required to spend (m)
+ * @param {string} scriptType - One of MULTISIG_SCRIPT_TYPES
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {Object} bitcoinjs payment with address, output script and the wrapped scripts in redeem
+ */
+export function createMultisigPayment(publicKeys, threshold, scriptType, network = getNetwork()) {
+  const btcNetwork = network.bitcoinjs;
+  const pubkeys = [...publicKeys].sort((a, b) => Buffer.compare(Buffer.from(a), Buffer.from(b)));
+  const multisig = bitcoin.payments.p2ms({ m: threshold, pubkeys, network: btcNetwork });
+
+  switch (scriptType) {
+    case 'p2wsh':
+      return bitcoin.payments.p2wsh({ redeem: multisig, network: btcNetwork });
+
+    case 'p2sh-p2wsh':
+      return bitcoin.payments.p2sh({
+        redeem: bitcoin.payments.p2wsh({ redeem: multisig, network: btcNetwork }),
+        network: btcNetwork
+      });
+
+    case 'p2sh':
+      return bitcoin.payments.p2sh({ redeem: multisig, network: btcNetwork });
+
+    default:
+      throw new Error(`Unknown multisig script type: ${scriptType}. Use one of: ${MULTISIG_SCRIPT_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Get the output script type of any address
+ * Unlike ADDRESS_TYPES this describes the script only, so a P2SH address is
+ * 'p2sh' whatever script it wraps.
+ * @param {string} address - Bitcoin address
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {string} p2pkh, p2sh, p2wpkh, p2wsh, p2tr or unknown
+ */
+export function getScriptType(address, network = getNetwork()) {
+  const output = bitcoin.address.toOutputScript(address, network.bitcoinjs);
+  const scriptTypes = ['p2pkh', 'p2sh', 'p2wpkh', 'p2wsh', 'p2tr'];
+
+  for (const scriptType of scriptTypes) {
+    try {
+      bitcoin.payments[scriptType]({ output, network: network.bitcoinjs });
+      return scriptType;
+    } catch (error) {
+      // Not this script type, try the next one
+    }
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Get the address an output script pays to
+ * @param {Uint8Array} script - Output script
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {string|null} Bitcoin address, or null for OP_RETURN and other scripts without one
+ */
+export function addressFromOutputScript(script, network = getNetwork()) {
+  try {
+    return bitcoin.address.fromOutputScript(script, network.bitcoinjs);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Generate Bitcoin address from private key
+ * @param {string} privateKey - Private key in WIF or hex format
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @param {string} addressType - One of ADDRESS_TYPES (default: configured address type)
+ * @returns {string} Bitcoin address for the network
+ */
+export function generateAddressFromPrivateKey(privateKey, network = getNetwork(), addressType = getAddressType()) {
+  const keyPair = keyPairFromPrivateKey(privateKey, network);
+  return createPayment(keyPair.publicKey, addressType, network).address;
+}
+
+/**
+ * Generate the address of every supported type for a private key
+ * @param {string} privateKey - Private key in WIF or hex format
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {Object} Addresses keyed by address type
+ */
+export function generateAllAddressesFromPrivateKey(privateKey, network = getNetwork()) {
+  const keyPair = keyPairFromPrivateKey(privateKey, network);
+  const addresses = {};
 
-  // Generate address (P2PKH)
-  const address = bitcoin.payments.p2pkh({
-    pubkey: keyPair.publicKey,
-    network
-  }).address;
+  for (const addressType of ADDRESS_TYPES) {
+    addresses[addressType] = createPayment(keyPair.publicKey, addressType, network).address;
+  }
 
-  return address;
+  return addresses;
 }
 
-// If run directly, use config.json
+// If run directly, use the key in BTC_PRIVATE_KEY (keys are not kept in config.json)
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const config = JSON.parse(readFileSync('./config.json', 'utf8'));
-  const address = generateAddressFromPrivateKey(config.privateKey);
+  if (!process.env.BTC_PRIVATE_KEY) {
+    console.error('Set BTC_PRIVATE_KEY, or use a stored wallet: node cli.js address --wallet <name>');
+    process.exit(1);
+  }
+  const address = generateAddressFromPrivateKey(process.env.BTC_PRIVATE_KEY);
   console.log(address);
 }
\ No newline at end of file
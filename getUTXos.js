@@ -1,103 +1,218 @@
-import https from 'https';
-import { readFileSync } from 'fs';
 import readline from 'readline';
+import { loadConfig } from './config.js';
+import { getNetwork } from './networks.js';
+import { getScriptType } from './generateAddresFromPK.js';
+import { getProvider } from './providers.js';
+import { syncTransactions, getCachedTransactions, getCachedTipHeight, isCacheEnabled, isOffline } from './txCache.js';
+import { readLabels, getUtxoLabel, isFrozen } from './labels.js';
 
-const config = JSON.parse(readFileSync('./config.json', 'utf8'));
+export const DEFAULT_MIN_CONFIRMATIONS = 1;
+
+// Confirmations before a coinbase output can be spent (consensus rule)
+export const COINBASE_MATURITY = 100;
 
 /**
- * Fetches Bitcoin transactions for a given address using Tatum API
- * @param {string} address - Bitcoin address to query
- * @param {number} pageSize - Number of transactions per page
- * @param {number} offset - Page offset
- * @returns {Promise<Array>} Array of transactions
+ * Fetches a transaction with its inputs, outputs and block from the configured provider
+ * @param {string} txHash - Transaction hash
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {Promise<Object>} Transaction, including its raw hex
  */
-export function fetchTransactions(address, pageSize = 50, offset = 0) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.tatum.io',
-      path: `/v3/bitcoin/transaction/address/${address}?pageSize=${pageSize}&offset=${offset}`,
-      method: 'GET',
-      headers: {
-        'x-api-key': config.apiKey
-      }
-    };
+export function fetchTransaction(txHash, network = getNetwork()) {
+  return getProvider({ network }).getTransaction(txHash);
+}
 
-    const req = https.request(options, (res) => {
-      let data = '';
+/**
+ * Fetches the raw hex of a transaction from the configured provider
+ * Legacy (P2PKH) inputs need the full previous transaction to be signed.
+ * @param {string} txHash - Transaction hash
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {Promise<string>} Raw transaction hex
+ */
+export function fetchRawTransaction(txHash, network = getNetwork()) {
+  return getProvider({ network }).getRawTransaction(txHash);
+}
 
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
+/**
+ * Fetches current fee estimates from the configured provider
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {Promise<Object|null>} Fee rates in sat/vB ({ fast, medium, slow }), or null if the provider has none
+ */
+export function fetchFeeEstimates(network = getNetwork()) {
+  return getProvider({ network }).getFeeEstimates();
+}
 
-      res.on('end', () => {
-        try {
-          const transactions = JSON.parse(data);
-          resolve(transactions);
-        } catch (error) {
-          reject(new Error('Failed to parse response: ' + error.message));
-        }
-      });
-    });
+/**
+ * Fetches the chain tip height, preferring the one stored by the last cache sync
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {Promise<number|null>} Tip height, or null offline without a cached one
+ */
+export async function fetchTipHeight(network = getNetwork()) {
+  const cached = isCacheEnabled() || isOffline() ? getCachedTipHeight({ network }) : null;
 
-    req.on('error', (error) => {
-      reject(error);
-    });
+  if (cached !== null || isOffline()) {
+    return cached;
+  }
 
-    req.end();
-  });
+  return getProvider({ network }).getTipHeight();
+}
+
+/**
+ * Get a validated minimum confirmation count for spending
+ * The count defaults to the `minConfirmations` config value (or BTC_MIN_CONFIRMATIONS), then 1.
+ * @param {string|number} value - Minimum confirmations
+ * @returns {number} Minimum confirmations
+ */
+export function getMinConfirmations(value) {
+  const raw = value ?? loadConfig().minConfirmations ?? DEFAULT_MIN_CONFIRMATIONS;
+  const minConfirmations = Number(raw);
+
+  if (!Number.isInteger(minConfirmations) || minConfirmations < 1) {
+    throw new Error(`Invalid minimum confirmations: ${raw}. Use a whole number of at least 1.`);
+  }
+
+  return minConfirmations;
+}
+
+/**
+ * Count the confirmations of a transaction
+ * @param {Object} tx - Transaction
+ * @param {number|null} tipHeight - Chain tip height, null if unknown
+ * @returns {number|null} 0 while unconfirmed, null if confirmed but the tip is unknown
+ */
+function countConfirmations(tx, tipHeight) {
+  if (tx.blockNumber === undefined || tx.blockNumber === null) {
+    return 0;
+  }
+  return tipHeight === null ? null : Math.max(tipHeight - tx.blockNumber + 1, 0);
+}
+
+/**
+ * Check whether a transaction is a coinbase (block reward) transaction
+ * @param {Object} tx - Transaction
+ * @returns {boolean} True if its only input spends the null outpoint
+ */
+function isCoinbase(tx) {
+  return tx.inputs.length === 1 && /^0{64}$/.test(tx.inputs[0].prevout.hash);
 }
 
 /**
  * Analyzes UTXOs and calculates incoming/outgoing/pending amounts
+ * Unspent outputs fall into one of these buckets (satoshis):
+ * - availableBalance: at least minConfirmations deep (coinbase: mature) and not being spent
+ * - trustedPending: not yet spendable, from a transaction funded only by ownAddresses (our change)
+ * - untrustedPending: not yet spendable, received from others
+ * - immature: coinbase outputs with fewer than COINBASE_MATURITY confirmations
+ * - locked: spent by a transaction that is still unconfirmed; not listed in unspentUTXOs
+ * - frozen: spendable but frozen in the labels file, so automatic coin selection skips it
  * @param {string} address - Bitcoin address to analyze
  * @param {Array} transactions - Array of transactions
+ * @param {Object} options - Optional settings
+ * @param {number|null} options.tipHeight - Chain tip height for confirmation counts (default: null, unknown)
+ * @param {number} options.minConfirmations - Confirmations an output needs to be spent (default: configured minimum)
+ * @param {string[]} options.ownAddresses - Wallet addresses whose spends count as trusted (default: the address)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {Map} options.labels - Records from readLabels (default: the configured labels file)
  * @returns {Object} Balance information
  */
-export function analyzeUTXOs(address, transactions) {
-  const utxos = new Map(); // Track unspent outputs: key = "txHash:index", value = { value, spent, confirmed }
-  
+export function analyzeUTXOs(address, transactions, {
+  tipHeight = null,
+  minConfirmations = getMinConfirmations(),
+  ownAddresses = [address],
+  network = getNetwork(),
+  labels = readLabels()
+} = {}) {
+  const own = new Set(ownAddresses);
+  let scriptType;
+  try {
+    scriptType = getScriptType(address, network);
+  } catch (error) {
+    scriptType = 'unknown';
+  }
+
   let incoming = 0;
   let outgoing = 0;
   let incomingPending = 0;
   let outgoingPending = 0;
 
-  // First pass: Mark all spent UTXOs
-  const spentUtxos = new Set();
+  // First pass: find what spends each of our outputs, and whether that spend is confirmed
+  const spentBy = new Map(); // key = "txHash:index", value = confirmations of the spending tx
   for (const tx of transactions) {
     for (const input of tx.inputs) {
       if (input.coin && input.coin.address === address) {
         const utxoKey = `${input.prevout.hash}:${input.prevout.index}`;
-        spentUtxos.add(utxoKey);
+        spentBy.set(utxoKey, Math.max(spentBy.get(utxoKey) ?? 0, countConfirmations(tx, tipHeight) ?? 1));
       }
     }
   }
 
-  // Second pass: Process transactions (assuming they're ordered by block number, newest first)
+  // Second pass: classify our outputs and total the flows
+  const unspentUTXOs = [];
+  const totals = { availableBalance: 0, trustedPending: 0, untrustedPending: 0, immature: 0, locked: 0, frozen: 0 };
+
   for (const tx of transactions) {
-    const isConfirmed = tx.blockNumber !== undefined && tx.blockNumber !== null;
+    const confirmations = countConfirmations(tx, tipHeight);
+    const isConfirmed = confirmations !== 0;
+    const coinbase = isCoinbase(tx);
+    const trusted = !coinbase && tx.inputs.length > 0 && tx.inputs.every(input => input.coin && own.has(input.coin.address));
 
-    // Process outputs (potential incoming)
     for (let i = 0; i < tx.outputs.length; i++) {
       const output = tx.outputs[i];
 
-      if (output.address === address) {
-        const utxoKey = `${tx.hash}:${i}`;
-        const value = output.value;
-        const isSpent = spentUtxos.has(utxoKey);
+      if (output.address !== address) {
+        continue;
+      }
 
-        // Add to UTXO set
-        utxos.set(utxoKey, {
-          value: value,
-          spent: isSpent,
-          confirmed: isConfirmed
-        });
+      const utxoKey = `${tx.hash}:${i}`;
+      const value = output.value;
 
-        if (isConfirmed) {
-          incoming += value;
-        } else {
-          incomingPending += value;
+      if (isConfirmed) {
+        incoming += value;
+      } else {
+        incomingPending += value;
+      }
+
+      if (spentBy.has(utxoKey)) {
+        // Spent for good, or locked until the spending transaction confirms
+        if (spentBy.get(utxoKey) === 0) {
+          totals.locked += value;
         }
+        continue;
       }
+
+      // Without a tip height, a confirmed output has at least one confirmation
+      const depth = confirmations ?? 1;
+      const mature = !coinbase || depth >= COINBASE_MATURITY;
+      const spendable = mature && depth >= minConfirmations && (confirmations !== null || minConfirmations <= 1);
+      const frozen = isFrozen(labels, utxoKey);
+
+      if (spendable && frozen) {
+        totals.frozen += value;
+      } else if (spendable) {
+        totals.availableBalance += value;
+      } else if (!mature) {
+        totals.immature += value;
+      } else if (trusted) {
+        totals.trustedPending += value;
+      } else {
+        totals.untrustedPending += value;
+      }
+
+      unspentUTXOs.push({
+        utxo: utxoKey,
+        txHash: tx.hash,
+        index: i,
+        address,
+        value,
+        scriptType,
+        blockHeight: isConfirmed ? tx.blockNumber : null,
+        confirmations,
+        confirmed: isConfirmed,
+        coinbase,
+        trusted,
+        spendable,
+        frozen,
+        label: getUtxoLabel(labels, { utxo: utxoKey, txHash: tx.hash, address })
+      });
     }
 
     // Process inputs (spending)
@@ -114,67 +229,96 @@ export function analyzeUTXOs(address, transactions) {
     }
   }
 
-  // Calculate available balance (unspent confirmed UTXOs)
-  let availableBalance = 0;
-  for (const [key, utxo] of utxos.entries()) {
-    if (!utxo.spent && utxo.confirmed) {
-      availableBalance += utxo.value;
-    }
-  }
-
   return {
     incoming,
     outgoing,
     incomingPending,
     outgoingPending,
-    availableBalance,
-    availableBalanceBTC: availableBalance / 100000000, // Convert satoshis to BTC
-    unspentUTXOs: Array.from(utxos.entries())
-      .filter(([key, utxo]) => !utxo.spent)
-      .map(([key, utxo]) => ({
-        utxo: key,
-        value: utxo.value,
-        confirmed: utxo.confirmed
-      }))
+    ...totals,
+    availableBalanceBTC: totals.availableBalance / 100000000, // Convert satoshis to BTC
+    tipHeight,
+    minConfirmations,
+    unspentUTXOs
   };
 }
 
+/**
+ * Combine the balances of several addresses into one wallet balance
+ * Transfers between the addresses count as both outgoing and incoming.
+ * @param {Array<Object>} balances - Balances from analyzeUTXOs
+ * @returns {Object} Balance information with the combined UTXO set
+ */
+export function mergeBalances(balances) {
+  const amounts = [
+    'incoming', 'outgoing', 'incomingPending', 'outgoingPending',
+    'availableBalance', 'trustedPending', 'untrustedPending', 'immature', 'locked', 'frozen'
+  ];
+  const merged = { unspentUTXOs: [] };
+
+  for (const key of amounts) {
+    merged[key] = balances.reduce((sum, balance) => sum + balance[key], 0);
+  }
+  for (const balance of balances) {
+    merged.unspentUTXOs.push(...balance.unspentUTXOs);
+  }
+
+  merged.availableBalanceBTC = merged.availableBalance / 100000000;
+  merged.tipHeight = balances.length > 0 ? balances[0].tipHeight : null;
+  merged.minConfirmations = balances.length > 0 ? balances[0].minConfirmations : getMinConfirmations();
+
+  return merged;
+}
+
+/**
+ * Fetch the complete transaction history of an address
+ * With the cache enabled (the default) only transactions newer than the cached
+ * ones are fetched from the configured provider; offline, the cache alone is used.
+ * @param {string} address - Bitcoin address
+ * @param {Object} options - Optional settings
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {boolean} options.offline - Read the cache only (default: offline config value)
+ * @returns {Promise<Array>} All transactions of the address
+ */
+export async function fetchAllTransactions(address, { log = console.log, network = getNetwork(), offline = isOffline() } = {}) {
+  let allTransactions;
+
+  if (offline) {
+    log(`Reading cached transactions for address: ${address}`);
+    allTransactions = getCachedTransactions(address, { network });
+
+    if (!allTransactions) {
+      log(`No cached transactions for ${address}; sync it once without --offline.`);
+      allTransactions = [];
+    }
+  } else if (isCacheEnabled()) {
+    log(`Syncing transactions for address: ${address}`);
+    allTransactions = await syncTransactions(address, getProvider({ network }), { log, network });
+  } else {
+    log(`Fetching transactions for address: ${address}`);
+    allTransactions = await getProvider({ network }).getTransactions(address, { log });
+  }
+
+  log(`Found ${allTransactions.length} total transactions`);
+
+  return allTransactions;
+}
+
 /**
  * Main function to get Bitcoin balance for an address
  * @param {string} address - Bitcoin address
+ * @param {Object} options - Optional settings
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
  * @returns {Promise<Object>} Balance information
  */
-export async function getBitcoinBalance(address) {
+export async function getBitcoinBalance(address, { log = console.log, network = getNetwork() } = {}) {
   try {
-    console.log(`Fetching transactions for address: ${address}`);
-    
-    // Fetch all transactions with pagination
-    const allTransactions = [];
-    let offset = 0;
-    const pageSize = 50;
-    let hasMore = true;
-    
-    while (hasMore) {
-      console.log(`Fetching page at offset ${offset}...`);
-      const transactions = await fetchTransactions(address, pageSize, offset);
-      
-      if (transactions.length === 0) {
-        hasMore = false;
-      } else {
-        allTransactions.push(...transactions);
-        offset += pageSize;
-        
-        // If we got fewer transactions than pageSize, we've reached the end
-        if (transactions.length < pageSize) {
-          hasMore = false;
-        }
-      }
-    }
-    
-    console.log(`Found ${allTransactions.length} total transactions`);
-    
+    const allTransactions = await fetchAllTransactions(address, { log, network });
+    const tipHeight = await fetchTipHeight(network);
+
     // Analyze UTXOs
-    const balance = analyzeUTXOs(address, allTransactions);
+    const balance = analyzeUTXOs(address, allTransactions, { tipHeight, network });
     
     return balance;
   } catch (error) {
@@ -217,9 +361,12 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       console.log(`Incoming Pending: ${result.incomingPending} satoshis`);
       console.log(`Outgoing Pending: ${result.outgoingPending} satoshis`);
       console.log(`\nAvailable to Spend: ${result.availableBalance} satoshis (${result.availableBalanceBTC} BTC)`);
+      console.log(`Pending: ${result.trustedPending + result.untrustedPending} satoshis`);
+      console.log(`Locked: ${result.locked} satoshis`);
+      console.log(`Frozen: ${result.frozen} satoshis`);
       console.log(`\nUnspent UTXOs: ${result.unspentUTXOs.length}`);
       result.unspentUTXOs.forEach(utxo => {
-        console.log(`  - ${utxo.utxo}: ${utxo.value} satoshis ${utxo.confirmed ? '(confirmed)' : '(pending)'}`);
+        console.log(`  - ${utxo.utxo}: ${utxo.value} satoshis (${utxo.confirmations ?? '?'} confirmations${utxo.spendable ? '' : ', not spendable yet'}${utxo.frozen ? ', frozen' : ''})${utxo.label ? ` [${utxo.label}]` : ''}`);
       });
 
       rl.close();
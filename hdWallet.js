@@ -0,0 +1,302 @@
+import { BIP32Factory } from 'bip32';
+import * as bip39 from 'bip39';
+import * as ecc from 'tiny-secp256k1';
+import { loadConfig } from './config.js';
+import { getNetwork } from './networks.js';
+import { createPayment, getAddressType } from './generateAddresFromPK.js';
+import { fetchAllTransactions, fetchTipHeight, analyzeUTXOs, mergeBalances } from './getUTXos.js';
+import { readLabels } from './labels.js';
+import { parseWatchOnly, formatDescriptor, formatKeyExpression } from './descriptors.js';
+import { deriveMultisigAddress } from './multisig.js';
+
+const bip32 = BIP32Factory(ecc);
+
+/**
+ * BIP purpose per address type: BIP44 legacy, BIP49 nested SegWit,
+ * BIP84 native SegWit and BIP86 Taproot
+ */
+export const PURPOSES = {
+  p2pkh: 44,
+  'p2sh-p2wpkh': 49,
+  p2wpkh: 84,
+  p2tr: 86
+};
+
+export const RECEIVE_CHAIN = 0;
+export const CHANGE_CHAIN = 1;
+export const DEFAULT_GAP_LIMIT = 20;
+
+/**
+ * Generate a new random 24-word BIP39 mnemonic
+ * @returns {string} Mnemonic phrase
+ */
+export function generateMnemonic() {
+  return bip39.generateMnemonic(256);
+}
+
+/**
+ * Get the gap limit for account discovery
+ * The limit defaults to the `gapLimit` config value, then 20.
+ * @param {number|string} value - Gap limit
+ * @returns {number} Number of consecutive unused addresses that ends a scan
+ */
+export function getGapLimit(value) {
+  const gapLimit = Number(value || loadConfig().gapLimit || DEFAULT_GAP_LIMIT);
+
+  if (!Number.isInteger(gapLimit) || gapLimit < 1) {
+    throw new Error(`Invalid gap limit: ${value}`);
+  }
+
+  return gapLimit;
+}
+
+/**
+ * Get the BIP44-style account path for an address type
+ * Coin type is 0 on mainnet and 1 on every test network.
+ * @param {string} addressType - One of ADDRESS_TYPES
+ * @param {number} account - Account index
+ * @param {Object} network - Network settings from getNetwork
+ * @returns {string} Account derivation path, e.g. m/84'/1'/0'
+ */
+export function getAccountPath(addressType, account, network) {
+  const coinType = network.name === 'mainnet' ? 0 : 1;
+  return `m/${PURPOSES[addressType]}'/${coinType}'/${account}'`;
+}
+
+/**
+ * Derive the BIP32 master key of a mnemonic
+ * @param {string} mnemonic - BIP39 mnemonic phrase
+ * @param {Object} options - Optional settings
+ * @param {string} options.passphrase - BIP39 passphrase (default: none)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Object} BIP32 master node
+ */
+export function deriveMasterKey(mnemonic, { passphrase = '', network = getNetwork() } = {}) {
+  const normalizedMnemonic = mnemonic.trim().split(/\s+/).join(' ');
+
+  if (!bip39.validateMnemonic(normalizedMnemonic)) {
+    throw new Error('Invalid mnemonic phrase.');
+  }
+
+  return bip32.fromSeed(bip39.mnemonicToSeedSync(normalizedMnemonic, passphrase), network.bitcoinjs);
+}
+
+/**
+ * Derive an HD account from a mnemonic
+ * @param {string} mnemonic - BIP39 mnemonic phrase
+ * @param {Object} options - Optional settings
+ * @param {string} options.passphrase - BIP39 passphrase (default: none)
+ * @param {string} options.addressType - One of ADDRESS_TYPES (default: configured address type)
+ * @param {number} options.account - Account index (default: 0)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Object} Account with its path, extended key node, xpub, master fingerprint and chains
+ */
+export function deriveAccount(mnemonic, { passphrase = '', addressType = getAddressType(), account = 0, network = getNetwork() } = {}) {
+  const root = deriveMasterKey(mnemonic, { passphrase, network });
+  const path = getAccountPath(addressType, account, network);
+  const node = root.derivePath(path);
+
+  return {
+    path,
+    node,
+    addressType,
+    network,
+    xpub: node.neutered().toBase58(),
+    fingerprint: Buffer.from(root.fingerprint).toString('hex'),
+    chains: [[RECEIVE_CHAIN], [CHANGE_CHAIN]]
+  };
+}
+
+/**
+ * Create a watch-only HD account from an output descriptor or extended public key
+ * @param {string} source - Descriptor, or xpub/ypub/zpub (tpub/upub/vpub on test networks)
+ * @param {Object} options - Optional settings
+ * @param {string} options.addressType - Address type for xpub/tpub keys (default: configured address type)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Object} Account like deriveAccount returns, with a public node only
+ */
+export function watchOnlyAccount(source, { addressType, network = getNetwork() } = {}) {
+  return { ...parseWatchOnly(source, { addressType, network }), network };
+}
+
+/**
+ * Derive an address and its keys from an HD account
+ * @param {Object} account - Account from deriveAccount or watchOnlyAccount
+ * @param {number} chain - RECEIVE_CHAIN or CHANGE_CHAIN
+ * @param {number} index - Address index
+ * @returns {Object} Address, derivation path, public key (hex) and private key in WIF format (null if watch-only);
+ *   the cosigner keys (derivations) of a multisig account instead
+ */
+export function deriveAddress(account, chain, index) {
+  if (account.multisig) {
+    return deriveMultisigAddress(account, chain, index);
+  }
+
+  const steps = [...account.chains[chain], index];
+  const child = steps.reduce((node, step) => node.derive(step), account.node);
+
+  return {
+    address: createPayment(child.publicKey, account.addressType, account.network).address,
+    path: `${account.path}/${steps.join('/')}`,
+    chain,
+    index,
+    publicKey: Buffer.from(child.publicKey).toString('hex'),
+    privateKey: child.isNeutered() ? null : child.toWIF()
+  };
+}
+
+/**
+ * Scan the receive and change chains of an HD account for used addresses
+ * Each chain is scanned until `gapLimit` consecutive addresses have no transactions.
+ * @param {string} mnemonic - BIP39 mnemonic phrase
+ * @param {Object} options - Optional settings
+ * @param {string} options.passphrase - BIP39 passphrase (default: none)
+ * @param {string} options.addressType - One of ADDRESS_TYPES (default: configured address type)
+ * @param {number} options.account - Account index (default: 0)
+ * @param {number} options.gapLimit - Gap limit (default: configured gap limit)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @returns {Promise<Object>} Wallet with used addresses, their keys, next unused addresses and the aggregated balance
+ */
+export async function discoverAccount(mnemonic, {
+  passphrase = '',
+  addressType = getAddressType(),
+  account: accountIndex = 0,
+  gapLimit = getGapLimit(),
+  network = getNetwork(),
+  log = console.log
+} = {}) {
+  const account = deriveAccount(mnemonic, { passphrase, addressType, account: accountIndex, network });
+  return scanAccount(account, { gapLimit, log });
+}
+
+/**
+ * Scan a watch-only HD account, given by an output descriptor or extended public key
+ * The wallet has public keys only: it tracks balances and builds unsigned PSBTs.
+ * @param {string} source - Descriptor, or xpub/ypub/zpub (tpub/upub/vpub on test networks)
+ * @param {Object} options - Optional settings
+ * @param {string} options.addressType - Address type for xpub/tpub keys (default: configured address type)
+ * @param {number} options.gapLimit - Gap limit (default: configured gap limit)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @returns {Promise<Object>} Wallet like discoverAccount returns, with watchOnly set
+ */
+export async function discoverWatchOnlyAccount(source, {
+  addressType,
+  gapLimit = getGapLimit(),
+  network = getNetwork(),
+  log = console.log
+} = {}) {
+  return scanAccount(watchOnlyAccount(source, { addressType, network }), { gapLimit, log });
+}
+
+/**
+ * Scan the chains of an HD account for used addresses and analyze their balance
+ * @param {Object} account - Account from deriveAccount or watchOnlyAccount
+ * @param {Object} options - Scan settings
+ * @param {number} options.gapLimit - Unused addresses in a row that end the scan of a chain
+ * @param {Function} options.log - Progress logger
+ * @returns {Promise<Object>} Wallet with used addresses, their keys, next unused addresses and the aggregated balance
+ */
+async function scanAccount(account, { gapLimit, log }) {
+  const { network, addressType } = account;
+
+  const { multisig } = account;
+  const name = multisig
+    ? `${multisig.threshold}-of-${multisig.keys.length} multisig`
+    : account.path === 'm' ? account.xpub : account.path;
+
+  log(`Scanning account ${name} (gap limit ${gapLimit})...`);
+
+  const used = [];
+  const keys = [];
+  const firstUnused = {};
+
+  for (let chain = 0; chain < account.chains.length; chain++) {
+    let unusedInARow = 0;
+
+    // A multisig of plain public keys has a single address
+    for (let index = 0; unusedInARow < gapLimit && (account.ranged !== false || index === 0); index++) {
+      const derived = deriveAddress(account, chain, index);
+      const transactions = await fetchAllTransactions(derived.address, { log: () => {}, network });
+
+      if (transactions.length === 0) {
+        if (!firstUnused[chain]) {
+          firstUnused[chain] = derived;
+        }
+        unusedInARow++;
+        continue;
+      }
+
+      unusedInARow = 0;
+      log(`  ${derived.path} ${derived.address}: ${transactions.length} transaction(s)`);
+
+      used.push({ derived, chain, index, transactions });
+      keys.push(toWalletKey(account, derived));
+    }
+  }
+
+  // Analyze once every used address is known, so that change sent between
+  // them counts as our own (trusted) pending funds
+  const tipHeight = await fetchTipHeight(network);
+  const ownAddresses = used.map(entry => entry.derived.address);
+  const labels = readLabels();
+  const balances = [];
+  const addresses = [];
+
+  for (const { derived, chain, index, transactions } of used) {
+    const balance = analyzeUTXOs(derived.address, transactions, { tipHeight, ownAddresses, network, labels });
+    // Multisig inputs are sized by their threshold and key count for coin selection
+    if (derived.inputType) {
+      balance.unspentUTXOs.forEach(utxo => { utxo.inputType = derived.inputType; });
+    }
+    balances.push(balance);
+    addresses.push({
+      address: derived.address,
+      path: derived.path,
+      chain,
+      index,
+      transactions: transactions.length,
+      availableBalance: balance.availableBalance
+    });
+  }
+
+  log(`Found ${addresses.length} used address(es)`);
+
+  // A descriptor with a single chain receives its change on that chain too;
+  // a single-address multisig reuses its address
+  const receive = firstUnused[RECEIVE_CHAIN] || deriveAddress(account, RECEIVE_CHAIN, 0);
+  const change = firstUnused[CHANGE_CHAIN] || receive;
+
+  return {
+    path: account.path,
+    xpub: account.xpub,
+    fingerprint: account.fingerprint,
+    descriptor: formatDescriptor(account),
+    // Cosigners sign multisig spends one after the other, so the wallet itself never signs
+    watchOnly: multisig ? true : account.node.isNeutered(),
+    multisig: multisig ? { threshold: multisig.threshold, cosigners: multisig.keys.map(formatKeyExpression) } : null,
+    addressType,
+    gapLimit,
+    addresses,
+    keys,
+    receiveAddress: receive.address,
+    changeAddress: change.address,
+    changeKey: toWalletKey(account, change),
+    balance: mergeBalances(balances)
+  };
+}
+
+/**
+ * Get the wallet key of a derived address, as buildPsbt expects it
+ * @param {Object} account - Account from deriveAccount or watchOnlyAccount
+ * @param {Object} derived - Address from deriveAddress
+ * @returns {Object} { address, path, fingerprint, publicKey, privateKey }, or { address, path, multisig, derivations } for multisig
+ */
+function toWalletKey(account, derived) {
+  const { address, path } = derived;
+
+  return account.multisig
+    ? { address, path, multisig: derived.multisig, derivations: derived.derivations }
+    : { address, path, fingerprint: account.fingerprint, publicKey: derived.publicKey, privateKey: derived.privateKey };
+}
@@ -0,0 +1,239 @@
+import { writeFileSync } from 'fs';
+import { extname } from 'path';
+import { getNetwork } from './networks.js';
+import { fetchAllTransactions, fetchTipHeight } from './getUTXos.js';
+import { toCsvField } from './batchPayments.js';
+
+/**
+ * Direction of a transaction from the wallet's point of view
+ * - incoming: paid to the wallet; none of the inputs are ours
+ * - outgoing: spends wallet funds to other addresses
+ * - self: spends wallet funds to wallet addresses only (the fee is all that leaves)
+ */
+export const DIRECTIONS = ['incoming', 'outgoing', 'self'];
+
+/**
+ * History export formats, picked by file extension
+ */
+export const HISTORY_FORMATS = ['csv', 'json'];
+
+/**
+ * Get the format of a history export file from its extension
+ * @param {string} path - File path
+ * @returns {string} One of HISTORY_FORMATS
+ */
+export function getHistoryFormat(path) {
+  const format = extname(path).slice(1).toLowerCase();
+
+  if (!HISTORY_FORMATS.includes(format)) {
+    throw new Error(`Unknown history export format: ${path}. Use a .${HISTORY_FORMATS.join(' or .')} file.`);
+  }
+
+  return format;
+}
+
+/**
+ * Parse a --since or --until date
+ * A plain day (YYYY-MM-DD, UTC) ends at the end of that day when it is an upper bound.
+ * @param {string} text - Date, YYYY-MM-DD or an ISO 8601 timestamp
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.endOfDay - Move a plain day to its last millisecond (default: false)
+ * @returns {Date} Parsed date
+ */
+export function parseHistoryDate(text, { endOfDay = false } = {}) {
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const date = new Date(day ? `${text}T00:00:00Z` : text);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${text}. Use YYYY-MM-DD or an ISO 8601 timestamp.`);
+  }
+
+  return day && endOfDay ? new Date(date.getTime() + 86400000 - 1) : date;
+}
+
+/**
+ * Summarize one transaction for the wallet
+ * @param {Object} tx - Normalized transaction
+ * @param {Set<string>} own - Wallet addresses
+ * @param {number|null} tipHeight - Chain tip height, null if unknown
+ * @returns {Object} History entry without its running balance
+ */
+function summarizeTransaction(tx, own, tipHeight) {
+  const confirmed = tx.blockNumber !== null && tx.blockNumber !== undefined;
+  const received = tx.outputs.reduce((sum, output) => sum + (own.has(output.address) ? output.value : 0), 0);
+  const sent = tx.inputs.reduce((sum, input) => sum + (input.coin && own.has(input.coin.address) ? input.coin.value : 0), 0);
+
+  // The fee is only known when every input value is, and only ours to report when we sent
+  const inputsKnown = tx.inputs.every(input => input.coin);
+  const fee = sent > 0 && inputsKnown
+    ? tx.inputs.reduce((sum, input) => sum + input.coin.value, 0) - tx.outputs.reduce((sum, output) => sum + output.value, 0)
+    : null;
+
+  const external = tx.outputs.filter(output => output.address && !own.has(output.address));
+  const direction = sent === 0 ? 'incoming' : external.length > 0 ? 'outgoing' : 'self';
+
+  // Senders of a payment to us, recipients of a payment from us
+  const counterparties = direction === 'incoming'
+    ? tx.inputs.filter(input => input.coin && input.coin.address && !own.has(input.coin.address)).map(input => input.coin.address)
+    : external.map(output => output.address);
+
+  return {
+    txid: tx.hash,
+    time: tx.time ? new Date(tx.time * 1000).toISOString() : null,
+    blockHeight: confirmed ? tx.blockNumber : null,
+    confirmations: !confirmed ? 0 : tipHeight === null ? null : Math.max(tipHeight - tx.blockNumber + 1, 0),
+    direction,
+    received,
+    sent,
+    net: received - sent,
+    fee,
+    counterparties: [...new Set(counterparties)]
+  };
+}
+
+/**
+ * Build the transaction history of a set of wallet addresses
+ * Transactions touching several wallet addresses are listed once. Entries are ordered oldest
+ * first (pending ones last) and carry the wallet balance after each of them.
+ * @param {Object} transactionsByAddress - Normalized transactions per wallet address
+ * @param {Object} options - Optional settings
+ * @param {number|null} options.tipHeight - Chain tip height for confirmation counts (default: null, unknown)
+ * @returns {Array} Entries: [{ txid, time, blockHeight, confirmations, direction, received, sent, net, fee, counterparties, balance }],
+ *   amounts in satoshis; net is the change of the wallet balance, fee included
+ */
+export function buildHistory(transactionsByAddress, { tipHeight = null } = {}) {
+  const own = new Set(Object.keys(transactionsByAddress));
+  const unique = new Map();
+
+  for (const transactions of Object.values(transactionsByAddress)) {
+    transactions.forEach(tx => unique.set(tx.hash, tx));
+  }
+
+  const entries = [...unique.values()]
+    .map(tx => summarizeTransaction(tx, own, tipHeight))
+    .sort((a, b) => (a.blockHeight ?? Infinity) - (b.blockHeight ?? Infinity) || (a.time || '').localeCompare(b.time || ''));
+
+  let balance = 0;
+  return entries.map(entry => {
+    balance += entry.net;
+    return { ...entry, balance };
+  });
+}
+
+/**
+ * Fetch the transactions of wallet addresses and build their history
+ * @param {string[]} addresses - Wallet addresses
+ * @param {Object} options - Optional settings
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @returns {Promise<Array>} History entries from buildHistory
+ */
+export async function getTransactionHistory(addresses, { network = getNetwork(), log = console.log } = {}) {
+  const transactionsByAddress = {};
+
+  for (const address of new Set(addresses)) {
+    transactionsByAddress[address] = await fetchAllTransactions(address, { log, network });
+  }
+
+  return buildHistory(transactionsByAddress, { tipHeight: await fetchTipHeight(network) });
+}
+
+/**
+ * Keep the history entries inside a date range
+ * Pending transactions have no block time yet; they count as now.
+ * @param {Array} entries - Entries from buildHistory
+ * @param {Object} range - Date range, both ends included
+ * @param {Date} range.since - Earliest date (default: none)
+ * @param {Date} range.until - Latest date (default: none)
+ * @returns {Array} Entries in the range
+ */
+export function filterHistory(entries, { since = null, until = null } = {}) {
+  return entries.filter(entry => {
+    const date = entry.time ? new Date(entry.time) : new Date();
+    return (!since || date >= since) && (!until || date <= until);
+  });
+}
+
+/**
+ * Add fiat values to history entries, at the BTC price of the day of each transaction
+ * @param {Array} entries - Entries from buildHistory
+ * @param {Object} priceSource - Price source from getPriceSource
+ * @returns {Promise<Array>} Entries with price, fiatNet and fiatFee in the source currency
+ */
+export async function addFiatValues(entries, priceSource) {
+  const toFiat = (satoshis, price) => satoshis === null ? null : Math.round(satoshis * price / 1000000) / 100;
+  const result = [];
+
+  for (const entry of entries) {
+    const day = (entry.time || new Date().toISOString()).slice(0, 10);
+    const price = await priceSource.getPrice(day);
+    result.push({ ...entry, currency: priceSource.currency, price, fiatNet: toFiat(entry.net, price), fiatFee: toFiat(entry.fee, price) });
+  }
+
+  return result;
+}
+
+/**
+ * Turn a history entry into an export row, amounts in BTC
+ * @param {Object} entry - Entry from buildHistory or addFiatValues
+ * @returns {Object} Export row
+ */
+function toHistoryRow(entry) {
+  const row = {
+    date: entry.time,
+    txid: entry.txid,
+    blockHeight: entry.blockHeight,
+    confirmations: entry.confirmations,
+    direction: entry.direction,
+    amount: entry.net / 100000000,
+    fee: entry.fee === null ? null : entry.fee / 100000000,
+    balance: entry.balance / 100000000,
+    counterparties: entry.counterparties.join(' ')
+  };
+
+  return entry.currency
+    ? { ...row, currency: entry.currency.toUpperCase(), price: entry.price, fiatAmount: entry.fiatNet, fiatFee: entry.fiatFee }
+    : row;
+}
+
+/**
+ * Write a history export, CSV or JSON by file extension
+ * @param {string} path - Export file path (.csv or .json)
+ * @param {Array} entries - Entries from buildHistory or addFiatValues
+ * @returns {Array} The exported rows
+ */
+export function writeHistory(path, entries) {
+  const format = getHistoryFormat(path);
+  const rows = entries.map(toHistoryRow);
+
+  if (format === 'json') {
+    writeFileSync(path, `${JSON.stringify(rows, null, 2)}\n`);
+  } else {
+    const columns = rows.length > 0 ? Object.keys(rows[0]) : Object.keys(toHistoryRow({ net: 0, fee: null, balance: 0, counterparties: [] }));
+    const lines = rows.map(row => columns.map(column => toCsvField(row[column])).join(','));
+    writeFileSync(path, `${[columns.join(','), ...lines].join('\n')}\n`);
+  }
+
+  return rows;
+}
+
+/**
+ * Display the history entries, oldest first
+ * @param {Array} entries - Entries from buildHistory or addFiatValues
+ */
+export function displayHistory(entries) {
+  console.log(`\n=== Transaction History (${entries.length}) ===`);
+
+  entries.forEach(entry => {
+    const date = entry.time ? entry.time.slice(0, 16).replace('T', ' ') : 'pending         ';
+    const sign = entry.net > 0 ? '+' : '';
+    const fee = entry.fee !== null ? `, fee ${entry.fee} sat` : '';
+    const fiat = entry.currency ? ` (${sign}${entry.fiatNet} ${entry.currency.toUpperCase()})` : '';
+
+    console.log(`${date}  ${entry.direction.padEnd(8)} ${sign}${entry.net / 100000000} BTC${fiat}${fee}  balance ${entry.balance / 100000000} BTC`);
+    console.log(`  ${entry.txid} (${entry.confirmations ?? '?'} confirmations)`);
+    if (entry.counterparties.length > 0) {
+      console.log(`  ${entry.direction === 'incoming' ? 'from' : 'to'} ${entry.counterparties.join(', ')}`);
+    }
+  });
+}
@@ -0,0 +1,258 @@
+import http from 'http';
+import https from 'https';
+import { setTimeout as sleep } from 'timers/promises';
+
+// Time allowed for one attempt, from sending the request to the end of the response
+export const DEFAULT_TIMEOUT = 30000;
+
+// Attempts after the first one for rate limits, server errors, timeouts and network errors
+export const DEFAULT_RETRIES = 3;
+
+// First backoff delay; it doubles with every retry
+const BASE_RETRY_DELAY = 500;
+
+// Longest wait before a retry. A server asking for more (Retry-After) fails the request instead.
+const MAX_RETRY_DELAY = 60000;
+
+// Network errors worth another attempt
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH'];
+
+/**
+ * Error for an HTTP response with an error status
+ * Subclasses tell callers what went wrong without parsing the message.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @param {string} body - Response body
+   */
+  constructor(message, statusCode, body) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.body = body;
+  }
+}
+
+/** Missing or rejected credentials (401, 403) */
+export class AuthError extends HttpError {}
+
+/** Rate limit exceeded (429); retryAfter is the requested wait in milliseconds, if any */
+export class RateLimitError extends HttpError {}
+
+/** Resource not found (404) */
+export class NotFoundError extends HttpError {}
+
+/** Server-side failure (5xx) */
+export class ServerError extends HttpError {}
+
+/** No complete response within the timeout */
+export class TimeoutError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Create the typed error for an HTTP error response
+ * @param {Object} response - Response from httpRequest
+ * @param {string} url - Request URL
+ * @returns {HttpError} Error matching the status code
+ */
+function createHttpError(response, url) {
+  const { statusCode, body } = response;
+  let detail = body.slice(0, 200);
+
+  try {
+    const data = JSON.parse(body);
+    detail = data.message || (data.error && data.error.message) || JSON.stringify(data).slice(0, 200);
+  } catch (error) {
+    // Plain text error body
+  }
+
+  const message = `HTTP ${statusCode} from ${new URL(url).host}: ${detail}`;
+
+  if (statusCode === 401 || statusCode === 403) {
+    return new AuthError(message, statusCode, body);
+  }
+  if (statusCode === 404) {
+    return new NotFoundError(message, statusCode, body);
+  }
+  if (statusCode === 429) {
+    const error = new RateLimitError(message, statusCode, body);
+    error.retryAfter = parseRetryAfter(response.headers['retry-after']);
+    return error;
+  }
+  if (statusCode >= 500) {
+    return new ServerError(message, statusCode, body);
+  }
+  return new HttpError(message, statusCode, body);
+}
+
+/**
+ * Parse a Retry-After header, given in seconds or as an HTTP date
+ * @param {string} value - Header value
+ * @returns {number|null} Wait in milliseconds, or null if missing or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Check whether a failed attempt may succeed when repeated
+ * @param {Error} error - Error of the attempt
+ * @returns {boolean} True for rate limits, server errors, timeouts and network errors
+ */
+function isRetryable(error) {
+  return error instanceof RateLimitError
+    || error instanceof ServerError
+    || error instanceof TimeoutError
+    || RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Send one HTTP request and collect the response body
+ * @param {string} method - HTTP method
+ * @param {string} url - Full request URL, including the query string
+ * @param {Object} options - Optional settings
+ * @param {Object} options.headers - Request headers
+ * @param {string} options.body - Request body
+ * @param {number} options.timeout - Milliseconds until the request fails with a TimeoutError (default: DEFAULT_TIMEOUT)
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<{ statusCode: number, headers: Object, body: string }>} Response status, headers and body text
+ */
+export function httpRequest(method, url, { headers = {}, body = null, timeout = DEFAULT_TIMEOUT, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('http:') ? http : https;
+    const req = client.request(new URL(url), { method, headers, signal }, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+      });
+
+      res.on('error', (error) => {
+        reject(error);
+      });
+    });
+
+    // Covers connecting, sending and a stalled response
+    const timer = setTimeout(() => {
+      req.destroy(new TimeoutError(`${method} ${new URL(url).host} timed out after ${timeout} ms`));
+    }, timeout);
+    req.on('close', () => clearTimeout(timer));
+
+    req.on('error', (error) => {
+      reject(error);
+    });
+
+    if (body !== null) {
+      req.write(body);
+    }
+    req.end();
+  });
+}
+
+/**
+ * Send an HTTP request, retrying transient failures, and check the response status
+ * Rate limits (429), server errors (5xx), timeouts and network errors are
+ * retried with exponential backoff; a Retry-After header sets the wait instead.
+ * Other error statuses throw at once.
+ * @param {string} method - HTTP method
+ * @param {string} url - Full request URL, including the query string
+ * @param {Object} options - Optional settings
+ * @param {Object} options.headers - Request headers
+ * @param {string} options.body - Request body
+ * @param {number} options.timeout - Milliseconds allowed per attempt (default: DEFAULT_TIMEOUT)
+ * @param {number} options.retries - Attempts after the first one (default: DEFAULT_RETRIES)
+ * @param {AbortSignal} options.signal - Cancels the request and any wait before a retry
+ * @param {Function} options.acceptStatus - Returns true for error statuses the caller handles itself
+ * @returns {Promise<{ statusCode: number, headers: Object, body: string }>} Response status, headers and body text
+ */
+export async function request(method, url, {
+  headers = {},
+  body = null,
+  timeout = DEFAULT_TIMEOUT,
+  retries = DEFAULT_RETRIES,
+  signal,
+  acceptStatus = () => false
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let error;
+
+    try {
+      const response = await httpRequest(method, url, { headers, body, timeout, signal });
+
+      if (response.statusCode < 400 || acceptStatus(response.statusCode)) {
+        return response;
+      }
+      error = createHttpError(response, url);
+    } catch (requestError) {
+      error = requestError;
+    }
+
+    if (signal && signal.aborted) {
+      throw error;
+    }
+    if (attempt >= retries || !isRetryable(error)) {
+      throw error;
+    }
+
+    const delay = error.retryAfter ?? BASE_RETRY_DELAY * 2 ** attempt;
+    if (delay > MAX_RETRY_DELAY) {
+      throw error;
+    }
+
+    await sleep(delay, undefined, { signal });
+  }
+}
+
+/**
+ * Send a request with an optional JSON body and parse the JSON response
+ * @param {string} method - HTTP method
+ * @param {string} url - Full request URL, including the query string
+ * @param {Object} options - Settings passed to request, with body as an object to JSON-encode
+ * @returns {Promise<*>} Parsed JSON response
+ */
+export async function requestJson(method, url, { headers = {}, body = null, ...options } = {}) {
+  const response = await request(method, url, {
+    ...options,
+    headers: body === null ? headers : { ...headers, 'content-type': 'application/json' },
+    body: body === null ? null : JSON.stringify(body)
+  });
+
+  try {
+    return JSON.parse(response.body);
+  } catch (error) {
+    throw new Error(`Failed to parse response from ${new URL(url).host}: ${error.message}`);
+  }
+}
+
+/**
+ * Send a request and return the response body as text
+ * @param {string} method - HTTP method
+ * @param {string} url - Full request URL
+ * @param {Object} options - Settings passed to request
+ * @returns {Promise<string>} Response body
+ */
+export async function requestText(method, url, options = {}) {
+  return (await request(method, url, options)).body;
+}
@@ -0,0 +1,340 @@
+import { scrypt, randomBytes, createCipheriv, createDecipheriv } from 'crypto';
+import { readFileSync, writeFileSync, existsSync, renameSync } from 'fs';
+import { promisify } from 'util';
+import * as bip39 from 'bip39';
+import { loadConfig } from './config.js';
+import { getNetwork, NETWORKS } from './networks.js';
+import { keyPairFromPrivateKey, getKeyFingerprint } from './generateAddresFromPK.js';
+import { deriveMasterKey } from './hdWallet.js';
+import { parseWatchOnly, getDescriptorId } from './descriptors.js';
+
+const scryptAsync = promisify(scrypt);
+
+export const DEFAULT_KEYSTORE_PATH = './keystore.json';
+export const MIN_PASSWORD_LENGTH = 8;
+
+const KEYSTORE_VERSION = 1;
+
+// scrypt cost parameters: about 32 MB of memory and a fraction of a second per unlock
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+const KEY_LENGTH = 32;
+const CIPHER = 'aes-256-gcm';
+
+const WALLET_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+/**
+ * Get the path of the keystore file
+ * The path defaults to the `keystorePath` config value (or BTC_KEYSTORE), then ./keystore.json.
+ * @returns {string} Keystore file path
+ */
+export function getKeystorePath() {
+  return loadConfig().keystorePath || DEFAULT_KEYSTORE_PATH;
+}
+
+/**
+ * Read the keystore file
+ * @param {string} path - Keystore file path (default: configured keystore)
+ * @returns {Object} Keystore with its encrypted wallets, empty if the file does not exist
+ */
+function readKeystore(path) {
+  if (!existsSync(path)) {
+    return { version: KEYSTORE_VERSION, wallets: {} };
+  }
+
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Write the keystore file, readable by the owner only
+ * The file is replaced atomically so an interrupted write cannot corrupt it.
+ * @param {Object} keystore - Keystore to write
+ * @param {string} path - Keystore file path
+ */
+function writeKeystore(keystore, path) {
+  const tmpPath = `${path}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+  renameSync(tmpPath, path);
+}
+
+/**
+ * Check that a wallet name can be stored
+ * @param {string} name - Wallet name
+ */
+function validateWalletName(name) {
+  if (!WALLET_NAME_PATTERN.test(name || '')) {
+    throw new Error(`Invalid wallet name: ${name}. Use up to 64 letters, digits, "_", "." or "-".`);
+  }
+}
+
+/**
+ * Check that a wallet secret is a valid mnemonic or private key
+ * @param {Object} secret - { mnemonic, passphrase } or { privateKey }
+ * @param {Object} network - Network settings from getNetwork
+ * @returns {string} Wallet type: mnemonic or privateKey
+ */
+function validateSecret(secret, network) {
+  if (secret.mnemonic) {
+    if (!bip39.validateMnemonic(secret.mnemonic.trim().split(/\s+/).join(' '))) {
+      throw new Error('Invalid mnemonic phrase.');
+    }
+    return 'mnemonic';
+  }
+
+  if (secret.privateKey) {
+    try {
+      keyPairFromPrivateKey(secret.privateKey, network);
+    } catch (error) {
+      throw new Error(`Invalid private key for ${network.name}.`);
+    }
+    return 'privateKey';
+  }
+
+  throw new Error('A wallet needs a mnemonic phrase or a private key.');
+}
+
+/**
+ * Get the fingerprint that names the keys of a wallet secret, so that the same keys are
+ * recognised whatever name they are stored under or however they are loaded
+ * @param {Object} secret - { mnemonic, passphrase } or { privateKey }
+ * @returns {string} Master key fingerprint of a mnemonic, key fingerprint of a private key (8 hex characters)
+ */
+function getSecretFingerprint(secret) {
+  if (secret.mnemonic) {
+    return Buffer.from(deriveMasterKey(secret.mnemonic, { passphrase: secret.passphrase }).fingerprint).toString('hex');
+  }
+
+  // A WIF key only parses with the network it was made for; the fingerprint is the same on every network
+  const network = Object.values(NETWORKS).find(entry => {
+    try {
+      keyPairFromPrivateKey(secret.privateKey, entry);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+  return getKeyFingerprint(keyPairFromPrivateKey(secret.privateKey, network).publicKey);
+}
+
+/**
+ * Derive the encryption key for a wallet from its password
+ * @param {string} password - Wallet password
+ * @param {Buffer} salt - Random salt
+ * @param {Object} params - scrypt cost parameters { N, r, p }
+ * @returns {Promise<Buffer>} 256-bit key
+ */
+function deriveKey(password, salt, params) {
+  return scryptAsync(password.normalize('NFKC'), salt, KEY_LENGTH, { ...params, maxmem: SCRYPT_MAXMEM });
+}
+
+/**
+ * Encrypt a wallet secret with a password
+ * The wallet name and type are authenticated too, so entries cannot be swapped.
+ * @param {Object} secret - Secret to encrypt
+ * @param {string} password - Wallet password
+ * @param {string} associatedData - Authenticated, unencrypted data
+ * @returns {Promise<Object>} KDF and cipher parameters with the ciphertext, hex encoded
+ */
+async function encryptSecret(secret, password, associatedData) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const key = await deriveKey(password, salt, SCRYPT_PARAMS);
+
+  const cipher = createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(associatedData));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(secret), 'utf8'), cipher.final()]);
+
+  return {
+    kdf: { name: 'scrypt', salt: salt.toString('hex'), ...SCRYPT_PARAMS },
+    cipher: { name: CIPHER, iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex') },
+    ciphertext: ciphertext.toString('hex')
+  };
+}
+
+/**
+ * Decrypt a wallet secret with its password
+ * @param {Object} encrypted - Output of encryptSecret
+ * @param {string} password - Wallet password
+ * @param {string} associatedData - Authenticated data used for encryption
+ * @returns {Promise<Object>} Decrypted secret
+ */
+async function decryptSecret(encrypted, password, associatedData) {
+  const { kdf, cipher: cipherParams, ciphertext } = encrypted;
+
+  if (kdf.name !== 'scrypt' || cipherParams.name !== CIPHER) {
+    throw new Error(`Unsupported keystore encryption: ${kdf.name}/${cipherParams.name}`);
+  }
+
+  const key = await deriveKey(password, Buffer.from(kdf.salt, 'hex'), { N: kdf.N, r: kdf.r, p: kdf.p });
+  const decipher = createDecipheriv(CIPHER, key, Buffer.from(cipherParams.iv, 'hex'));
+  decipher.setAAD(Buffer.from(associatedData));
+  decipher.setAuthTag(Buffer.from(cipherParams.tag, 'hex'));
+
+  try {
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch (error) {
+    throw new Error('Wrong password or corrupted wallet.');
+  }
+}
+
+/**
+ * List the wallets in the keystore, without their secrets
+ * The fingerprint names the keys (see getSecretFingerprint); a watch-only wallet without one, such as a
+ * multisig account, is named by its descriptor id (see getDescriptorId). It is null for wallets stored
+ * before fingerprints were recorded until they are first unlocked.
+ * @param {string} path - Keystore file path (default: configured keystore)
+ * @returns {Array} Wallets: [{ name, type, createdAt, fingerprint }]
+ */
+export function listWallets(path = getKeystorePath()) {
+  const keystore = readKeystore(path);
+
+  return Object.entries(keystore.wallets).map(([name, entry]) => ({
+    name,
+    type: entry.type,
+    createdAt: entry.createdAt,
+    fingerprint: entry.fingerprint || (entry.descriptor ? getDescriptorId(entry.descriptor) : null)
+  }));
+}
+
+/**
+ * Encrypt a mnemonic or private key and store it as a named wallet
+ * @param {string} name - Wallet name (letters, digits, _ . -)
+ * @param {Object} secret - { mnemonic, passphrase } or { privateKey }
+ * @param {string} password - Password to encrypt the wallet with
+ * @param {Object} options - Optional settings
+ * @param {string} options.path - Keystore file path (default: configured keystore)
+ * @param {Object} options.network - Network settings from getNetwork, to validate private keys (default: configured network)
+ * @param {boolean} options.overwrite - Replace a wallet with the same name (default: false)
+ * @returns {Promise<Object>} Stored wallet: { name, type, createdAt, fingerprint }
+ */
+export async function addWallet(name, secret, password, {
+  path = getKeystorePath(),
+  network = getNetwork(),
+  overwrite = false
+} = {}) {
+  validateWalletName(name);
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+
+  const type = validateSecret(secret, network);
+  const keystore = readKeystore(path);
+
+  if (keystore.wallets[name] && !overwrite) {
+    throw new Error(`Wallet ${name} already exists.`);
+  }
+
+  const stored = type === 'mnemonic'
+    ? { mnemonic: secret.mnemonic.trim().split(/\s+/).join(' '), passphrase: secret.passphrase || '' }
+    : { privateKey: secret.privateKey.trim() };
+
+  const createdAt = new Date().toISOString();
+  const fingerprint = getSecretFingerprint(stored);
+  keystore.wallets[name] = {
+    type,
+    createdAt,
+    fingerprint,
+    ...(await encryptSecret(stored, password, `${name}:${type}`))
+  };
+  writeKeystore(keystore, path);
+
+  return { name, type, createdAt, fingerprint };
+}
+
+/**
+ * Store a watch-only wallet by its output descriptor or extended public key
+ * It holds no secret, so it is kept unencrypted and opens without a password.
+ * @param {string} name - Wallet name (letters, digits, _ . -)
+ * @param {string} source - Descriptor, or xpub/ypub/zpub (tpub/upub/vpub on test networks)
+ * @param {Object} options - Optional settings
+ * @param {string} options.path - Keystore file path (default: configured keystore)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {string} options.addressType - Address type for xpub/tpub keys (default: configured address type)
+ * @param {boolean} options.overwrite - Replace a wallet with the same name (default: false)
+ * @returns {Object} Stored wallet: { name, type, createdAt, descriptor }
+ */
+export function addWatchOnlyWallet(name, source, {
+  path = getKeystorePath(),
+  network = getNetwork(),
+  addressType,
+  overwrite = false
+} = {}) {
+  validateWalletName(name);
+
+  const { descriptor, fingerprint } = parseWatchOnly(source, { addressType, network });
+  const keystore = readKeystore(path);
+
+  if (keystore.wallets[name] && !overwrite) {
+    throw new Error(`Wallet ${name} already exists.`);
+  }
+
+  const createdAt = new Date().toISOString();
+  keystore.wallets[name] = { type: 'watch-only', createdAt, fingerprint, descriptor };
+  writeKeystore(keystore, path);
+
+  return { name, type: 'watch-only', createdAt, descriptor };
+}
+
+/**
+ * Check whether a named wallet is watch-only, i.e. opens without a password
+ * @param {string} name - Wallet name
+ * @param {string} path - Keystore file path (default: configured keystore)
+ * @returns {boolean} True for a watch-only wallet
+ */
+export function isWatchOnlyWallet(name, path = getKeystorePath()) {
+  const entry = readKeystore(path).wallets[name];
+  return Boolean(entry && entry.type === 'watch-only');
+}
+
+/**
+ * Decrypt a named wallet
+ * Watch-only wallets need no password. The fingerprint of the keys is recorded on the way if the
+ * entry lacks it (stored by an older version) or does not match them (edited by hand).
+ * @param {string} name - Wallet name
+ * @param {string} password - Wallet password
+ * @param {string} path - Keystore file path (default: configured keystore)
+ * @returns {Promise<Object>} Secret: { mnemonic, passphrase }, { privateKey } or { descriptor }
+ */
+export async function unlockWallet(name, password, path = getKeystorePath()) {
+  const entry = readKeystore(path).wallets[name];
+
+  if (!entry) {
+    throw new Error(`Wallet ${name} not found in ${path}.`);
+  }
+
+  if (entry.type === 'watch-only') {
+    return { descriptor: entry.descriptor };
+  }
+
+  const secret = await decryptSecret(entry, password || '', `${name}:${entry.type}`);
+  const fingerprint = getSecretFingerprint(secret);
+
+  if (entry.fingerprint !== fingerprint) {
+    const keystore = readKeystore(path);
+    keystore.wallets[name].fingerprint = fingerprint;
+    writeKeystore(keystore, path);
+  }
+
+  return secret;
+}
+
+/**
+ * Remove a named wallet from the keystore
+ * @param {string} name - Wallet name
+ * @param {string} path - Keystore file path (default: configured keystore)
+ */
+export function removeWallet(name, path = getKeystorePath()) {
+  const keystore = readKeystore(path);
+
+  if (!keystore.wallets[name]) {
+    throw new Error(`Wallet ${name} not found in ${path}.`);
+  }
+
+  delete keystore.wallets[name];
+  writeKeystore(keystore, path);
+}
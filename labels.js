@@ -0,0 +1,247 @@
+import { readFileSync, writeFileSync, existsSync, renameSync } from 'fs';
+import { loadConfig } from './config.js';
+
+export const DEFAULT_LABELS_PATH = './labels.jsonl';
+
+/**
+ * Record types of the BIP329 label format, by what their ref names
+ * - tx: transaction id
+ * - addr: address
+ * - pubkey: public key (hex)
+ * - input: spent outpoint, txid:vin
+ * - output: outpoint, txid:vout; `spendable: false` freezes the coin
+ * - xpub: extended public key
+ */
+export const LABEL_TYPES = ['tx', 'addr', 'pubkey', 'input', 'output', 'xpub'];
+
+// BIP329 recommends labels of at most 255 characters
+const MAX_LABEL_LENGTH = 255;
+
+const TXID_PATTERN = /^[0-9a-f]{64}$/i;
+const OUTPOINT_PATTERN = /^[0-9a-f]{64}:\d+$/i;
+
+/**
+ * Get the path of the labels file
+ * The path defaults to the `labelsPath` config value (or BTC_LABELS), then ./labels.jsonl.
+ * @returns {string} Labels file path
+ */
+export function getLabelsPath() {
+  return loadConfig().labelsPath || DEFAULT_LABELS_PATH;
+}
+
+/**
+ * Check a label record and bring its ref into canonical form
+ * @param {Object} record - BIP329 record
+ * @returns {Object} Record with only the known fields: { type, ref, label, origin, spendable }
+ */
+function normalizeRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new Error('a label record must be a JSON object.');
+  }
+
+  const { type, ref, label, origin, spendable } = record;
+
+  if (!LABEL_TYPES.includes(type)) {
+    throw new Error(`unknown type ${JSON.stringify(type)}. Use one of: ${LABEL_TYPES.join(', ')}`);
+  }
+  if (typeof ref !== 'string' || !ref) {
+    throw new Error('ref must be a non-empty string.');
+  }
+  if (type === 'tx' && !TXID_PATTERN.test(ref)) {
+    throw new Error(`${ref} is not a transaction id.`);
+  }
+  if ((type === 'input' || type === 'output') && !OUTPOINT_PATTERN.test(ref)) {
+    throw new Error(`${ref} is not an outpoint (txid:index).`);
+  }
+  if (label !== undefined && (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH)) {
+    throw new Error(`label must be a string of at most ${MAX_LABEL_LENGTH} characters.`);
+  }
+  if (origin !== undefined && typeof origin !== 'string') {
+    throw new Error('origin must be a string.');
+  }
+  if (spendable !== undefined && (type !== 'output' || typeof spendable !== 'boolean')) {
+    throw new Error('spendable is a boolean of output records only.');
+  }
+
+  const normalized = { type, ref: ['tx', 'input', 'output'].includes(type) ? ref.toLowerCase() : ref };
+  if (label) {
+    normalized.label = label;
+  }
+  if (origin) {
+    normalized.origin = origin;
+  }
+  if (spendable !== undefined) {
+    normalized.spendable = spendable;
+  }
+  return normalized;
+}
+
+/**
+ * Parse BIP329 JSON lines
+ * @param {string} text - File content, one JSON record per line
+ * @param {string} source - File name for error messages
+ * @returns {Array} Records
+ */
+function parseLabelLines(text, source) {
+  return text.split(/\r?\n/)
+    .map((line, i) => [line.trim(), i + 1])
+    .filter(([line]) => line)
+    .map(([line, lineNumber]) => {
+      try {
+        return normalizeRecord(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`Invalid label record on line ${lineNumber} of ${source}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Read the labels file
+ * @param {string} path - Labels file path (default: configured labels file)
+ * @returns {Map} Records by "type:ref", e.g. "output:<txid>:0"; empty if the file does not exist
+ */
+export function readLabels(path = getLabelsPath()) {
+  const labels = new Map();
+
+  if (existsSync(path)) {
+    parseLabelLines(readFileSync(path, 'utf8'), path).forEach(record => labels.set(`${record.type}:${record.ref}`, record));
+  }
+
+  return labels;
+}
+
+/**
+ * Write the labels file as BIP329 JSON lines
+ * The file is replaced atomically so an interrupted write cannot corrupt it.
+ * @param {Map} labels - Records by "type:ref"
+ * @param {string} path - Labels file path
+ */
+function writeLabels(labels, path) {
+  const tmpPath = `${path}.tmp`;
+  const lines = [...labels.values()].map(record => JSON.stringify(record));
+  writeFileSync(tmpPath, lines.length > 0 ? `${lines.join('\n')}\n` : '', { mode: 0o600 });
+  renameSync(tmpPath, path);
+}
+
+/**
+ * Update one record, dropping it once it carries no information
+ * @param {Map} labels - Records by "type:ref"
+ * @param {Object} changes - { type, ref } and the fields to set; undefined fields are removed
+ * @returns {Object|null} The stored record, or null if it was removed
+ */
+function updateRecord(labels, changes) {
+  const key = `${changes.type}:${changes.ref}`;
+  const merged = { ...labels.get(key), ...changes };
+
+  for (const field of Object.keys(merged)) {
+    if (merged[field] === undefined) {
+      delete merged[field];
+    }
+  }
+
+  const record = normalizeRecord(merged);
+  // A coin is spendable unless frozen, so spendable: true needs no record
+  if (record.spendable === true) {
+    delete record.spendable;
+  }
+
+  if (record.label === undefined && record.spendable === undefined) {
+    labels.delete(key);
+    return null;
+  }
+
+  labels.set(key, record);
+  return record;
+}
+
+/**
+ * Set the label of an address, transaction, outpoint or key
+ * @param {string} type - One of LABEL_TYPES
+ * @param {string} ref - Address, txid, outpoint (txid:index) or key
+ * @param {string} label - Label text; empty removes the label
+ * @param {string} path - Labels file path (default: configured labels file)
+ * @returns {Object|null} The stored record, or null if nothing is left of it
+ */
+export function setLabel(type, ref, label, path = getLabelsPath()) {
+  const labels = readLabels(path);
+  const { ref: canonicalRef } = normalizeRecord({ type, ref });
+  const record = updateRecord(labels, { type, ref: canonicalRef, label: label || undefined });
+  writeLabels(labels, path);
+  return record;
+}
+
+/**
+ * Freeze or unfreeze coins; automatic coin selection never spends a frozen coin
+ * @param {string[]} outpoints - Outpoints as "txHash:index"
+ * @param {boolean} spendable - False to freeze, true to unfreeze
+ * @param {string} path - Labels file path (default: configured labels file)
+ * @returns {string[]} The outpoints, in canonical form
+ */
+export function setSpendable(outpoints, spendable, path = getLabelsPath()) {
+  const labels = readLabels(path);
+  const refs = outpoints.map(outpoint => normalizeRecord({ type: 'output', ref: outpoint }).ref);
+
+  refs.forEach(ref => updateRecord(labels, { type: 'output', ref, spendable: spendable ? undefined : false }));
+  writeLabels(labels, path);
+
+  return refs;
+}
+
+/**
+ * Import a BIP329 file, e.g. exported by Sparrow or another wallet
+ * Imported fields replace those of existing records; other records are kept.
+ * @param {string} source - BIP329 JSON lines file
+ * @param {string} path - Labels file path (default: configured labels file)
+ * @returns {number} Number of imported records
+ */
+export function importLabels(source, path = getLabelsPath()) {
+  if (!existsSync(source)) {
+    throw new Error(`Label file not found: ${source}`);
+  }
+
+  const records = parseLabelLines(readFileSync(source, 'utf8'), source);
+  const labels = readLabels(path);
+
+  records.forEach(record => updateRecord(labels, record));
+  writeLabels(labels, path);
+
+  return records.length;
+}
+
+/**
+ * Export every record as a BIP329 file
+ * @param {string} destination - File to write
+ * @param {string} path - Labels file path (default: configured labels file)
+ * @returns {number} Number of exported records
+ */
+export function exportLabels(destination, path = getLabelsPath()) {
+  const labels = readLabels(path);
+  const lines = [...labels.values()].map(record => JSON.stringify(record));
+
+  writeFileSync(destination, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+  return lines.length;
+}
+
+/**
+ * Get the label that describes a coin
+ * The label of the output itself wins over that of its transaction, then of its address.
+ * @param {Map} labels - Records from readLabels
+ * @param {Object} utxo - UTXO with utxo (outpoint), txHash and address
+ * @returns {string|null} Label, or null if none applies
+ */
+export function getUtxoLabel(labels, utxo) {
+  const candidates = [`output:${utxo.utxo}`, `tx:${utxo.txHash}`, `addr:${utxo.address}`];
+  const record = candidates.map(key => labels.get(key)).find(entry => entry && entry.label);
+  return record ? record.label : null;
+}
+
+/**
+ * Check whether a coin is frozen
+ * @param {Map} labels - Records from readLabels
+ * @param {string} outpoint - Outpoint as "txHash:index"
+ * @returns {boolean} True if its output record has spendable: false
+ */
+export function isFrozen(labels, outpoint) {
+  const record = labels.get(`output:${outpoint}`);
+  return Boolean(record && record.spendable === false);
+}
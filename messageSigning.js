@@ -0,0 +1,331 @@
+import crypto from 'crypto';
+import * as bitcoin from 'bitcoinjs-lib';
+import * as ecc from 'tiny-secp256k1';
+import { getNetwork } from './networks.js';
+import { keyPairFromPrivateKey, createPayment, getAddressType } from './generateAddresFromPK.js';
+import { decodeAddress } from './validation.js';
+
+// Prefix of the BIP137 message hash, length byte included
+const MESSAGE_MAGIC = '\x18Bitcoin Signed Message:\n';
+
+// Tag of the BIP322 message hash
+const BIP322_TAG = 'BIP0322-signed-message';
+
+/**
+ * Message signature formats
+ * - bip137: 65-byte compact signature with a recoverable public key, as Bitcoin Core and
+ *   Electrum sign for legacy addresses; the header byte tells the address type
+ * - bip322: "simple" signature, the witness of a virtual transaction spending from the
+ *   address; for native SegWit (P2WPKH) and Taproot (P2TR) addresses
+ */
+export const MESSAGE_FORMATS = ['bip137', 'bip322'];
+
+// First BIP137 header byte of each address type; the recovery id (0-3) is added to it
+const BIP137_HEADERS = {
+  'p2pkh-uncompressed': 27,
+  p2pkh: 31,
+  'p2sh-p2wpkh': 35,
+  p2wpkh: 39
+};
+
+/**
+ * Get the signature format of an address type
+ * BIP322 needs a witness-only spend, so nested SegWit keeps the BIP137 format.
+ * @param {string} addressType - One of ADDRESS_TYPES
+ * @param {string} format - Requested format (default: by address type)
+ * @returns {string} One of MESSAGE_FORMATS
+ */
+export function getMessageFormat(addressType, format) {
+  const defaultFormat = ['p2wpkh', 'p2tr'].includes(addressType) ? 'bip322' : 'bip137';
+  const selected = format || defaultFormat;
+
+  if (!MESSAGE_FORMATS.includes(selected)) {
+    throw new Error(`Unknown message format: ${selected}. Use one of: ${MESSAGE_FORMATS.join(', ')}`);
+  }
+
+  if (selected === 'bip137' && addressType === 'p2tr') {
+    throw new Error('Taproot addresses have no BIP137 signature; use --format bip322.');
+  }
+
+  if (selected === 'bip322' && !['p2wpkh', 'p2tr'].includes(addressType)) {
+    throw new Error(`BIP322 simple signatures cover p2wpkh and p2tr addresses, not ${addressType}; use --format bip137.`);
+  }
+
+  return selected;
+}
+
+/**
+ * Encode a number as a Bitcoin variable-length integer
+ * @param {number} value - Number to encode
+ * @returns {Buffer} Encoded number
+ */
+function encodeVarInt(value) {
+  if (value < 0xfd) {
+    return Buffer.from([value]);
+  }
+
+  const buffer = Buffer.alloc(value <= 0xffff ? 3 : 5);
+  buffer[0] = value <= 0xffff ? 0xfd : 0xfe;
+  if (value <= 0xffff) {
+    buffer.writeUInt16LE(value, 1);
+  } else {
+    buffer.writeUInt32LE(value, 1);
+  }
+  return buffer;
+}
+
+/**
+ * Hash a message as BIP137 signs it
+ * @param {string} message - Message text (UTF-8)
+ * @returns {Uint8Array} Double SHA-256 of the magic prefix and the length-prefixed message
+ */
+function bip137Hash(message) {
+  const text = Buffer.from(message, 'utf8');
+  return bitcoin.crypto.hash256(Buffer.concat([Buffer.from(MESSAGE_MAGIC, 'latin1'), encodeVarInt(text.length), text]));
+}
+
+/**
+ * Hash a message as BIP322 signs it
+ * @param {string} message - Message text (UTF-8)
+ * @returns {Uint8Array} Tagged SHA-256 of the message
+ */
+function bip322Hash(message) {
+  const tag = crypto.createHash('sha256').update(BIP322_TAG).digest();
+  return crypto.createHash('sha256').update(Buffer.concat([tag, tag, Buffer.from(message, 'utf8')])).digest();
+}
+
+/**
+ * Build the BIP322 virtual transactions for a message and output script
+ * @param {string} message - Message text
+ * @param {Uint8Array} outputScript - Output script of the signing address
+ * @returns {Transaction} to_sign transaction, spending the to_spend output that commits to the message
+ */
+function buildToSign(message, outputScript) {
+  const toSpend = new bitcoin.Transaction();
+  toSpend.version = 0;
+  toSpend.addInput(Buffer.alloc(32), 0xffffffff, 0, bitcoin.script.compile([bitcoin.opcodes.OP_0, bip322Hash(message)]));
+  toSpend.addOutput(outputScript, 0n);
+
+  const toSign = new bitcoin.Transaction();
+  toSign.version = 0;
+  toSign.addInput(toSpend.getHash(), 0, 0);
+  toSign.addOutput(bitcoin.script.compile([bitcoin.opcodes.OP_RETURN]), 0n);
+
+  return toSign;
+}
+
+/**
+ * Serialize a witness stack as a BIP322 simple signature
+ * @param {Uint8Array[]} witness - Witness items
+ * @returns {string} Base64 signature
+ */
+function encodeWitness(witness) {
+  const parts = [encodeVarInt(witness.length)];
+  witness.forEach(item => parts.push(encodeVarInt(item.length), Buffer.from(item)));
+  return Buffer.concat(parts).toString('base64');
+}
+
+/**
+ * Parse a BIP322 simple signature into its witness stack
+ * @param {Buffer} bytes - Decoded signature
+ * @returns {Buffer[]|null} Witness items, or null if the bytes are not a witness stack
+ */
+function decodeWitness(bytes) {
+  let offset = 0;
+
+  const readVarInt = () => {
+    const first = bytes[offset++];
+    if (first < 0xfd) {
+      return first;
+    }
+    const size = first === 0xfd ? 2 : 4;
+    const value = size === 2 ? bytes.readUInt16LE(offset) : bytes.readUInt32LE(offset);
+    offset += size;
+    return value;
+  };
+
+  try {
+    const count = readVarInt();
+    const witness = [];
+    for (let i = 0; i < count; i++) {
+      const length = readVarInt();
+      if (offset + length > bytes.length) {
+        return null;
+      }
+      witness.push(bytes.subarray(offset, offset + length));
+      offset += length;
+    }
+    return offset === bytes.length ? witness : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Sign a message with a private key, proving ownership of its address
+ * The address is the one generateAddressFromPrivateKey gives for the key and address type.
+ * @param {string} message - Message text
+ * @param {string} privateKey - Private key in WIF or hex format
+ * @param {Object} options - Optional settings
+ * @param {string} options.addressType - One of ADDRESS_TYPES (default: configured address type)
+ * @param {string} options.format - One of MESSAGE_FORMATS (default: bip322 for p2wpkh and p2tr, otherwise bip137)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Object} { address, addressType, format, signature }, the signature in base64
+ */
+export function signMessage(message, privateKey, {
+  addressType = getAddressType(),
+  format,
+  network = getNetwork()
+} = {}) {
+  const keyPair = keyPairFromPrivateKey(privateKey, network);
+  const payment = createPayment(keyPair.publicKey, addressType, network);
+  const messageFormat = getMessageFormat(addressType, format);
+
+  if (addressType !== 'p2pkh' && !keyPair.compressed) {
+    throw new Error('SegWit addresses need a compressed public key.');
+  }
+
+  let signature;
+
+  if (messageFormat === 'bip137') {
+    const { signature: compact, recoveryId } = ecc.signRecoverable(bip137Hash(message), keyPair.privateKey);
+    const headerType = addressType === 'p2pkh' && !keyPair.compressed ? 'p2pkh-uncompressed' : addressType;
+    signature = Buffer.concat([Buffer.from([BIP137_HEADERS[headerType] + recoveryId]), compact]).toString('base64');
+  } else if (addressType === 'p2wpkh') {
+    const toSign = buildToSign(message, payment.output);
+    const scriptCode = bitcoin.payments.p2pkh({ hash: payment.hash }).output;
+    const hash = toSign.hashForWitnessV0(0, scriptCode, 0n, bitcoin.Transaction.SIGHASH_ALL);
+    // Grind for a low R value like Bitcoin Core, so signatures match its byte for byte
+    const encoded = bitcoin.script.signature.encode(keyPair.sign(hash, true), bitcoin.Transaction.SIGHASH_ALL);
+    signature = encodeWitness([encoded, keyPair.publicKey]);
+  } else {
+    // Key-path spend with the key tweaked by the (empty) script tree, as transactionBuilder signs
+    const toSign = buildToSign(message, payment.output);
+    const tweak = bitcoin.crypto.taggedHash('TapTweak', keyPair.publicKey.slice(1, 33));
+    const hash = toSign.hashForWitnessV1(0, [payment.output], [0n], bitcoin.Transaction.SIGHASH_DEFAULT);
+    signature = encodeWitness([keyPair.tweak(tweak).signSchnorr(hash)]);
+  }
+
+  return { address: payment.address, addressType, format: messageFormat, signature };
+}
+
+/**
+ * Verify a BIP137 signature
+ * Electrum and some hardware wallets sign SegWit addresses with the P2PKH header, so a
+ * compressed key is matched against all its single-key address types.
+ * @param {Buffer} output - Output script of the address
+ * @param {string} message - Message text
+ * @param {Buffer} bytes - 65-byte signature
+ * @param {Object} network - Network settings from getNetwork
+ * @returns {Object} { valid, reason }
+ */
+function verifyBip137(output, message, bytes, network) {
+  const header = bytes[0];
+  const recoveryId = (header - 27) & 3;
+  const compressed = header >= BIP137_HEADERS.p2pkh;
+  const publicKey = ecc.recover(bip137Hash(message), bytes.subarray(1), recoveryId, compressed);
+
+  if (!publicKey) {
+    return { valid: false, reason: 'No public key can be recovered from the signature.' };
+  }
+
+  const addressTypes = compressed ? ['p2pkh', 'p2sh-p2wpkh', 'p2wpkh'] : ['p2pkh'];
+  const matches = addressTypes.some(addressType =>
+    Buffer.from(createPayment(publicKey, addressType, network).output).equals(output)
+  );
+
+  return matches
+    ? { valid: true }
+    : { valid: false, reason: 'The signature was made by the key of another address.' };
+}
+
+/**
+ * Verify a BIP322 simple signature
+ * @param {Object} decoded - Address from decodeAddress
+ * @param {Buffer} output - Output script of the address
+ * @param {string} message - Message text
+ * @param {Buffer[]} witness - Witness stack of the signature
+ * @returns {Object} { valid, reason }
+ */
+function verifyBip322(decoded, output, message, witness) {
+  const toSign = buildToSign(message, output);
+
+  if (decoded.type === 'p2wpkh') {
+    if (witness.length !== 2 || witness[1].length !== 33) {
+      return { valid: false, reason: 'A P2WPKH signature has a signature and a compressed public key.' };
+    }
+
+    const [encoded, publicKey] = witness;
+    if (!Buffer.from(bitcoin.crypto.hash160(publicKey)).equals(Buffer.from(decoded.program))) {
+      return { valid: false, reason: 'The signature was made by the key of another address.' };
+    }
+
+    const { signature, hashType } = bitcoin.script.signature.decode(encoded);
+    if (hashType !== bitcoin.Transaction.SIGHASH_ALL) {
+      return { valid: false, reason: `Unsupported sighash type ${hashType}.` };
+    }
+
+    const scriptCode = bitcoin.payments.p2pkh({ hash: decoded.program }).output;
+    const hash = toSign.hashForWitnessV0(0, scriptCode, 0n, hashType);
+    return ecc.verify(hash, publicKey, signature)
+      ? { valid: true }
+      : { valid: false, reason: 'The signature does not match the message.' };
+  }
+
+  if (decoded.type === 'p2tr') {
+    const [signature] = witness;
+    if (witness.length !== 1 || (signature.length !== 64 && signature.length !== 65)) {
+      return { valid: false, reason: 'A Taproot key-path signature is a single 64 or 65-byte Schnorr signature.' };
+    }
+
+    const hashType = signature.length === 65 ? signature[64] : bitcoin.Transaction.SIGHASH_DEFAULT;
+    if (hashType !== bitcoin.Transaction.SIGHASH_DEFAULT && hashType !== bitcoin.Transaction.SIGHASH_ALL) {
+      return { valid: false, reason: `Unsupported sighash type ${hashType}.` };
+    }
+
+    const hash = toSign.hashForWitnessV1(0, [output], [0n], hashType);
+    return ecc.verifySchnorr(hash, decoded.program, signature.subarray(0, 64))
+      ? { valid: true }
+      : { valid: false, reason: 'The signature does not match the message.' };
+  }
+
+  return { valid: false, reason: `BIP322 simple signatures of ${decoded.type} addresses are not supported.` };
+}
+
+/**
+ * Verify a message signature with the address alone, no key needed
+ * The format is told apart by the signature: 65 bytes with a header byte of 27-42 is BIP137,
+ * anything else is read as a BIP322 simple signature.
+ * @param {string} address - Address that supposedly signed
+ * @param {string} message - Message text, exactly as signed
+ * @param {string} signature - Base64 signature
+ * @param {Object} options - Optional settings
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Object} { valid, format, address, reason }, reason explaining an invalid signature
+ */
+export function verifyMessage(address, message, signature, { network = getNetwork() } = {}) {
+  const decoded = decodeAddress(address, network);
+  const output = Buffer.from(bitcoin.address.toOutputScript(decoded.address, network.bitcoinjs));
+  const text = signature.trim();
+  const bytes = Buffer.from(text, 'base64');
+  const result = (format, { valid, reason }) => ({ valid, format, address: decoded.address, ...(valid ? {} : { reason }) });
+
+  if (bytes.length === 0 || bytes.toString('base64').replace(/=+$/, '') !== text.replace(/=+$/, '')) {
+    return result(null, { valid: false, reason: 'The signature is not valid base64.' });
+  }
+
+  const bip137 = bytes.length === 65 && bytes[0] >= 27 && bytes[0] <= 42;
+  const witness = bip137 ? null : decodeWitness(bytes);
+
+  if (!bip137 && !witness) {
+    return result(null, { valid: false, reason: 'The signature is neither BIP137 nor a BIP322 simple signature.' });
+  }
+
+  const format = bip137 ? 'bip137' : 'bip322';
+  try {
+    return result(format, bip137 ? verifyBip137(output, message, bytes, network) : verifyBip322(decoded, output, message, witness));
+  } catch (error) {
+    // Out-of-range or badly encoded signature values
+    return result(format, { valid: false, reason: `Malformed signature: ${error.message}` });
+  }
+}
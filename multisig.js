@@ -0,0 +1,144 @@
+import { getNetwork } from './networks.js';
+import { createMultisigPayment, MULTISIG_SCRIPT_TYPES } from './generateAddresFromPK.js';
+import { parseMultisigDescriptor, formatKeyExpression, MULTISIG_DESCRIPTOR_SCRIPTS } from './descriptors.js';
+import { multisigInputType } from './coinSelection.js';
+
+export const DEFAULT_MULTISIG_SCRIPT_TYPE = 'p2wsh';
+
+/**
+ * Account paths of multisig cosigner keys per script type: BIP48 for SegWit
+ * (script type 1' nested, 2' native) and BIP45 for legacy P2SH
+ */
+const COSIGNER_PATHS = {
+  p2wsh: (coinType, account) => `m/48'/${coinType}'/${account}'/2'`,
+  'p2sh-p2wsh': (coinType, account) => `m/48'/${coinType}'/${account}'/1'`,
+  p2sh: () => 'm/45\''
+};
+
+/**
+ * Get a validated multisig script type
+ * @param {string} name - Script type name (default: p2wsh)
+ * @returns {string} One of MULTISIG_SCRIPT_TYPES
+ */
+export function getMultisigScriptType(name) {
+  const scriptType = name || DEFAULT_MULTISIG_SCRIPT_TYPE;
+
+  if (!MULTISIG_SCRIPT_TYPES.includes(scriptType)) {
+    throw new Error(`Unknown multisig script type: ${scriptType}. Use one of: ${MULTISIG_SCRIPT_TYPES.join(', ')}`);
+  }
+
+  return scriptType;
+}
+
+/**
+ * Get the account path of a cosigner key
+ * Coin type is 0 on mainnet and 1 on every test network.
+ * @param {string} scriptType - One of MULTISIG_SCRIPT_TYPES
+ * @param {number} account - Account index (ignored for BIP45 P2SH)
+ * @param {Object} network - Network settings from getNetwork
+ * @returns {string} Account derivation path, e.g. m/48'/1'/0'/2'
+ */
+export function getCosignerPath(scriptType, account, network) {
+  return COSIGNER_PATHS[getMultisigScriptType(scriptType)](network.name === 'mainnet' ? 0 : 1, account);
+}
+
+/**
+ * Get the key a cosigner shares to set up a multisig wallet: the account xpub with its key origin
+ * @param {Object} root - BIP32 master node of the cosigner, from deriveMasterKey
+ * @param {Object} options - Optional settings
+ * @param {string} options.scriptType - One of MULTISIG_SCRIPT_TYPES (default: p2wsh)
+ * @param {number} options.account - Account index (default: 0)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {string} Key expression, e.g. [d34db33f/48h/1h/0h/2h]tpub.../<0;1>/*
+ */
+export function getCosignerKey(root, { scriptType, account = 0, network = getNetwork() } = {}) {
+  const path = getCosignerPath(scriptType, account, network);
+  const node = root.derivePath(path).neutered();
+
+  return formatKeyExpression({
+    node,
+    xpub: node.toBase58(),
+    fingerprint: Buffer.from(root.fingerprint).toString('hex'),
+    path,
+    chains: [[0], [1]]
+  });
+}
+
+/**
+ * Create the sortedmulti() descriptor of an m-of-n multisig wallet
+ * A bare xpub/tpub key gets receive and change chains (/<0;1>/*); hex public keys give a single address.
+ * @param {string[]} keys - Cosigner keys: key expressions, xpub/tpub keys or hex public keys
+ * @param {Object} options - Multisig settings
+ * @param {number} options.threshold - Signatures required to spend (m)
+ * @param {string} options.scriptType - One of MULTISIG_SCRIPT_TYPES (default: p2wsh)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Object} Multisig account from parseMultisigDescriptor, with its descriptor
+ */
+export function createMultisigAccount(keys, { threshold, scriptType, network = getNetwork() } = {}) {
+  const expressions = keys.map(key => {
+    const expression = key.trim();
+    return /^(\[[^\]]*\])?[1-9A-HJ-NP-Za-km-z]+$/.test(expression) ? `${expression}/<0;1>/*` : expression;
+  });
+  const body = MULTISIG_DESCRIPTOR_SCRIPTS[getMultisigScriptType(scriptType)](`sortedmulti(${threshold},${expressions.join(',')})`);
+
+  return parseMultisigDescriptor(body, { network });
+}
+
+/**
+ * Derive a multisig address and the keys of its cosigners
+ * @param {Object} account - Multisig account from parseMultisigDescriptor, with its network
+ * @param {number} chain - RECEIVE_CHAIN or CHANGE_CHAIN
+ * @param {number} index - Address index (ignored without extended keys)
+ * @returns {Object} Address, path, input type and the cosigner derivations: [{ fingerprint, path, publicKey }]
+ */
+export function deriveMultisigAddress(account, chain, index) {
+  const { threshold, keys } = account.multisig;
+
+  const derivations = keys.map(key => {
+    if (!key.node) {
+      return { fingerprint: key.fingerprint, path: key.path, publicKey: key.publicKey };
+    }
+
+    const steps = [...key.chains[chain], index];
+    const child = steps.reduce((node, step) => node.derive(step), key.node);
+    return { fingerprint: key.fingerprint, path: `${key.path}/${steps.join('/')}`, publicKey: Buffer.from(child.publicKey).toString('hex') };
+  });
+
+  const payment = createMultisigPayment(
+    derivations.map(derivation => Buffer.from(derivation.publicKey, 'hex')),
+    threshold,
+    account.addressType,
+    account.network
+  );
+
+  return {
+    address: payment.address,
+    path: account.ranged ? `m/${chain}/${index}` : 'm',
+    chain,
+    index,
+    publicKey: null,
+    privateKey: null,
+    multisig: { threshold, scriptType: account.addressType },
+    inputType: multisigInputType(account.addressType, threshold, keys.length),
+    derivations
+  };
+}
+
+/**
+ * Display the cosigners and threshold of a multisig wallet
+ * @param {Object} wallet - Multisig wallet from discoverWatchOnlyAccount
+ */
+export function displayMultisigInfo(wallet) {
+  console.log(`\n=== Multisig Wallet (${wallet.multisig.threshold}-of-${wallet.multisig.cosigners.length}, ${wallet.addressType}) ===`);
+  console.log('Cosigners:');
+  wallet.multisig.cosigners.forEach(cosigner => console.log(`  - ${cosigner}`));
+  console.log(`Descriptor: ${wallet.descriptor}`);
+  console.log(`Used Addresses: ${wallet.addresses.length}`);
+
+  wallet.addresses.forEach(entry => {
+    console.log(`  - ${entry.path} ${entry.address}: ${entry.availableBalance} satoshis`);
+  });
+
+  console.log(`Next Receive Address: ${wallet.receiveAddress}`);
+  console.log(`Next Change Address: ${wallet.changeAddress}`);
+}
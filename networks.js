@@ -0,0 +1,99 @@
+import * as bitcoin from 'bitcoinjs-lib';
+import { loadConfig } from './config.js';
+
+export const DEFAULT_NETWORK = 'testnet';
+
+/**
+ * Supported Bitcoin networks
+ * - bitcoinjs: address and key encoding parameters
+ * - apiUrl: Tatum data API base URL (null if Tatum does not serve the network)
+ * - feeUrl: Tatum fee estimate URL (null if none; fee rates then come from config)
+ * - esploraUrl: public Esplora REST API (null if none)
+ * - rpcUrl: default bitcoind JSON-RPC URL on localhost
+ * - defaultProvider: blockchain data provider used unless config sets one
+ * - explorerTxUrl: block explorer URL prefix for transactions (null if none)
+ */
+export const NETWORKS = {
+  mainnet: {
+    name: 'mainnet',
+    label: 'Mainnet',
+    bitcoinjs: bitcoin.networks.bitcoin,
+    apiUrl: 'https://api.tatum.io/v3/bitcoin',
+    feeUrl: 'https://api.tatum.io/v3/blockchain/fee/BTC',
+    esploraUrl: 'https://blockstream.info/api',
+    rpcUrl: 'http://127.0.0.1:8332',
+    defaultProvider: 'tatum',
+    explorerTxUrl: 'https://blockstream.info/tx/'
+  },
+  testnet: {
+    name: 'testnet',
+    label: 'Testnet',
+    bitcoinjs: bitcoin.networks.testnet,
+    apiUrl: 'https://api.tatum.io/v3/bitcoin',
+    feeUrl: 'https://api.tatum.io/v3/blockchain/fee/BTC',
+    esploraUrl: 'https://blockstream.info/testnet/api',
+    rpcUrl: 'http://127.0.0.1:18332',
+    defaultProvider: 'tatum',
+    explorerTxUrl: 'https://blockstream.info/testnet/tx/'
+  },
+  signet: {
+    name: 'signet',
+    label: 'Signet',
+    // Signet shares address and key encoding with testnet
+    bitcoinjs: bitcoin.networks.testnet,
+    apiUrl: null,
+    feeUrl: null,
+    esploraUrl: 'https://mempool.space/signet/api',
+    rpcUrl: 'http://127.0.0.1:38332',
+    defaultProvider: 'esplora',
+    explorerTxUrl: 'https://mempool.space/signet/tx/'
+  },
+  regtest: {
+    name: 'regtest',
+    label: 'Regtest',
+    bitcoinjs: bitcoin.networks.regtest,
+    apiUrl: null,
+    feeUrl: null,
+    esploraUrl: null,
+    rpcUrl: 'http://127.0.0.1:18443',
+    defaultProvider: 'bitcoind',
+    explorerTxUrl: null
+  }
+};
+
+/**
+ * Get the settings of a Bitcoin network
+ * The network name defaults to the `network` config value (or BTC_NETWORK), then testnet.
+ * An `apiUrl`, `feeUrl`, `esploraUrl`, `rpcUrl` or `explorerTxUrl` in config.json overrides
+ * the network default, e.g. to point regtest at a local Esplora instance.
+ * @param {string} name - Network name: mainnet, testnet, signet or regtest
+ * @returns {Object} Network settings
+ */
+export function getNetwork(name) {
+  const config = loadConfig();
+  const networkName = name || config.network || DEFAULT_NETWORK;
+  const network = NETWORKS[networkName];
+
+  if (!network) {
+    throw new Error(`Unknown network: ${networkName}. Use one of: ${Object.keys(NETWORKS).join(', ')}`);
+  }
+
+  return {
+    ...network,
+    apiUrl: config.apiUrl || network.apiUrl,
+    feeUrl: config.feeUrl || network.feeUrl,
+    esploraUrl: config.esploraUrl || network.esploraUrl,
+    rpcUrl: config.rpcUrl || network.rpcUrl,
+    explorerTxUrl: config.explorerTxUrl || network.explorerTxUrl
+  };
+}
+
+/**
+ * Get the block explorer link for a transaction
+ * @param {string} txHash - Transaction hash
+ * @param {Object} network - Network settings from getNetwork
+ * @returns {string|null} Explorer URL, or null if the network has no explorer
+ */
+export function getExplorerTxUrl(txHash, network = getNetwork()) {
+  return network.explorerTxUrl ? `${network.explorerTxUrl}${txHash}` : null;
+}
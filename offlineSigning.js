@@ -0,0 +1,480 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { extname } from 'path';
+import * as bitcoin from 'bitcoinjs-lib';
+import { getNetwork } from './networks.js';
+import {
+  addressFromOutputScript,
+  createPayment,
+  createMultisigPayment,
+  generateAllAddressesFromPrivateKey,
+  getScriptType,
+  getKeyFingerprint,
+  ADDRESS_TYPES,
+  MULTISIG_SCRIPT_TYPES
+} from './generateAddresFromPK.js';
+import { deriveMasterKey } from './hdWallet.js';
+import { estimateVsize, multisigInputType } from './coinSelection.js';
+import { signPsbtInputs, finalizePsbt, extractTransaction, getInputPrevout, getMultisigScript } from './transactionBuilder.js';
+
+// Every serialized PSBT starts with "psbt" and 0xff (BIP174)
+const PSBT_MAGIC = Buffer.from('70736274ff', 'hex');
+
+// Inputs with a lower sequence signal replace-by-fee (BIP125)
+const MAX_RBF_SEQUENCE = 0xfffffffd;
+
+/**
+ * Parse a PSBT from its base64 or hex encoding
+ * @param {string} text - Base64 or hex PSBT
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {bitcoin.Psbt} PSBT
+ */
+export function parsePsbt(text, network = getNetwork()) {
+  const trimmed = text.trim();
+  const buffer = /^[0-9a-fA-F]+$/.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+
+  if (!buffer.subarray(0, PSBT_MAGIC.length).equals(PSBT_MAGIC)) {
+    throw new Error('Not a PSBT: expected base64 or hex starting with the PSBT magic bytes.');
+  }
+
+  try {
+    return bitcoin.Psbt.fromBuffer(buffer, { network: network.bitcoinjs });
+  } catch (error) {
+    throw new Error(`Invalid PSBT: ${error.message}`);
+  }
+}
+
+/**
+ * Read a PSBT given on the command line: a file (binary, base64 or hex) or the encoded PSBT itself
+ * @param {string} input - File path, or base64/hex PSBT
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {bitcoin.Psbt} PSBT
+ */
+export function readPsbt(input, network = getNetwork()) {
+  if (!input) {
+    throw new Error('No PSBT given: pass a PSBT file or the base64 PSBT.');
+  }
+
+  if (!existsSync(input)) {
+    return parsePsbt(input, network);
+  }
+
+  const content = readFileSync(input);
+  return content.subarray(0, PSBT_MAGIC.length).equals(PSBT_MAGIC)
+    ? bitcoin.Psbt.fromBuffer(content, { network: network.bitcoinjs })
+    : parsePsbt(content.toString('utf8'), network);
+}
+
+/**
+ * Write a PSBT to a file: binary for .psbt files (as hardware wallets and Bitcoin Core expect), base64 otherwise
+ * @param {bitcoin.Psbt} psbt - PSBT
+ * @param {string} path - File path
+ */
+export function writePsbt(psbt, path) {
+  if (extname(path).toLowerCase() === '.psbt') {
+    writeFileSync(path, psbt.toBuffer());
+  } else {
+    writeFileSync(path, `${psbt.toBase64()}\n`);
+  }
+}
+
+/**
+ * Get the BIP32 key origins of a PSBT input or output
+ * @param {Object} data - PSBT input or output data
+ * @returns {Array} Derivations: [{ masterFingerprint, pubkey, path }]
+ */
+function getDerivations(data) {
+  return [...(data.bip32Derivation || []), ...(data.tapBip32Derivation || [])];
+}
+
+/**
+ * Check whether a derived public key is the one recorded in a key origin
+ * @param {Uint8Array} publicKey - Compressed public key
+ * @param {Uint8Array} recorded - Public key of the derivation, x-only (32 bytes) for Taproot
+ * @returns {boolean} True if they match
+ */
+function matchesPublicKey(publicKey, recorded) {
+  const key = recorded.length === 32 ? publicKey.slice(1, 33) : publicKey;
+  return Buffer.from(key).equals(Buffer.from(recorded));
+}
+
+/**
+ * Get the input type of a PSBT input for size estimates
+ * @param {Object} input - PSBT input data
+ * @param {string|null} address - Address the input spends
+ * @param {Object} network - Network settings from getNetwork
+ * @returns {string} Script type, or a multisig input type such as p2wsh-2-of-3
+ */
+function getInputType(input, address, network) {
+  const multisig = getMultisigScript(input);
+  if (!multisig) {
+    return getScriptType(address, network);
+  }
+
+  const scriptType = input.witnessScript ? (input.redeemScript ? 'p2sh-p2wsh' : 'p2wsh') : 'p2sh';
+  return multisigInputType(scriptType, multisig.m, multisig.n);
+}
+
+/**
+ * Check whether a key origin of a PSBT input or output is a key of this wallet that pays to its address
+ * @param {Object} root - BIP32 master node of the wallet
+ * @param {Object} data - PSBT input or output data
+ * @param {string|null} address - Address the input spends or the output pays to
+ * @param {Object} derivation - Key origin with the wallet's master fingerprint
+ * @param {Object} network - Network settings from getNetwork
+ * @returns {boolean} True if the wallet owns the address at that key origin
+ */
+function ownsAddress(root, data, address, derivation, network) {
+  const child = root.derivePath(derivation.path);
+  const multisig = getMultisigScript(data);
+
+  // A multisig address must be a script with our key among its cosigners
+  return matchesPublicKey(child.publicKey, derivation.pubkey) && (multisig
+    ? multisig.pubkeys.some(pubkey => matchesPublicKey(child.publicKey, pubkey))
+      && MULTISIG_SCRIPT_TYPES.some(scriptType => createMultisigPayment(multisig.pubkeys, multisig.m, scriptType, network).address === address)
+    : ADDRESS_TYPES.some(addressType => createPayment(child.publicKey, addressType, network).address === address));
+}
+
+/**
+ * Get the addresses of a PSBT that belong to a wallet secret
+ * A single key owns its addresses of every type. For a mnemonic, a key origin in the PSBT only counts
+ * when the key derived at its path pays to the address: anyone can add key origins to a PSBT.
+ * @param {bitcoin.Psbt} psbt - PSBT
+ * @param {Object} secret - { mnemonic, passphrase } or { privateKey }
+ * @param {Object} network - Network settings from getNetwork
+ * @returns {Set<string>} Addresses of the inputs and outputs that the wallet owns
+ */
+function getOwnAddresses(psbt, secret, network) {
+  if (secret.privateKey) {
+    return new Set(Object.values(generateAllAddressesFromPrivateKey(secret.privateKey, network)));
+  }
+
+  const root = deriveMasterKey(secret.mnemonic, { passphrase: secret.passphrase, network });
+  const fingerprint = Buffer.from(root.fingerprint);
+  const own = new Set();
+  const entries = [
+    ...psbt.data.inputs.map((input, index) => [input, input.witnessUtxo || input.nonWitnessUtxo ? addressFromOutputScript(getInputPrevout(psbt, index).script, network) : null]),
+    ...psbt.data.outputs.map((output, index) => [output, addressFromOutputScript(psbt.txOutputs[index].script, network)])
+  ];
+
+  for (const [data, address] of entries) {
+    const owned = address && getDerivations(data).some(derivation => fingerprint.equals(Buffer.from(derivation.masterFingerprint))
+      && ownsAddress(root, data, address, derivation, network));
+    if (owned) {
+      own.add(address);
+    }
+  }
+
+  return own;
+}
+
+/**
+ * Describe a PSBT: inputs, outputs, fee, change and signing progress
+ * Only outputs that pay back to the given wallet are change; without a wallet every output is a
+ * payment. Key origins of outputs are listed, but a PSBT can claim any output as change.
+ * @param {bitcoin.Psbt} psbt - PSBT
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @param {Object} options - Optional settings
+ * @param {Object} options.secret - Secret of the wallet to find change for: { mnemonic, passphrase } or { privateKey } (default: none)
+ * @returns {Object} Decoded PSBT: status, inputs, outputs, inputSum, outputSum, fee, vsize, feeRate, rbf
+ */
+export function decodePsbt(psbt, network = getNetwork(), { secret = null } = {}) {
+  const inputs = psbt.data.inputs.map((input, index) => {
+    const { hash, index: vout, sequence } = psbt.txInputs[index];
+    const prevout = input.witnessUtxo || input.nonWitnessUtxo ? getInputPrevout(psbt, index) : null;
+    const multisig = getMultisigScript(input);
+
+    return {
+      utxo: `${Buffer.from(hash).reverse().toString('hex')}:${vout}`,
+      address: prevout ? addressFromOutputScript(prevout.script, network) : null,
+      value: prevout ? Number(prevout.value) : null,
+      paths: getDerivations(input).map(derivation => derivation.path),
+      signatures: (input.partialSig || []).length + (input.tapKeySig ? 1 : 0),
+      // Signatures a multisig input needs before it can be finalized
+      required: multisig ? multisig.m : 1,
+      finalized: Boolean(input.finalScriptSig || input.finalScriptWitness),
+      rbf: sequence <= MAX_RBF_SEQUENCE
+    };
+  });
+
+  const own = secret && (secret.mnemonic || secret.privateKey) ? getOwnAddresses(psbt, secret, network) : new Set();
+  const outputs = psbt.txOutputs.map((output, index) => {
+    const address = addressFromOutputScript(output.script, network);
+    const paths = getDerivations(psbt.data.outputs[index]).map(derivation => derivation.path);
+
+    return { address, value: Number(output.value), paths, change: own.has(address) };
+  });
+
+  const complete = inputs.every(input => input.value !== null);
+  const inputSum = complete ? inputs.reduce((sum, input) => sum + input.value, 0) : null;
+  const outputSum = outputs.reduce((sum, output) => sum + output.value, 0);
+  const fee = complete ? inputSum - outputSum : null;
+
+  const finalized = inputs.every(input => input.finalized);
+  const signedInputs = inputs.filter(input => input.finalized || input.signatures >= input.required).length;
+
+  let vsize = null;
+  try {
+    vsize = finalized
+      ? psbt.extractTransaction(true).virtualSize()
+      : estimateVsize(
+        psbt.data.inputs.map((input, index) => getInputType(input, inputs[index].address, network)),
+        outputs.map(output => output.address ? getScriptType(output.address, network) : 'unknown')
+      );
+  } catch (error) {
+    // Unknown input script type: the size cannot be estimated
+  }
+
+  let status = 'unsigned';
+  if (finalized) {
+    status = 'finalized';
+  } else if (signedInputs === inputs.length) {
+    status = 'signed';
+  } else if (inputs.some(input => input.finalized || input.signatures > 0)) {
+    status = 'partially signed';
+  }
+
+  return {
+    status,
+    signedInputs,
+    inputs,
+    outputs,
+    inputSum,
+    outputSum,
+    fee,
+    vsize,
+    vsizeEstimated: !finalized,
+    feeRate: fee !== null && vsize ? Math.round((fee / vsize) * 100) / 100 : null,
+    rbf: inputs.some(input => input.rbf)
+  };
+}
+
+/**
+ * Display a decoded PSBT for review before signing or broadcasting
+ * @param {Object} decoded - Result of decodePsbt
+ */
+export function displayPsbt(decoded) {
+  const approx = decoded.vsizeEstimated ? '~' : '';
+
+  console.log('\n=== PSBT ===');
+  console.log(`Status: ${decoded.status} (${decoded.signedInputs} of ${decoded.inputs.length} inputs fully signed)`);
+  console.log(`\nInputs: ${decoded.inputs.length}`);
+  decoded.inputs.forEach(input => {
+    const value = input.value === null ? 'unknown amount' : `${input.value} satoshis`;
+    const path = input.paths.length > 0 ? ` [${input.paths.join(', ')}]` : '';
+    const state = input.finalized ? 'finalized' : `${input.signatures} of ${input.required} signature(s)`;
+    console.log(`  - ${input.utxo} ${input.address || 'unknown address'}: ${value}${path} (${state})`);
+  });
+  console.log(`\nOutputs: ${decoded.outputs.length}`);
+  decoded.outputs.forEach(output => {
+    const path = output.paths.length > 0 ? ` [${output.paths.join(', ')}]` : '';
+    console.log(`  - ${output.address || 'non-standard script'}: ${output.value / 100000000} BTC (${output.value} satoshis)${path}${output.change ? ' (change)' : ''}`);
+  });
+
+  const sent = decoded.outputs.filter(output => !output.change).reduce((sum, output) => sum + output.value, 0);
+  console.log(`\nSending: ${sent / 100000000} BTC (${sent} satoshis)`);
+  if (decoded.fee === null) {
+    console.log('Fee: unknown (inputs without previous output data)');
+  } else {
+    const rate = decoded.feeRate === null ? '' : `, ${approx}${decoded.feeRate} sat/vB for ${approx}${decoded.vsize} vB`;
+    console.log(`Fee: ${decoded.fee / 100000000} BTC (${decoded.fee} satoshis${rate})`);
+  }
+  console.log(`Replace-by-fee: ${decoded.rbf ? 'yes' : 'no'}`);
+  console.log('');
+}
+
+/**
+ * Refuse a PSBT whose change outputs claim keys of this wallet that do not match
+ * A tampered change output would otherwise send the change elsewhere unnoticed.
+ * @param {bitcoin.Psbt} psbt - PSBT to sign
+ * @param {Object} root - BIP32 master node of the signing wallet
+ * @param {Object} network - Network settings from getNetwork
+ */
+function verifyChangeOutputs(psbt, root, network) {
+  const fingerprint = Buffer.from(root.fingerprint);
+
+  psbt.data.outputs.forEach((output, index) => {
+    for (const derivation of getDerivations(output)) {
+      if (!fingerprint.equals(Buffer.from(derivation.masterFingerprint))) {
+        continue;
+      }
+
+      const address = addressFromOutputScript(psbt.txOutputs[index].script, network);
+      if (!ownsAddress(root, output, address, derivation, network)) {
+        throw new Error(`Output ${index} claims to be change at ${derivation.path}, but this wallet does not own ${address}. Do not sign this PSBT.`);
+      }
+    }
+  });
+}
+
+/**
+ * Get the private keys of a wallet secret for the inputs of a PSBT
+ * A mnemonic signs the inputs whose key origin names its master fingerprint;
+ * a single private key signs inputs paying to any of its address types, and
+ * multisig inputs that list its public key.
+ * @param {bitcoin.Psbt} psbt - PSBT to sign
+ * @param {Object} secret - { mnemonic, passphrase } or { privateKey }
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {Array} Keys for signPsbtInputs: [{ address, privateKey }]
+ */
+export function getSigningKeys(psbt, secret, network = getNetwork()) {
+  if (secret.privateKey) {
+    return Object.values(generateAllAddressesFromPrivateKey(secret.privateKey, network))
+      .map(address => ({ address, privateKey: secret.privateKey }));
+  }
+
+  if (!secret.mnemonic) {
+    throw new Error('A watch-only wallet cannot sign. Sign with the wallet that holds the keys.');
+  }
+
+  const root = deriveMasterKey(secret.mnemonic, { passphrase: secret.passphrase, network });
+  const fingerprint = Buffer.from(root.fingerprint);
+  const keys = [];
+
+  verifyChangeOutputs(psbt, root, network);
+
+  psbt.data.inputs.forEach((input, index) => {
+    const address = addressFromOutputScript(getInputPrevout(psbt, index).script, network);
+
+    for (const derivation of getDerivations(input)) {
+      if (!fingerprint.equals(Buffer.from(derivation.masterFingerprint))) {
+        continue;
+      }
+
+      const child = root.derivePath(derivation.path);
+      if (matchesPublicKey(child.publicKey, derivation.pubkey)) {
+        keys.push({ address, privateKey: child.toWIF() });
+      }
+    }
+  });
+
+  return keys;
+}
+
+/**
+ * Sign the inputs of a PSBT that a wallet secret owns, without any network access
+ * @param {bitcoin.Psbt} psbt - PSBT to sign
+ * @param {Object} secret - { mnemonic, passphrase } or { privateKey }
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {number} Number of inputs signed
+ */
+export function signPsbtWithSecret(psbt, secret, network = getNetwork()) {
+  const signed = signPsbtInputs(psbt, getSigningKeys(psbt, secret, network), network);
+
+  if (signed === 0) {
+    throw new Error('This wallet owns none of the unsigned inputs of the PSBT.');
+  }
+
+  return signed;
+}
+
+/**
+ * Get the id of the unsigned transaction of a PSBT
+ * It stays the same as signatures are added, so it names the payment from creation to broadcast.
+ * With SegWit inputs only it is also the id of the broadcast transaction.
+ * @param {bitcoin.Psbt} psbt - PSBT
+ * @returns {string} Transaction id (hex)
+ */
+export function getUnsignedTxid(psbt) {
+  return bitcoin.Transaction.fromBuffer(psbt.data.getTransaction()).getId();
+}
+
+/**
+ * Read the items of a serialized witness stack
+ * @param {Uint8Array} witness - finalScriptWitness of a PSBT input
+ * @returns {Buffer[]} Witness items
+ */
+function readWitness(witness) {
+  const buffer = Buffer.from(witness);
+  let offset = 0;
+  const readLength = () => {
+    const first = buffer[offset++];
+    if (first < 0xfd) {
+      return first;
+    }
+    const size = first === 0xfd ? 2 : 4;
+    const length = buffer.readUIntLE(offset, size);
+    offset += size;
+    return length;
+  };
+
+  return Array.from({ length: readLength() }, () => {
+    const length = readLength();
+    offset += length;
+    return buffer.subarray(offset - length, offset);
+  });
+}
+
+/**
+ * Check whether a script or witness item is a public key
+ * @param {*} item - Item
+ * @returns {boolean} True for compressed and uncompressed keys
+ */
+function isPublicKey(item) {
+  return item instanceof Uint8Array && ((item.length === 33 && (item[0] === 2 || item[0] === 3)) || (item.length === 65 && item[0] === 4));
+}
+
+/**
+ * Identify the wallets that signed a PSBT, by the keys of their signatures
+ * A key with a key origin is named by its master fingerprint, any other key by its own fingerprint:
+ * the ids getWalletId gives an HD wallet and a single key. Finalized inputs keep no key origins,
+ * so their keys are named by their own fingerprint.
+ * @param {bitcoin.Psbt} psbt - Signed PSBT
+ * @returns {string[]} Wallet ids of the signers
+ * @throws {Error} If an input is signed by a key that cannot be told from its signature
+ */
+export function getPsbtSigners(psbt) {
+  const signers = new Set();
+
+  psbt.data.inputs.forEach((input, index) => {
+    const derivations = getDerivations(input);
+    const nameKey = (pubkey) => {
+      const origin = derivations.find(derivation => Buffer.from(derivation.pubkey).equals(Buffer.from(pubkey)));
+      return origin ? Buffer.from(origin.masterFingerprint).toString('hex') : getKeyFingerprint(pubkey);
+    };
+
+    let keys = [
+      ...(input.partialSig || []).map(entry => entry.pubkey),
+      ...(input.tapScriptSig || []).map(entry => entry.pubkey),
+      ...(input.tapKeySig && input.tapInternalKey ? [input.tapInternalKey] : [])
+    ];
+    if (input.finalScriptWitness || input.finalScriptSig) {
+      const items = [
+        ...(input.finalScriptSig ? bitcoin.script.decompile(input.finalScriptSig) || [] : []),
+        ...(input.finalScriptWitness ? readWitness(input.finalScriptWitness) : [])
+      ];
+      keys = items.filter(isPublicKey);
+    }
+
+    const signed = input.finalScriptWitness || input.finalScriptSig || input.tapKeySig || (input.partialSig || []).length > 0 || (input.tapScriptSig || []).length > 0;
+    if (signed && keys.length === 0) {
+      throw new Error(`Cannot tell which wallet signed input ${index} of the PSBT, so the spending policy cannot be checked. Broadcast it before it is finalized, with the key origins of its signers.`);
+    }
+    keys.forEach(pubkey => signers.add(nameKey(pubkey)));
+  });
+
+  return [...signers];
+}
+
+/**
+ * Merge the signatures of several copies of the same PSBT
+ * @param {Array} psbts - PSBTs of the same unsigned transaction
+ * @returns {bitcoin.Psbt} The first PSBT, with the data of the others added
+ */
+export function combinePsbts(psbts) {
+  const [first, ...others] = psbts;
+
+  try {
+    return first.combine(...others);
+  } catch (error) {
+    throw new Error(`Cannot combine the PSBTs: ${error.message}`);
+  }
+}
+
+/**
+ * Validate the signatures of a signed PSBT and extract the raw transaction
+ * @param {bitcoin.Psbt} psbt - Signed PSBT
+ * @returns {{ hex: string, txId: string, vsize: number, fee: number }} Raw transaction, its id, size and fee in satoshis
+ */
+export function finalizeTransaction(psbt) {
+  return extractTransaction(finalizePsbt(psbt));
+}
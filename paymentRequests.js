@@ -0,0 +1,142 @@
+import { extname } from 'path';
+import QRCode from 'qrcode';
+import { getNetwork } from './networks.js';
+import { decodeAddress, parseAmount, ValidationError } from './validation.js';
+
+/**
+ * QR code file formats, picked by file extension
+ */
+export const QR_FORMATS = ['svg', 'png'];
+
+// Error correction of rendered QR codes: M recovers 15% of the code, enough for a screen or printout
+const QR_ERROR_CORRECTION = 'M';
+
+/**
+ * Format satoshis as an exact decimal BTC amount, without trailing zeros
+ * @param {number} satoshis - Amount in satoshis
+ * @returns {string} Amount in BTC, e.g. "0.0015"
+ */
+function formatBtcAmount(satoshis) {
+  const whole = Math.floor(satoshis / 100000000);
+  const fraction = String(satoshis % 100000000).padStart(8, '0').replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : String(whole);
+}
+
+/**
+ * Build a BIP21 payment URI
+ * @param {string} address - Address to pay
+ * @param {Object} options - Optional settings
+ * @param {number} options.amount - Requested amount in satoshis (default: none, the payer chooses)
+ * @param {string} options.label - Name of the recipient (default: none)
+ * @param {string} options.message - Note describing the payment (default: none)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {string} URI, e.g. bitcoin:tb1q...?amount=0.0015&label=Shop
+ */
+export function createPaymentUri(address, { amount = null, label = '', message = '', network = getNetwork() } = {}) {
+  const decoded = decodeAddress(address, network);
+  const params = [];
+
+  if (amount !== null) {
+    params.push(`amount=${formatBtcAmount(amount)}`);
+  }
+  if (label) {
+    params.push(`label=${encodeURIComponent(label)}`);
+  }
+  if (message) {
+    params.push(`message=${encodeURIComponent(message)}`);
+  }
+
+  return `bitcoin:${decoded.address}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+}
+
+/**
+ * Check whether text is a BIP21 URI rather than a plain address
+ * @param {string} text - Address or URI
+ * @returns {boolean} True if the text starts with the bitcoin: scheme
+ */
+export function isPaymentUri(text) {
+  return /^bitcoin:/i.test(String(text).trim());
+}
+
+/**
+ * Parse a BIP21 payment URI
+ * Parameters starting with req- must be understood by the payer, so unknown ones reject the URI.
+ * @param {string} uri - URI, e.g. bitcoin:tb1q...?amount=0.0015&label=Shop
+ * @param {Object} options - Optional settings
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Object} { address, amount, label, message }, amount in satoshis or null
+ * @throws {ValidationError} If the URI, its address or its amount is invalid
+ */
+export function parsePaymentUri(uri, { network = getNetwork() } = {}) {
+  const text = String(uri).trim();
+
+  if (!isPaymentUri(text)) {
+    throw new ValidationError('Invalid payment URI: it must start with bitcoin:', 'uri');
+  }
+
+  const [target, query = ''] = text.slice('bitcoin:'.length).split('?', 2);
+
+  if (!target) {
+    throw new ValidationError('Invalid payment URI: it has no on-chain address.', 'uri');
+  }
+
+  const result = { address: decodeAddress(target, network).address, amount: null, label: '', message: '' };
+  const seen = new Set();
+
+  for (const pair of query.split('&').filter(Boolean)) {
+    const separator = pair.indexOf('=');
+    const key = (separator === -1 ? pair : pair.slice(0, separator)).toLowerCase();
+    let value;
+    try {
+      value = decodeURIComponent(separator === -1 ? '' : pair.slice(separator + 1));
+    } catch (error) {
+      throw new ValidationError(`Invalid payment URI: the ${key} parameter is not properly encoded.`, 'uri');
+    }
+
+    if (seen.has(key)) {
+      throw new ValidationError(`Invalid payment URI: the ${key} parameter appears twice.`, 'uri');
+    }
+    seen.add(key);
+
+    if (key === 'amount') {
+      // BIP21 amounts are plain decimal BTC, without a unit
+      if (!/^\d*\.?\d*$/.test(value)) {
+        throw new ValidationError(`Invalid payment URI amount: "${value}". BIP21 amounts are decimal BTC.`, 'amount');
+      }
+      result.amount = parseAmount(value);
+    } else if (key === 'label' || key === 'message') {
+      result[key] = value;
+    } else if (key.startsWith('req-')) {
+      throw new ValidationError(`The payment URI requires "${key.slice(4)}", which this wallet does not support.`, 'uri');
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Render text as a QR code for the terminal
+ * Each character holds two rows of modules, so the code stays small enough to scan from the screen.
+ * @param {string} text - Text to encode, e.g. a payment URI
+ * @returns {Promise<string>} QR code drawn with block characters
+ */
+export function renderQrCode(text) {
+  return QRCode.toString(text, { type: 'terminal', small: true, errorCorrectionLevel: QR_ERROR_CORRECTION });
+}
+
+/**
+ * Write text as a QR code image, SVG or PNG by file extension
+ * @param {string} path - Image file path (.svg or .png)
+ * @param {string} text - Text to encode, e.g. a payment URI
+ * @returns {Promise<string>} The image format
+ */
+export async function writeQrCode(path, text) {
+  const format = extname(path).slice(1).toLowerCase();
+
+  if (!QR_FORMATS.includes(format)) {
+    throw new Error(`Unknown QR code format: ${path}. Use a .${QR_FORMATS.join(' or .')} file.`);
+  }
+
+  await QRCode.toFile(path, text, { type: format, errorCorrectionLevel: QR_ERROR_CORRECTION, margin: 4, width: 512 });
+  return format;
+}
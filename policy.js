@@ -0,0 +1,505 @@
+import crypto from 'crypto';
+import { readFileSync, appendFileSync, existsSync } from 'fs';
+import { loadConfig } from './config.js';
+import { getNetwork } from './networks.js';
+import { decodeAddress, parseAmount } from './validation.js';
+import { verifyMessage } from './messageSigning.js';
+import { keyPairFromPrivateKey, getKeyFingerprint } from './generateAddresFromPK.js';
+import { listWallets, getKeystorePath } from './keystore.js';
+import { getDescriptorId } from './descriptors.js';
+
+export const DEFAULT_AUDIT_LOG_PATH = './audit-log.jsonl';
+
+// How long a second approver has to approve a payment (milliseconds)
+export const APPROVAL_TTL = 24 * 60 * 60 * 1000;
+
+// Windows of the daily and weekly limits, rolling back from the time of the send
+const DAY = 24 * 60 * 60 * 1000;
+const WEEK = 7 * DAY;
+
+// Rules of a policy with a BTC amount as their value
+const AMOUNT_RULES = ['maxAmount', 'dailyLimit', 'weeklyLimit', 'approvalThreshold'];
+
+// Hash that starts the chain of audit log entries
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * A transaction is refused by the spending policy
+ */
+export class PolicyError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Array} violations - Broken rules: [{ rule, message }]
+   * @param {Object|null} approval - Pending approval request: { requestId, message }, if one is needed
+   */
+  constructor(message, violations = [], approval = null) {
+    super(message);
+    this.name = 'PolicyError';
+    this.violations = violations;
+    this.approval = approval;
+  }
+}
+
+/**
+ * Get the path of the audit log
+ * The path defaults to the `auditLogPath` config value (or BTC_AUDIT_LOG), then ./audit-log.jsonl.
+ * @returns {string} Audit log path
+ */
+export function getAuditLogPath() {
+  return loadConfig().auditLogPath || DEFAULT_AUDIT_LOG_PATH;
+}
+
+/**
+ * Get the id a wallet is known by in policies and the audit log
+ * The id comes from the keys, not from a name or address, so a wallet keeps its limits however it
+ * is loaded: from the keystore under any name, from a mnemonic, key or descriptor on the command line.
+ * @param {Object} wallet - Wallet from loadWallet: an HD wallet with its fingerprint, a single key in keys,
+ *   or a watch-only wallet with its descriptor
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {string} Master key fingerprint of an HD wallet, key fingerprint of a single key, descriptor id
+ *   (getDescriptorId) of a watch-only wallet without a fingerprint, such as a multisig account
+ */
+export function getWalletId(wallet, network = getNetwork()) {
+  if (wallet.fingerprint) {
+    return wallet.fingerprint;
+  }
+
+  const privateKey = wallet.keys?.[0]?.privateKey;
+  if (privateKey) {
+    return getKeyFingerprint(keyPairFromPrivateKey(privateKey, network).publicKey);
+  }
+  if (wallet.descriptor) {
+    return getDescriptorId(wallet.descriptor);
+  }
+  throw new Error('Cannot identify the wallet for its spending policy: it has no master key fingerprint, private key or descriptor.');
+}
+
+/**
+ * Get the rules that `policy.wallets` holds for a wallet
+ * Rules are looked up by the wallet id and by the name of every stored wallet with the same keys.
+ * @param {Object} wallets - The `policy.wallets` section of the configuration
+ * @param {string} walletId - Wallet id from getWalletId
+ * @param {string} keystorePath - Keystore file path
+ * @returns {Object} Rules of the wallet, empty if it has none
+ */
+function getWalletRules(wallets, walletId, keystorePath) {
+  const stored = listWallets(keystorePath).filter(entry => entry.name in wallets);
+
+  // Without its fingerprint a stored wallet cannot be matched, so its rules could be bypassed
+  const unknown = stored.find(entry => !entry.fingerprint && entry.type !== 'watch-only');
+  if (unknown) {
+    throw new Error(`The spending policy has rules for wallet ${unknown.name}, whose key fingerprint is not recorded yet. Unlock it once (e.g. node cli.js balance --wallet ${unknown.name}) to record it.`);
+  }
+
+  const keys = [walletId, ...stored.filter(entry => entry.fingerprint === walletId).map(entry => entry.name)];
+  const matches = [...new Set(keys)].filter(key => wallets[key]);
+  const distinct = new Set(matches.map(key => JSON.stringify(wallets[key])));
+
+  if (distinct.size > 1) {
+    throw new Error(`Conflicting spending policy rules for the same keys: policy.wallets ${matches.join(', ')}. Keep one of them.`);
+  }
+  return matches.length > 0 ? wallets[matches[0]] : {};
+}
+
+/**
+ * Check a list of addresses of a policy
+ * @param {*} list - Configured value
+ * @param {string} field - Name of the list in error messages
+ * @param {Object} network - Network settings from getNetwork
+ * @returns {string[]} Addresses in canonical form
+ */
+function parseAddressList(list, field, network) {
+  if (!Array.isArray(list)) {
+    throw new Error(`Invalid ${field}: use a list of addresses.`);
+  }
+  return list.map(address => decodeAddress(address, network).address);
+}
+
+/**
+ * Get the spending policy of a wallet
+ * The `policy` section of config.json holds the rules for every wallet, and
+ * `policy.wallets.<name>` overrides them for one wallet, by keystore name or wallet id.
+ * Rules without a value are not checked.
+ * @param {string|null} walletId - Wallet id from getWalletId, or null for the rules of every wallet
+ * @param {Object} options - Optional settings
+ * @param {Object} options.config - Configuration (default: loadConfig())
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {string} options.keystorePath - Keystore to look up wallet names in (default: configured keystore)
+ * @returns {Object|null} Policy with amounts in satoshis, or null if no policy is configured
+ */
+export function getPolicy(walletId, { config = loadConfig(), network = getNetwork(), keystorePath = getKeystorePath() } = {}) {
+  if (!config.policy) {
+    return null;
+  }
+
+  const { wallets = {}, ...defaults } = config.policy;
+  const rules = { ...defaults, ...(walletId ? getWalletRules(wallets, walletId, keystorePath) : {}) };
+  const policy = {
+    maxAmount: null,
+    dailyLimit: null,
+    weeklyLimit: null,
+    maxFeeRate: null,
+    maxFeeRatio: null,
+    allowlist: [],
+    denylist: [],
+    approvalThreshold: null,
+    approvers: []
+  };
+
+  for (const rule of Object.keys(rules)) {
+    if (!(rule in policy)) {
+      throw new Error(`Unknown spending policy rule: ${rule}. Use one of: ${Object.keys(policy).join(', ')}`);
+    }
+  }
+
+  for (const rule of AMOUNT_RULES) {
+    if (rules[rule] !== undefined && rules[rule] !== null) {
+      policy[rule] = parseAmount(rules[rule], { field: `policy ${rule}`, allowZero: true });
+    }
+  }
+
+  for (const rule of ['maxFeeRate', 'maxFeeRatio']) {
+    if (rules[rule] !== undefined && rules[rule] !== null) {
+      const value = Number(rules[rule]);
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`Invalid policy ${rule}: ${rules[rule]}. Use a positive number.`);
+      }
+      policy[rule] = value;
+    }
+  }
+
+  for (const rule of ['allowlist', 'denylist', 'approvers']) {
+    if (rules[rule] !== undefined) {
+      policy[rule] = parseAddressList(rules[rule], `policy ${rule}`, network);
+    }
+  }
+
+  if (policy.approvalThreshold !== null && policy.approvers.length === 0) {
+    throw new Error('The spending policy has an approvalThreshold but no approvers: add their addresses to policy.approvers.');
+  }
+
+  return policy;
+}
+
+/**
+ * Hash an audit log entry together with the hash of the entry before it
+ * @param {string} prev - Hash of the previous entry
+ * @param {Object} entry - Entry without its hash
+ * @returns {string} Hex hash
+ */
+function hashEntry(prev, entry) {
+  return crypto.createHash('sha256').update(prev).update(JSON.stringify(entry)).digest('hex');
+}
+
+/**
+ * Read the audit log
+ * @param {string} path - Audit log path (default: configured audit log)
+ * @returns {Array} Entries, oldest first; empty if the log does not exist
+ */
+export function readAuditLog(path = getAuditLogPath()) {
+  if (!existsSync(path)) {
+    return [];
+  }
+
+  return readFileSync(path, 'utf8').split('\n').filter(line => line.trim()).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Corrupt audit log ${path}: line ${i + 1} is not JSON.`);
+    }
+  });
+}
+
+/**
+ * Append an entry to the audit log
+ * Entries are only ever appended. Each one carries the hash of the one before it,
+ * so verifyAuditLog detects entries that were changed or removed later.
+ * @param {Object} fields - Entry content: event, wallet and details
+ * @param {Object} options - Optional settings
+ * @param {string} options.path - Audit log path (default: configured audit log)
+ * @param {number} options.now - Time of the entry in milliseconds (default: Date.now())
+ * @returns {Object} The stored entry
+ */
+export function appendAuditEntry(fields, { path = getAuditLogPath(), now = Date.now() } = {}) {
+  const entries = readAuditLog(path);
+  const prev = entries.length > 0 ? entries[entries.length - 1].hash : GENESIS_HASH;
+  const entry = { time: new Date(now).toISOString(), ...fields, prev };
+  const stored = { ...entry, hash: hashEntry(prev, entry) };
+
+  appendFileSync(path, `${JSON.stringify(stored)}\n`, { mode: 0o600 });
+  return stored;
+}
+
+/**
+ * Check the hash chain of the audit log
+ * @param {string} path - Audit log path (default: configured audit log)
+ * @returns {Object} { valid, entries, brokenAt }, brokenAt the line number of the first entry that does not match
+ */
+export function verifyAuditLog(path = getAuditLogPath()) {
+  const entries = readAuditLog(path);
+  let prev = GENESIS_HASH;
+
+  for (let i = 0; i < entries.length; i++) {
+    const { hash, ...entry } = entries[i];
+    if (entry.prev !== prev || hashEntry(prev, entry) !== hash) {
+      return { valid: false, entries: entries.length, brokenAt: i + 1 };
+    }
+    prev = hash;
+  }
+
+  return { valid: true, entries: entries.length, brokenAt: null };
+}
+
+/**
+ * Find the spend entry of a transaction of a wallet
+ * @param {Array} entries - Entries from readAuditLog
+ * @param {string} walletId - Wallet id from getWalletId
+ * @param {string} txid - Transaction id; PSBTs are recorded by their unsigned transaction id
+ * @param {Object} network - Network settings from getNetwork
+ * @returns {Object|undefined} The spend entry, if the transaction was recorded
+ */
+function findSpend(entries, walletId, txid, network) {
+  return entries.find(entry => entry.event === 'spend' && entry.wallet === walletId && entry.network === network.name && entry.txid === txid);
+}
+
+/**
+ * Sum what a wallet spent since a given time
+ * Spends are the recipient amounts of its spend entries, without change and fees. A transaction
+ * replaced by a fee bump (RBF) only counts through its replacement.
+ * @param {Array} entries - Entries from readAuditLog
+ * @param {string} walletId - Wallet id from getWalletId
+ * @param {number} since - Start of the window in milliseconds
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {number} Amount in satoshis
+ */
+export function getSpent(entries, walletId, since, network = getNetwork()) {
+  const spends = entries.filter(entry => entry.event === 'spend' && entry.wallet === walletId && entry.network === network.name);
+  const replaced = new Set(spends.filter(entry => entry.replaces).map(entry => entry.replaces));
+
+  return spends
+    .filter(entry => !replaced.has(entry.txid) && Date.parse(entry.time) >= since)
+    .reduce((sum, entry) => sum + entry.amount, 0);
+}
+
+/**
+ * Sum what a wallet spent in the windows of the daily and weekly limits
+ * @param {string} walletId - Wallet id from getWalletId
+ * @param {Object} options - Optional settings
+ * @param {Array} options.entries - Entries from readAuditLog (default: read from path)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {string} options.path - Audit log path (default: configured audit log)
+ * @param {number} options.now - Current time in milliseconds (default: Date.now())
+ * @returns {Object} { day, week }: satoshis spent in the last 24 hours and 7 days
+ */
+export function getSpentTotals(walletId, { entries, network = getNetwork(), path = getAuditLogPath(), now = Date.now() } = {}) {
+  const log = entries || readAuditLog(path);
+  return {
+    day: getSpent(log, walletId, now - DAY, network),
+    week: getSpent(log, walletId, now - WEEK, network)
+  };
+}
+
+/**
+ * Check a payment against the rules of a policy, except the approval threshold
+ * @param {Object} policy - Policy from getPolicy
+ * @param {Object} payment - { outputs: [{ address, value }] to recipients, without change; fee in satoshis; feeRate in sat/vB }
+ * @param {Object} spent - { day, week }: what the wallet spent in the last 24 hours and 7 days, in satoshis
+ * @returns {Array} Broken rules: [{ rule, message }]
+ */
+export function evaluatePolicy(policy, payment, spent) {
+  const violations = [];
+  const amount = payment.outputs.reduce((sum, output) => sum + output.value, 0);
+  const btc = (satoshis) => `${satoshis / 100000000} BTC`;
+
+  for (const { address } of payment.outputs) {
+    if (policy.denylist.includes(address)) {
+      violations.push({ rule: 'denylist', message: `Recipient ${address} is on the deny list.` });
+    } else if (policy.allowlist.length > 0 && !policy.allowlist.includes(address)) {
+      violations.push({ rule: 'allowlist', message: `Recipient ${address} is not on the allow list.` });
+    }
+  }
+
+  if (policy.maxAmount !== null && amount > policy.maxAmount) {
+    violations.push({ rule: 'maxAmount', message: `Amount ${btc(amount)} is above the single-send maximum of ${btc(policy.maxAmount)}.` });
+  }
+  if (amount > 0 && policy.dailyLimit !== null && spent.day + amount > policy.dailyLimit) {
+    violations.push({ rule: 'dailyLimit', message: `Amount ${btc(amount)} would bring the last 24 hours to ${btc(spent.day + amount)}, above the daily limit of ${btc(policy.dailyLimit)}.` });
+  }
+  if (amount > 0 && policy.weeklyLimit !== null && spent.week + amount > policy.weeklyLimit) {
+    violations.push({ rule: 'weeklyLimit', message: `Amount ${btc(amount)} would bring the last 7 days to ${btc(spent.week + amount)}, above the weekly limit of ${btc(policy.weeklyLimit)}.` });
+  }
+  if (policy.maxFeeRate !== null && payment.feeRate > policy.maxFeeRate) {
+    violations.push({ rule: 'maxFeeRate', message: `Fee rate ${payment.feeRate} sat/vB is above the maximum of ${policy.maxFeeRate} sat/vB.` });
+  }
+  if (policy.maxFeeRatio !== null && amount > 0 && payment.fee / amount > policy.maxFeeRatio) {
+    const percent = (ratio) => `${Math.round(ratio * 10000) / 100}%`;
+    violations.push({ rule: 'maxFeeRatio', message: `Fee of ${payment.fee} satoshis is ${percent(payment.fee / amount)} of the amount, above the maximum of ${percent(policy.maxFeeRatio)}.` });
+  }
+
+  return violations;
+}
+
+/**
+ * Fingerprint a payment, so that an approval only covers the payment it was given for
+ * @param {string} walletId - Wallet id
+ * @param {Object} network - Network settings from getNetwork
+ * @param {Array} outputs - Recipient outputs: [{ address, value }]
+ * @returns {string} Hex hash
+ */
+function hashPayment(walletId, network, outputs) {
+  const sorted = outputs.map(({ address, value }) => `${address}:${value}`).sort();
+  return crypto.createHash('sha256').update(JSON.stringify([walletId, network.name, sorted])).digest('hex');
+}
+
+/**
+ * Get the message an approver signs to approve a payment
+ * @param {Object} request - approval-requested audit log entry
+ * @returns {string} e.g. "Approve payment 3f2a...: 0.5 BTC from treasury to tb1q..."
+ */
+export function getApprovalMessage(request) {
+  const to = request.recipients.length === 1 ? request.recipients[0] : `${request.recipients.length} recipients`;
+  return `Approve payment ${request.requestId}: ${request.amount / 100000000} BTC from ${request.name || request.wallet} to ${to}`;
+}
+
+/**
+ * Check a payment against the wallet's spending policy before it is signed
+ * Violations are written to the audit log and refused with a PolicyError. A payment above the
+ * approval threshold opens an approval request: a second approver signs its message
+ * (node cli.js sign-message) and the payment is repeated with that signature.
+ * A transaction that is already recorded as a spend of the wallet passed the policy then, and is
+ * not checked or counted again: a PSBT signed twice, or broadcast after it was signed here.
+ * A fee bump (RBF) that replaces a transaction is counted instead of it, and keeps its approval
+ * if it pays the same recipients. A dry run is checked without writing to the audit log, so it
+ * cannot open an approval request either.
+ * @param {Object} wallet - Sending wallet, with its keystore name if it was stored
+ * @param {Object} payment - { outputs: [{ address, value }] to recipients, without change; fee in satoshis; feeRate in sat/vB }
+ * @param {Object} options - Optional settings
+ * @param {string} options.approval - Signature of an approver over the approval message (default: none)
+ * @param {string} options.txid - Id of the transaction, if it is known before signing (default: none)
+ * @param {string} options.replaces - Id of the transaction the payment replaces (RBF) (default: none)
+ * @param {boolean} options.record - Write violations, approval requests and approvals to the audit log; false for dry runs (default: true)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {string} options.path - Audit log path (default: configured audit log)
+ * @param {number} options.now - Current time in milliseconds (default: Date.now())
+ * @returns {Object|null} { wallet, amount, fee, requestId, approver, replaces } to pass to recordSpend, or null without a policy
+ * @throws {PolicyError} If a rule is broken or the payment needs an approval
+ */
+export function enforcePolicy(wallet, payment, { approval = null, txid = null, replaces = null, record = true, network = getNetwork(), path = getAuditLogPath(), now = Date.now() } = {}) {
+  const walletId = getWalletId(wallet, network);
+  const policy = getPolicy(walletId, { network });
+
+  if (!policy) {
+    return null;
+  }
+
+  const entries = readAuditLog(path);
+  const recorded = txid ? findSpend(entries, walletId, txid, network) : null;
+  if (recorded) {
+    return { wallet: walletId, amount: recorded.amount, fee: recorded.fee, requestId: recorded.requestId || null, approver: recorded.approver || null };
+  }
+
+  const amount = payment.outputs.reduce((sum, output) => sum + output.value, 0);
+  const recipients = payment.outputs.map(output => output.address);
+  const spent = getSpentTotals(walletId, { entries: entries.filter(entry => !replaces || entry.txid !== replaces), network, now });
+  const violations = evaluatePolicy(policy, payment, spent);
+  const details = { wallet: walletId, ...(wallet.name ? { name: wallet.name } : {}), network: network.name, amount, fee: payment.fee, feeRate: payment.feeRate, recipients };
+  const audit = ({ event, ...fields }) => record && appendAuditEntry({ event, ...details, ...fields }, { path, now });
+
+  if (violations.length > 0) {
+    audit({ event: 'violation', violations });
+    throw new PolicyError(`Spending policy violation: ${violations.map(violation => violation.message).join(' ')}`, violations);
+  }
+
+  const result = { wallet: walletId, amount, fee: payment.fee, requestId: null, approver: null, replaces };
+
+  if (policy.approvalThreshold === null || amount <= policy.approvalThreshold) {
+    return result;
+  }
+
+  // Approvals are valid for one spend of this exact payment, within APPROVAL_TTL
+  const paymentHash = hashPayment(walletId, network, payment.outputs);
+
+  const replaced = replaces ? findSpend(entries, walletId, replaces, network) : null;
+  if (replaced && replaced.requestId
+    && entries.some(entry => entry.event === 'approval-requested' && entry.requestId === replaced.requestId && entry.paymentHash === paymentHash)) {
+    return { ...result, requestId: replaced.requestId, approver: replaced.approver };
+  }
+
+  const used = new Set(entries.filter(entry => entry.event === 'spend' && entry.requestId).map(entry => entry.requestId));
+  const requests = entries.filter(entry => entry.event === 'approval-requested'
+    && entry.paymentHash === paymentHash
+    && Date.parse(entry.time) >= now - APPROVAL_TTL
+    && !used.has(entry.requestId));
+
+  // A second approver must not be the sending wallet itself
+  const own = new Set([wallet.receiveAddress, wallet.changeAddress, ...(wallet.addresses || []).map(entry => entry.address)]);
+  const approvers = policy.approvers.filter(address => !own.has(address));
+
+  if (approval) {
+    for (const request of requests) {
+      const message = getApprovalMessage(request);
+      const approver = approvers.find(address => verifyMessage(address, message, approval, { network }).valid);
+      if (approver) {
+        audit({ event: 'approved', requestId: request.requestId, approver });
+        return { ...result, requestId: request.requestId, approver };
+      }
+    }
+
+    const violation = { rule: 'approval', message: 'The approval signature does not match a pending approval request of this payment by an approver.' };
+    audit({ event: 'violation', violations: [violation] });
+    throw new PolicyError(violation.message, [violation]);
+  }
+
+  if (!record) {
+    throw new PolicyError(`Payments above ${policy.approvalThreshold / 100000000} BTC need a second approver. The approval is requested when the payment is sent, not in a dry run.`);
+  }
+
+  const request = appendAuditEntry({
+    event: 'approval-requested',
+    ...details,
+    requestId: crypto.randomBytes(8).toString('hex'),
+    paymentHash,
+    threshold: policy.approvalThreshold
+  }, { path, now });
+  const message = getApprovalMessage(request);
+
+  throw new PolicyError(
+    `Payments above ${policy.approvalThreshold / 100000000} BTC need a second approver. Ask one of ${approvers.join(', ')} to sign the message\n  ${message}\n`
+    + 'with: node cli.js sign-message "<message>", then repeat the payment with the signature (--approval <signature>) within 24 hours.',
+    [],
+    { requestId: request.requestId, message }
+  );
+}
+
+/**
+ * Record a transaction that left the wallet, so that it counts toward the daily and weekly limits
+ * A transaction is recorded once per wallet: recording it again returns the first entry.
+ * @param {Object|null} check - Result of enforcePolicy; nothing is recorded without a policy
+ * @param {Object} details - { txid, via }: via is broadcast, psbt (whose txid is the unsigned one) or hex (signed, not broadcast)
+ * @param {Object} options - Optional settings
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {string} options.path - Audit log path (default: configured audit log)
+ * @returns {Object|null} The audit log entry
+ */
+export function recordSpend(check, { txid, via = 'broadcast' }, { network = getNetwork(), path = getAuditLogPath() } = {}) {
+  if (!check) {
+    return null;
+  }
+
+  const recorded = txid ? findSpend(readAuditLog(path), check.wallet, txid, network) : null;
+  if (recorded) {
+    return recorded;
+  }
+
+  return appendAuditEntry({
+    event: 'spend',
+    wallet: check.wallet,
+    network: network.name,
+    txid,
+    via,
+    amount: check.amount,
+    fee: check.fee,
+    ...(check.requestId ? { requestId: check.requestId, approver: check.approver } : {}),
+    ...(check.replaces ? { replaces: check.replaces } : {})
+  }, { path });
+}
@@ -0,0 +1,124 @@
+import { readFileSync, existsSync } from 'fs';
+import { extname } from 'path';
+import { loadConfig } from './config.js';
+import { requestJson } from './httpClient.js';
+
+export const DEFAULT_FIAT_CURRENCY = 'usd';
+
+// CoinGecko API base URL; `priceApiUrl` in config.json points it at a proxy or the Pro API
+const COINGECKO_API_URL = 'https://api.coingecko.com/api/v3';
+
+/**
+ * Price sources for fiat values, selected by name or by a file path
+ * - coingecko: daily BTC prices from the CoinGecko history API
+ * - file: a local CSV (date,price per line) or JSON ({ "YYYY-MM-DD": price }) file of daily prices
+ *
+ * Every source implements:
+ * - getPrice(date): price of 1 BTC in the source currency on a day (YYYY-MM-DD, UTC)
+ */
+export const PRICE_SOURCES = ['coingecko', 'file'];
+
+/**
+ * Create the CoinGecko price source
+ * @param {string} currency - Fiat currency code, e.g. usd
+ * @param {Object} config - Configuration from loadConfig
+ * @returns {Object} Price source
+ */
+function createCoinGeckoSource(currency, config) {
+  const baseUrl = config.priceApiUrl || COINGECKO_API_URL;
+  const prices = new Map();
+
+  return {
+    name: 'coingecko',
+    currency,
+
+    async getPrice(date) {
+      if (!prices.has(date)) {
+        const [year, month, day] = date.split('-');
+        const data = await requestJson('GET', `${baseUrl}/coins/bitcoin/history?date=${day}-${month}-${year}&localization=false`);
+        const price = data.market_data && data.market_data.current_price && data.market_data.current_price[currency];
+
+        if (typeof price !== 'number') {
+          throw new Error(`CoinGecko has no ${currency.toUpperCase()} price of BTC for ${date}.`);
+        }
+        prices.set(date, price);
+      }
+
+      return prices.get(date);
+    }
+  };
+}
+
+/**
+ * Create a price source from a file of daily prices
+ * @param {string} path - CSV or JSON price file
+ * @param {string} currency - Fiat currency code of the prices
+ * @returns {Object} Price source
+ */
+function createFileSource(path, currency) {
+  if (!existsSync(path)) {
+    throw new Error(`Price file not found: ${path}`);
+  }
+
+  const content = readFileSync(path, 'utf8');
+  let entries;
+
+  if (extname(path).toLowerCase() === '.json') {
+    try {
+      entries = Object.entries(JSON.parse(content));
+    } catch (error) {
+      throw new Error(`Invalid JSON price file ${path}: ${error.message}`);
+    }
+  } else {
+    entries = content.split(/\r?\n/)
+      .filter(line => line.trim() && !line.trim().startsWith('#'))
+      .map(line => line.split(',').map(field => field.trim()))
+      .filter(([date]) => date.toLowerCase() !== 'date');
+  }
+
+  const prices = new Map();
+  for (const [date, value] of entries) {
+    const price = Number(value);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !Number.isFinite(price) || price < 0) {
+      throw new Error(`Invalid price file ${path}: "${date},${value}" is not a YYYY-MM-DD date and a price.`);
+    }
+    prices.set(date, price);
+  }
+
+  return {
+    name: 'file',
+    currency,
+
+    async getPrice(date) {
+      if (!prices.has(date)) {
+        throw new Error(`Price file ${path} has no price for ${date}.`);
+      }
+      return prices.get(date);
+    }
+  };
+}
+
+/**
+ * Get a price source for fiat values
+ * The source defaults to the `priceSource` config value, then CoinGecko; a path to a
+ * .csv or .json file reads the prices from that file.
+ * @param {Object} options - Optional settings
+ * @param {string} options.source - Source name or price file path (default: configured source)
+ * @param {string} options.currency - Fiat currency code (default: `fiatCurrency` config value, then usd)
+ * @returns {Object} Price source
+ */
+export function getPriceSource({ source, currency } = {}) {
+  const config = loadConfig();
+  const name = source || config.priceSource || 'coingecko';
+  const fiat = (currency || config.fiatCurrency || DEFAULT_FIAT_CURRENCY).toLowerCase();
+
+  if (name === 'coingecko') {
+    return createCoinGeckoSource(fiat, config);
+  }
+
+  if (['.csv', '.json'].includes(extname(name).toLowerCase())) {
+    return createFileSource(name, fiat);
+  }
+
+  throw new Error(`Unknown price source: ${name}. Use coingecko or a .csv/.json price file.`);
+}
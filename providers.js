@@ -0,0 +1,504 @@
+import { readFileSync } from 'fs';
+import * as bitcoin from 'bitcoinjs-lib';
+import { loadConfig } from './config.js';
+import { getNetwork } from './networks.js';
+import { addressFromOutputScript } from './generateAddresFromPK.js';
+import { request, requestJson, requestText, AuthError, NotFoundError, ServerError, DEFAULT_TIMEOUT, DEFAULT_RETRIES } from './httpClient.js';
+
+/**
+ * Blockchain data providers
+ * - tatum: Tatum v3 REST API
+ * - esplora: Esplora/Electrs REST API (blockstream.info, mempool.space or self-hosted)
+ * - bitcoind: Bitcoin Core JSON-RPC, tracking addresses in a watch-only wallet
+ *
+ * Every provider returns transactions in the same shape, values in satoshis:
+ *   { hash, blockNumber (null while unconfirmed), time (block time in Unix seconds, or null),
+ *     hex (single lookups only),
+ *     inputs: [{ prevout: { hash, index }, coin: { address, value } or null }],
+ *     outputs: [{ address, value }] }
+ * and implements:
+ * - getTransactions(address, { log, isKnown }): history of an address, newest first. Paging
+ *   stops after the first page with a transaction for which isKnown returns true, so
+ *   transactions older than a known one may be left out.
+ * - getTransaction(txHash): one transaction including its raw hex
+ * - getRawTransaction(txHash): raw transaction hex
+ * - getFeeEstimates(): { fast, medium, slow } in sat/vB, or null if the backend has no estimates
+ * - broadcast(txHex): txid of the broadcast transaction
+ * - getTipHeight(): height of the best block
+ * - close(): release connections
+ */
+export const PROVIDERS = ['tatum', 'esplora', 'bitcoind'];
+
+const TATUM_PAGE_SIZE = 50;
+
+// Esplora returns confirmed history in pages of 25 transactions
+const ESPLORA_PAGE_SIZE = 25;
+
+// Watch-only wallet in bitcoind that tracks the addresses we query
+const DEFAULT_RPC_WALLET = 'btc-wallet-watch';
+
+// bitcoind RPC error codes
+const RPC_WALLET_NOT_FOUND = -18;
+const RPC_WALLET_ALREADY_LOADED = -35;
+const RPC_INVALID_ADDRESS_OR_KEY = -5;
+
+/**
+ * Sort transactions newest first, unconfirmed ones on top
+ * @param {Array} transactions - Normalized transactions
+ * @returns {Array} The sorted transactions
+ */
+function sortNewestFirst(transactions) {
+  return transactions.sort((a, b) => (b.blockNumber ?? Infinity) - (a.blockNumber ?? Infinity));
+}
+
+/**
+ * Bring a Tatum transaction into the normalized shape
+ * @param {Object} tx - Transaction from the Tatum API
+ * @returns {Object} Normalized transaction
+ */
+function normalizeTatumTransaction(tx) {
+  return {
+    hash: tx.hash,
+    blockNumber: tx.blockNumber ?? null,
+    time: tx.time ?? null,
+    hex: tx.hex,
+    inputs: (tx.inputs || []).map(input => ({
+      prevout: input.prevout,
+      coin: input.coin ? { address: input.coin.address, value: input.coin.value } : null
+    })),
+    outputs: (tx.outputs || []).map(output => ({ address: output.address || null, value: output.value }))
+  };
+}
+
+/**
+ * Create the Tatum provider
+ * @param {Object} network - Network settings from getNetwork
+ * @param {Object} config - Configuration from loadConfig
+ * @param {Object} http - Timeout, retries and AbortSignal for every request
+ * @returns {Object} Provider
+ */
+function createTatumProvider(network, config, http) {
+  // Only send the API key header when there is a key
+  const headers = config.apiKey ? { 'x-api-key': config.apiKey } : {};
+
+  const call = (method, path, options = {}) => {
+    if (!network.apiUrl) {
+      return Promise.reject(new Error(`The Tatum API does not serve ${network.name}. Set apiUrl in config.json or use another provider.`));
+    }
+    return requestJson(method, `${network.apiUrl}${path}`, { ...http, headers, ...options });
+  };
+  const get = (path) => call('GET', path);
+
+  const getTransaction = async (txHash) => {
+    const tx = await get(`/transaction/${txHash}`);
+    if (!tx || !tx.hash) {
+      throw new NotFoundError(`Transaction ${txHash} not found.`, 404, '');
+    }
+    return normalizeTatumTransaction(tx);
+  };
+
+  return {
+    name: 'tatum',
+
+    async getTransactions(address, { log: progress = () => {}, isKnown = () => false } = {}) {
+      const transactions = [];
+
+      for (let offset = 0; ; offset += TATUM_PAGE_SIZE) {
+        progress(`Fetching page at offset ${offset}...`);
+        const page = await get(`/transaction/address/${address}?pageSize=${TATUM_PAGE_SIZE}&offset=${offset}`);
+        if (!Array.isArray(page)) {
+          throw new Error(`Unexpected transaction list from Tatum: ${JSON.stringify(page).slice(0, 200)}`);
+        }
+        const normalized = page.map(normalizeTatumTransaction);
+        transactions.push(...normalized);
+
+        // A short page is the last one
+        if (page.length < TATUM_PAGE_SIZE || normalized.some(isKnown)) {
+          return transactions;
+        }
+      }
+    },
+
+    getTransaction,
+
+    async getRawTransaction(txHash) {
+      const tx = await getTransaction(txHash);
+      if (!tx.hex) {
+        throw new Error(`Raw transaction ${txHash} not available.`);
+      }
+      return tx.hex;
+    },
+
+    async getFeeEstimates() {
+      if (!network.feeUrl) {
+        return null;
+      }
+
+      const estimates = await requestJson('GET', network.feeUrl, { ...http, headers });
+      if (!estimates || ![estimates.fast, estimates.medium, estimates.slow].every(rate => rate > 0)) {
+        throw new Error('Fee estimates not available.');
+      }
+      return { fast: estimates.fast, medium: estimates.medium, slow: estimates.slow };
+    },
+
+    async broadcast(txHex) {
+      // Not retried: repeating an accepted broadcast fails as already known
+      const response = await call('POST', '/broadcast', { retries: 0, body: { txData: txHex } });
+      if (!response || !response.txId) {
+        throw new Error(`Unexpected broadcast response from Tatum: ${JSON.stringify(response).slice(0, 200)}`);
+      }
+      return response.txId;
+    },
+
+    async getTipHeight() {
+      return (await get('/info')).blocks;
+    },
+
+    async close() {}
+  };
+}
+
+/**
+ * Bring an Esplora transaction into the normalized shape
+ * @param {Object} tx - Transaction from the Esplora API
+ * @returns {Object} Normalized transaction
+ */
+function normalizeEsploraTransaction(tx) {
+  return {
+    hash: tx.txid,
+    blockNumber: tx.status && tx.status.confirmed ? tx.status.block_height : null,
+    time: tx.status && tx.status.confirmed ? tx.status.block_time : null,
+    inputs: tx.vin.map(input => ({
+      prevout: { hash: input.txid, index: input.vout },
+      coin: input.prevout ? { address: input.prevout.scriptpubkey_address || null, value: input.prevout.value } : null
+    })),
+    outputs: tx.vout.map(output => ({ address: output.scriptpubkey_address || null, value: output.value }))
+  };
+}
+
+/**
+ * Create the Esplora provider
+ * @param {Object} network - Network settings from getNetwork
+ * @param {Object} http - Timeout, retries and AbortSignal for every request
+ * @returns {Object} Provider
+ */
+function createEsploraProvider(network, http) {
+  const baseUrl = network.esploraUrl;
+
+  const url = (path) => {
+    if (!baseUrl) {
+      throw new Error(`No Esplora API for ${network.name}. Set esploraUrl in config.json.`);
+    }
+    return `${baseUrl.replace(/\/$/, '')}${path}`;
+  };
+
+  return {
+    name: 'esplora',
+
+    async getTransactions(address, { log: progress = () => {}, isKnown = () => false } = {}) {
+      // The first page has the mempool and the newest confirmed transactions,
+      // later pages continue after the last confirmed txid seen
+      progress('Fetching page 1...');
+      let page = await requestJson('GET', url(`/address/${address}/txs`), http);
+      let normalized = page.map(normalizeEsploraTransaction);
+      const transactions = [...normalized];
+      let confirmed = page.filter(tx => tx.status.confirmed);
+
+      for (let pageNumber = 2; confirmed.length >= ESPLORA_PAGE_SIZE && !normalized.some(isKnown); pageNumber++) {
+        progress(`Fetching page ${pageNumber}...`);
+        page = await requestJson('GET', url(`/address/${address}/txs/chain/${confirmed[confirmed.length - 1].txid}`), http);
+        normalized = page.map(normalizeEsploraTransaction);
+        transactions.push(...normalized);
+        confirmed = page;
+      }
+
+      return transactions;
+    },
+
+    async getTransaction(txHash) {
+      const tx = normalizeEsploraTransaction(await requestJson('GET', url(`/tx/${txHash}`), http));
+      tx.hex = await requestText('GET', url(`/tx/${txHash}/hex`), http);
+      return tx;
+    },
+
+    getRawTransaction(txHash) {
+      return requestText('GET', url(`/tx/${txHash}/hex`), http);
+    },
+
+    async getFeeEstimates() {
+      // Keys are confirmation targets in blocks
+      const estimates = await requestJson('GET', url('/fee-estimates'), http);
+      const fast = estimates['1'] || estimates['2'];
+      const medium = estimates['6'];
+      const slow = estimates['144'];
+
+      return fast && medium && slow ? { fast, medium, slow } : null;
+    },
+
+    async broadcast(txHex) {
+      // Not retried: repeating an accepted broadcast fails as already known
+      return (await requestText('POST', url('/tx'), { ...http, retries: 0, headers: { 'content-type': 'text/plain' }, body: txHex })).trim();
+    },
+
+    async getTipHeight() {
+      return Number(await requestText('GET', url('/blocks/tip/height'), http));
+    },
+
+    async close() {}
+  };
+}
+
+/**
+ * Get the Authorization header for bitcoind from rpcUser/rpcPassword or the cookie file
+ * @param {Object} config - Configuration from loadConfig
+ * @returns {Object} Headers
+ */
+function bitcoindAuthHeaders(config) {
+  let credentials = null;
+
+  if (config.rpcUser) {
+    credentials = `${config.rpcUser}:${config.rpcPassword || ''}`;
+  } else if (config.rpcCookieFile) {
+    credentials = readFileSync(config.rpcCookieFile, 'utf8').trim();
+  }
+
+  return credentials ? { authorization: `Basic ${Buffer.from(credentials).toString('base64')}` } : {};
+}
+
+/**
+ * Create the bitcoind provider
+ * Bitcoin Core has no address index, so every queried address is imported as
+ * an addr() descriptor into a watch-only wallet (rescanning from `rpcRescanFrom`,
+ * a Unix time, default 0) and its history is read from that wallet.
+ * @param {Object} network - Network settings from getNetwork
+ * @param {Object} config - Configuration from loadConfig
+ * @param {Object} http - Timeout, retries and AbortSignal for every request
+ * @returns {Object} Provider
+ */
+function createBitcoindProvider(network, config, http) {
+  const headers = { 'content-type': 'application/json', ...bitcoindAuthHeaders(config) };
+  const walletName = config.rpcWallet || DEFAULT_RPC_WALLET;
+  let requestId = 0;
+  let walletReady = null;
+
+  const rpc = async (method, params = [], { wallet = false, retries = http.retries } = {}) => {
+    const url = wallet ? `${network.rpcUrl}/wallet/${encodeURIComponent(walletName)}` : network.rpcUrl;
+    let response;
+
+    try {
+      // bitcoind reports RPC errors with HTTP 404 (unknown method) or 500 and a JSON body
+      response = await request('POST', url, {
+        ...http,
+        retries,
+        headers,
+        body: JSON.stringify({ jsonrpc: '1.0', id: ++requestId, method, params }),
+        acceptStatus: (statusCode) => statusCode === 404 || statusCode === 500
+      });
+    } catch (error) {
+      if (error instanceof AuthError) {
+        throw new AuthError('bitcoind rejected the RPC credentials. Set rpcUser and rpcPassword (or rpcCookieFile) in config.json.', error.statusCode, error.body);
+      }
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(response.body);
+    } catch (error) {
+      throw new ServerError(`bitcoind RPC ${method} failed with HTTP ${response.statusCode}.`, response.statusCode, response.body);
+    }
+
+    if (data.error) {
+      const error = new Error(`bitcoind RPC ${method}: ${data.error.message}`);
+      error.code = data.error.code;
+      throw error;
+    }
+
+    return data.result;
+  };
+
+  const ensureWallet = () => {
+    walletReady = walletReady || (async () => {
+      try {
+        await rpc('loadwallet', [walletName]);
+      } catch (error) {
+        if (error.code === RPC_WALLET_NOT_FOUND) {
+          await rpc('createwallet', [walletName, true, true, '', false, true, true]);
+        } else if (error.code !== RPC_WALLET_ALREADY_LOADED) {
+          throw error;
+        }
+      }
+    })();
+    return walletReady;
+  };
+
+  const watchAddress = async (address) => {
+    await ensureWallet();
+
+    const info = await rpc('getaddressinfo', [address], { wallet: true });
+    if (info.ismine || info.iswatchonly) {
+      return;
+    }
+
+    const { descriptor } = await rpc('getdescriptorinfo', [`addr(${address})`]);
+    const [result] = await rpc('importdescriptors', [[{ desc: descriptor, timestamp: Number(config.rpcRescanFrom || 0) }]], { wallet: true });
+    if (!result.success) {
+      throw new Error(`bitcoind could not watch ${address}: ${result.error ? result.error.message : 'import failed'}`);
+    }
+  };
+
+  // Raw hex, block height and time, from the watch-only wallet or the node (mempool or -txindex)
+  const fetchHex = async (txHash) => {
+    try {
+      const tx = await rpc('gettransaction', [txHash, true], { wallet: true });
+      return { hex: tx.hex, blockNumber: tx.blockheight ?? null, time: tx.blocktime ?? tx.time ?? null };
+    } catch (error) {
+      // Only a transaction the wallet does not know is looked up in the node
+      if (error.code !== RPC_INVALID_ADDRESS_OR_KEY) {
+        throw error;
+      }
+
+      let tx;
+      try {
+        tx = await rpc('getrawtransaction', [txHash, true]);
+      } catch (rawError) {
+        if (rawError.code === RPC_INVALID_ADDRESS_OR_KEY) {
+          throw new NotFoundError(`Transaction ${txHash} not found.`, 404, '');
+        }
+        throw rawError;
+      }
+      const blockNumber = tx.blockhash ? (await rpc('getblockheader', [tx.blockhash])).height : null;
+      return { hex: tx.hex, blockNumber, time: tx.blocktime ?? null };
+    }
+  };
+
+  const getTransaction = async (txHash) => {
+    const { hex, blockNumber, time } = await fetchHex(txHash);
+    const decoded = bitcoin.Transaction.fromHex(hex);
+    const inputs = [];
+
+    for (const input of decoded.ins) {
+      const prevout = { hash: Buffer.from(input.hash).reverse().toString('hex'), index: input.index };
+      let coin = null;
+
+      if (!decoded.isCoinbase()) {
+        try {
+          const previous = bitcoin.Transaction.fromHex((await fetchHex(prevout.hash)).hex).outs[prevout.index];
+          coin = { address: addressFromOutputScript(previous.script, network), value: Number(previous.value) };
+        } catch (error) {
+          // Previous transaction unknown to the wallet and the node
+        }
+      }
+
+      inputs.push({ prevout, coin });
+    }
+
+    return {
+      hash: txHash,
+      blockNumber,
+      time,
+      hex,
+      inputs,
+      outputs: decoded.outs.map(output => ({ address: addressFromOutputScript(output.script, network), value: Number(output.value) }))
+    };
+  };
+
+  return {
+    name: 'bitcoind',
+
+    async getTransactions(address, { log: progress = () => {}, isKnown = () => false } = {}) {
+      await watchAddress(address);
+
+      progress(`Reading wallet ${walletName}...`);
+      const entries = await rpc('listtransactions', ['*', 1000000, 0, true], { wallet: true });
+
+      // The wallet lists every watched address at once. Payments to this address carry it in their
+      // entries; a spend from it lists the recipients only, so it is found by the outputs it spends.
+      const received = new Set(entries
+        .filter(entry => entry.address === address && entry.category !== 'send')
+        .map(entry => `${entry.txid}:${entry.vout}`));
+      const unknown = entries.filter(entry => !isKnown({ hash: entry.txid, blockNumber: entry.blockheight ?? null }));
+      const matching = new Set(unknown.filter(entry => entry.address === address).map(entry => entry.txid));
+
+      for (const txHash of new Set(unknown.filter(entry => entry.category === 'send').map(entry => entry.txid))) {
+        if (matching.has(txHash)) {
+          continue;
+        }
+        const decoded = bitcoin.Transaction.fromHex((await fetchHex(txHash)).hex);
+        if (decoded.ins.some(input => received.has(`${Buffer.from(input.hash).reverse().toString('hex')}:${input.index}`))) {
+          matching.add(txHash);
+        }
+      }
+
+      // Known transactions are not decoded again
+      const transactions = [];
+      for (const txHash of matching) {
+        transactions.push(await getTransaction(txHash));
+      }
+
+      return sortNewestFirst(transactions);
+    },
+
+    getTransaction,
+
+    async getRawTransaction(txHash) {
+      return (await fetchHex(txHash)).hex;
+    },
+
+    async getFeeEstimates() {
+      const [fast, medium, slow] = await Promise.all([2, 6, 144].map(target => rpc('estimatesmartfee', [target])));
+
+      // Without enough blocks (e.g. regtest) the node has no estimates
+      if (![fast, medium, slow].every(estimate => estimate.feerate)) {
+        return null;
+      }
+
+      // estimatesmartfee reports BTC per 1000 vbytes
+      const toSatPerVbyte = (estimate) => Math.round(estimate.feerate * 100000 * 100) / 100;
+      return { fast: toSatPerVbyte(fast), medium: toSatPerVbyte(medium), slow: toSatPerVbyte(slow) };
+    },
+
+    broadcast(txHex) {
+      // Not retried: repeating an accepted broadcast fails as already known
+      return rpc('sendrawtransaction', [txHex], { retries: 0 });
+    },
+
+    getTipHeight() {
+      return rpc('getblockcount');
+    },
+
+    async close() {}
+  };
+}
+
+/**
+ * Get the blockchain data provider for a network
+ * The provider defaults to the `provider` config value (or BTC_PROVIDER), then
+ * the network default: Tatum for mainnet and testnet, Esplora for signet and
+ * bitcoind for regtest. Every request goes through the shared HTTP client with
+ * the `httpTimeout` (milliseconds) and `httpRetries` config values.
+ * @param {Object} options - Optional settings
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {AbortSignal} options.signal - Cancels every request of the provider
+ * @returns {Object} Provider
+ */
+export function getProvider({ network = getNetwork(), signal } = {}) {
+  const config = loadConfig();
+  const name = config.provider || network.defaultProvider;
+  const http = {
+    timeout: Number(config.httpTimeout) || DEFAULT_TIMEOUT,
+    retries: config.httpRetries !== undefined ? Number(config.httpRetries) : DEFAULT_RETRIES,
+    signal
+  };
+
+  switch (name) {
+    case 'tatum':
+      return createTatumProvider(network, config, http);
+    case 'esplora':
+      return createEsploraProvider(network, http);
+    case 'bitcoind':
+      return createBitcoindProvider(network, config, http);
+    default:
+      throw new Error(`Unknown provider: ${name}. Use one of: ${PROVIDERS.join(', ')}`);
+  }
+}
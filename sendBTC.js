@@ -1,187 +1,443 @@
 import readline from 'readline';
-import { TatumSDK, Network } from '@tatumio/tatum';
-import { UtxoWalletProvider } from '@tatumio/utxo-wallet-provider';
-import { generateAddressFromPrivateKey } from './generateAddresFromPK.js';
+import { generateAddressFromPrivateKey, getAddressType, ADDRESS_TYPES } from './generateAddresFromPK.js';
 import { getBitcoinBalance } from './getUTXos.js';
+import { getProvider } from './providers.js';
+import { loadConfig } from './config.js';
+import { generateMnemonic, discoverAccount, discoverWatchOnlyAccount, getGapLimit } from './hdWallet.js';
+import { parseWatchOnly } from './descriptors.js';
+import { displayMultisigInfo } from './multisig.js';
+import { listWallets, addWallet, addWatchOnlyWallet, isWatchOnlyWallet, unlockWallet, getKeystorePath, MIN_PASSWORD_LENGTH } from './keystore.js';
+import { getNetwork, getExplorerTxUrl } from './networks.js';
+import { decodeAddress, parseAmount, ValidationError } from './validation.js';
+import { isPaymentUri, parsePaymentUri } from './paymentRequests.js';
+import { buildPsbt, signPsbt, extractTransaction, DUST_LIMIT } from './transactionBuilder.js';
+import { selectCoins, selectAllCoins, getMaxSendable } from './coinSelection.js';
+import { getFeeRates, resolveFeeRate, FEE_PRIORITIES, DEFAULT_FEE_PRIORITY } from './feeEstimation.js';
+import { enforcePolicy, recordSpend, PolicyError } from './policy.js';
+
+// Password attempts before opening a saved wallet gives up
+const UNLOCK_ATTEMPTS = 3;
+
+// Readline interface for user input, created on the first prompt so that
+// non-interactive commands never take over stdin
+let rl = null;
+
+// While set, typed characters are not echoed (password prompts)
+let muted = false;
+
+// Input lines not yet consumed by a prompt (piped input arrives all at once),
+// and the resolver of the prompt waiting for the next line
+let bufferedLines = [];
+let waitingForLine = null;
+let inputEnded = false;
 
-// Create readline interface for user input
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+/**
+ * Read the next input line, creating the readline interface on first use
+ * @returns {Promise<string>} Line without the line break, or '' at the end of input
+ */
+function readLine() {
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+    rl._writeToOutput = (text) => {
+      if (!muted) {
+        rl.output.write(text);
+      }
+    };
+    rl.on('line', (line) => {
+      if (waitingForLine) {
+        const resolve = waitingForLine;
+        waitingForLine = null;
+        resolve(line);
+      } else {
+        bufferedLines.push(line);
+      }
+    });
+    rl.on('close', () => {
+      inputEnded = true;
+      if (waitingForLine) {
+        waitingForLine('');
+        waitingForLine = null;
+      }
+    });
+  }
+
+  if (bufferedLines.length > 0 || inputEnded) {
+    return Promise.resolve(bufferedLines.length > 0 ? bufferedLines.shift() : '');
+  }
+
+  return new Promise((resolve) => {
+    waitingForLine = resolve;
+  });
+}
 
 /**
  * Prompts user for input
  * @param {string} question - Question to ask the user
  * @returns {Promise<string>} User's answer
  */
-function askQuestion(question) {
-  return new Promise((resolve) => {
-    rl.question(question, (answer) => {
-      resolve(answer.trim());
-    });
-  });
+export async function askQuestion(question) {
+  process.stdout.write(question);
+  const answer = await readLine();
+  return answer.trim();
 }
 
 /**
- * Initialize Tatum SDK for Bitcoin testnet
- * @param {string} apiKey - Optional Tatum API key
- * @returns {Promise<TatumSDK>} Initialized Tatum SDK instance
+ * Prompts user for a secret without echoing it
+ * The question goes to stderr, so JSON output on stdout stays clean.
+ * @param {string} question - Question to ask the user
+ * @returns {Promise<string>} User's answer
  */
-async function initTatumSDK(apiKey = null) {
-  const config = {
-    network: Network.BITCOIN_TESTNET,
-    configureWalletProviders: [
-      { type: UtxoWalletProvider, config: { skipAllChecks: true } }
-    ],
-    verbose: true // Enable verbose logging
-  };
+export async function askSecret(question) {
+  process.stderr.write(question);
+  muted = true;
 
-  // Add API key if provided
-  if (apiKey) {
-    config.apiKey = { v4: apiKey };
+  try {
+    return (await readLine()).trim();
+  } finally {
+    muted = false;
+    process.stderr.write('\n');
   }
+}
 
-  console.log('SDK Config:', JSON.stringify({
-    network: config.network,
-    hasApiKey: !!apiKey,
-    verbose: config.verbose,
-    walletProvider: 'UtxoWalletProvider with skipAllChecks'
-  }, null, 2));
+/**
+ * Close the readline interface if a prompt was opened
+ */
+export function closePrompt() {
+  if (rl) {
+    rl.close();
+    rl = null;
+    bufferedLines = [];
+    inputEnded = false;
+  }
+}
 
-  const tatumSdk = await TatumSDK.init(config);
-  return tatumSdk;
+/**
+ * Create a wallet for a single private key
+ * Same shape as the HD wallet from discoverAccount, so both can be displayed and spent alike.
+ * @param {string} address - Address of the key
+ * @param {string} privateKey - Private key in WIF or hex format
+ * @param {Object} balance - Balance information from getBitcoinBalance
+ * @returns {Object} Wallet with its addresses, keys, change address and balance
+ */
+export function createSingleKeyWallet(address, privateKey, balance) {
+  return {
+    addresses: [{ address }],
+    keys: [{ address, privateKey }],
+    receiveAddress: address,
+    changeAddress: address,
+    balance
+  };
 }
 
 /**
- * Generate a new random mnemonic using Tatum SDK
- * @param {TatumSDK} tatumSdk - Initialized Tatum SDK instance
- * @returns {string} 24-word mnemonic phrase
+ * Display the HD account path and its used addresses
+ * @param {Object} wallet - HD wallet from discoverAccount or discoverWatchOnlyAccount
  */
-function generateNewMnemonic(tatumSdk) {
-  const mnemonic = tatumSdk.walletProvider.use(UtxoWalletProvider).generateMnemonic();
-  return mnemonic;
+export function displayAccountInfo(wallet) {
+  if (wallet.multisig) {
+    displayMultisigInfo(wallet);
+    return;
+  }
+
+  console.log(`\n=== HD Account${wallet.watchOnly ? ' (watch-only)' : ''} ===`);
+  console.log(`Account Path: ${wallet.path}`);
+  console.log(`Account xpub: ${wallet.xpub}`);
+  console.log(`Descriptor: ${wallet.descriptor}`);
+  console.log(`Used Addresses: ${wallet.addresses.length}`);
+
+  wallet.addresses.forEach(entry => {
+    console.log(`  - ${entry.path} ${entry.address}: ${entry.availableBalance} satoshis`);
+  });
+
+  console.log(`Next Receive Address: ${wallet.receiveAddress}`);
+  console.log(`Next Change Address: ${wallet.changeAddress}`);
 }
 
 /**
- * Derive private key from mnemonic using Tatum SDK
- * @param {TatumSDK} tatumSdk - Initialized Tatum SDK instance
- * @param {string} mnemonic - BIP39 mnemonic phrase
- * @param {number} index - Derivation index (default: 0)
- * @returns {Promise<string>} Private key in WIF format
+ * Describe the confirmation state of a UTXO
+ * @param {Object} utxo - UTXO from analyzeUTXOs
+ * @returns {string} e.g. "3 confirmations", "pending, own change" or "immature coinbase"
  */
-async function derivePrivateKeyFromMnemonic(tatumSdk, mnemonic, index = 0) {
-  const privateKey = await tatumSdk.walletProvider
-    .use(UtxoWalletProvider)
-    .generatePrivateKeyFromMnemonic(mnemonic, index);
-  return privateKey;
+export function formatUtxoStatus(utxo) {
+  if (utxo.frozen) {
+    return `frozen, ${formatUtxoStatus({ ...utxo, frozen: false })}`;
+  }
+  if (utxo.coinbase && !utxo.spendable && utxo.confirmations !== 0) {
+    return 'immature coinbase';
+  }
+  if (utxo.confirmations === 0) {
+    return utxo.trusted ? 'pending, own change' : 'pending';
+  }
+
+  const confirmations = utxo.confirmations === null
+    ? 'confirmed'
+    : `${utxo.confirmations} confirmation${utxo.confirmations === 1 ? '' : 's'}`;
+  return utxo.spendable ? confirmations : `${confirmations}, not yet spendable`;
 }
 
 /**
  * Display wallet balance and UTXOs
  * @param {string} address - Bitcoin address
  * @param {Object} balance - Balance information from getBitcoinBalance
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
  */
-function displayWalletInfo(address, balance) {
-  console.log('\n=== Bitcoin Testnet Wallet ===');
+export function displayWalletInfo(address, balance, network = getNetwork()) {
+  console.log(`\n=== Bitcoin ${network.label} Wallet ===`);
   console.log(`Address: ${address}`);
   console.log(`Incoming (confirmed): ${balance.incoming} satoshis`);
   console.log(`Outgoing (confirmed): ${balance.outgoing} satoshis`);
   console.log(`Incoming Pending: ${balance.incomingPending} satoshis`);
   console.log(`Outgoing Pending: ${balance.outgoingPending} satoshis`);
   console.log(`\nAvailable to Spend: ${balance.availableBalance} satoshis (${balance.availableBalanceBTC} BTC)`);
+  if (balance.minConfirmations > 1) {
+    console.log(`  (outputs need ${balance.minConfirmations} confirmations to be spent)`);
+  }
+  console.log(`Pending (own change): ${balance.trustedPending} satoshis`);
+  console.log(`Pending (incoming): ${balance.untrustedPending} satoshis`);
+  if (balance.immature > 0) {
+    console.log(`Immature (coinbase): ${balance.immature} satoshis`);
+  }
+  if (balance.locked > 0) {
+    console.log(`Locked (spent by pending transactions): ${balance.locked} satoshis`);
+  }
+  if (balance.frozen > 0) {
+    console.log(`Frozen (not spent automatically): ${balance.frozen} satoshis`);
+  }
   console.log(`\nUnspent UTXOs: ${balance.unspentUTXOs.length}`);
 
   if (balance.unspentUTXOs.length > 0) {
     balance.unspentUTXOs.forEach(utxo => {
-      console.log(`  - ${utxo.utxo}: ${utxo.value} satoshis ${utxo.confirmed ? '(confirmed)' : '(pending)'}`);
+      console.log(`  - ${utxo.utxo}: ${utxo.value} satoshis (${formatUtxoStatus(utxo)})${utxo.label ? ` [${utxo.label}]` : ''}`);
     });
   } else {
     console.log('  No unspent UTXOs found');
   }
+
+  if (balance.outgoingPending > 0) {
+    console.log('\nOutgoing transactions are pending. Speed up a stuck one with: node cli.js bump <txid> --fee-rate fast');
+  }
 }
 
 /**
- * Calculate maximum sendable amount considering network fees
- * @param {number} availableBalance - Available balance in satoshis
- * @param {number} feeInSatoshis - Estimated network fee in satoshis
- * @returns {number} Maximum sendable amount in satoshis
+ * Validate an amount to send against the dust limit and maximum sendable amount
+ * @param {number} amountSatoshis - Amount to send in satoshis
+ * @param {number} maxSendable - Maximum sendable amount in satoshis
+ * @returns {string|null} Error message, or null if the amount is valid
  */
-function calculateMaxSendable(availableBalance, feeInSatoshis) {
-  const maxSendable = availableBalance - feeInSatoshis;
-  return maxSendable > 0 ? maxSendable : 0;
+export function validateAmount(amountSatoshis, maxSendable) {
+  if (isNaN(amountSatoshis) || amountSatoshis <= 0) {
+    return 'Please enter a valid positive number.';
+  }
+
+  if (amountSatoshis > maxSendable) {
+    return `Amount exceeds maximum sendable amount of ${maxSendable / 100000000} BTC (including fee).`;
+  }
+
+  // Minimum amount check (dust limit for Bitcoin is typically 546 satoshis)
+  if (amountSatoshis < 546) {
+    return 'Amount too small. Minimum is 546 satoshis (0.00000546 BTC).';
+  }
+
+  return null;
+}
+
+/**
+ * Show the current fee rates and ask the user for a priority or custom rate
+ * @param {Object} network - Network settings from getNetwork
+ * @returns {Promise<number>} Fee rate in sat/vB
+ */
+async function getFeeRateToUse(network) {
+  const feeRates = await getFeeRates({ network });
+
+  console.log('\n=== Network Fee Rates ===');
+  for (const priority of FEE_PRIORITIES) {
+    console.log(`${priority}: ${feeRates[priority]} sat/vB`);
+  }
+  if (feeRates.source === 'default') {
+    console.log(`(no fee estimates for ${network.name}, using the minimum relay fee rate)`);
+  }
+  console.log('');
+
+  while (true) {
+    const answer = await askQuestion(`Enter fee rate (${FEE_PRIORITIES.join(', ')} or sat/vB, default: ${DEFAULT_FEE_PRIORITY}): `);
+
+    try {
+      return resolveFeeRate(answer.trim().toLowerCase() || DEFAULT_FEE_PRIORITY, feeRates);
+    } catch (error) {
+      console.log(`Error: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Ask user for the receiver address, or a BIP21 payment URI that may also carry the amount
+ * @param {Object} network - Network settings from getNetwork
+ * @returns {Promise<Object>} { address, amountSatoshis }, amountSatoshis null unless the URI requests one
+ */
+async function getRecipient(network) {
+  while (true) {
+    const answer = await askQuestion('Enter receiver Bitcoin address or bitcoin: payment URI: ');
+
+    // Checksum, encoding and network of the address
+    try {
+      if (!isPaymentUri(answer)) {
+        return { address: decodeAddress(answer, network).address, amountSatoshis: null };
+      }
+
+      const request = parsePaymentUri(answer, { network });
+      if (request.label) {
+        console.log(`Pay to: ${request.label}`);
+      }
+      if (request.message) {
+        console.log(`Message: ${request.message}`);
+      }
+      return { address: request.address, amountSatoshis: request.amount };
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      console.log(`Error: ${error.message}`);
+    }
+  }
 }
 
 /**
  * Ask user for amount to send and validate it
- * @param {number} availableBalance - Available balance in satoshis
- * @param {number} feeInSatoshis - Network fee in satoshis
- * @returns {Promise<number>} Amount to send in BTC
+ * A valid amount requested by a payment URI is taken without asking.
+ * @param {number} maxSendable - Maximum sendable amount in satoshis
+ * @param {number} feeRate - Fee rate in sat/vB
+ * @param {number|null} requestedAmount - Amount of the payment URI in satoshis (default: none)
+ * @returns {Promise<Object|null>} { amountSatoshis, sendAll }, or null if cancelled
  */
-async function getAmountToSend(availableBalance, feeInSatoshis) {
-  const maxSendable = calculateMaxSendable(availableBalance, feeInSatoshis);
+async function getAmountToSend(maxSendable, feeRate, requestedAmount = null) {
   const maxSendableBTC = maxSendable / 100000000;
-  const feeBTC = feeInSatoshis / 100000000;
 
   console.log(`\n=== Send Bitcoin ===`);
-  console.log(`Network Fee: ${feeInSatoshis} satoshis (${feeBTC} BTC)`);
+  console.log(`Fee Rate: ${feeRate} sat/vB`);
   console.log(`Maximum you can send: ${maxSendable} satoshis (${maxSendableBTC} BTC)`);
   console.log('');
 
+  if (requestedAmount !== null) {
+    const error = validateAmount(requestedAmount, maxSendable);
+
+    if (!error) {
+      console.log(`Requested amount: ${requestedAmount} satoshis (${requestedAmount / 100000000} BTC)`);
+      return { amountSatoshis: requestedAmount, sendAll: false };
+    }
+    console.log(`The requested amount of ${requestedAmount / 100000000} BTC cannot be sent: ${error}`);
+  }
+
   while (true) {
-    const amountStr = await askQuestion('Enter amount to send in BTC (or "cancel" to exit): ');
+    const amountStr = await askQuestion('Enter amount to send in BTC, "all" to send everything (or "cancel" to exit): ');
 
     if (amountStr.toLowerCase() === 'cancel') {
       return null;
     }
 
-    const amountBTC = parseFloat(amountStr);
-
-    if (isNaN(amountBTC) || amountBTC <= 0) {
-      console.log('Error: Please enter a valid positive number.');
-      continue;
+    if (amountStr.toLowerCase() === 'all') {
+      return { amountSatoshis: maxSendable, sendAll: true };
     }
 
-    const amountSatoshis = Math.round(amountBTC * 100000000);
-
-    if (amountSatoshis > maxSendable) {
-      console.log(`Error: Amount exceeds maximum sendable amount of ${maxSendableBTC} BTC (including fee).`);
+    let amountSatoshis;
+    try {
+      amountSatoshis = parseAmount(amountStr);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      console.log(`Error: ${error.message}`);
       continue;
     }
 
-    // Minimum amount check (dust limit for Bitcoin is typically 546 satoshis)
-    if (amountSatoshis < 546) {
-      console.log('Error: Amount too small. Minimum is 546 satoshis (0.00000546 BTC).');
+    const error = validateAmount(amountSatoshis, maxSendable);
+
+    if (error) {
+      console.log(`Error: ${error}`);
       continue;
     }
 
-    return amountBTC;
+    return { amountSatoshis, sendAll: false };
   }
 }
 
 
 /**
- * Send Bitcoin transaction using Tatum SDK
- * @param {TatumSDK} tatumSdk - Initialized Tatum SDK instance
- * @param {string} fromAddress - Sender's address
- * @param {string} privateKey - Sender's private key
+ * Display the summary of a signed transaction before it is broadcast
+ * @param {Object} transaction - Signed transaction from createSignedTransaction
  * @param {string} toAddress - Recipient's address
- * @param {number} amountBTC - Amount to send in BTC
- * @param {number} feeBTC - Network fee in BTC
- * @param {Object} balance - Balance object with UTXOs
- * @returns {Promise<string>} Transaction hash
  */
-async function sendTransaction(tatumSdk, fromAddress, privateKey, toAddress, amountBTC, feeBTC, balance) {
-  const amountSatoshis = Math.round(amountBTC * 100000000);
-  const feeSatoshis = Math.round(feeBTC * 100000000);
+export function displayTransactionSummary(transaction, toAddress) {
+  // The recipient output comes first, the change output (if any) last
+  const amountSatoshis = transaction.outputs[0].value;
+  const changeOutput = transaction.selection.change > 0 ? transaction.outputs[transaction.outputs.length - 1] : null;
 
   console.log('\n=== Transaction Summary ===');
-  console.log(`From: ${fromAddress}`);
+  console.log(`From: ${[...new Set(transaction.inputs.map(utxo => utxo.address))].join(', ')}`);
   console.log(`To: ${toAddress}`);
-  console.log(`Amount: ${amountBTC} BTC (${amountSatoshis} satoshis)`);
-  console.log(`Fee: ${feeBTC} BTC (${feeSatoshis} satoshis)`);
-  console.log(`Change Address: ${fromAddress}`);
+  console.log(`Amount: ${amountSatoshis / 100000000} BTC (${amountSatoshis} satoshis)`);
+  console.log(`Fee: ${transaction.fee / 100000000} BTC (${transaction.fee} satoshis, ${transaction.selection.feeRate} sat/vB for ${transaction.vsize} vB)`);
+  console.log(changeOutput
+    ? `Change: ${changeOutput.value / 100000000} BTC to ${changeOutput.address}`
+    : 'Change: none');
   console.log('');
+}
+
+/**
+ * Build an unsigned PSBT for a watch-only wallet and print it for signing elsewhere
+ * @param {Object} wallet - Watch-only wallet from discoverWatchOnlyAccount
+ * @param {string} toAddress - Recipient's address
+ * @param {number} amountSatoshis - Amount to send in satoshis
+ * @param {Object} options - Fee settings passed to createUnsignedTransaction
+ * @param {number} options.feeRate - Fee rate in sat/vB
+ * @param {boolean} options.sendAll - Send the whole balance without change
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ */
+async function printUnsignedTransaction(wallet, toAddress, amountSatoshis, { feeRate, sendAll = false, network = getNetwork() } = {}) {
+  const transaction = await createUnsignedTransaction(wallet, toAddress, amountSatoshis, { feeRate, sendAll, network });
+
+  displayTransactionSummary(transaction, toAddress);
+  console.log('=== Unsigned PSBT ===');
+  console.log(transaction.psbt);
+  console.log(wallet.multisig
+    ? `\nCosigners sign the PSBT in turn (node cli.js psbt sign) until ${wallet.multisig.threshold} have signed, then broadcast it (node cli.js psbt broadcast).`
+    : '\nThis wallet is watch-only. Sign the PSBT with the wallet keys, then broadcast it.');
+}
+
+/**
+ * Sign a transaction, show its summary and broadcast it after the user confirms
+ * A payment that needs a second approver asks for the approver's signature first.
+ * @param {Object} provider - Blockchain data provider from getProvider
+ * @param {Object} wallet - Sending wallet with keys, change address and balance
+ * @param {string} toAddress - Recipient's address
+ * @param {number} amountSatoshis - Amount to send in satoshis
+ * @param {Object} options - Fee settings passed to createSignedTransaction
+ * @param {number} options.feeRate - Fee rate in sat/vB
+ * @param {boolean} options.sendAll - Send the whole balance without change
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @returns {Promise<string>} Transaction hash
+ */
+async function sendTransaction(provider, wallet, toAddress, amountSatoshis, { feeRate, sendAll = false, network = getNetwork() } = {}) {
+  let transaction;
+  try {
+    transaction = await createSignedTransaction(wallet, toAddress, amountSatoshis, { feeRate, sendAll, network });
+  } catch (error) {
+    if (!(error instanceof PolicyError) || !error.approval) {
+      throw error;
+    }
+
+    console.log(`\n${error.message}`);
+    const approval = await askQuestion('Approver signature (empty to cancel): ');
+    if (!approval) {
+      console.log('Transaction cancelled.');
+      return null;
+    }
+    transaction = await createSignedTransaction(wallet, toAddress, amountSatoshis, { feeRate, sendAll, network, approval });
+  }
+
+  displayTransactionSummary(transaction, toAddress);
 
   const confirm = await askQuestion('Confirm transaction? (yes/no): ');
 
@@ -190,154 +446,430 @@ async function sendTransaction(tatumSdk, fromAddress, privateKey, toAddress, amo
     return null;
   }
 
-  // Select confirmed UTXOs to cover amount + fee
-  const sortedUtxos = balance.unspentUTXOs
-    .filter(utxo => utxo.confirmed)
-    .sort((a, b) => b.value - a.value);
+  console.log('Broadcasting transaction...');
 
-  let inputSum = 0;
-  const selectedUtxos = [];
-  const requiredAmount = amountSatoshis + feeSatoshis;
+  try {
+    const txHash = await provider.broadcast(transaction.hex);
+    recordSpend(transaction.policy, { txid: txHash }, { network });
+    return txHash;
+  } catch (error) {
+    console.error('\nTransaction failed:', error.message);
+    throw error;
+  }
+}
 
-  for (const utxo of sortedUtxos) {
-    selectedUtxos.push(utxo);
-    inputSum += utxo.value;
+/**
+ * Build and sign a transaction locally from the wallet UTXOs
+ * The UTXOs are selected here and spent exactly as selected, so the raw
+ * transaction, its txid and its exact fee are known before anything is broadcast.
+ * Pass either a fee rate, which prices the transaction by its size, or a fixed fee.
+ * @param {Object} wallet - Sending wallet with keys, change address and balance
+ * @param {string} toAddress - Recipient's address
+ * @param {number} amountSatoshis - Amount to send in satoshis (ignored with sendAll)
+ * @param {Object} options - Optional settings
+ * @param {number} options.feeRate - Fee rate in sat/vB
+ * @param {number} options.fee - Fixed network fee in satoshis, instead of a fee rate
+ * @param {boolean} options.sendAll - Send every spendable UTXO to the recipient without change
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {string} options.strategy - Coin selection strategy (default: auto)
+ * @param {string[]} options.outpoints - Outpoints to spend with the manual strategy or sendAll
+ * @param {boolean} options.rbf - Signal replace-by-fee so the fee can be bumped later (default: `rbf` config value, then true)
+ * @param {string} options.approval - Second approver's signature, for payments above the policy's approval threshold
+ * @param {boolean} options.dryRun - The transaction is only shown, not broadcast: the policy is checked without writing the audit log (default: false)
+ * @returns {Promise<Object>} Signed transaction: hex, txId, vsize, fee, inputs, outputs, the coin selection
+ *   and the policy check to pass to recordSpend
+ * @throws {PolicyError} If the spending policy refuses the payment
+ */
+export async function createSignedTransaction(wallet, toAddress, amountSatoshis, {
+  feeRate,
+  fee,
+  sendAll = false,
+  log = console.log,
+  network = getNetwork(),
+  strategy = 'auto',
+  outpoints = [],
+  rbf = loadConfig().rbf !== false,
+  approval = null,
+  dryRun = false
+} = {}) {
+  const selection = selectWalletCoins(wallet, toAddress, amountSatoshis, { feeRate, fee, sendAll, network, strategy, outpoints });
+  return signSelection(wallet, selection, { log, network, rbf, approval, dryRun });
+}
 
-    if (inputSum >= requiredAmount) {
-      break;
-    }
-  }
+/**
+ * Build an unsigned PSBT from the wallet UTXOs, for signing elsewhere
+ * This is how watch-only wallets spend: coins are selected as for createSignedTransaction,
+ * and each input carries its key origin so an offline signer or hardware wallet can sign it.
+ * @param {Object} wallet - Sending wallet with (public) keys, change address and balance
+ * @param {string} toAddress - Recipient's address
+ * @param {number} amountSatoshis - Amount to send in satoshis (ignored with sendAll)
+ * @param {Object} options - Optional settings, as for createSignedTransaction
+ * @param {number} options.feeRate - Fee rate in sat/vB
+ * @param {number} options.fee - Fixed network fee in satoshis, instead of a fee rate
+ * @param {boolean} options.sendAll - Send every spendable UTXO to the recipient without change
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {string} options.strategy - Coin selection strategy (default: auto)
+ * @param {string[]} options.outpoints - Outpoints to spend with the manual strategy or sendAll
+ * @param {boolean} options.rbf - Signal replace-by-fee (default: `rbf` config value, then true)
+ * @returns {Promise<Object>} Unsigned transaction: base64 psbt, fee, estimated vsize, inputs, outputs and the coin selection
+ */
+export async function createUnsignedTransaction(wallet, toAddress, amountSatoshis, {
+  feeRate,
+  fee,
+  sendAll = false,
+  log = console.log,
+  network = getNetwork(),
+  strategy = 'auto',
+  outpoints = [],
+  rbf = loadConfig().rbf !== false
+} = {}) {
+  const selection = selectWalletCoins(wallet, toAddress, amountSatoshis, { feeRate, fee, sendAll, network, strategy, outpoints });
+  const psbt = await buildSelectionPsbt(wallet, selection, { log, network, rbf });
+
+  return {
+    psbt: psbt.toBase64(),
+    fee: selection.fee,
+    vsize: selection.vsize,
+    rbf,
+    inputs: selection.inputs,
+    outputs: selection.outputs,
+    selection
+  };
+}
 
-  if (inputSum < requiredAmount) {
-    throw new Error(`Insufficient confirmed funds. Have ${inputSum}, need ${requiredAmount} satoshis.`);
+/**
+ * Select the wallet UTXOs for a payment to one recipient
+ * @param {Object} wallet - Sending wallet with change address and balance
+ * @param {string} toAddress - Recipient's address
+ * @param {number} amountSatoshis - Amount to send in satoshis (ignored with sendAll)
+ * @param {Object} options - Selection settings passed to selectCoins or selectAllCoins
+ * @returns {Object} Coin selection
+ */
+function selectWalletCoins(wallet, toAddress, amountSatoshis, { feeRate, fee, sendAll, network, strategy, outpoints }) {
+  const utxos = wallet.balance.unspentUTXOs;
+
+  return sendAll
+    ? selectAllCoins(utxos, toAddress, { feeRate, fee, outpoints, network })
+    : selectCoins(utxos, [{ address: toAddress, value: amountSatoshis }], {
+      changeAddress: wallet.changeAddress,
+      feeRate,
+      fee,
+      strategy,
+      outpoints,
+      network
+    });
+}
+
+/**
+ * Build and sign one transaction paying many recipients from the wallet UTXOs
+ * Recipients are paid in the given order, so recipient i is output i; change comes last.
+ * @param {Object} wallet - Sending wallet with keys, change address and balance
+ * @param {Array} recipients - Outputs to pay in satoshis: [{ address, value }]
+ * @param {Object} options - Optional settings
+ * @param {number} options.feeRate - Fee rate in sat/vB
+ * @param {number} options.fee - Fixed network fee in satoshis, instead of a fee rate
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {string} options.strategy - Coin selection strategy (default: auto)
+ * @param {string[]} options.outpoints - Outpoints to spend with the manual strategy
+ * @param {boolean} options.rbf - Signal replace-by-fee (default: `rbf` config value, then true)
+ * @param {string} options.approval - Second approver's signature, for payments above the policy's approval threshold
+ * @param {boolean} options.dryRun - The transaction is only shown, not broadcast: the policy is checked without writing the audit log (default: false)
+ * @returns {Promise<Object>} Signed transaction: hex, txId, vsize, fee, inputs, outputs, the coin selection
+ *   and the policy check to pass to recordSpend
+ * @throws {PolicyError} If the spending policy refuses the payment
+ */
+export async function createSignedBatchTransaction(wallet, recipients, {
+  feeRate,
+  fee,
+  log = console.log,
+  network = getNetwork(),
+  strategy = 'auto',
+  outpoints = [],
+  rbf = loadConfig().rbf !== false,
+  approval = null,
+  dryRun = false
+} = {}) {
+  const selection = selectCoins(wallet.balance.unspentUTXOs, recipients.map(({ address, value }) => ({ address, value })), {
+    changeAddress: wallet.changeAddress,
+    feeRate,
+    fee,
+    strategy,
+    outpoints,
+    network
+  });
+
+  return signSelection(wallet, selection, { log, network, rbf, approval, dryRun });
+}
+
+/**
+ * Sign the transaction for a coin selection, once the spending policy allows it
+ * @param {Object} wallet - Sending wallet with keys
+ * @param {Object} selection - Result of selectCoins or selectAllCoins
+ * @param {Object} options - Signing settings
+ * @param {Function} options.log - Progress logger
+ * @param {Object} options.network - Network settings from getNetwork
+ * @param {boolean} options.rbf - Signal replace-by-fee
+ * @param {string|null} options.approval - Second approver's signature
+ * @param {boolean} options.dryRun - Check the policy without writing the audit log
+ * @returns {Promise<Object>} Signed transaction with its selection and policy check
+ */
+async function signSelection(wallet, selection, { log, network, rbf, approval, dryRun }) {
+  if (wallet.watchOnly) {
+    throw new Error('This wallet is watch-only: create an unsigned PSBT and sign it where the keys are.');
   }
 
-  console.log(`\nUsing ${selectedUtxos.length} UTXO(s) totaling ${inputSum} satoshis`);
+  // Change comes last and is not a payment
+  const payments = selection.change > 0 ? selection.outputs.slice(0, -1) : selection.outputs;
+  const policy = enforcePolicy(wallet, { outputs: payments, fee: selection.fee, feeRate: selection.feeRate }, { approval, record: !dryRun, network });
 
-  // Prepare payload for Tatum SDK
-  const payloadUtxo = {
-    fromAddress: [{
-      address: fromAddress,
-      privateKey: privateKey
-    }],
-    to: [{
-      address: toAddress,
-      value: amountBTC
-    }],
-    fee: feeBTC.toString(),
-    changeAddress: fromAddress
+  const psbt = await buildSelectionPsbt(wallet, selection, { log, network, rbf });
+  signPsbt(psbt, wallet.keys, network);
+
+  return {
+    ...extractTransaction(psbt),
+    rbf,
+    inputs: selection.inputs,
+    outputs: selection.outputs,
+    selection,
+    policy
   };
+}
 
-  console.log('Sending transaction via Tatum SDK...');
-  console.log('\nRequest Details:');
-  console.log('fromAddress:', [{ address: fromAddress, privateKey: '***' }]);
-  console.log('to:', JSON.stringify(payloadUtxo.to, null, 2));
-  console.log('fee:', payloadUtxo.fee);
-  console.log('changeAddress:', payloadUtxo.changeAddress);
+/**
+ * Build the unsigned PSBT for a coin selection
+ * @param {Object} wallet - Sending wallet with keys
+ * @param {Object} selection - Result of selectCoins or selectAllCoins
+ * @param {Object} options - Build settings
+ * @param {Function} options.log - Progress logger
+ * @param {Object} options.network - Network settings from getNetwork
+ * @param {boolean} options.rbf - Signal replace-by-fee
+ * @returns {Promise<bitcoin.Psbt>} Unsigned PSBT
+ */
+async function buildSelectionPsbt(wallet, selection, { log, network, rbf }) {
+  log(`\nUsing ${selection.inputs.length} UTXO(s) totaling ${selection.inputSum} satoshis (${selection.strategy} selection)`);
+  if (selection.change === 0) {
+    log(`No change output, fee is ${selection.fee} satoshis`);
+  }
 
-  try {
-    // Sign and broadcast transaction using Tatum SDK
-    const txHash = await tatumSdk.walletProvider
-      .use(UtxoWalletProvider)
-      .signAndBroadcast(payloadUtxo);
+  return buildPsbt(selection.inputs, selection.outputs, wallet.keys, { network, rbf, changeKey: wallet.changeKey });
+}
 
-    return txHash;
-  } catch (error) {
-    console.error('\nTransaction failed:', error.message);
-    throw error;
+/**
+ * Ask for a wallet name and a new password, then store the wallet encrypted
+ * Watch-only wallets hold no secret and are stored without a password.
+ * @param {Object} secret - { mnemonic, passphrase }, { privateKey } or { descriptor }
+ * @param {Object} network - Network settings from getNetwork
+ * @returns {Promise<string>} Name of the stored wallet
+ */
+async function saveWalletToKeystore(secret, network) {
+  while (true) {
+    const name = await askQuestion('Wallet name (default: default): ') || 'default';
+
+    if (secret.descriptor) {
+      try {
+        addWatchOnlyWallet(name, secret.descriptor, { network });
+        console.log(`Watch-only wallet ${name} saved to ${getKeystorePath()}`);
+        return name;
+      } catch (error) {
+        console.log(`Error: ${error.message}`);
+        continue;
+      }
+    }
+
+    const password = await askSecret(`New password (at least ${MIN_PASSWORD_LENGTH} characters): `);
+    const repeated = await askSecret('Repeat password: ');
+
+    if (password !== repeated) {
+      console.log('Error: Passwords do not match.');
+      continue;
+    }
+
+    try {
+      await addWallet(name, secret, password, { network });
+      console.log(`Wallet ${name} saved to ${getKeystorePath()}`);
+      return name;
+    } catch (error) {
+      console.log(`Error: ${error.message}`);
+    }
   }
 }
 
 /**
- * Main application flow
+ * Ask which saved wallet to open and unlock it with its password
+ * @param {Array} savedWallets - Wallets from listWallets
+ * @returns {Promise<Object>} Secret: { mnemonic, passphrase }, { privateKey } or { descriptor }, with the wallet name
  */
-async function main() {
-  let tatumSdk;
+async function openSavedWallet(savedWallets) {
+  const defaultName = savedWallets[0].name;
+  const name = await askQuestion(`Wallet name (default: ${defaultName}): `) || defaultName;
 
-  try {
-    console.log('=== Bitcoin Testnet Wallet Manager ===\n');
+  if (isWatchOnlyWallet(name)) {
+    return { ...await unlockWallet(name), name };
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const password = await askSecret(`Password for ${name}: `);
 
-    // Load API key from config
-    let apiKey = null;
     try {
-      const { readFileSync } = await import('fs');
-      const config = JSON.parse(readFileSync('./config.json', 'utf8'));
-      apiKey = config.apiKey;
+      return { ...await unlockWallet(name, password), name };
     } catch (error) {
-      console.log('Note: config.json not found or apiKey not configured. Some features may be limited.\n');
+      if (attempt >= UNLOCK_ATTEMPTS || !error.message.startsWith('Wrong password')) {
+        throw error;
+      }
+      console.log(`Error: ${error.message}`);
     }
+  }
+}
 
-    console.log('Initializing Tatum SDK...\n');
+/**
+ * Interactive application flow
+ */
+export async function main() {
+  let provider;
 
-    // Initialize Tatum SDK with API key if available
-    tatumSdk = await initTatumSDK(apiKey);
+  try {
+    const network = getNetwork();
+    console.log(`=== Bitcoin ${network.label} Wallet Manager ===\n`);
+
+    // Blockchain data comes from Tatum, Esplora or a bitcoind node
+    provider = getProvider({ network });
+    console.log(`Using the ${provider.name} provider.`);
+
+    // Load API key from config.json or TATUM_API_KEY
+    if (provider.name === 'tatum' && !loadConfig().apiKey) {
+      console.log('Note: config.json not found or apiKey not configured. Some features may be limited.');
+    }
+    console.log('');
 
     // Ask user for wallet option
+    const savedWallets = listWallets();
     console.log('Please select an option:');
     console.log('1. I have a mnemonic phrase');
     console.log('2. I have a private key');
     console.log('3. Generate a new wallet');
+    if (savedWallets.length > 0) {
+      console.log(`4. Open a saved wallet (${savedWallets.map(entry => entry.name).join(', ')})`);
+    }
+    console.log('5. Watch a wallet by its xpub/ypub/zpub or output descriptor (no keys)');
     console.log('');
 
-    const option = await askQuestion('Enter your choice (1, 2, or 3): ');
+    const option = await askQuestion(`Enter your choice (${savedWallets.length > 0 ? '1, 2, 3, 4 or 5' : '1, 2, 3 or 5'}): `);
 
-    let privateKey;
-    let mnemonic;
+    let secret;
 
     switch (option) {
       case '1':
-        // User has mnemonic
-        mnemonic = await askQuestion('Enter your mnemonic phrase: ');
-        const derivationIndex = await askQuestion('Enter derivation index (default: 0): ');
-        const index = derivationIndex ? parseInt(derivationIndex) : 0;
-
-        console.log('\nDeriving private key from mnemonic...');
-        privateKey = await derivePrivateKeyFromMnemonic(tatumSdk, mnemonic, index);
-        console.log('Private key derived successfully!');
-        console.log(`Private Key (WIF): ${privateKey}`);
+        // User has mnemonic; secrets are typed without echo
+        secret = {
+          mnemonic: await askSecret('Enter your mnemonic phrase: '),
+          passphrase: await askSecret('Enter BIP39 passphrase (optional): ')
+        };
         break;
 
       case '2':
         // User has private key
-        privateKey = await askQuestion('Enter your private key (WIF or hex format): ');
+        secret = { privateKey: await askSecret('Enter your private key (WIF or hex format): ') };
         break;
 
       case '3':
-        // Generate new wallet
+        // Generate new wallet. The mnemonic is never printed: it goes
+        // straight into the encrypted keystore.
         console.log('\nGenerating new wallet...');
-        mnemonic = generateNewMnemonic(tatumSdk);
-        console.log('\n⚠️  IMPORTANT: Save this mnemonic phrase securely! ⚠️');
-        console.log('Mnemonic:', mnemonic);
-        console.log('');
-
-        privateKey = await derivePrivateKeyFromMnemonic(tatumSdk, mnemonic, 0);
-        console.log('Private Key (WIF):', privateKey);
-        console.log('');
+        secret = { mnemonic: generateMnemonic(), passphrase: '' };
         break;
 
+      case '5': {
+        // Public keys only: balances and unsigned PSBTs, nothing is signed here
+        const source = await askQuestion('Enter xpub/ypub/zpub or output descriptor: ');
+        let addressType;
+        if (/^[xt]pub/.test(source)) {
+          addressType = getAddressType(await askQuestion(`Address type of this xpub (${ADDRESS_TYPES.join(', ')}, default: ${getAddressType()}): `));
+        }
+        secret = { descriptor: parseWatchOnly(source, { addressType, network }).descriptor };
+        break;
+      }
+
+      case '4':
+        if (savedWallets.length > 0) {
+          secret = await openSavedWallet(savedWallets);
+          break;
+        }
+        // falls through
+
       default:
         console.log('Invalid option. Please run the program again.');
-        rl.close();
-        if (tatumSdk) await tatumSdk.destroy();
+        closePrompt();
+        await provider.close();
         process.exit(1);
     }
 
-    // Generate address from private key
-    console.log('\nGenerating address...');
-    const address = generateAddressFromPrivateKey(privateKey);
+    if (option === '3') {
+      const name = await saveWalletToKeystore(secret, network);
+      secret = { ...secret, name };
+      console.log('\n⚠️  IMPORTANT: Back up the mnemonic of this wallet! ⚠️');
+      console.log(`Show it once with: node cli.js wallet export --wallet ${name}`);
+    } else if (option !== '4') {
+      const save = await askQuestion(`\nSave this wallet to the ${secret.descriptor ? '' : 'encrypted '}keystore? (yes/no): `);
+      if (save.toLowerCase() === 'yes' || save.toLowerCase() === 'y') {
+        secret = { ...secret, name: await saveWalletToKeystore(secret, network) };
+      }
+    }
 
-    // Fetch and display balance and UTXOs
-    console.log('Fetching wallet information...\n');
-    const balance = await getBitcoinBalance(address);
+    const { mnemonic, passphrase = '', privateKey, descriptor } = secret;
+
+    // Ask which address type to use for this key; a descriptor fixes it
+    let addressType;
+    if (!descriptor) {
+      const defaultAddressType = getAddressType();
+      console.log(`\nAddress types: ${ADDRESS_TYPES.join(', ')}`);
+      const addressTypeAnswer = await askQuestion(`Enter address type (default: ${defaultAddressType}): `);
+      addressType = getAddressType(addressTypeAnswer || defaultAddressType);
+    }
+
+    let wallet;
+
+    if (descriptor) {
+      console.log('\nScanning watch-only HD account...');
+      wallet = await discoverWatchOnlyAccount(descriptor, { network, gapLimit: getGapLimit() });
+      displayAccountInfo(wallet);
+    } else if (mnemonic) {
+      // Scan the HD account for used addresses. A fresh mnemonic has no
+      // history, so one address per chain is enough.
+      console.log('\nScanning HD account...');
+      wallet = await discoverAccount(mnemonic, {
+        passphrase,
+        addressType,
+        network,
+        gapLimit: option === '3' ? 1 : getGapLimit()
+      });
+      displayAccountInfo(wallet);
+    } else {
+      // Generate address from private key
+      console.log('\nGenerating address...');
+      const address = generateAddressFromPrivateKey(privateKey, network, addressType);
+      console.log(`Address type: ${addressType}`);
+
+      // Fetch balance and UTXOs
+      console.log('Fetching wallet information...\n');
+      const balance = await getBitcoinBalance(address, { network });
+      wallet = createSingleKeyWallet(address, privateKey, balance);
+    }
+
+    // Spending policies and the audit log know stored wallets by name
+    wallet.name = secret.name || null;
 
     // Display wallet information
-    displayWalletInfo(address, balance);
+    const balance = wallet.balance;
+    displayWalletInfo(wallet.receiveAddress, balance, network);
 
     // Check if wallet has sufficient balance to send
     if (balance.availableBalance === 0) {
       console.log('\nWallet has no funds to send.');
-      rl.close();
-      await tatumSdk.destroy();
+      closePrompt();
+      await provider.close();
       return;
     }
 
@@ -347,78 +879,79 @@ async function main() {
 
     if (sendChoice.toLowerCase() !== 'yes' && sendChoice.toLowerCase() !== 'y') {
       console.log('Transaction cancelled.');
-      rl.close();
-      await tatumSdk.destroy();
+      closePrompt();
+      await provider.close();
       return;
     }
 
-    // Set network fee (typical testnet fee: 1000 satoshis = 0.00001 BTC)
-    // For mainnet, you should use dynamic fee estimation
-    const feeInSatoshis = 1000; // 0.00001 BTC
-    const feeBTC = feeInSatoshis / 100000000;
+    // Price the transaction by its size at the chosen fee rate
+    const feeRate = await getFeeRateToUse(network);
+    const maxSendable = getMaxSendable(balance.unspentUTXOs, { feeRate, network });
 
     // Check if balance is sufficient for minimum transaction + fee
-    if (balance.availableBalance <= feeInSatoshis + 546) {
-      console.log('\nInsufficient balance to send a transaction (need at least fee + dust limit).');
-      rl.close();
-      await tatumSdk.destroy();
+    if (maxSendable < DUST_LIMIT) {
+      console.log('\nInsufficient spendable balance to send a transaction at this fee rate (need at least fee + dust limit).');
+      closePrompt();
+      await provider.close();
       return;
     }
 
+    // Get receiver address; a payment URI also names the amount
+    const recipient = await getRecipient(network);
+    const receiverAddress = recipient.address;
+
     // Get amount to send
-    const amountBTC = await getAmountToSend(balance.availableBalance, feeInSatoshis);
+    const amount = await getAmountToSend(maxSendable, feeRate, recipient.amountSatoshis);
 
-    if (amountBTC === null) {
+    if (amount === null) {
       console.log('Transaction cancelled.');
-      rl.close();
-      await tatumSdk.destroy();
+      closePrompt();
+      await provider.close();
       return;
     }
 
-    // Get receiver address
-    let receiverAddress;
-    while (true) {
-      receiverAddress = await askQuestion('Enter receiver Bitcoin address: ');
-
-      // Basic validation (Bitcoin testnet addresses start with 'm', 'n', or 'tb1')
-      if (!receiverAddress || receiverAddress.trim() === '') {
-        console.log('Error: Address cannot be empty.');
-        continue;
-      }
-
-      // Check if it's a valid testnet address format
-      if (!receiverAddress.match(/^(m|n|tb1|2)[a-zA-Z0-9]{25,90}$/)) {
-        console.log('Warning: Address format may be invalid for Bitcoin testnet.');
-        const proceed = await askQuestion('Continue anyway? (yes/no): ');
-        if (proceed.toLowerCase() !== 'yes' && proceed.toLowerCase() !== 'y') {
-          continue;
-        }
-      }
-
-      break;
+    if (wallet.watchOnly) {
+      await printUnsignedTransaction(wallet, receiverAddress, amount.amountSatoshis, {
+        feeRate,
+        sendAll: amount.sendAll,
+        network
+      });
+      closePrompt();
+      await provider.close();
+      return;
     }
 
-    // Send transaction using Tatum SDK
-    const txHash = await sendTransaction(tatumSdk, address, privateKey, receiverAddress, amountBTC, feeBTC, balance);
+    // Sign locally and broadcast through the provider
+    const txHash = await sendTransaction(provider, wallet, receiverAddress, amount.amountSatoshis, {
+      feeRate,
+      sendAll: amount.sendAll,
+      network
+    });
 
     if (txHash) {
       console.log('\n=== Transaction Successful! ===');
       console.log(`txId: "${txHash}"`);
-      console.log(`\nView on Block Explorer:`);
-      console.log(`https://blockstream.info/testnet/tx/${txHash}`);
+      console.log(`If it gets stuck, bump its fee with: node cli.js bump ${txHash} --fee-rate fast`);
+      const explorerUrl = getExplorerTxUrl(txHash, network);
+      if (explorerUrl) {
+        console.log(`\nView on Block Explorer:`);
+        console.log(explorerUrl);
+      }
     }
 
     // Cleanup
-    rl.close();
-    await tatumSdk.destroy();
+    closePrompt();
+    await provider.close();
 
   } catch (error) {
     console.error('\nError:', error.message);
-    rl.close();
-    if (tatumSdk) await tatumSdk.destroy();
+    closePrompt();
+    if (provider) await provider.close();
     process.exit(1);
   }
 }
 
-// Run the application
-main();
+// Run the interactive application if run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
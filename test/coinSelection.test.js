@@ -0,0 +1,222 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { NETWORKS } from '../networks.js';
+import { selectCoins, selectAllCoins, getMaxSendable, estimateVsize } from '../coinSelection.js';
+import { DUST_LIMIT } from '../transactionBuilder.js';
+
+const fixture = JSON.parse(readFileSync(new URL('./fixtures/utxo-set.json', import.meta.url), 'utf8'));
+const { utxos } = fixture;
+const { change: changeAddress, recipient } = fixture.addresses;
+const network = NETWORKS.testnet;
+
+// With every random() below 0.5, knapsack includes coins in the order it sorts them
+const random = () => 0;
+
+/**
+ * Outpoint of a fixture UTXO
+ * @param {string} prefix - Two hex characters its txid repeats
+ * @param {number} index - Output index
+ * @returns {string} Outpoint as "txHash:index"
+ */
+function outpoint(prefix, index = 0) {
+  return `${prefix.repeat(32)}:${index}`;
+}
+
+/**
+ * Pay the fixture recipient from the fixture UTXOs
+ * @param {number} value - Amount in satoshis
+ * @param {Object} options - Options for selectCoins, over a fee rate of 1 sat/vB
+ * @param {Array} set - UTXOs to select from (default: the fixture set)
+ * @returns {Object} Selection
+ */
+function pay(value, options = {}, set = utxos) {
+  return selectCoins(set, [{ address: recipient, value }], { changeAddress, feeRate: 1, network, random, ...options });
+}
+
+/**
+ * Outpoints of the inputs of a selection
+ * @param {Object} selection - Selection from selectCoins
+ * @returns {string[]} Outpoints, sorted
+ */
+function inputsOf(selection) {
+  return selection.inputs.map(utxo => utxo.utxo).sort();
+}
+
+/**
+ * Check the amounts of a selection add up
+ * @param {Object} selection - Selection from selectCoins or selectAllCoins
+ */
+function assertBalanced(selection) {
+  const outputSum = selection.outputs.reduce((sum, output) => sum + output.value, 0);
+  assert.equal(selection.inputSum, selection.inputs.reduce((sum, utxo) => sum + utxo.value, 0));
+  assert.equal(selection.fee, selection.inputSum - outputSum);
+  assert.equal(selection.change === 0 || selection.change >= DUST_LIMIT, true);
+}
+
+describe('selectCoins', () => {
+  it('branch-and-bound finds a changeless match with the least waste', () => {
+    // Target 50042 (amount plus 42 vB of overhead and output): 50200 spends for 50132 and is the closest unfrozen match
+    const selection = pay(50000, { strategy: 'bnb' });
+
+    assert.deepEqual(inputsOf(selection), [outpoint('bb')]);
+    assert.equal(selection.strategy, 'bnb');
+    assert.equal(selection.change, 0);
+    assert.equal(selection.outputs.length, 1);
+    assert.equal(selection.fee, 200);
+    assert.equal(selection.vsize, 110);
+    assertBalanced(selection);
+  });
+
+  it('auto uses branch-and-bound, then falls back to knapsack', () => {
+    assert.equal(pay(50000).strategy, 'bnb');
+
+    const fallback = pay(45000);
+    assert.equal(fallback.strategy, 'knapsack');
+    assertBalanced(fallback);
+    assert.throws(() => pay(45000, { strategy: 'bnb' }), /No changeless input set found/);
+  });
+
+  it('knapsack prefers an exact match', () => {
+    // 30000 is worth 29932 after its input fee, exactly the target of 29890
+    const selection = pay(29890, { strategy: 'knapsack' });
+
+    assert.deepEqual(inputsOf(selection), [outpoint('cc')]);
+    assert.equal(selection.change, 0);
+    assert.equal(selection.fee, 110);
+  });
+
+  it('knapsack combines smaller coins before a larger one', () => {
+    const selection = pay(40000, { strategy: 'knapsack' });
+
+    assert.deepEqual(inputsOf(selection), [outpoint('cc', 0), outpoint('cc', 1)]);
+    assert.equal(selection.change, 50000 - 40000 - estimateVsize(['p2wpkh', 'p2wpkh'], ['p2wpkh', 'p2wpkh']));
+    assertBalanced(selection);
+  });
+
+  it('knapsack takes the smallest larger coin when the smaller ones do not suffice', () => {
+    const set = utxos.filter(utxo => [outpoint('aa'), outpoint('dd')].includes(utxo.utxo));
+    const selection = pay(40000, { strategy: 'knapsack' }, set);
+
+    assert.deepEqual(inputsOf(selection), [outpoint('aa')]);
+  });
+
+  it('largest-first spends the biggest coins', () => {
+    assert.deepEqual(inputsOf(pay(60000, { strategy: 'largest-first' })), [outpoint('aa')]);
+    assert.deepEqual(inputsOf(pay(120000, { strategy: 'largest-first' })), [outpoint('aa'), outpoint('bb')]);
+  });
+
+  it('smallest-first consolidates the smallest coins', () => {
+    const selection = pay(40000, { strategy: 'smallest-first' });
+
+    assert.deepEqual(inputsOf(selection), [outpoint('cc', 0), outpoint('cc', 1), outpoint('dd')]);
+    assertBalanced(selection);
+  });
+
+  it('never spends frozen or unspendable coins automatically', () => {
+    for (const strategy of ['auto', 'bnb', 'knapsack', 'largest-first', 'smallest-first']) {
+      for (const value of [10000, 50000, 90000, 150000, 200000]) {
+        let selection;
+        try {
+          selection = pay(value, { strategy });
+        } catch (error) {
+          continue;
+        }
+        assert.equal(selection.inputs.some(utxo => utxo.frozen || !utxo.spendable), false, `${strategy} ${value}`);
+      }
+    }
+
+    // Unfrozen, the 50142 coin (worth 50074, 32 over the target) beats 50200
+    const unfrozen = utxos.map(utxo => ({ ...utxo, frozen: false }));
+    assert.deepEqual(inputsOf(pay(50000, { strategy: 'bnb' }, unfrozen)), [outpoint('ee')]);
+  });
+
+  it('reports the unfrozen spendable balance when funds are short', () => {
+    assert.throws(() => pay(300000, { strategy: 'largest-first' }), /Insufficient spendable funds\. Have 205200, need 300042 satoshis plus input fees\./);
+  });
+
+  it('manual spends exactly the given outpoints, frozen ones included', () => {
+    const selection = pay(50000, { strategy: 'manual', outpoints: [outpoint('ee'), outpoint('dd'), outpoint('ee')] });
+
+    assert.deepEqual(inputsOf(selection), [outpoint('dd'), outpoint('ee')]);
+    assert.equal(selection.strategy, 'manual');
+    assertBalanced(selection);
+  });
+
+  it('manual rejects unknown, unspendable and missing outpoints', () => {
+    assert.throws(() => pay(1000, { strategy: 'manual', outpoints: [outpoint('99')] }), /is not a spendable output of this wallet/);
+    assert.throws(() => pay(1000, { strategy: 'manual', outpoints: [outpoint('ff')] }), /is not a spendable output of this wallet/);
+    assert.throws(() => pay(1000, { strategy: 'manual', outpoints: [] }), /needs at least one outpoint/);
+    assert.throws(() => pay(60000, { strategy: 'manual', outpoints: [outpoint('bb')] }), /Insufficient funds in the selected inputs/);
+  });
+
+  it('adds change below the dust limit to the fee', () => {
+    // With a change output: 141 vB, leaving 50200 - 49500 - 141 = 559 satoshis of change
+    const withChange = pay(49500, { strategy: 'manual', outpoints: [outpoint('bb')] });
+    assert.equal(withChange.change, 559);
+    assert.deepEqual(withChange.outputs.at(-1), { address: changeAddress, value: 559 });
+    assert.equal(withChange.fee, 141);
+    assert.equal(withChange.vsize, 141);
+
+    // 100 satoshis more for the recipient leaves 459: dust, so the fee takes it
+    const folded = pay(49600, { strategy: 'manual', outpoints: [outpoint('bb')] });
+    assert.equal(folded.change, 0);
+    assert.equal(folded.outputs.length, 1);
+    assert.equal(folded.fee, 600);
+    assert.equal(folded.vsize, 110);
+    assertBalanced(folded);
+  });
+
+  it('reports the effective fee rate, at least the requested one', () => {
+    const folded = pay(49600, { strategy: 'manual', outpoints: [outpoint('bb')] });
+    assert.equal(folded.feeRate, 5.45);
+
+    for (const feeRate of [1, 2.5, 7, 20]) {
+      for (const strategy of ['auto', 'knapsack', 'largest-first', 'smallest-first']) {
+        const selection = pay(35000, { strategy, feeRate });
+        assert.equal(selection.feeRate, Math.round(selection.fee / selection.vsize * 100) / 100);
+        assert.equal(selection.fee >= Math.ceil(selection.vsize * feeRate), true, `${strategy} at ${feeRate}`);
+      }
+    }
+  });
+
+  it('charges a fixed fee regardless of size', () => {
+    const selection = pay(60000, { strategy: 'largest-first', feeRate: undefined, fee: 1000 });
+
+    assert.equal(selection.fee, 1000);
+    assert.equal(selection.change, 100000 - 60000 - 1000);
+    assert.throws(() => pay(1000, { fee: 1000 }), /either a fee rate or a fixed fee/);
+  });
+
+  it('rejects an unknown strategy', () => {
+    assert.throws(() => pay(1000, { strategy: 'random' }), /Unknown coin selection strategy/);
+  });
+});
+
+describe('selectAllCoins', () => {
+  it('spends every unfrozen spendable coin without change', () => {
+    const selection = selectAllCoins(utxos, recipient, { feeRate: 1, network });
+
+    assert.equal(selection.inputs.length, 5);
+    assert.equal(selection.fee, estimateVsize(Array(5).fill('p2wpkh'), ['p2wpkh']));
+    assert.deepEqual(selection.outputs, [{ address: recipient, value: 205200 - selection.fee }]);
+    assertBalanced(selection);
+  });
+
+  it('leaves out coins worth less than their input fee', () => {
+    // At 100 sat/vB the 5000 coin costs 6800 to spend
+    const selection = selectAllCoins(utxos, recipient, { feeRate: 100, network });
+    assert.equal(selection.inputs.some(utxo => utxo.value === 5000), false);
+  });
+
+  it('spends only the given outpoints, frozen ones included', () => {
+    const selection = selectAllCoins(utxos, recipient, { feeRate: 1, outpoints: [outpoint('ee')], network });
+    assert.equal(selection.outputs[0].value, 50142 - 110);
+    assert.equal(getMaxSendable(utxos, { feeRate: 1, recipientAddress: recipient, outpoints: [outpoint('ee')], network }), 50032);
+  });
+
+  it('getMaxSendable is what send-all would pay, or 0', () => {
+    assert.equal(getMaxSendable(utxos, { feeRate: 1, recipientAddress: recipient, network }), selectAllCoins(utxos, recipient, { feeRate: 1, network }).outputs[0].value);
+    assert.equal(getMaxSendable(utxos.filter(utxo => !utxo.spendable), { feeRate: 1, network }), 0);
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as bitcoin from 'bitcoinjs-lib';
+import { NETWORKS } from '../networks.js';
+import { keyPairFromPrivateKey, createPayment } from '../generateAddresFromPK.js';
+import { createSingleKeyWallet } from '../sendBTC.js';
+import { estimateVsize } from '../coinSelection.js';
+import { bumpFeeRBF, bumpFeeCPFP } from '../feeBump.js';
+
+const network = NETWORKS.testnet;
+const PRIVATE_KEY = '11'.repeat(32);
+const own = createPayment(keyPairFromPrivateKey(PRIVATE_KEY, network).publicKey, 'p2wpkh', network).address;
+const recipient = createPayment(keyPairFromPrivateKey('22'.repeat(32), network).publicKey, 'p2wpkh', network).address;
+const PARENT = 'ab'.repeat(32);
+
+/**
+ * UTXO of the test wallet
+ * @param {string} txHash - Transaction hash
+ * @param {number} index - Output index
+ * @param {number} value - Value in satoshis
+ * @returns {Object} UTXO as analyzeUTXOs lists it
+ */
+function utxo(txHash, index, value) {
+  return { utxo: `${txHash}:${index}`, txHash, index, address: own, value, spendable: true, frozen: false };
+}
+
+/**
+ * Wallet of the test key
+ * @param {Array} unspentUTXOs - Its UTXOs
+ * @returns {Object} Wallet
+ */
+function walletWith(unspentUTXOs = []) {
+  return createSingleKeyWallet(own, PRIVATE_KEY, { unspentUTXOs });
+}
+
+/**
+ * Pending transaction as getPendingTransaction reports it: one wallet input paying a recipient and change
+ * @param {Object} options - Amounts in satoshis and other fields to override
+ * @param {number} options.input - Value of the input (default: 100000)
+ * @param {number} options.payment - Value paid to the recipient (default: 50000)
+ * @param {number} options.fee - Fee (default: 200)
+ * @returns {Object} Pending transaction
+ */
+function pendingTransaction({ input = 100000, payment = 50000, fee = 200, ...fields } = {}) {
+  const vsize = estimateVsize(['p2wpkh'], ['p2wpkh', 'p2wpkh']);
+  return {
+    txid: PARENT,
+    inputs: [{ ...utxo('cd'.repeat(32), 0, input) }],
+    outputs: [
+      { address: recipient, value: payment, index: 0, own: false, change: false },
+      { address: own, value: input - payment - fee, index: 1, own: true, change: true }
+    ],
+    fee,
+    vsize,
+    feeRate: Math.round((fee / vsize) * 100) / 100,
+    replaceable: true,
+    ownsAllInputs: true,
+    ...fields
+  };
+}
+
+/**
+ * Check that a signed transaction spends and pays what it reports
+ * @param {Object} transaction - Result of bumpFeeRBF or bumpFeeCPFP
+ */
+function assertBalanced(transaction) {
+  const decoded = bitcoin.Transaction.fromHex(transaction.hex);
+  const inputSum = transaction.inputs.reduce((sum, input) => sum + input.value, 0);
+  const outputSum = decoded.outs.reduce((sum, output) => sum + Number(output.value), 0);
+
+  assert.equal(decoded.getId(), transaction.txId);
+  assert.equal(transaction.fee, inputSum - outputSum);
+  assert.deepEqual(decoded.outs.map(output => Number(output.value)), transaction.outputs.map(output => output.value));
+}
+
+describe('bumpFeeRBF', () => {
+  it('takes the higher fee out of the change and pays the recipients the same', async () => {
+    const pending = pendingTransaction();
+    const replacement = await bumpFeeRBF(walletWith(), pending, { feeRate: 10, network });
+    const vsize = estimateVsize(['p2wpkh'], ['p2wpkh', 'p2wpkh']);
+
+    assert.equal(replacement.method, 'rbf');
+    assert.equal(replacement.replaces, PARENT);
+    assert.equal(replacement.fee, vsize * 10);
+    assert.deepEqual(replacement.recipients, [{ address: recipient, value: 50000 }]);
+    assert.deepEqual(replacement.outputs, [{ address: recipient, value: 50000 }, { address: own, value: 100000 - 50000 - vsize * 10 }]);
+    assert.equal(replacement.feeRate >= 10, true);
+    assertBalanced(replacement);
+  });
+
+  it('pays at least the replaced fee plus its own relay fee (BIP125 rule 4)', async () => {
+    // 8 sat/vB would be 1128, less than the 1000 already paid plus 141 for relay
+    const pending = pendingTransaction({ fee: 1000 });
+    const replacement = await bumpFeeRBF(walletWith(), pending, { feeRate: 8, network });
+
+    assert.equal(replacement.fee, 1000 + estimateVsize(['p2wpkh'], ['p2wpkh', 'p2wpkh']));
+    assertBalanced(replacement);
+  });
+
+  it('drops change that would be dust into the fee', async () => {
+    // With change: 100000 - 98300 - 1410 = 290 satoshis, below the dust limit
+    const pending = pendingTransaction({ payment: 98300 });
+    const replacement = await bumpFeeRBF(walletWith(), pending, { feeRate: 10, network });
+
+    assert.deepEqual(replacement.outputs, [{ address: recipient, value: 98300 }]);
+    assert.equal(replacement.fee, 1700);
+    assertBalanced(replacement);
+  });
+
+  it('adds wallet UTXOs when the change cannot pay the higher fee', async () => {
+    const pending = pendingTransaction({ payment: 99500 });
+    const extra = utxo('ef'.repeat(32), 0, 20000);
+    const replacement = await bumpFeeRBF(walletWith([extra]), pending, { feeRate: 10, network });
+    const vsize = estimateVsize(['p2wpkh', 'p2wpkh'], ['p2wpkh', 'p2wpkh']);
+
+    assert.deepEqual(replacement.inputs.map(input => input.utxo), [pending.inputs[0].utxo, extra.utxo]);
+    assert.equal(replacement.fee, vsize * 10);
+    assert.deepEqual(replacement.outputs[1], { address: own, value: 120000 - 99500 - vsize * 10 });
+    assertBalanced(replacement);
+
+    await assert.rejects(bumpFeeRBF(walletWith(), pending, { feeRate: 10, network }), /Insufficient spendable funds/);
+  });
+
+  it('refuses transactions it cannot replace', async () => {
+    const wallet = walletWith();
+
+    await assert.rejects(bumpFeeRBF(wallet, pendingTransaction({ replaceable: false }), { feeRate: 10, network }), /does not signal replace-by-fee/);
+    await assert.rejects(bumpFeeRBF(wallet, pendingTransaction({ ownsAllInputs: false }), { feeRate: 10, network }), /inputs this wallet cannot sign/);
+    await assert.rejects(bumpFeeRBF(wallet, pendingTransaction(), { feeRate: 1, network }), /must be higher than the current/);
+
+    const withData = pendingTransaction();
+    withData.outputs.push({ address: null, value: 0, index: 2, own: false, change: false });
+    await assert.rejects(bumpFeeRBF(wallet, withData, { feeRate: 10, network }), /non-address outputs/);
+  });
+});
+
+describe('bumpFeeCPFP', () => {
+  it('pays for parent and child together at the fee rate', async () => {
+    const pending = pendingTransaction();
+    const change = utxo(PARENT, 1, pending.outputs[1].value);
+    const child = await bumpFeeCPFP(walletWith([change]), pending, { feeRate: 10, network });
+    const childVsize = estimateVsize(['p2wpkh'], ['p2wpkh']);
+
+    assert.equal(child.method, 'cpfp');
+    assert.equal(child.parent, PARENT);
+    assert.equal(child.fee, (pending.vsize + childVsize) * 10 - pending.fee);
+    assert.deepEqual(child.outputs, [{ address: own, value: change.value - child.fee }]);
+    assert.deepEqual(child.recipients, []);
+    assert.equal(child.feeRate >= 10, true);
+    assertBalanced(child);
+  });
+
+  it('refuses a fee rate the parent already pays', async () => {
+    const pending = pendingTransaction({ fee: 4000 });
+
+    await assert.rejects(bumpFeeCPFP(walletWith([utxo(PARENT, 1, pending.outputs[1].value)]), pending, { feeRate: 15, network }), /must be higher than the current/);
+  });
+
+  it('needs an unspent output of the parent worth more than the child fee', async () => {
+    const pending = pendingTransaction();
+
+    await assert.rejects(bumpFeeCPFP(walletWith(), pending, { feeRate: 10, network }), /no unspent output of this wallet/);
+    await assert.rejects(bumpFeeCPFP(walletWith([utxo(PARENT, 1, 2000)]), pending, { feeRate: 10, network }), /cannot pay a child fee/);
+  });
+});
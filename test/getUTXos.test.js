@@ -0,0 +1,181 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { NETWORKS } from '../networks.js';
+import { analyzeUTXOs, mergeBalances } from '../getUTXos.js';
+
+const fixture = JSON.parse(readFileSync(new URL('./fixtures/balance-transactions.json', import.meta.url), 'utf8'));
+const { wallet, change } = fixture.addresses;
+const txid = (prefix) => prefix.repeat(32);
+
+// BIP329 records as readLabels returns them
+const labels = new Map(fixture.frozen.map(ref => [`output:${ref}`, { type: 'output', ref, spendable: false }]));
+
+/**
+ * Analyze the fixture wallet address
+ * @param {Object} options - Options for analyzeUTXOs, over the fixture defaults
+ * @returns {Object} Balance information
+ */
+function analyze(options = {}) {
+  return analyzeUTXOs(wallet, fixture.transactions, {
+    tipHeight: fixture.tipHeight,
+    minConfirmations: 1,
+    ownAddresses: [wallet, change],
+    network: NETWORKS.testnet,
+    labels,
+    ...options
+  });
+}
+
+/**
+ * Find a listed UTXO by the prefix its fixture txid repeats
+ * @param {Object} balance - Balance from analyzeUTXOs
+ * @param {string} prefix - Two hex characters
+ * @param {number} index - Output index
+ * @returns {Object|undefined} UTXO
+ */
+function findUtxo(balance, prefix, index = 0) {
+  return balance.unspentUTXOs.find(utxo => utxo.utxo === `${txid(prefix)}:${index}`);
+}
+
+describe('analyzeUTXOs', () => {
+  it('puts every unspent output in one bucket', () => {
+    const balance = analyze();
+
+    assert.equal(balance.availableBalance, 50000 + 5000000000 + 3000);
+    assert.equal(balance.trustedPending, 49000);
+    assert.equal(balance.untrustedPending, 20000 + 4000);
+    assert.equal(balance.immature, 5000000000);
+    assert.equal(balance.locked, 80000);
+    assert.equal(balance.frozen, 7000);
+    assert.equal(balance.availableBalanceBTC, 50.00053);
+  });
+
+  it('totals confirmed and pending flows', () => {
+    const balance = analyze();
+
+    assert.equal(balance.incoming, 50000 + 80000 + 5000000000 + 5000000000 + 7000 + 10000 + 3000);
+    assert.equal(balance.incomingPending, 49000 + 20000 + 4000);
+    assert.equal(balance.outgoing, 10000);
+    assert.equal(balance.outgoingPending, 80000);
+  });
+
+  it('lists unspent outputs only, without spent or locked ones', () => {
+    const listed = analyze().unspentUTXOs.map(utxo => utxo.utxo).sort();
+    const expected = [['a1', 0], ['a2', 0], ['a4', 0], ['b1', 0], ['b2', 0], ['d1', 1], ['e1', 0], ['e2', 0]]
+      .map(([prefix, index]) => `${txid(prefix)}:${index}`)
+      .sort();
+
+    assert.deepEqual(listed, expected);
+  });
+
+  it('spends confirmed outputs and trusts pending change funded only by the wallet', () => {
+    const balance = analyze();
+
+    assert.deepEqual(
+      (({ value, confirmations, blockHeight, confirmed, spendable, trusted }) => ({ value, confirmations, blockHeight, confirmed, spendable, trusted }))(findUtxo(balance, 'a1')),
+      { value: 50000, confirmations: 11, blockHeight: 990, confirmed: true, spendable: true, trusted: false }
+    );
+    assert.equal(findUtxo(balance, 'd1', 1).trusted, true);
+    assert.equal(findUtxo(balance, 'd1', 1).spendable, false);
+    // Funded partly by others: untrusted even though the wallet paid in too
+    assert.equal(findUtxo(balance, 'e2').trusted, false);
+    assert.equal(findUtxo(balance, 'e1').confirmations, 0);
+  });
+
+  it('matures coinbase outputs at 100 confirmations', () => {
+    const balance = analyze();
+
+    assert.equal(findUtxo(balance, 'b1').confirmations, 99);
+    assert.equal(findUtxo(balance, 'b1').spendable, false);
+    assert.equal(findUtxo(balance, 'b1').coinbase, true);
+    assert.equal(findUtxo(balance, 'b2').confirmations, 100);
+    assert.equal(findUtxo(balance, 'b2').spendable, true);
+
+    // One block later both are mature
+    const later = analyze({ tipHeight: fixture.tipHeight + 1 });
+    assert.equal(later.immature, 0);
+    assert.equal(later.availableBalance, 50000 + 5000000000 * 2 + 3000);
+  });
+
+  it('keeps frozen outputs out of the available balance', () => {
+    const utxo = findUtxo(analyze(), 'a2');
+
+    assert.equal(utxo.frozen, true);
+    assert.equal(utxo.spendable, true);
+    assert.equal(analyze({ labels: new Map() }).frozen, 0);
+    assert.equal(analyze({ labels: new Map() }).availableBalance, 50000 + 5000000000 + 3000 + 7000);
+  });
+
+  it('counts outputs below minConfirmations as pending', () => {
+    const twoConfirmations = analyze({ minConfirmations: 2 });
+    assert.equal(findUtxo(twoConfirmations, 'a4').spendable, false);
+    assert.equal(twoConfirmations.availableBalance, 50000 + 5000000000);
+    assert.equal(twoConfirmations.untrustedPending, 20000 + 4000 + 3000);
+
+    // a1 has 11 confirmations, a2 (frozen) 51
+    const twelve = analyze({ minConfirmations: 12 });
+    assert.equal(twelve.availableBalance, 5000000000);
+    assert.equal(twelve.untrustedPending, 20000 + 4000 + 3000 + 50000);
+    assert.equal(twelve.frozen, 7000);
+  });
+
+  it('counts the tip block as one confirmation', () => {
+    const utxo = findUtxo(analyze(), 'a4');
+
+    assert.equal(utxo.confirmations, 1);
+    assert.equal(utxo.spendable, true);
+  });
+
+  it('treats a block above the tip as unconfirmed', () => {
+    // The tip moved back below a4's block (reorg, or a stale tip)
+    const balance = analyze({ tipHeight: 995 });
+    const utxo = findUtxo(balance, 'a4');
+
+    assert.equal(utxo.confirmed, false);
+    assert.equal(utxo.blockHeight, null);
+    assert.equal(balance.untrustedPending, 20000 + 4000 + 3000);
+    // b2 now has 95 confirmations
+    assert.equal(balance.immature, 5000000000 * 2);
+  });
+
+  it('without a tip height, counts confirmed outputs as one confirmation deep', () => {
+    const balance = analyze({ tipHeight: null });
+
+    assert.equal(findUtxo(balance, 'a1').confirmations, null);
+    assert.equal(findUtxo(balance, 'a1').spendable, true);
+    assert.equal(balance.availableBalance, 50000 + 3000);
+    // Coinbase maturity cannot be shown without the tip
+    assert.equal(balance.immature, 5000000000 * 2);
+
+    const deeper = analyze({ tipHeight: null, minConfirmations: 2 });
+    assert.equal(deeper.availableBalance, 0);
+    assert.equal(deeper.frozen, 0);
+    assert.equal(deeper.untrustedPending, 20000 + 4000 + 50000 + 3000 + 7000);
+  });
+
+  it('ignores outputs to other addresses', () => {
+    const balance = analyzeUTXOs(fixture.addresses.other, fixture.transactions, {
+      tipHeight: fixture.tipHeight,
+      minConfirmations: 1,
+      network: NETWORKS.testnet,
+      labels
+    });
+
+    assert.equal(balance.unspentUTXOs.every(utxo => utxo.address === fixture.addresses.other), true);
+    assert.equal(balance.locked, 0);
+  });
+});
+
+describe('mergeBalances', () => {
+  it('adds up the buckets of several addresses', () => {
+    const balance = analyze();
+    const merged = mergeBalances([balance, analyze({ labels: new Map() })]);
+
+    assert.equal(merged.availableBalance, balance.availableBalance * 2 + 7000);
+    assert.equal(merged.frozen, 7000);
+    assert.equal(merged.locked, 160000);
+    assert.equal(merged.unspentUTXOs.length, balance.unspentUTXOs.length * 2);
+    assert.equal(merged.tipHeight, fixture.tipHeight);
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import {
+  request,
+  requestJson,
+  HttpError,
+  AuthError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  TimeoutError
+} from '../httpClient.js';
+
+let server;
+let url;
+let responses;
+let received;
+
+/**
+ * Queue the responses of the test server, one per request
+ * @param {...Array} queued - [statusCode, headers, body]; an entry of null never answers
+ */
+function respond(...queued) {
+  responses = queued;
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    received.push({ method: req.method, url: req.url, at: Date.now() });
+    const next = responses.shift();
+    if (next === null) {
+      return;
+    }
+    const [statusCode, headers, body] = next;
+    res.writeHead(statusCode, headers);
+    res.end(body);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/resource`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  responses = [];
+  received = [];
+});
+
+describe('request', () => {
+  it('returns successful responses', async () => {
+    respond([200, { 'x-test': 'yes' }, 'hello']);
+    const response = await request('GET', url);
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['x-test'], 'yes');
+    assert.equal(response.body, 'hello');
+  });
+
+  it('retries server errors with backoff until one succeeds', async () => {
+    respond([503, {}, 'busy'], [200, {}, 'ok']);
+    const response = await request('GET', url, { retries: 1 });
+
+    assert.equal(response.body, 'ok');
+    assert.equal(received.length, 2);
+    assert.equal(received[1].at - received[0].at >= 450, true);
+  });
+
+  it('throws the last error once the retries are used up', async () => {
+    respond([500, {}, '{"message":"internal"}'], [502, {}, 'bad gateway']);
+
+    await assert.rejects(request('GET', url, { retries: 1 }), (error) => {
+      assert.equal(error instanceof ServerError, true);
+      assert.equal(error.statusCode, 502);
+      assert.equal(error.body, 'bad gateway');
+      assert.match(error.message, /^HTTP 502 from 127\.0\.0\.1:\d+: bad gateway$/);
+      return true;
+    });
+    assert.equal(received.length, 2);
+  });
+
+  it('waits as long as Retry-After asks before retrying a rate limit', async () => {
+    respond([429, { 'retry-after': '1' }, '{"error":{"message":"slow down"}}'], [200, {}, 'ok']);
+    const response = await request('GET', url, { retries: 1 });
+
+    assert.equal(response.body, 'ok');
+    assert.equal(received[1].at - received[0].at >= 950, true);
+  });
+
+  it('accepts Retry-After as an HTTP date', async () => {
+    respond([429, { 'retry-after': new Date(Date.now() - 1000).toUTCString() }, ''], [200, {}, 'ok']);
+
+    assert.equal((await request('GET', url, { retries: 1 })).body, 'ok');
+    assert.equal(received.length, 2);
+  });
+
+  it('fails at once when Retry-After asks for more than a minute', async () => {
+    respond([429, { 'retry-after': '120' }, 'slow down']);
+
+    await assert.rejects(request('GET', url, { retries: 3 }), (error) => {
+      assert.equal(error instanceof RateLimitError, true);
+      assert.equal(error.retryAfter, 120000);
+      return true;
+    });
+    assert.equal(received.length, 1);
+  });
+
+  it('does not retry client errors', async () => {
+    respond([404, {}, 'not found']);
+    await assert.rejects(request('GET', url, { retries: 3 }), NotFoundError);
+
+    respond([401, {}, 'no']);
+    await assert.rejects(request('GET', url, { retries: 3 }), AuthError);
+
+    respond([400, {}, '{"message":"bad input"}']);
+    await assert.rejects(request('GET', url, { retries: 3 }), (error) => error.constructor === HttpError && /bad input$/.test(error.message));
+
+    assert.equal(received.length, 3);
+  });
+
+  it('hands error statuses the caller accepts back as responses', async () => {
+    respond([404, {}, 'missing']);
+    const response = await request('GET', url, { acceptStatus: (status) => status === 404 });
+
+    assert.equal(response.statusCode, 404);
+    assert.equal(response.body, 'missing');
+  });
+
+  it('times out a request that gets no response', async () => {
+    respond(null);
+
+    await assert.rejects(request('GET', url, { timeout: 100, retries: 0 }), (error) => error instanceof TimeoutError && /timed out after 100 ms/.test(error.message));
+  });
+
+  it('retries a timed out request', async () => {
+    respond(null, [200, {}, 'ok']);
+
+    assert.equal((await request('GET', url, { timeout: 100, retries: 1 })).body, 'ok');
+    assert.equal(received.length, 2);
+  });
+
+  it('stops waiting for a retry when the signal aborts', async () => {
+    respond([503, {}, 'busy'], [200, {}, 'ok']);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+
+    await assert.rejects(request('GET', url, { retries: 1, signal: controller.signal }), { name: 'AbortError' });
+    assert.equal(received.length, 1);
+  });
+});
+
+describe('requestJson', () => {
+  it('sends and parses JSON', async () => {
+    respond([200, { 'content-type': 'application/json' }, '{"ok":true}']);
+
+    assert.deepEqual(await requestJson('POST', url, { body: { a: 1 } }), { ok: true });
+    assert.equal(received[0].method, 'POST');
+  });
+
+  it('reports a response that is not JSON', async () => {
+    respond([200, {}, '<html>']);
+
+    await assert.rejects(requestJson('GET', url), /^Error: Failed to parse response from 127\.0\.0\.1:\d+/);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { NETWORKS } from '../networks.js';
+import { keyPairFromPrivateKey, createPayment, getKeyFingerprint } from '../generateAddresFromPK.js';
+import { deriveAccount, deriveAddress } from '../hdWallet.js';
+import { buildPsbt } from '../transactionBuilder.js';
+import {
+  parsePsbt,
+  decodePsbt,
+  signPsbtWithSecret,
+  getUnsignedTxid,
+  getPsbtSigners,
+  combinePsbts,
+  finalizeTransaction
+} from '../offlineSigning.js';
+
+const network = NETWORKS.testnet;
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const account = deriveAccount(MNEMONIC, { addressType: 'p2wpkh', network });
+const receive = deriveAddress(account, 0, 0);
+const change = deriveAddress(account, 1, 0);
+const recipient = createPayment(keyPairFromPrivateKey('22'.repeat(32), network).publicKey, 'p2wpkh', network).address;
+
+/**
+ * Public key of a derived address, with its key origin, as buildPsbt takes it
+ * @param {Object} derived - Result of deriveAddress
+ * @returns {Object} { address, publicKey, path, fingerprint }
+ */
+function watchOnlyKey(derived) {
+  return { address: derived.address, publicKey: derived.publicKey, path: derived.path, fingerprint: account.fingerprint };
+}
+
+/**
+ * Unsigned PSBT that spends 100000 satoshis of the receive address: 60000 to the recipient, the rest minus 200 as change
+ * @returns {Promise<bitcoin.Psbt>} PSBT, as a watch-only wallet creates it
+ */
+function createPsbt() {
+  const utxo = { txHash: 'aa'.repeat(32), index: 1, value: 100000, address: receive.address };
+  return buildPsbt([utxo], [{ address: recipient, value: 60000 }, { address: change.address, value: 39800 }], [watchOnlyKey(receive)], {
+    network,
+    changeKey: watchOnlyKey(change)
+  });
+}
+
+describe('parsePsbt', () => {
+  it('reads base64 and hex, and refuses anything else', async () => {
+    const psbt = await createPsbt();
+
+    assert.equal(parsePsbt(psbt.toBase64(), network).toBase64(), psbt.toBase64());
+    assert.equal(parsePsbt(`${psbt.toHex()}\n`, network).toBase64(), psbt.toBase64());
+    assert.throws(() => parsePsbt('cHNidP8=', network), /Invalid PSBT/);
+    assert.throws(() => parsePsbt('not a psbt', network), /Not a PSBT/);
+  });
+});
+
+describe('decodePsbt', () => {
+  it('reports the amounts, fee and key origins of an unsigned PSBT', async () => {
+    const decoded = decodePsbt(await createPsbt(), network);
+
+    assert.equal(decoded.status, 'unsigned');
+    assert.equal(decoded.signedInputs, 0);
+    assert.deepEqual(decoded.inputs.map(input => [input.utxo, input.address, input.value, input.paths]), [[`${'aa'.repeat(32)}:1`, receive.address, 100000, [receive.path]]]);
+    assert.equal(decoded.inputSum, 100000);
+    assert.equal(decoded.outputSum, 99800);
+    assert.equal(decoded.fee, 200);
+    assert.equal(decoded.vsizeEstimated, true);
+    assert.equal(decoded.rbf, true);
+  });
+
+  it('only marks outputs as change for the wallet that owns them', async () => {
+    const psbt = await createPsbt();
+
+    assert.deepEqual(decodePsbt(psbt, network).outputs.map(output => output.change), [false, false]);
+    assert.deepEqual(decodePsbt(psbt, network, { secret: { mnemonic: MNEMONIC } }).outputs.map(output => output.change), [false, true]);
+    assert.deepEqual(decodePsbt(psbt, network, { secret: { mnemonic: MNEMONIC, passphrase: 'other' } }).outputs.map(output => output.change), [false, false]);
+  });
+});
+
+describe('signPsbtWithSecret', () => {
+  it('signs the inputs of the mnemonic and keeps the unsigned txid', async () => {
+    const psbt = await createPsbt();
+    const txid = getUnsignedTxid(psbt);
+
+    assert.equal(signPsbtWithSecret(psbt, { mnemonic: MNEMONIC }, network), 1);
+    assert.equal(decodePsbt(psbt, network).status, 'signed');
+    assert.equal(getUnsignedTxid(psbt), txid);
+
+    const transaction = finalizeTransaction(psbt);
+    assert.equal(transaction.txId, txid);
+    assert.equal(transaction.fee, 200);
+    assert.equal(decodePsbt(psbt, network).status, 'finalized');
+  });
+
+  it('refuses a PSBT that claims a payment as change of this wallet', async () => {
+    const psbt = await createPsbt();
+    psbt.updateOutput(0, {
+      bip32Derivation: [{ masterFingerprint: Buffer.from(account.fingerprint, 'hex'), path: change.path, pubkey: Buffer.from(change.publicKey, 'hex') }]
+    });
+
+    assert.throws(() => signPsbtWithSecret(psbt, { mnemonic: MNEMONIC }, network), /Output 0 claims to be change at .*Do not sign this PSBT/);
+    assert.deepEqual(decodePsbt(psbt, network, { secret: { mnemonic: MNEMONIC } }).outputs.map(output => output.change), [false, true]);
+  });
+
+  it('refuses to sign with a wallet that owns none of the inputs', async () => {
+    const psbt = await createPsbt();
+
+    assert.throws(() => signPsbtWithSecret(psbt, { mnemonic: MNEMONIC, passphrase: 'other' }, network), /owns none of the unsigned inputs/);
+    assert.throws(() => signPsbtWithSecret(psbt, { privateKey: '33'.repeat(32) }, network), /owns none of the unsigned inputs/);
+    assert.throws(() => signPsbtWithSecret(psbt, { xpub: account.xpub }, network), /watch-only wallet cannot sign/);
+  });
+});
+
+describe('getPsbtSigners', () => {
+  it('names signers by master fingerprint, and by key fingerprint once finalized', async () => {
+    const psbt = await createPsbt();
+    assert.deepEqual(getPsbtSigners(psbt), []);
+
+    signPsbtWithSecret(psbt, { mnemonic: MNEMONIC }, network);
+    assert.deepEqual(getPsbtSigners(psbt), [account.fingerprint]);
+
+    finalizeTransaction(psbt);
+    assert.deepEqual(getPsbtSigners(psbt), [getKeyFingerprint(Buffer.from(receive.publicKey, 'hex'))]);
+  });
+});
+
+describe('combinePsbts', () => {
+  it('adds the signatures of another copy', async () => {
+    const unsigned = await createPsbt();
+    const signed = await createPsbt();
+    signPsbtWithSecret(signed, { mnemonic: MNEMONIC }, network);
+
+    assert.equal(decodePsbt(combinePsbts([unsigned, signed]), network).status, 'signed');
+  });
+
+  it('refuses copies of different transactions', async () => {
+    const psbt = await createPsbt();
+    const other = await createPsbt();
+    other.setLocktime(1);
+
+    assert.throws(() => combinePsbts([psbt, other]), /Cannot combine the PSBTs/);
+  });
+});
@@ -0,0 +1,281 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { NETWORKS } from '../networks.js';
+import { keyPairFromPrivateKey, createPayment, getKeyFingerprint } from '../generateAddresFromPK.js';
+import { signMessage } from '../messageSigning.js';
+import { getDescriptorId } from '../descriptors.js';
+import {
+  enforcePolicy,
+  recordSpend,
+  appendAuditEntry,
+  readAuditLog,
+  verifyAuditLog,
+  getSpentTotals,
+  getWalletId,
+  PolicyError
+} from '../policy.js';
+
+const network = NETWORKS.testnet;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.parse('2026-03-02T12:00:00Z');
+
+/**
+ * Testnet P2WPKH address and private key of a repeated key byte
+ * @param {string} byte - Two hex characters
+ * @returns {Object} { address, privateKey }
+ */
+function account(byte) {
+  const privateKey = byte.repeat(32);
+  return { address: createPayment(keyPairFromPrivateKey(privateKey, network).publicKey, 'p2wpkh', network).address, privateKey };
+}
+
+const sender = account('11');
+const recipient = account('22');
+const denied = account('33');
+const approver = account('44');
+const wallet = { fingerprint: 'aabbccdd', receiveAddress: sender.address, changeAddress: sender.address };
+
+let dir;
+let path;
+
+/**
+ * Write config.json with a spending policy
+ * @param {Object} policy - The `policy` section
+ */
+function setPolicy(policy) {
+  writeFileSync(process.env.BTC_CONFIG, JSON.stringify({ policy }));
+}
+
+/**
+ * Check a payment to one recipient against the policy
+ * @param {number} value - Amount in satoshis
+ * @param {Object} options - Options for enforcePolicy, over the test log and time
+ * @param {string} address - Recipient address
+ * @returns {Object|null} Result of enforcePolicy
+ */
+function pay(value, options = {}, address = recipient.address) {
+  return enforcePolicy(wallet, { outputs: [{ address, value }], fee: 200, feeRate: 2 }, { network, path, now: NOW, ...options });
+}
+
+/**
+ * Write a spend of the test wallet to the audit log
+ * @param {string} txid - Transaction id
+ * @param {number} amount - Amount in satoshis
+ * @param {number} now - Time of the spend in milliseconds
+ * @param {Object} fields - Extra fields, e.g. replaces
+ */
+function spend(txid, amount, now, fields = {}) {
+  appendAuditEntry({ event: 'spend', wallet: wallet.fingerprint, network: network.name, txid, via: 'broadcast', amount, fee: 200, ...fields }, { path, now });
+}
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'policy-test-'));
+  process.env.BTC_CONFIG = join(dir, 'config.json');
+  process.env.BTC_KEYSTORE = join(dir, 'keystore.json');
+});
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  path = join(dir, `audit-${Math.random().toString(16).slice(2)}.jsonl`);
+});
+
+describe('enforcePolicy', () => {
+  it('allows everything without a policy', () => {
+    writeFileSync(process.env.BTC_CONFIG, '{}');
+    assert.equal(pay(100000000), null);
+    assert.deepEqual(readAuditLog(path), []);
+  });
+
+  it('counts spends of the last 24 hours and 7 days toward the limits', () => {
+    setPolicy({ dailyLimit: '0.001', weeklyLimit: '0.002' });
+    spend('aa'.repeat(32), 60000, NOW - 2 * HOUR);
+    spend('bb'.repeat(32), 90000, NOW - 3 * DAY);
+    spend('cc'.repeat(32), 500000, NOW - 8 * DAY);
+
+    assert.deepEqual(getSpentTotals(wallet.fingerprint, { network, path, now: NOW }), { day: 60000, week: 150000 });
+    assert.equal(pay(40000).amount, 40000);
+    assert.throws(() => pay(40001), (error) => error instanceof PolicyError && error.violations[0].rule === 'dailyLimit');
+
+    // A day later the 60000 leaves the daily window, but the week still has 150000
+    assert.throws(() => pay(50001, { now: NOW + DAY }), (error) => error.violations.map(v => v.rule).join() === 'weeklyLimit');
+  });
+
+  it('refuses denied recipients, recipients off the allow list and amounts above the maximum', () => {
+    setPolicy({ maxAmount: '0.0005', denylist: [denied.address.toUpperCase()], allowlist: [recipient.address, denied.address] });
+    const rules = (fn) => {
+      try {
+        fn();
+      } catch (error) {
+        return error.violations.map(violation => violation.rule);
+      }
+      return [];
+    };
+
+    assert.deepEqual(rules(() => pay(1000, {}, denied.address)), ['denylist']);
+    assert.deepEqual(rules(() => pay(1000, {}, approver.address)), ['allowlist']);
+    assert.deepEqual(rules(() => pay(50001)), ['maxAmount']);
+    assert.deepEqual(rules(() => pay(50000)), []);
+  });
+
+  it('writes violations to the audit log, except in a dry run', () => {
+    setPolicy({ maxAmount: '0.0005' });
+
+    assert.throws(() => pay(60000, { record: false }), PolicyError);
+    assert.deepEqual(readAuditLog(path), []);
+
+    assert.throws(() => pay(60000), PolicyError);
+    const [entry] = readAuditLog(path);
+    assert.equal(entry.event, 'violation');
+    assert.equal(entry.wallet, wallet.fingerprint);
+    assert.equal(entry.violations[0].rule, 'maxAmount');
+  });
+
+  it('checks fee rate and fee ratio', () => {
+    setPolicy({ maxFeeRate: 50, maxFeeRatio: 0.1 });
+    const check = (fee, feeRate) => enforcePolicy(wallet, { outputs: [{ address: recipient.address, value: 10000 }], fee, feeRate }, { network, path, now: NOW });
+
+    assert.throws(() => check(200, 51), (error) => error.violations[0].rule === 'maxFeeRate');
+    assert.throws(() => check(1001, 2), (error) => error.violations[0].rule === 'maxFeeRatio');
+    assert.equal(check(1000, 50).fee, 1000);
+  });
+
+  it('records a transaction once and does not check it again', () => {
+    setPolicy({ dailyLimit: '0.001' });
+    const txid = 'dd'.repeat(32);
+    const check = pay(80000, { txid });
+
+    const first = recordSpend(check, { txid }, { network, path });
+    assert.deepEqual(recordSpend(check, { txid }, { network, path }), first);
+    assert.equal(readAuditLog(path).length, 1);
+
+    // Already recorded: signing the same PSBT again passes although 160000 would be over the limit
+    assert.equal(pay(80000, { txid }).amount, 80000);
+    assert.throws(() => pay(80000), (error) => error.violations[0].rule === 'dailyLimit');
+  });
+
+  it('counts a fee bump instead of the transaction it replaces', () => {
+    setPolicy({ dailyLimit: '0.001' });
+    const original = 'ee'.repeat(32);
+    spend(original, 90000, NOW - HOUR);
+
+    const check = pay(90000, { replaces: original });
+    assert.equal(check.replaces, original);
+    recordSpend(check, { txid: 'ef'.repeat(32) }, { network, path });
+
+    assert.equal(getSpentTotals(wallet.fingerprint, { network, path, now: NOW }).day, 90000);
+  });
+});
+
+describe('approvals', () => {
+  /**
+   * Sign the message of an approval request
+   * @param {PolicyError} error - Error asking for the approval
+   * @param {Object} signer - { privateKey }
+   * @returns {string} Signature
+   */
+  const approve = (error, signer) => signMessage(error.approval.message, signer.privateKey, { addressType: 'p2wpkh', network }).signature;
+
+  /**
+   * Run a payment that needs an approval and return the PolicyError it throws
+   * @param {Function} fn - Payment
+   * @returns {PolicyError} The error
+   */
+  const refusal = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    assert.fail('The payment was not refused.');
+  };
+
+  it('opens an approval request and accepts the signature of an approver once', () => {
+    setPolicy({ approvalThreshold: '0.0005', approvers: [approver.address] });
+    assert.equal(pay(50000).requestId, null);
+
+    const request = refusal(() => pay(60000));
+    assert.equal(request instanceof PolicyError, true);
+    assert.match(request.approval.message, new RegExp(`^Approve payment ${request.approval.requestId}: 0.0006 BTC from aabbccdd to ${recipient.address}$`));
+
+    const signature = approve(request, approver);
+    const check = pay(60000, { approval: signature });
+    assert.equal(check.requestId, request.approval.requestId);
+    assert.equal(check.approver, approver.address);
+    recordSpend(check, { txid: 'ab'.repeat(32) }, { network, path });
+
+    // The approval was used by that spend: the same payment needs a new one
+    assert.throws(() => pay(60000, { approval: signature }), (error) => error.violations[0].rule === 'approval');
+    assert.deepEqual(readAuditLog(path).map(entry => entry.event), ['approval-requested', 'approved', 'spend', 'violation']);
+  });
+
+  it('only covers the payment it was given for', () => {
+    setPolicy({ approvalThreshold: '0.0005', approvers: [approver.address] });
+    const signature = approve(refusal(() => pay(60000)), approver);
+
+    assert.throws(() => pay(60001, { approval: signature }), (error) => error.violations[0].rule === 'approval');
+  });
+
+  it('expires after 24 hours', () => {
+    setPolicy({ approvalThreshold: '0.0005', approvers: [approver.address] });
+    const signature = approve(refusal(() => pay(60000)), approver);
+
+    assert.throws(() => pay(60000, { approval: signature, now: NOW + DAY + 1 }), (error) => error.violations[0].rule === 'approval');
+  });
+
+  it('does not let the sending wallet approve its own payment', () => {
+    setPolicy({ approvalThreshold: '0.0005', approvers: [approver.address, sender.address] });
+    const signature = approve(refusal(() => pay(60000)), sender);
+
+    assert.throws(() => pay(60000, { approval: signature }), (error) => error.violations[0].rule === 'approval');
+  });
+
+  it('is not requested in a dry run', () => {
+    setPolicy({ approvalThreshold: '0.0005', approvers: [approver.address] });
+
+    const error = refusal(() => pay(60000, { record: false }));
+    assert.equal(error.approval, null);
+    assert.deepEqual(readAuditLog(path), []);
+  });
+});
+
+describe('verifyAuditLog', () => {
+  it('accepts an intact chain and finds the first changed or removed entry', () => {
+    spend('01'.repeat(32), 1000, NOW);
+    spend('02'.repeat(32), 2000, NOW);
+    spend('03'.repeat(32), 3000, NOW);
+    assert.deepEqual(verifyAuditLog(path), { valid: true, entries: 3, brokenAt: null });
+
+    const lines = readFileSync(path, 'utf8').trim().split('\n');
+
+    writeFileSync(path, [lines[0], lines[1].replace('"amount":2000', '"amount":20'), lines[2]].join('\n'));
+    assert.deepEqual(verifyAuditLog(path), { valid: false, entries: 3, brokenAt: 2 });
+
+    writeFileSync(path, [lines[0], lines[2]].join('\n'));
+    assert.deepEqual(verifyAuditLog(path), { valid: false, entries: 2, brokenAt: 2 });
+
+    writeFileSync(path, [lines[1], lines[2]].join('\n'));
+    assert.equal(verifyAuditLog(path).brokenAt, 1);
+  });
+
+  it('treats a missing log as an empty chain', () => {
+    assert.deepEqual(verifyAuditLog(join(dir, 'missing.jsonl')), { valid: true, entries: 0, brokenAt: null });
+  });
+});
+
+describe('getWalletId', () => {
+  it('identifies a wallet by its keys', () => {
+    assert.equal(getWalletId({ fingerprint: '01020304' }, network), '01020304');
+    assert.equal(getWalletId({ keys: [{ privateKey: sender.privateKey }] }, network), getKeyFingerprint(keyPairFromPrivateKey(sender.privateKey, network).publicKey));
+
+    const descriptor = 'wsh(sortedmulti(2,tpubA,tpubB))#checksum';
+    assert.equal(getWalletId({ descriptor }, network), getDescriptorId(descriptor));
+    assert.throws(() => getWalletId({}, network), /Cannot identify the wallet/);
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { NETWORKS } from '../networks.js';
+import { NotFoundError, ServerError } from '../httpClient.js';
+import { syncTransactions, getCachedTransactions, getCachedTipHeight, REORG_DEPTH } from '../txCache.js';
+
+const network = NETWORKS.testnet;
+const ADDRESS = 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx';
+
+let dir;
+let path;
+let logged;
+
+/**
+ * Transaction as the providers normalize it
+ * @param {string} byte - Two hex characters its hash repeats
+ * @param {number|null} blockNumber - Block height, null while pending
+ * @returns {Object} Transaction
+ */
+function transaction(byte, blockNumber) {
+  return { hash: byte.repeat(32), blockNumber, time: blockNumber === null ? null : 1700000000 + blockNumber, inputs: [], outputs: [] };
+}
+
+/**
+ * Provider stand-in that serves a fixed chain
+ * getTransactions returns the history newest first and, like the real providers, stops after the first known transaction.
+ * @param {number} tipHeight - Chain tip height
+ * @param {Array} transactions - History of the address
+ * @returns {Object} Provider; `lookups` lists the hashes passed to getTransaction
+ */
+function fakeProvider(tipHeight, transactions) {
+  const provider = {
+    tipHeight,
+    transactions,
+    lookups: [],
+    async getTipHeight() {
+      return provider.tipHeight;
+    },
+    async getTransactions(address, { isKnown }) {
+      const history = [];
+      for (const tx of [...provider.transactions].sort((a, b) => (b.blockNumber ?? Infinity) - (a.blockNumber ?? Infinity))) {
+        history.push(tx);
+        if (isKnown(tx)) {
+          break;
+        }
+      }
+      return history;
+    },
+    async getTransaction(hash) {
+      provider.lookups.push(hash);
+      const tx = provider.transactions.find(entry => entry.hash === hash);
+      if (!tx) {
+        throw new NotFoundError('HTTP 404 from provider: Transaction not found', 404, '');
+      }
+      return tx;
+    }
+  };
+  return provider;
+}
+
+/**
+ * Sync the test address into the test cache
+ * @param {Object} provider - Provider from fakeProvider
+ * @returns {Promise<Array>} Cached transactions
+ */
+function sync(provider) {
+  return syncTransactions(ADDRESS, provider, { log: (message) => logged.push(message), network, path });
+}
+
+/**
+ * Make the next sync ask the provider for the tip instead of reusing the cached one
+ */
+function expireTip() {
+  const cache = JSON.parse(readFileSync(path, 'utf8'));
+  cache.networks[network.name].tipCheckedAt = 0;
+  writeFileSync(path, JSON.stringify(cache));
+}
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'tx-cache-test-'));
+});
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  path = join(dir, `cache-${Math.random().toString(16).slice(2)}.json`);
+  logged = [];
+});
+
+describe('syncTransactions', () => {
+  it('caches the history and only fetches what is newer than the final transactions', async () => {
+    const old = transaction('aa', 100);
+    const recent = transaction('bb', 108);
+    const provider = fakeProvider(110, [recent, old]);
+
+    assert.deepEqual((await sync(provider)).map(tx => tx.hash), [recent.hash, old.hash]);
+    assert.equal(getCachedTipHeight({ network, path }), 110);
+    assert.deepEqual(getCachedTransactions(ADDRESS, { network, path }), [recent, old]);
+
+    // bb has 3 confirmations, below REORG_DEPTH, so it is fetched again; aa is final and ends the paging
+    assert.equal(110 - recent.blockNumber + 1 < REORG_DEPTH, true);
+    const pending = transaction('cc', null);
+    provider.transactions = [pending, recent, old];
+    provider.tipHeight = 111;
+    expireTip();
+
+    assert.deepEqual((await sync(provider)).map(tx => tx.hash), [pending.hash, recent.hash, old.hash]);
+    assert.deepEqual(provider.lookups, []);
+  });
+
+  it('updates a transaction that confirmed since the last sync', async () => {
+    const provider = fakeProvider(110, [transaction('aa', null)]);
+    await sync(provider);
+
+    provider.transactions = [transaction('aa', 111)];
+    provider.tipHeight = 111;
+    expireTip();
+
+    assert.deepEqual(await sync(provider), [transaction('aa', 111)]);
+  });
+
+  it('drops pending transactions the provider no longer knows', async () => {
+    const kept = transaction('aa', 100);
+    const replaced = transaction('bb', null);
+    const provider = fakeProvider(110, [replaced, kept]);
+    await sync(provider);
+
+    // The provider stops listing bb (replaced or evicted) and answers 404 for it
+    provider.transactions = [kept];
+    assert.deepEqual(await sync(provider), [kept]);
+    assert.deepEqual(provider.lookups, [replaced.hash]);
+    assert.match(logged.at(-1), new RegExp(`Transaction ${replaced.hash} is gone`));
+    assert.deepEqual(getCachedTransactions(ADDRESS, { network, path }), [kept]);
+  });
+
+  it('keeps the cache as it was when a lookup fails for another reason', async () => {
+    const pending = transaction('bb', null);
+    const provider = fakeProvider(110, [pending]);
+    await sync(provider);
+
+    provider.transactions = [];
+    provider.getTransaction = async () => {
+      throw new ServerError('HTTP 503 from provider: unavailable', 503, '');
+    };
+
+    await assert.rejects(sync(provider), ServerError);
+    assert.deepEqual(getCachedTransactions(ADDRESS, { network, path }), [pending]);
+  });
+
+  it('drops transactions above the tip when the chain was reorganized to a lower height', async () => {
+    const old = transaction('aa', 100);
+    const orphaned = transaction('bb', 108);
+    const provider = fakeProvider(110, [orphaned, old]);
+    await sync(provider);
+
+    // The new chain is shorter and does not contain bb
+    provider.transactions = [old];
+    provider.tipHeight = 106;
+    expireTip();
+
+    assert.deepEqual(await sync(provider), [old]);
+    assert.deepEqual(provider.lookups, []);
+    assert.equal(getCachedTipHeight({ network, path }), 106);
+    assert.match(logged.join('\n'), /Chain tip went back from 110 to 106/);
+  });
+
+  it('reuses a tip height fetched moments ago', async () => {
+    const provider = fakeProvider(110, [transaction('aa', 100)]);
+    await sync(provider);
+
+    provider.tipHeight = 200;
+    await sync(provider);
+    assert.equal(getCachedTipHeight({ network, path }), 110);
+  });
+});
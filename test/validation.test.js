@@ -0,0 +1,172 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fc from 'fast-check';
+import * as bitcoin from 'bitcoinjs-lib';
+import { NETWORKS } from '../networks.js';
+import { decodeAddress, parseAmount, ValidationError, MAX_SATOSHIS } from '../validation.js';
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+const networkArb = fc.constantFrom(...Object.values(NETWORKS));
+const bytes = (length) => fc.uint8Array({ minLength: length, maxLength: length });
+
+// Addresses encoded by bitcoinjs, with what decodeAddress should report for them
+const addressArb = fc.oneof(
+  fc.record({ network: networkArb, hash: bytes(20), type: fc.constantFrom('p2pkh', 'p2sh') }).map(({ network, hash, type }) => ({
+    network,
+    type,
+    address: bitcoin.address.toBase58Check(hash, type === 'p2pkh' ? network.bitcoinjs.pubKeyHash : network.bitcoinjs.scriptHash),
+    expected: { type, hash: Buffer.from(hash) },
+    accepts: (other) => (type === 'p2pkh' ? other.bitcoinjs.pubKeyHash : other.bitcoinjs.scriptHash) === network.bitcoinjs[type === 'p2pkh' ? 'pubKeyHash' : 'scriptHash']
+  })),
+  fc.record({ network: networkArb, program: fc.oneof(bytes(20), bytes(32)) }).map(({ network, program }) => ({
+    network,
+    type: program.length === 20 ? 'p2wpkh' : 'p2wsh',
+    address: bitcoin.address.toBech32(program, 0, network.bitcoinjs.bech32),
+    expected: { type: program.length === 20 ? 'p2wpkh' : 'p2wsh', version: 0, program: Buffer.from(program) },
+    accepts: (other) => other.bitcoinjs.bech32 === network.bitcoinjs.bech32
+  })),
+  fc.record({ network: networkArb, program: bytes(32) }).map(({ network, program }) => ({
+    network,
+    type: 'p2tr',
+    address: bitcoin.address.toBech32(program, 1, network.bitcoinjs.bech32),
+    expected: { type: 'p2tr', version: 1, program: Buffer.from(program) },
+    accepts: (other) => other.bitcoinjs.bech32 === network.bitcoinjs.bech32
+  }))
+);
+
+/**
+ * Assert that a function throws a ValidationError
+ * @param {Function} fn - Function to call
+ */
+function assertRejected(fn) {
+  assert.throws(fn, ValidationError);
+}
+
+describe('decodeAddress', () => {
+  it('decodes what bitcoinjs encodes (Base58Check, Bech32 and Bech32m)', () => {
+    fc.assert(fc.property(addressArb, ({ network, address, expected }) => {
+      const decoded = decodeAddress(address, network);
+      assert.equal(decoded.address, address);
+      for (const [field, value] of Object.entries(expected)) {
+        assert.deepEqual(Buffer.isBuffer(value) ? Buffer.from(decoded[field]) : decoded[field], value);
+      }
+    }));
+  });
+
+  it('accepts upper-case SegWit addresses and returns them in lower case', () => {
+    fc.assert(fc.property(addressArb.filter(({ type }) => type.startsWith('p2w') || type === 'p2tr'), ({ network, address }) => {
+      assert.equal(decodeAddress(address.toUpperCase(), network).address, address);
+    }));
+  });
+
+  it('rejects any single-character mutation', () => {
+    const mutationArb = addressArb.chain(entry => fc.record({
+      entry: fc.constant(entry),
+      index: fc.nat({ max: entry.address.length - 1 }),
+      char: fc.constantFrom(...new Set(BASE58_ALPHABET + BECH32_ALPHABET))
+    }));
+
+    fc.assert(fc.property(mutationArb, ({ entry, index, char }) => {
+      fc.pre(entry.address[index] !== char);
+      const mutated = entry.address.slice(0, index) + char + entry.address.slice(index + 1);
+      assertRejected(() => decodeAddress(mutated, entry.network));
+    }), { numRuns: 500 });
+  });
+
+  it('rejects addresses of another network', () => {
+    fc.assert(fc.property(addressArb, networkArb, ({ address, accepts }, other) => {
+      if (accepts(other)) {
+        assert.equal(decodeAddress(address, other).address, address);
+      } else {
+        assertRejected(() => decodeAddress(address, other));
+      }
+    }));
+  });
+
+  it('rejects a version 0 program with a Bech32m checksum and a version 1 program with a Bech32 checksum', () => {
+    // Invalid test vectors of BIP350
+    assertRejected(() => decodeAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kemeawh', NETWORKS.mainnet));
+    assertRejected(() => decodeAddress('bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqh2y7hd', NETWORKS.mainnet));
+  });
+
+  it('rejects mixed case, empty input and non-strings', () => {
+    assertRejected(() => decodeAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kV8f3t4', NETWORKS.mainnet));
+    assertRejected(() => decodeAddress('', NETWORKS.mainnet));
+    assertRejected(() => decodeAddress(null, NETWORKS.mainnet));
+  });
+});
+
+/**
+ * Format satoshis as an amount in a unit with integer arithmetic only
+ * @param {bigint} satoshis - Amount in satoshis
+ * @param {number} decimals - Decimal places of the unit
+ * @param {boolean} trim - Drop trailing zeros of the fraction
+ * @returns {string} Decimal amount
+ */
+function formatUnits(satoshis, decimals, trim) {
+  const scale = 10n ** BigInt(decimals);
+  const whole = (satoshis / scale).toString();
+  let fraction = (satoshis % scale).toString().padStart(decimals, '0');
+  if (trim) {
+    fraction = fraction.replace(/0+$/, '');
+  }
+  return fraction ? `${whole}.${fraction}` : whole;
+}
+
+const UNITS = [['BTC', 8], ['mBTC', 5], ['sat', 0]];
+const satoshiArb = fc.bigInt({ min: 1n, max: BigInt(MAX_SATOSHIS) });
+
+describe('parseAmount', () => {
+  it('matches integer satoshi arithmetic in every unit', () => {
+    const arb = fc.record({ satoshis: satoshiArb, unit: fc.constantFrom(...UNITS), trim: fc.boolean(), suffix: fc.boolean() });
+
+    fc.assert(fc.property(arb, ({ satoshis, unit: [name, decimals], trim, suffix }) => {
+      const text = formatUnits(satoshis, decimals, trim);
+      const parsed = suffix ? parseAmount(`${text} ${name}`) : parseAmount(text, { unit: name });
+      assert.equal(parsed, Number(satoshis));
+    }));
+  });
+
+  it('rejects amounts finer than the unit instead of rounding', () => {
+    const arb = fc.record({ satoshis: fc.bigInt({ min: 0n, max: BigInt(MAX_SATOSHIS) - 1n }), unit: fc.constantFrom(...UNITS), digit: fc.integer({ min: 1, max: 9 }) });
+
+    fc.assert(fc.property(arb, ({ satoshis, unit: [name, decimals], digit }) => {
+      // One more non-zero digit than the unit has is a fraction of a satoshi
+      const text = `${formatUnits(satoshis, decimals, false)}${decimals ? '' : '.'}${digit}`;
+      assertRejected(() => parseAmount(text, { unit: name }));
+    }));
+  });
+
+  it('rejects amounts above the supply cap', () => {
+    fc.assert(fc.property(fc.bigInt({ min: BigInt(MAX_SATOSHIS) + 1n, max: BigInt(MAX_SATOSHIS) * 1000n }), (satoshis) => {
+      assertRejected(() => parseAmount(formatUnits(satoshis, 8, true)));
+    }));
+  });
+
+  it('reads numbers as the decimal they print as, without exponent notation', () => {
+    fc.assert(fc.property(satoshiArb, (satoshis) => {
+      assert.equal(parseAmount(Number(satoshis) / 100000000), Number(satoshis));
+    }));
+
+    assert.equal(parseAmount(1e-8), 1);
+    assert.equal(parseAmount(1.5e-7), 15);
+    assert.equal(parseAmount(2500, { unit: 'sat' }), 2500);
+    assertRejected(() => parseAmount(0.1 + 0.2));
+    assertRejected(() => parseAmount(1e-9));
+    assertRejected(() => parseAmount(1e21));
+    assertRejected(() => parseAmount(NaN));
+    assertRejected(() => parseAmount(Infinity));
+  });
+
+  it('rejects zero unless allowed, negative amounts, exponents and unknown units', () => {
+    assertRejected(() => parseAmount('0'));
+    assert.equal(parseAmount('0', { allowZero: true }), 0);
+    assertRejected(() => parseAmount('-0.001'));
+    assertRejected(() => parseAmount(-1e-8));
+    assertRejected(() => parseAmount('1e-8'));
+    assertRejected(() => parseAmount('1 ETH'));
+    assertRejected(() => parseAmount('.'));
+  });
+});
@@ -0,0 +1,250 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { mkdtempSync, rmSync, writeFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import * as bitcoin from 'bitcoinjs-lib';
+import { getNetwork } from '../networks.js';
+import { keyPairFromPrivateKey, createPayment } from '../generateAddresFromPK.js';
+import { createSingleKeyWallet } from '../sendBTC.js';
+import { readAuditLog } from '../policy.js';
+import { createWalletService, ServiceError } from '../walletService.js';
+
+const TOKEN = 'test-token';
+const PRIVATE_KEY = '11'.repeat(32);
+
+let dir;
+let config;
+let esplora;
+let broadcasts;
+let network;
+let wallet;
+let recipient;
+
+/**
+ * Start an HTTP server on a free local port
+ * @param {http.Server} server - Server to start
+ * @returns {Promise<string>} Its base URL
+ */
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+/**
+ * Write config.json, over the provider settings of the test
+ * @param {Object} values - Extra config values
+ */
+function writeConfig(values = {}) {
+  writeFileSync(process.env.BTC_CONFIG, JSON.stringify({ ...config, ...values }));
+}
+
+/**
+ * Start a wallet service over the test wallet
+ * @param {Object} options - Options for createWalletService
+ * @returns {Promise<Object>} { post(body, key), calls, close() }: calls counts loadWallet calls
+ */
+async function startService(options = {}) {
+  const state = { calls: 0 };
+  const server = createWalletService({
+    token: TOKEN,
+    network,
+    idempotencyPath: join(dir, `idempotency-${Math.random().toString(16).slice(2)}.json`),
+    issuedAddressesPath: join(dir, 'issued-addresses.json'),
+    log: () => {},
+    loadWallet: async (id) => {
+      state.calls++;
+      if (id !== 'main') {
+        throw new ServiceError(`Unknown wallet: ${id}`, 404);
+      }
+      return wallet;
+    },
+    ...options
+  });
+  const url = await listen(server);
+
+  return {
+    state,
+    async post(body, key) {
+      const response = await fetch(`${url}/transactions`, {
+        method: 'POST',
+        headers: { authorization: `Bearer ${TOKEN}`, 'content-type': 'application/json', ...(key ? { 'idempotency-key': key } : {}) },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, replayed: response.headers.get('idempotent-replayed') === 'true', body: await response.json() };
+    },
+    async get(path, headers = {}) {
+      const response = await fetch(`${url}${path}`, { headers });
+      return { status: response.status, body: await response.json() };
+    },
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+/**
+ * UTXO of the test wallet
+ * @param {string} prefix - Two hex characters its txid repeats
+ * @param {number} value - Value in satoshis
+ * @returns {Object} UTXO as analyzeUTXOs lists it
+ */
+function utxo(prefix, value) {
+  const txHash = prefix.repeat(32);
+  return { utxo: `${txHash}:0`, txHash, index: 0, address: wallet.receiveAddress, value, scriptType: 'p2wpkh', spendable: true, frozen: false };
+}
+
+before(async () => {
+  dir = mkdtempSync(join(tmpdir(), 'wallet-service-test-'));
+  process.env.BTC_CONFIG = join(dir, 'config.json');
+  process.env.BTC_KEYSTORE = join(dir, 'keystore.json');
+
+  // Esplora stand-in that accepts every broadcast
+  broadcasts = [];
+  esplora = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      broadcasts.push(body);
+      res.end(bitcoin.Transaction.fromHex(body).getId());
+    });
+  });
+
+  config = {
+    network: 'testnet',
+    provider: 'esplora',
+    esploraUrl: await listen(esplora),
+    httpRetries: 0,
+    auditLogPath: join(dir, 'audit-log.jsonl')
+  };
+  writeConfig();
+  network = getNetwork();
+
+  const address = createPayment(keyPairFromPrivateKey(PRIVATE_KEY, network).publicKey, 'p2wpkh', network).address;
+  recipient = createPayment(keyPairFromPrivateKey('22'.repeat(32), network).publicKey, 'p2wpkh', network).address;
+  wallet = createSingleKeyWallet(address, PRIVATE_KEY, {});
+});
+
+after(async () => {
+  await new Promise((resolve) => esplora.close(resolve));
+  rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  broadcasts.length = 0;
+  wallet.balance = { unspentUTXOs: [utxo('aa', 100000), utxo('bb', 100000), utxo('cc', 100000)] };
+  writeConfig();
+});
+
+describe('wallet service', () => {
+  it('needs the API token, except for the OpenAPI description', async () => {
+    const service = await startService();
+    try {
+      assert.equal((await service.get('/openapi.json')).status, 200);
+      assert.equal((await service.get(`/addresses/${recipient}/balance`)).status, 401);
+      assert.equal((await service.get(`/addresses/${recipient}/balance`, { authorization: 'Bearer wrong' })).status, 401);
+    } finally {
+      await service.close();
+    }
+  });
+
+  it('replays the stored response of an idempotency key without paying again', async () => {
+    const service = await startService();
+    try {
+      const body = { wallet: 'main', to: recipient, amount: '0.0005', feeRate: 2 };
+      const first = await service.post(body, 'key-1');
+      const second = await service.post(body, 'key-1');
+
+      assert.equal(first.status, 201);
+      assert.equal(first.body.broadcast, true);
+      assert.equal(first.replayed, false);
+      assert.equal(second.status, 201);
+      assert.equal(second.replayed, true);
+      assert.deepEqual(second.body, first.body);
+      assert.equal(broadcasts.length, 1);
+      assert.equal(first.body.txId, bitcoin.Transaction.fromHex(broadcasts[0]).getId());
+    } finally {
+      await service.close();
+    }
+  });
+
+  it('answers 422 when a key is reused for a different request', async () => {
+    const service = await startService();
+    try {
+      assert.equal((await service.post({ wallet: 'main', to: recipient, amount: '0.0005', feeRate: 2 }, 'key-2')).status, 201);
+
+      const reused = await service.post({ wallet: 'main', to: recipient, amount: '0.0006', feeRate: 2 }, 'key-2');
+      assert.equal(reused.status, 422);
+      assert.match(reused.body.error, /already used for a different request/);
+      assert.equal(broadcasts.length, 1);
+    } finally {
+      await service.close();
+    }
+  });
+
+  it('refuses a broadcast without a key before loading the wallet or checking the policy', async () => {
+    writeConfig({ policy: { maxAmount: '0.0001' } });
+    const service = await startService();
+    try {
+      const response = await service.post({ wallet: 'main', to: recipient, amount: '0.0005', feeRate: 2 });
+
+      assert.equal(response.status, 400);
+      assert.match(response.body.error, /Idempotency-Key/);
+      assert.equal(service.state.calls, 0);
+      assert.equal(existsSync(config.auditLogPath), false);
+    } finally {
+      await service.close();
+    }
+  });
+
+  it('signs without broadcasting, and records the signed transaction against the policy', async () => {
+    writeConfig({ policy: { dailyLimit: '0.001' } });
+    const service = await startService();
+    try {
+      const response = await service.post({ wallet: 'main', to: recipient, amount: '0.0005', feeRate: 2, broadcast: false });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.signed, true);
+      assert.equal(response.body.broadcast, false);
+      assert.equal(bitcoin.Transaction.fromHex(response.body.hex).getId(), response.body.txId);
+      assert.equal(broadcasts.length, 0);
+
+      const spends = readAuditLog(config.auditLogPath).filter(entry => entry.event === 'spend');
+      assert.deepEqual(spends.map(entry => [entry.txid, entry.via, entry.amount]), [[response.body.txId, 'hex', 50000]]);
+    } finally {
+      await service.close();
+      rmSync(config.auditLogPath, { force: true });
+    }
+  });
+
+  it('does not spend the outputs of its own broadcasts again while the provider still lists them', async () => {
+    const service = await startService();
+    try {
+      const body = { wallet: 'main', to: recipient, amount: '0.0005', feeRate: 2 };
+      const [first, second] = await Promise.all([service.post(body, 'key-3'), service.post({ ...body, amount: '0.0004' }, 'key-4')]);
+
+      assert.equal(first.status, 201);
+      assert.equal(second.status, 201);
+      assert.deepEqual(first.body.from.filter(outpoint => second.body.from.includes(outpoint)), []);
+
+      // Once the provider no longer lists them, the reservations are released
+      const spent = new Set([...first.body.from, ...second.body.from]);
+      wallet.balance = { unspentUTXOs: wallet.balance.unspentUTXOs.filter(entry => !spent.has(entry.utxo)) };
+      const third = await service.post({ ...body, amount: '0.0003' }, 'key-5');
+      assert.equal(third.status, 201);
+    } finally {
+      await service.close();
+    }
+  });
+
+  it('answers 404 for an unknown wallet and 400 for an invalid body', async () => {
+    const service = await startService();
+    try {
+      assert.equal((await service.post({ wallet: 'other', to: recipient, amount: '0.0005', feeRate: 2, broadcast: false })).status, 404);
+      assert.equal((await service.post({ wallet: 'main', to: 'not-an-address', amount: '0.0005', broadcast: false })).status, 400);
+      assert.equal((await service.post({ wallet: 'main', to: recipient, amount: '0.0005', extra: true }, 'key-6')).status, 400);
+    } finally {
+      await service.close();
+    }
+  });
+});
@@ -0,0 +1,358 @@
+import * as bitcoin from 'bitcoinjs-lib';
+import * as ecc from 'tiny-secp256k1';
+import { getNetwork } from './networks.js';
+import { keyPairFromPrivateKey, createPayment, createMultisigPayment, ADDRESS_TYPES } from './generateAddresFromPK.js';
+import { fetchRawTransaction } from './getUTXos.js';
+
+// Outputs below this value are non-standard and will not be relayed
+export const DUST_LIMIT = 546;
+
+// Input sequence that signals replaceability (BIP125) without enabling a relative locktime
+export const RBF_SEQUENCE = 0xfffffffd;
+
+// Default input sequence when the transaction is final
+const FINAL_SEQUENCE = 0xffffffff;
+
+/**
+ * Find the wallet key and address type that own an address
+ * Watch-only keys carry a public key only, and multisig keys the public keys of every
+ * cosigner; they can build PSBTs but not sign them.
+ * @param {Array} keys - Wallet keys: [{ address, privateKey }], [{ address, publicKey, path, fingerprint }]
+ *   or [{ address, multisig: { threshold, scriptType }, derivations }]
+ * @param {string} address - Address of the input being spent
+ * @param {Object} network - Network settings from getNetwork
+ * @returns {{ key: Object, keyPair: ECPairInterface|null, publicKey: Uint8Array|null, addressType: string, payment: Object }} Key, its key pair (null if watch-only) and payment
+ */
+function findSigner(keys, address, network) {
+  const key = keys.find(entry => entry.address === address);
+
+  if (!key) {
+    throw new Error(`No key for input address ${address}`);
+  }
+
+  if (key.multisig) {
+    const publicKeys = key.derivations.map(derivation => Buffer.from(derivation.publicKey, 'hex'));
+    const payment = createMultisigPayment(publicKeys, key.multisig.threshold, key.multisig.scriptType, network);
+    if (payment.address !== address) {
+      throw new Error(`Multisig keys do not match input address ${address}`);
+    }
+    return { key, keyPair: null, publicKey: null, addressType: key.multisig.scriptType, payment };
+  }
+
+  const keyPair = key.privateKey ? keyPairFromPrivateKey(key.privateKey, network) : null;
+  const publicKey = keyPair ? keyPair.publicKey : Buffer.from(key.publicKey, 'hex');
+
+  for (const addressType of ADDRESS_TYPES) {
+    const payment = createPayment(publicKey, addressType, network);
+    if (payment.address === address) {
+      return { key, keyPair, publicKey, addressType, payment };
+    }
+  }
+
+  throw new Error(`Key does not match input address ${address}`);
+}
+
+/**
+ * Build an unsigned PSBT that spends exactly the given UTXOs
+ * @param {Array} utxos - UTXOs to spend, as returned by analyzeUTXOs: [{ txHash, index, value, address }]
+ * @param {Array} outputs - Outputs in satoshis: [{ address, value }]
+ * @param {Array} keys - Wallet keys owning the UTXO addresses: [{ address, privateKey }], or public keys for watch-only wallets
+ * @param {Object} options - Optional settings
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {Function} options.getRawTransaction - Returns the raw hex of a previous transaction (default: the configured provider)
+ * @param {boolean} options.rbf - Signal replace-by-fee on every input (default: true)
+ * @param {Object} options.changeKey - Public key of an unused change address ({ address, publicKey, path, fingerprint }), so signers can recognise the change output
+ * @returns {Promise<bitcoin.Psbt>} Unsigned PSBT
+ */
+export async function buildPsbt(utxos, outputs, keys, {
+  network = getNetwork(),
+  getRawTransaction = (txHash) => fetchRawTransaction(txHash, network),
+  rbf = true,
+  changeKey = null
+} = {}) {
+  const psbt = new bitcoin.Psbt({ network: network.bitcoinjs });
+
+  for (const utxo of utxos) {
+    const { key, publicKey, addressType, payment } = findSigner(keys, utxo.address, network);
+    const input = { hash: utxo.txHash, index: utxo.index, sequence: rbf ? RBF_SEQUENCE : FINAL_SEQUENCE };
+
+    if (addressType === 'p2pkh' || addressType === 'p2sh') {
+      // Legacy inputs commit to the whole previous transaction
+      input.nonWitnessUtxo = Buffer.from(await getRawTransaction(utxo.txHash), 'hex');
+    } else {
+      input.witnessUtxo = { script: payment.output, value: BigInt(utxo.value) };
+    }
+
+    if (addressType === 'p2tr') {
+      input.tapInternalKey = publicKey.slice(1, 33);
+    }
+
+    psbt.addInput({ ...input, ...getScripts(addressType, payment), ...getKeyOrigin(key, publicKey, addressType) });
+  }
+
+  const ownKeys = changeKey ? [...keys, changeKey] : keys;
+
+  for (const output of outputs) {
+    if (output.value < DUST_LIMIT) {
+      throw new Error(`Output to ${output.address} of ${output.value} satoshis is below the dust limit of ${DUST_LIMIT}.`);
+    }
+
+    // Our own (change) outputs carry their key origin too
+    const ownKey = ownKeys.find(entry => entry.address === output.address);
+    const origin = ownKey ? findSigner([ownKey], output.address, network) : null;
+
+    psbt.addOutput({
+      address: output.address,
+      value: BigInt(output.value),
+      ...(origin ? getScripts(origin.addressType, origin.payment) : {}),
+      ...(origin ? getKeyOrigin(origin.key, origin.publicKey, origin.addressType) : {})
+    });
+  }
+
+  return psbt;
+}
+
+/**
+ * Get the redeem and witness scripts a PSBT input or output needs for its address type
+ * @param {string} addressType - One of ADDRESS_TYPES or MULTISIG_SCRIPT_TYPES
+ * @param {Object} payment - bitcoinjs payment of the address
+ * @returns {Object} redeemScript and/or witnessScript; empty for single-key native types
+ */
+function getScripts(addressType, payment) {
+  switch (addressType) {
+    case 'p2sh-p2wpkh':
+    case 'p2sh':
+      return { redeemScript: payment.redeem.output };
+    case 'p2wsh':
+      return { witnessScript: payment.redeem.output };
+    case 'p2sh-p2wsh':
+      return { redeemScript: payment.redeem.output, witnessScript: payment.redeem.redeem.output };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Get the BIP32 key origin fields of a PSBT input or output
+ * HD keys tell an external signer (e.g. a hardware wallet) which key to derive.
+ * @param {Object} key - Wallet key: { path, fingerprint }, or a multisig key with the derivations of every cosigner
+ * @param {Uint8Array} publicKey - Public key of the address (null for multisig)
+ * @param {string} addressType - One of ADDRESS_TYPES or MULTISIG_SCRIPT_TYPES
+ * @returns {Object} bip32Derivation, or tapInternalKey and tapBip32Derivation for Taproot; empty without key origin
+ */
+function getKeyOrigin(key, publicKey, addressType) {
+  if (key.multisig) {
+    const bip32Derivation = key.derivations
+      .filter(derivation => derivation.fingerprint && derivation.path)
+      .map(derivation => ({
+        masterFingerprint: Buffer.from(derivation.fingerprint, 'hex'),
+        path: derivation.path,
+        pubkey: Buffer.from(derivation.publicKey, 'hex')
+      }));
+    return bip32Derivation.length > 0 ? { bip32Derivation } : {};
+  }
+
+  if (!key.fingerprint || !key.path) {
+    return {};
+  }
+
+  const derivation = { masterFingerprint: Buffer.from(key.fingerprint, 'hex'), path: key.path };
+
+  return addressType === 'p2tr'
+    ? {
+      tapInternalKey: publicKey.slice(1, 33),
+      tapBip32Derivation: [{ ...derivation, pubkey: publicKey.slice(1, 33), leafHashes: [] }]
+    }
+    : { bip32Derivation: [{ ...derivation, pubkey: publicKey }] };
+}
+
+/**
+ * Verify an input signature: Schnorr for 32-byte (Taproot) keys, ECDSA otherwise
+ * @param {Uint8Array} publicKey - Public key
+ * @param {Uint8Array} messageHash - Signed sighash
+ * @param {Uint8Array} signature - Signature
+ * @returns {boolean} True if the signature is valid
+ */
+function validateSignature(publicKey, messageHash, signature) {
+  return publicKey.length === 32
+    ? ecc.verifySchnorr(messageHash, publicKey, signature)
+    : ecc.verify(messageHash, publicKey, signature);
+}
+
+/**
+ * Get the previous output an input of a PSBT spends
+ * @param {bitcoin.Psbt} psbt - PSBT
+ * @param {number} index - Input index
+ * @returns {{ script: Uint8Array, value: bigint }} Output script and value
+ */
+export function getInputPrevout(psbt, index) {
+  const input = psbt.data.inputs[index];
+
+  if (input.witnessUtxo) {
+    return input.witnessUtxo;
+  }
+  if (input.nonWitnessUtxo) {
+    return bitcoin.Transaction.fromBuffer(input.nonWitnessUtxo).outs[psbt.txInputs[index].index];
+  }
+
+  throw new Error(`Input ${index} of the PSBT has no previous output (witnessUtxo or nonWitnessUtxo).`);
+}
+
+/**
+ * Get the multisig script a PSBT input or output spends to, if any
+ * @param {Object} data - PSBT input or output data
+ * @returns {Object|null} bitcoinjs p2ms payment ({ m, n, pubkeys }), or null for single-key scripts
+ */
+export function getMultisigScript(data) {
+  const script = data.witnessScript || data.redeemScript;
+  if (!script) {
+    return null;
+  }
+
+  try {
+    return bitcoin.payments.p2ms({ output: script });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Sign one PSBT input with a key pair
+ * @param {bitcoin.Psbt} psbt - PSBT
+ * @param {number} index - Input index
+ * @param {ECPairInterface} keyPair - Key owning the input
+ * @param {string} addressType - Address type of the input
+ */
+function signInput(psbt, index, keyPair, addressType) {
+  if (addressType === 'p2tr') {
+    // Key-path spends sign with the key tweaked by the (empty) script tree
+    const tweak = bitcoin.crypto.taggedHash('TapTweak', keyPair.publicKey.slice(1, 33));
+    psbt.signInput(index, keyPair.tweak(tweak));
+  } else {
+    psbt.signInput(index, keyPair);
+  }
+}
+
+/**
+ * Sign the PSBT inputs that the given private keys own, leaving the others as they are
+ * Used to sign a PSBT created elsewhere; nothing is finalized. A multisig input is signed
+ * by every given key that is one of its cosigners and has not signed yet.
+ * @param {bitcoin.Psbt} psbt - PSBT
+ * @param {Array} keys - Private keys: [{ address, privateKey }]
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {number} Number of inputs signed
+ */
+export function signPsbtInputs(psbt, keys, network = getNetwork()) {
+  let signed = 0;
+
+  psbt.data.inputs.forEach((input, index) => {
+    if (input.finalScriptSig || input.finalScriptWitness) {
+      return;
+    }
+
+    const multisig = getMultisigScript(input);
+    if (multisig) {
+      const signedBy = new Set((input.partialSig || []).map(sig => Buffer.from(sig.pubkey).toString('hex')));
+      const cosignerKeys = new Map();
+
+      for (const key of keys.filter(entry => entry.privateKey)) {
+        const keyPair = keyPairFromPrivateKey(key.privateKey, network);
+        const publicKey = Buffer.from(keyPair.publicKey).toString('hex');
+        if (!signedBy.has(publicKey) && multisig.pubkeys.some(pubkey => Buffer.from(pubkey).toString('hex') === publicKey)) {
+          cosignerKeys.set(publicKey, keyPair);
+        }
+      }
+
+      cosignerKeys.forEach(keyPair => psbt.signInput(index, keyPair));
+      signed += cosignerKeys.size > 0 ? 1 : 0;
+      return;
+    }
+
+    const address = bitcoin.address.fromOutputScript(getInputPrevout(psbt, index).script, network.bitcoinjs);
+    if (!keys.some(key => key.address === address && key.privateKey)) {
+      return;
+    }
+
+    const { keyPair, addressType } = findSigner(keys, address, network);
+    signInput(psbt, index, keyPair, addressType);
+    signed++;
+  });
+
+  return signed;
+}
+
+/**
+ * Sign every input of a PSBT with the wallet keys and finalize it
+ * @param {bitcoin.Psbt} psbt - PSBT from buildPsbt
+ * @param {Array} keys - Wallet keys owning the inputs: [{ address, privateKey }]
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {bitcoin.Psbt} The signed and finalized PSBT
+ */
+export function signPsbt(psbt, keys, network = getNetwork()) {
+  psbt.data.inputs.forEach((input, index) => {
+    const address = bitcoin.address.fromOutputScript(getInputPrevout(psbt, index).script, network.bitcoinjs);
+    const { key, keyPair, addressType } = findSigner(keys, address, network);
+
+    if (key.multisig) {
+      throw new Error(`Input address ${address} is a ${key.multisig.threshold}-of-${key.derivations.length} multisig script, which this key cannot sign on its own. Have the cosigners sign the PSBT (psbt sign).`);
+    }
+    if (!keyPair) {
+      throw new Error(`No private key for input address ${address}: the wallet is watch-only. Sign the PSBT elsewhere.`);
+    }
+
+    signInput(psbt, index, keyPair, addressType);
+  });
+
+  return finalizePsbt(psbt);
+}
+
+/**
+ * Check the signatures of every input of a PSBT and finalize it
+ * @param {bitcoin.Psbt} psbt - Signed PSBT
+ * @returns {bitcoin.Psbt} The finalized PSBT, ready for extractTransaction
+ */
+export function finalizePsbt(psbt) {
+  psbt.data.inputs.forEach((input, index) => {
+    if (input.finalScriptSig || input.finalScriptWitness) {
+      return;
+    }
+    if (!input.tapKeySig && !(input.partialSig && input.partialSig.length > 0)) {
+      throw new Error(`Input ${index} of the transaction is not signed.`);
+    }
+
+    const multisig = getMultisigScript(input);
+    if (multisig && input.partialSig.length < multisig.m) {
+      throw new Error(`Input ${index} of the transaction has ${input.partialSig.length} of the ${multisig.m} signatures it needs.`);
+    }
+    if (!psbt.validateSignaturesOfInput(index, validateSignature)) {
+      throw new Error(`Invalid signature on input ${index} of the transaction.`);
+    }
+
+    // CHECKMULTISIG takes exactly m signatures: drop those of extra cosigners
+    if (multisig && input.partialSig.length > multisig.m) {
+      const order = multisig.pubkeys.map(pubkey => Buffer.from(pubkey).toString('hex'));
+      input.partialSig = [...input.partialSig]
+        .sort((a, b) => order.indexOf(Buffer.from(a.pubkey).toString('hex')) - order.indexOf(Buffer.from(b.pubkey).toString('hex')))
+        .slice(0, multisig.m);
+    }
+  });
+
+  psbt.finalizeAllInputs();
+  return psbt;
+}
+
+/**
+ * Extract the final transaction from a signed PSBT
+ * @param {bitcoin.Psbt} psbt - Signed and finalized PSBT
+ * @returns {{ hex: string, txId: string, vsize: number, fee: number }} Raw transaction, its id, size and fee in satoshis
+ */
+export function extractTransaction(psbt) {
+  const transaction = psbt.extractTransaction();
+
+  return {
+    hex: transaction.toHex(),
+    txId: transaction.getId(),
+    vsize: transaction.virtualSize(),
+    fee: Number(psbt.getFee())
+  };
+}
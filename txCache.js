@@ -0,0 +1,215 @@
+import { readFileSync, writeFileSync, existsSync, renameSync } from 'fs';
+import { loadConfig } from './config.js';
+import { getNetwork } from './networks.js';
+import { NotFoundError } from './httpClient.js';
+
+export const DEFAULT_CACHE_PATH = './tx-cache.json';
+
+// Confirmations after which a cached transaction is taken as final. Newer ones
+// are checked again on every sync in case their block was reorganized away.
+export const REORG_DEPTH = 6;
+
+const CACHE_VERSION = 1;
+
+// A tip height fetched this recently is reused instead of asking the provider again
+const TIP_MAX_AGE = 30000;
+
+/**
+ * Get the path of the transaction cache file
+ * The path defaults to the `cachePath` config value (or BTC_CACHE), then ./tx-cache.json.
+ * @returns {string} Cache file path
+ */
+export function getCachePath() {
+  return loadConfig().cachePath || DEFAULT_CACHE_PATH;
+}
+
+/**
+ * Check whether transactions are cached, i.e. `cache` is not false in config.json
+ * @returns {boolean} True if the cache is enabled
+ */
+export function isCacheEnabled() {
+  return loadConfig().cache !== false;
+}
+
+/**
+ * Check whether balance queries must be answered from the cache alone
+ * Set by `offline` in config.json, BTC_OFFLINE=1 or the --offline flag of cli.js.
+ * @returns {boolean} True in offline mode
+ */
+export function isOffline() {
+  const { offline } = loadConfig();
+  return offline === true || offline === '1' || offline === 'true';
+}
+
+/**
+ * Read the cache file
+ * @param {string} path - Cache file path
+ * @returns {Object} Cache, empty if the file does not exist
+ */
+function readCache(path) {
+  if (!existsSync(path)) {
+    return { version: CACHE_VERSION, networks: {} };
+  }
+
+  try {
+    const cache = JSON.parse(readFileSync(path, 'utf8'));
+    // An unknown layout is rebuilt from the provider rather than misread
+    return cache.version === CACHE_VERSION ? cache : { version: CACHE_VERSION, networks: {} };
+  } catch (error) {
+    throw new Error(`Failed to parse ${path}: ${error.message}. Delete it to rebuild the cache.`);
+  }
+}
+
+/**
+ * Write the cache file atomically
+ * @param {Object} cache - Cache to write
+ * @param {string} path - Cache file path
+ */
+function writeCache(cache, path) {
+  const tmpPath = `${path}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(cache), { mode: 0o600 });
+  renameSync(tmpPath, path);
+}
+
+/**
+ * Keep only what balance calculations and the history need (no raw hex)
+ * @param {Object} tx - Normalized transaction from a provider
+ * @returns {Object} Transaction to cache
+ */
+function toCacheEntry(tx) {
+  return {
+    hash: tx.hash,
+    blockNumber: tx.blockNumber ?? null,
+    time: tx.time ?? null,
+    inputs: tx.inputs,
+    outputs: tx.outputs
+  };
+}
+
+/**
+ * Sort transactions newest first, unconfirmed ones on top
+ * @param {Array} transactions - Cached transactions
+ * @returns {Array} The sorted transactions
+ */
+function sortNewestFirst(transactions) {
+  return transactions.sort((a, b) => (b.blockNumber ?? Infinity) - (a.blockNumber ?? Infinity));
+}
+
+/**
+ * Get the cached transactions of an address without contacting the provider
+ * @param {string} address - Bitcoin address
+ * @param {Object} options - Optional settings
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {string} options.path - Cache file path (default: configured cache)
+ * @returns {Array|null} Transactions, newest first, or null if the address was never synced
+ */
+export function getCachedTransactions(address, { network = getNetwork(), path = getCachePath() } = {}) {
+  const networkCache = readCache(path).networks[network.name];
+  const entry = networkCache && networkCache.addresses[address];
+
+  return entry ? entry.transactions : null;
+}
+
+/**
+ * Get the chain tip height stored by the last sync
+ * @param {Object} options - Optional settings
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {string} options.path - Cache file path (default: configured cache)
+ * @returns {number|null} Tip height, or null if the network was never synced
+ */
+export function getCachedTipHeight({ network = getNetwork(), path = getCachePath() } = {}) {
+  const networkCache = readCache(path).networks[network.name];
+  return networkCache ? networkCache.tipHeight : null;
+}
+
+/**
+ * Get the tip height, reusing a recent one from the cache
+ * When the tip went down since the last sync, the chain was reorganized and
+ * every cached transaction above the new tip is dropped.
+ * @param {Object} networkCache - Cache of the network
+ * @param {Object} provider - Blockchain data provider from getProvider
+ * @param {Function} log - Progress logger
+ * @returns {Promise<number>} Tip height
+ */
+async function refreshTip(networkCache, provider, log) {
+  if (networkCache.tipHeight !== null && Date.now() - networkCache.tipCheckedAt < TIP_MAX_AGE) {
+    return networkCache.tipHeight;
+  }
+
+  const tipHeight = await provider.getTipHeight();
+
+  if (networkCache.tipHeight !== null && tipHeight < networkCache.tipHeight) {
+    log(`Chain tip went back from ${networkCache.tipHeight} to ${tipHeight}, dropping cached transactions above it`);
+    for (const entry of Object.values(networkCache.addresses)) {
+      entry.transactions = entry.transactions.filter(tx => tx.blockNumber === null || tx.blockNumber <= tipHeight);
+    }
+  }
+
+  networkCache.tipHeight = tipHeight;
+  networkCache.tipCheckedAt = Date.now();
+  return tipHeight;
+}
+
+/**
+ * Bring the cached history of an address up to date and return it
+ * Only pages newer than the newest final transaction are fetched. Cached
+ * transactions that are pending or have fewer than REORG_DEPTH confirmations
+ * are refreshed; those the provider no longer knows (replaced, evicted or
+ * reorganized away) are dropped.
+ * @param {string} address - Bitcoin address
+ * @param {Object} provider - Blockchain data provider from getProvider
+ * @param {Object} options - Optional settings
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {string} options.path - Cache file path (default: configured cache)
+ * @returns {Promise<Array>} All transactions of the address, newest first
+ */
+export async function syncTransactions(address, provider, {
+  log = console.log,
+  network = getNetwork(),
+  path = getCachePath()
+} = {}) {
+  const cache = readCache(path);
+  const networkCache = cache.networks[network.name] ||= { tipHeight: null, tipCheckedAt: 0, addresses: {} };
+  const tipHeight = await refreshTip(networkCache, provider, log);
+
+  const cached = new Map((networkCache.addresses[address]?.transactions || []).map(tx => [tx.hash, tx]));
+  // Entries cached before block times were kept (no time field) are fetched once more
+  const final = new Set([...cached.values()]
+    .filter(tx => tx.blockNumber !== null && tipHeight - tx.blockNumber + 1 >= REORG_DEPTH && tx.time !== undefined)
+    .map(tx => tx.hash));
+
+  if (cached.size > 0) {
+    log(`${cached.size} cached transaction(s), fetching newer ones...`);
+  }
+
+  const fetched = await provider.getTransactions(address, { log, isKnown: (tx) => final.has(tx.hash) });
+  const seen = new Set();
+
+  for (const tx of fetched) {
+    cached.set(tx.hash, toCacheEntry(tx));
+    seen.add(tx.hash);
+  }
+
+  for (const tx of [...cached.values()]) {
+    if (final.has(tx.hash) || seen.has(tx.hash)) {
+      continue;
+    }
+
+    try {
+      cached.set(tx.hash, toCacheEntry(await provider.getTransaction(tx.hash)));
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) {
+        throw error;
+      }
+      log(`Transaction ${tx.hash} is gone, dropping it from the cache`);
+      cached.delete(tx.hash);
+    }
+  }
+
+  const transactions = sortNewestFirst([...cached.values()]);
+  networkCache.addresses[address] = { syncedAt: new Date().toISOString(), transactions };
+  writeCache(cache, path);
+
+  return transactions;
+}
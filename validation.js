@@ -0,0 +1,292 @@
+import * as bitcoin from 'bitcoinjs-lib';
+import { getNetwork, NETWORKS } from './networks.js';
+
+// Supply cap in satoshis: no amount can be larger
+export const MAX_SATOSHIS = 21000000 * 100000000;
+
+/**
+ * Decimal places of each amount unit, i.e. its size in satoshis is 10^decimals
+ */
+export const AMOUNT_UNITS = {
+  btc: 8,
+  mbtc: 5,
+  sat: 0
+};
+
+// Unit suffixes accepted after an amount, by unit
+const UNIT_ALIASES = {
+  btc: 'btc',
+  mbtc: 'mbtc',
+  sat: 'sat',
+  sats: 'sat',
+  satoshi: 'sat',
+  satoshis: 'sat'
+};
+
+/**
+ * Error for an address or amount that does not pass validation
+ * `field` names the input that failed (address or amount) for callers that re-ask for it.
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} field - Name of the invalid input
+   */
+  constructor(message, field) {
+    super(message);
+    this.name = 'ValidationError';
+    this.field = field;
+  }
+}
+
+/**
+ * Decode a SegWit address with bitcoinjs, which checks the Bech32 (version 0) or Bech32m
+ * (version 1 and up) checksum
+ * @param {string} address - Bech32 or Bech32m address
+ * @returns {Object|null} { hrp, version, program, type }, or null if the checksum does not match
+ */
+function decodeSegwitAddress(address) {
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) {
+    throw new ValidationError('Invalid address: mixes upper and lower case.', 'address');
+  }
+
+  let decoded;
+  try {
+    decoded = bitcoin.address.fromBech32(address);
+  } catch (error) {
+    if (/checksum/i.test(error.message)) {
+      return null;
+    }
+    if (/wrong encoding/.test(error.message)) {
+      throw new ValidationError('Invalid address: a version 0 SegWit address must use Bech32, and later versions Bech32m.', 'address');
+    }
+    throw new ValidationError(`Invalid address: malformed Bech32 string (${error.message}).`, 'address');
+  }
+
+  const { version, prefix: hrp } = decoded;
+  const program = Buffer.from(decoded.data);
+
+  if (version > 16) {
+    throw new ValidationError('Invalid address: unknown witness version.', 'address');
+  }
+
+  if (program.length < 2 || program.length > 40) {
+    throw new ValidationError('Invalid address: witness program has an invalid length.', 'address');
+  }
+
+  if (version === 0 && program.length !== 20 && program.length !== 32) {
+    throw new ValidationError('Invalid address: a version 0 witness program must be 20 or 32 bytes.', 'address');
+  }
+
+  const type = version === 0
+    ? (program.length === 20 ? 'p2wpkh' : 'p2wsh')
+    : version === 1 && program.length === 32 ? 'p2tr' : `witness-v${version}`;
+
+  return { hrp, version, program, type };
+}
+
+/**
+ * Decode a legacy Base58Check address with bitcoinjs
+ * @param {string} address - Base58Check address
+ * @returns {Object|null} { prefix, hash }, or null if the checksum does not match
+ */
+function decodeBase58Address(address) {
+  const invalid = address.match(/[^1-9A-HJ-NP-Za-km-z]/);
+  if (invalid) {
+    throw new ValidationError(`Invalid address: "${invalid[0]}" is not a Base58 character.`, 'address');
+  }
+
+  let decoded;
+  try {
+    decoded = bitcoin.address.fromBase58Check(address);
+  } catch (error) {
+    if (/too (short|long)/.test(error.message)) {
+      throw new ValidationError('Invalid address: wrong payload length.', 'address');
+    }
+    return null;
+  }
+
+  return { prefix: decoded.version, hash: Buffer.from(decoded.hash) };
+}
+
+/**
+ * List the networks whose address encoding matches a decoded address
+ * @param {Function} matches - Test given the bitcoinjs parameters of a network
+ * @returns {string} Network names, e.g. "testnet, signet or regtest"
+ */
+function describeNetworks(matches) {
+  const names = Object.values(NETWORKS)
+    .filter(network => matches(network.bitcoinjs))
+    .map(network => network.name);
+
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names.join('');
+}
+
+/**
+ * Decode and validate a Bitcoin address for a network
+ * Legacy addresses are checked with Base58Check, SegWit addresses with Bech32 (version 0)
+ * or Bech32m (version 1 and up), and every address must belong to the network.
+ * @param {string} address - Address to check
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {Object} { address, type, version, program } for SegWit or { address, type, hash } for legacy addresses;
+ *   type is p2pkh, p2sh, p2wpkh, p2wsh, p2tr or witness-vN
+ * @throws {ValidationError} If the address is malformed, mistyped or for another network
+ */
+export function decodeAddress(address, network = getNetwork()) {
+  const text = typeof address === 'string' ? address.trim() : '';
+  const params = network.bitcoinjs;
+
+  if (!text) {
+    throw new ValidationError('Invalid address: empty.', 'address');
+  }
+
+  // Only Bech32 strings have a "1" separator after a known prefix; the Base58 alphabet has no "0", "O", "I" or "l"
+  const bech32Prefix = text.toLowerCase().match(/^([a-z]+)1/);
+  const isBech32 = bech32Prefix && Object.values(NETWORKS).some(entry => entry.bitcoinjs.bech32 === bech32Prefix[1]);
+
+  if (isBech32) {
+    const decoded = decodeSegwitAddress(text);
+
+    if (!decoded) {
+      throw new ValidationError(`Invalid address: checksum mismatch, check ${text} for typos.`, 'address');
+    }
+
+    if (decoded.hrp !== params.bech32) {
+      const owners = describeNetworks(entry => entry.bech32 === decoded.hrp);
+      throw new ValidationError(`Address ${text} is for Bitcoin ${owners}, not ${network.name}.`, 'address');
+    }
+
+    return { address: text.toLowerCase(), type: decoded.type, version: decoded.version, program: decoded.program };
+  }
+
+  if (bech32Prefix && /[^1-9A-HJ-NP-Za-km-z]/.test(text)) {
+    throw new ValidationError(`Invalid address: unknown prefix "${bech32Prefix[1]}1".`, 'address');
+  }
+
+  const decoded = decodeBase58Address(text);
+
+  if (!decoded) {
+    throw new ValidationError(`Invalid address: checksum mismatch, check ${text} for typos.`, 'address');
+  }
+
+  const { prefix, hash } = decoded;
+
+  if (prefix === params.pubKeyHash || prefix === params.scriptHash) {
+    return { address: text, type: prefix === params.pubKeyHash ? 'p2pkh' : 'p2sh', hash };
+  }
+
+  const owners = describeNetworks(entry => entry.pubKeyHash === prefix || entry.scriptHash === prefix);
+
+  if (owners) {
+    throw new ValidationError(`Address ${text} is for Bitcoin ${owners}, not ${network.name}.`, 'address');
+  }
+
+  throw new ValidationError(`Invalid address: unknown version byte 0x${prefix.toString(16).padStart(2, '0')}.`, 'address');
+}
+
+/**
+ * Check whether an address is valid for a network
+ * @param {string} address - Address to check
+ * @param {Object} network - Network settings from getNetwork (default: configured network)
+ * @returns {boolean} True if decodeAddress accepts it
+ */
+export function isValidAddress(address, network = getNetwork()) {
+  try {
+    decodeAddress(address, network);
+    return true;
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write a number out in plain decimal notation
+ * String() switches to exponent notation below 1e-6 and from 1e21 (1e-8 becomes "1e-8");
+ * the digits are kept and only the decimal point is moved.
+ * @param {number} value - Number to format
+ * @returns {string} Decimal string, e.g. "0.00000001"
+ */
+function formatDecimal(value) {
+  const [mantissa, exponent] = String(value).split('e');
+
+  if (!exponent) {
+    return mantissa;
+  }
+
+  const sign = mantissa.startsWith('-') ? '-' : '';
+  const [whole, fraction = ''] = mantissa.replace('-', '').split('.');
+  const digits = whole + fraction;
+  const point = whole.length + Number(exponent);
+
+  if (point <= 0) {
+    return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  }
+  if (point >= digits.length) {
+    return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+  }
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+/**
+ * Parse an amount into satoshis without floating point arithmetic
+ * The amount is a plain decimal number, optionally followed by a unit: BTC, mBTC or sat(s).
+ * Amounts with more decimal places than the unit has (e.g. 0.000000001 BTC) are rejected, not rounded.
+ * A number is read as the decimal it prints as, so 1e-8 is 1 satoshi and 0.1 + 0.2 is too precise.
+ * @param {string|number} text - Amount, e.g. "0.001", "1.5 mBTC" or "2500 sats"
+ * @param {Object} options - Optional settings
+ * @param {string} options.unit - Unit of an amount without one: btc, mbtc or sat (default: btc)
+ * @param {string} options.field - Name of the amount in error messages (default: amount)
+ * @param {boolean} options.allowZero - Accept a zero amount (default: false)
+ * @returns {number} Amount in satoshis
+ * @throws {ValidationError} If the amount is malformed, negative, too precise or above the supply cap
+ */
+export function parseAmount(text, { unit = 'btc', field = 'amount', allowZero = false } = {}) {
+  const input = typeof text === 'number' ? formatDecimal(text) : String(text ?? '').trim();
+  const match = input.match(/^(\d*)(?:\.(\d*))?\s*([a-zA-Z]*)$/);
+
+  if (input.startsWith('-')) {
+    throw new ValidationError(`Invalid ${field}: ${input} is negative.`, field);
+  }
+
+  if (/^[\d.]+e[+-]?\d+/i.test(input)) {
+    throw new ValidationError(`Invalid ${field}: "${input}" uses exponent notation. Write the amount out in full.`, field);
+  }
+
+  if (!input || !match || (!match[1] && !match[2])) {
+    throw new ValidationError(`Invalid ${field}: "${input}". Use a decimal number such as 0.001, optionally followed by BTC, mBTC or sat.`, field);
+  }
+
+  const [, whole, fraction = '', suffix] = match;
+  const unitName = suffix ? UNIT_ALIASES[suffix.toLowerCase()] : unit.toLowerCase();
+
+  if (!unitName || AMOUNT_UNITS[unitName] === undefined) {
+    throw new ValidationError(`Invalid ${field}: unknown unit "${suffix || unit}". Use BTC, mBTC or sat.`, field);
+  }
+
+  const decimals = AMOUNT_UNITS[unitName];
+  const significant = fraction.replace(/0+$/, '');
+
+  if (significant.length > decimals) {
+    throw new ValidationError(
+      decimals === 0
+        ? `Invalid ${field}: ${input} is not a whole number of satoshis.`
+        : `Invalid ${field}: ${input} has more than ${decimals} decimal places (smaller than 1 satoshi).`,
+      field
+    );
+  }
+
+  const satoshis = BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(significant.padEnd(decimals, '0') || '0');
+
+  if (satoshis === 0n && !allowZero) {
+    throw new ValidationError(`Invalid ${field}: must be greater than zero.`, field);
+  }
+
+  if (satoshis > BigInt(MAX_SATOSHIS)) {
+    throw new ValidationError(`Invalid ${field}: ${input} is more than the 21,000,000 BTC supply.`, field);
+  }
+
+  return Number(satoshis);
+}
@@ -0,0 +1,757 @@
+import http from 'http';
+import crypto from 'crypto';
+import { readFileSync, writeFileSync, renameSync, existsSync } from 'fs';
+import { loadConfig } from './config.js';
+import { getNetwork, getExplorerTxUrl } from './networks.js';
+import { getBitcoinBalance, fetchTipHeight } from './getUTXos.js';
+import { getProvider } from './providers.js';
+import { getMaxSendable } from './coinSelection.js';
+import { getFeeRates, resolveFeeRate, FEE_PRIORITIES, DEFAULT_FEE_PRIORITY } from './feeEstimation.js';
+import { watchOnlyAccount, deriveAddress, RECEIVE_CHAIN } from './hdWallet.js';
+import { createSignedTransaction, createUnsignedTransaction, validateAmount } from './sendBTC.js';
+import { decodeAddress, parseAmount, ValidationError } from './validation.js';
+import { NotFoundError, HttpError, TimeoutError } from './httpClient.js';
+import { recordSpend, PolicyError } from './policy.js';
+
+export const DEFAULT_SERVICE_HOST = '127.0.0.1';
+export const DEFAULT_SERVICE_PORT = 8090;
+export const DEFAULT_IDEMPOTENCY_PATH = './idempotency-keys.json';
+export const DEFAULT_ISSUED_ADDRESSES_PATH = './issued-addresses.json';
+
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 64 * 1024;
+
+// Stored responses of idempotent requests are replayed for this long
+const IDEMPOTENCY_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Error with the HTTP status the service answers it with
+ * `details` lists the individual problems of an invalid request, if any.
+ */
+export class ServiceError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @param {string[]} details - Individual problems (default: none)
+   */
+  constructor(message, statusCode, details = []) {
+    super(message);
+    this.name = 'ServiceError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * JSON schemas of the request bodies and responses, shared by validation and the OpenAPI document
+ */
+const SCHEMAS = {
+  CreateAddressRequest: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      index: { type: 'integer', minimum: 0, description: 'Receive address index; by default the next one not handed out yet' }
+    }
+  },
+  CreateTransactionRequest: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['wallet', 'to', 'amount'],
+    properties: {
+      wallet: { type: 'string', pattern: '^[A-Za-z0-9_.-]+$', description: 'Keystore wallet to send from' },
+      to: { type: 'string', minLength: 1, description: 'Recipient address on the service network' },
+      amount: { type: 'string', minLength: 1, description: 'Amount in BTC, with an optional unit (1.5mBTC, 2500sat), or "all"' },
+      feeRate: { type: ['string', 'number'], description: `${FEE_PRIORITIES.join(', ')} or a rate in sat/vB (default: ${DEFAULT_FEE_PRIORITY})` },
+      fee: { type: 'integer', minimum: 1, description: 'Fixed fee in satoshis, instead of feeRate' },
+      rbf: { type: 'boolean', description: 'Signal replace-by-fee (default: rbf config value, then true)' },
+      broadcast: { type: 'boolean', description: 'Broadcast the signed transaction (default: true); false only signs it' },
+      approval: { type: 'string', minLength: 1, description: 'Second approver\'s signature of the approval message, above the spending policy\'s threshold' }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      details: { type: 'array', items: { type: 'string' } },
+      violations: {
+        type: 'array',
+        description: 'Spending policy rules the request broke',
+        items: { type: 'object', properties: { rule: { type: 'string' }, message: { type: 'string' } } }
+      },
+      approval: {
+        type: 'object',
+        description: 'Approval request opened by the spending policy: an approver signs message, and the request is repeated with the signature',
+        properties: { requestId: { type: 'string' }, message: { type: 'string' } }
+      }
+    }
+  }
+};
+
+/**
+ * Check a value against a JSON schema
+ * Covers the keywords SCHEMAS uses: type, required, properties, additionalProperties,
+ * enum, pattern, minLength, minimum and items.
+ * @param {Object} schema - JSON schema
+ * @param {*} value - Value to check
+ * @param {string} path - Name of the value in error messages
+ * @returns {string[]} Problems found, empty if the value is valid
+ */
+function validateSchema(schema, value, path) {
+  const types = [].concat(schema.type || []);
+  const typeOf = (item) => Array.isArray(item) ? 'array'
+    : item === null ? 'null'
+      : Number.isInteger(item) ? 'integer'
+        : typeof item;
+
+  if (types.length > 0 && !types.some(type => type === typeOf(value) || (type === 'number' && typeOf(value) === 'integer'))) {
+    return [`${path} must be of type ${types.join(' or ')}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path} must match ${schema.pattern}`);
+  }
+  if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push(`${path}.${name} is required`);
+      }
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (schema.properties && schema.properties[name]) {
+        errors.push(...validateSchema(schema.properties[name], item, `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name} is not allowed`);
+      }
+    }
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * Build the OpenAPI description of the service
+ * @returns {Object} OpenAPI 3.1 document
+ */
+export function getOpenApiDocument() {
+  const json = (schema) => ({ 'application/json': { schema } });
+  const errors = {
+    400: { description: 'Invalid request', content: json({ $ref: '#/components/schemas/Error' }) },
+    401: { description: 'Missing or wrong API token', content: json({ $ref: '#/components/schemas/Error' }) }
+  };
+  const addressParameter = { name: 'address', in: 'path', required: true, schema: { type: 'string' } };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Bitcoin wallet service',
+      version: '1.0.0',
+      description: 'Balances, UTXOs, addresses and sends of the local wallet manager. Amounts are in satoshis unless named BTC.'
+    },
+    security: [{ bearerAuth: [] }],
+    paths: {
+      '/addresses/{address}/balance': {
+        get: {
+          summary: 'Balance of an address',
+          parameters: [addressParameter],
+          responses: { 200: { description: 'Balance amounts and chain tip', content: json({ type: 'object' }) }, ...errors }
+        }
+      },
+      '/addresses/{address}/utxos': {
+        get: {
+          summary: 'Unspent outputs of an address',
+          parameters: [addressParameter],
+          responses: { 200: { description: 'Unspent outputs with their confirmations', content: json({ type: 'object' }) }, ...errors }
+        }
+      },
+      '/wallets/{id}/addresses': {
+        post: {
+          summary: 'Hand out a receive address of a keystore wallet',
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+          requestBody: { required: false, content: json({ $ref: '#/components/schemas/CreateAddressRequest' }) },
+          responses: {
+            201: { description: 'Address with its derivation path and index', content: json({ type: 'object' }) },
+            404: { description: 'Unknown wallet', content: json({ $ref: '#/components/schemas/Error' }) },
+            409: { description: 'Gap limit reached by unused addresses', content: json({ $ref: '#/components/schemas/Error' }) },
+            ...errors
+          }
+        }
+      },
+      '/transactions': {
+        post: {
+          summary: 'Create, sign and broadcast a transaction (an unsigned PSBT for watch-only wallets)',
+          parameters: [{
+            name: 'Idempotency-Key',
+            in: 'header',
+            required: false,
+            description: 'Required unless broadcast is false, watch-only wallets included. A repeated key returns the first response instead of sending again.',
+            schema: { type: 'string', maxLength: 200 }
+          }],
+          requestBody: { required: true, content: json({ $ref: '#/components/schemas/CreateTransactionRequest' }) },
+          responses: {
+            200: { description: 'Signed (broadcast: false) or unsigned transaction, not broadcast', content: json({ type: 'object' }) },
+            201: { description: 'Broadcast transaction with its txid', content: json({ type: 'object' }) },
+            403: { description: 'Refused by the spending policy, or waiting for a second approver', content: json({ $ref: '#/components/schemas/Error' }) },
+            404: { description: 'Unknown wallet', content: json({ $ref: '#/components/schemas/Error' }) },
+            409: { description: 'A request with the same idempotency key is in progress', content: json({ $ref: '#/components/schemas/Error' }) },
+            422: { description: 'Not enough funds, or the idempotency key was used with another body', content: json({ $ref: '#/components/schemas/Error' }) },
+            ...errors
+          }
+        }
+      },
+      '/transactions/{txid}': {
+        get: {
+          summary: 'A transaction with its inputs, outputs and confirmations',
+          parameters: [{ name: 'txid', in: 'path', required: true, schema: { type: 'string', pattern: '^[0-9a-f]{64}$' } }],
+          responses: {
+            200: { description: 'Transaction', content: json({ type: 'object' }) },
+            404: { description: 'Unknown transaction', content: json({ $ref: '#/components/schemas/Error' }) },
+            ...errors
+          }
+        }
+      },
+      '/openapi.json': {
+        get: { summary: 'This document', security: [], responses: { 200: { description: 'OpenAPI document' } } }
+      }
+    },
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } },
+      schemas: SCHEMAS
+    }
+  };
+}
+
+/**
+ * Get the API token of the service
+ * The token comes from the `serviceToken` config value (or BTC_SERVICE_TOKEN).
+ * @returns {string} API token
+ */
+export function getServiceToken() {
+  const token = loadConfig().serviceToken;
+
+  if (!token || token.length < 16) {
+    throw new Error('Set an API token of at least 16 characters in BTC_SERVICE_TOKEN (or serviceToken in config.json).');
+  }
+
+  return token;
+}
+
+/**
+ * Check the bearer token of a request in constant time
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} token - API token
+ * @returns {boolean} True if the token matches
+ */
+function isAuthorized(req, token) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  const digest = (text) => crypto.createHash('sha256').update(text).digest();
+  return Boolean(match) && crypto.timingSafeEqual(digest(match[1]), digest(token));
+}
+
+/**
+ * Read and parse the JSON body of a request
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body, or undefined for an empty body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new ServiceError(`Request body larger than ${MAX_BODY_SIZE} bytes.`, 413));
+        req.destroy();
+      }
+    });
+
+    req.on('end', () => {
+      if (!body.trim()) {
+        resolve(undefined);
+        return;
+      }
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new ServiceError(`Invalid JSON body: ${error.message}`, 400));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Validate a request body against one of SCHEMAS
+ * @param {string} name - Schema name
+ * @param {*} body - Parsed request body
+ * @returns {Object} The body (an empty object if none was sent)
+ */
+function checkBody(name, body = {}) {
+  const errors = validateSchema(SCHEMAS[name], body, 'body');
+
+  if (errors.length > 0) {
+    throw new ServiceError('Invalid request body.', 400, errors);
+  }
+
+  return body;
+}
+
+/**
+ * Create the store of idempotency keys and their responses, kept in a JSON file
+ * @param {string} path - Store file path
+ * @returns {Object} Store: get(key), begin(key), finish(key, record), abort(key)
+ */
+function createIdempotencyStore(path) {
+  const inProgress = new Set();
+
+  const read = () => {
+    if (!existsSync(path)) {
+      return {};
+    }
+    try {
+      return JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to parse ${path}: ${error.message}`);
+    }
+  };
+
+  return {
+    get(key) {
+      const record = read()[key];
+      return record && Date.now() - Date.parse(record.createdAt) < IDEMPOTENCY_TTL ? record : null;
+    },
+
+    begin(key) {
+      if (inProgress.has(key)) {
+        throw new ServiceError(`A request with idempotency key ${key} is in progress.`, 409);
+      }
+      inProgress.add(key);
+    },
+
+    finish(key, record) {
+      const records = read();
+      for (const [storedKey, stored] of Object.entries(records)) {
+        if (Date.now() - Date.parse(stored.createdAt) >= IDEMPOTENCY_TTL) {
+          delete records[storedKey];
+        }
+      }
+      records[key] = { ...record, createdAt: new Date().toISOString() };
+      writeFileSync(path, `${JSON.stringify(records, null, 2)}\n`, { mode: 0o600 });
+      inProgress.delete(key);
+    },
+
+    abort(key) {
+      inProgress.delete(key);
+    }
+  };
+}
+
+/**
+ * Create the store of the receive address indexes handed out per account, kept in a JSON file
+ * A handed-out address may not have received anything yet, so the store is what keeps it from
+ * being handed out again after a restart. Accounts are keyed by their descriptor.
+ * @param {string} path - Store file path
+ * @returns {Object} Store: get(descriptor) returns the Set of indexes, add(descriptor, index)
+ */
+function createIssuedAddressStore(path) {
+  const read = () => {
+    if (!existsSync(path)) {
+      return {};
+    }
+    try {
+      return JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to parse ${path}: ${error.message}`);
+    }
+  };
+
+  return {
+    get(descriptor) {
+      return new Set(read()[descriptor] || []);
+    },
+
+    add(descriptor, index) {
+      const accounts = read();
+      accounts[descriptor] = [...new Set([...(accounts[descriptor] || []), index])].sort((a, b) => a - b);
+
+      // Replaced atomically, so an interrupted write cannot lose the indexes handed out before
+      const tmpPath = `${path}.tmp`;
+      writeFileSync(tmpPath, `${JSON.stringify(accounts, null, 2)}\n`, { mode: 0o600 });
+      renameSync(tmpPath, path);
+    }
+  };
+}
+
+/**
+ * Map an error to the HTTP status of its response
+ * @param {Error} error - Error thrown by a route
+ * @returns {number} HTTP status code
+ */
+function getErrorStatus(error) {
+  if (error instanceof ServiceError) {
+    return error.statusCode;
+  }
+  if (error instanceof ValidationError) {
+    return 400;
+  }
+  if (error instanceof PolicyError) {
+    return 403;
+  }
+  if (error instanceof NotFoundError) {
+    return 404;
+  }
+  // The blockchain data provider failed
+  if (error instanceof HttpError || error instanceof TimeoutError) {
+    return 502;
+  }
+  return 500;
+}
+
+/**
+ * Create the local wallet service
+ * Every route except /openapi.json needs `Authorization: Bearer <token>`. Sends from the same
+ * wallet run one after the other, and the outpoints a send broadcast are not selected again until
+ * the provider reports them spent, so two requests never pick the same UTXOs.
+ * @param {Object} options - Service settings
+ * @param {string} options.token - API token
+ * @param {Function} options.loadWallet - Loads a keystore wallet with its balance by id; throws a ServiceError 404 for unknown ids
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {string} options.idempotencyPath - File for idempotency keys (default: `idempotencyPath` config value, then ./idempotency-keys.json)
+ * @param {string} options.issuedAddressesPath - File for the receive addresses handed out (default: `issuedAddressesPath` config value, then ./issued-addresses.json)
+ * @param {Function} options.log - Request logger (default: console.log)
+ * @returns {http.Server} Server, not listening yet
+ */
+export function createWalletService({
+  token,
+  loadWallet,
+  network = getNetwork(),
+  idempotencyPath = loadConfig().idempotencyPath || DEFAULT_IDEMPOTENCY_PATH,
+  issuedAddressesPath = loadConfig().issuedAddressesPath || DEFAULT_ISSUED_ADDRESSES_PATH,
+  log = console.log
+}) {
+  const idempotency = createIdempotencyStore(idempotencyPath);
+  const issued = createIssuedAddressStore(issuedAddressesPath);
+  const walletQueues = new Map(); // wallet id -> promise of the last send
+  const spentOutpoints = new Map(); // wallet id -> outpoints broadcast here that the provider still lists
+
+  const quiet = () => {};
+
+  const checkAddress = (address) => {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(address);
+    } catch (error) {
+      throw new ValidationError('Invalid address: it is not properly URL-encoded.', 'address');
+    }
+    return decodeAddress(decoded, network).address;
+  };
+
+  const getBalance = async ({ address }) => {
+    const { unspentUTXOs, ...balance } = await getBitcoinBalance(checkAddress(address), { log: quiet, network });
+    return { status: 200, body: { address, network: network.name, ...balance } };
+  };
+
+  const getUtxos = async ({ address }) => {
+    const { unspentUTXOs } = await getBitcoinBalance(checkAddress(address), { log: quiet, network });
+    return { status: 200, body: { address, network: network.name, unspentUTXOs } };
+  };
+
+  const createAddress = async ({ id }, body) => {
+    const { index } = checkBody('CreateAddressRequest', body);
+    const wallet = await loadWallet(id);
+
+    // A single-key wallet (or a multisig of plain keys) has one address
+    const account = wallet.descriptor ? watchOnlyAccount(wallet.descriptor, { network }) : null;
+    if (!account || account.ranged === false) {
+      return { status: 201, body: { wallet: id, address: wallet.receiveAddress, path: null, index: null } };
+    }
+
+    if (index !== undefined) {
+      const derived = deriveAddress(account, RECEIVE_CHAIN, index);
+      return { status: 201, body: { wallet: id, address: derived.address, path: derived.path, index } };
+    }
+
+    const used = new Set(wallet.addresses.filter(entry => entry.chain === RECEIVE_CHAIN).map(entry => entry.index));
+    const lastUsed = used.size > 0 ? Math.max(...used) : -1;
+    const handedOut = issued.get(wallet.descriptor);
+    let next = 0;
+    while (used.has(next) || handedOut.has(next)) {
+      next++;
+    }
+
+    // Addresses beyond the gap limit would be missed by the next account scan
+    if (next - lastUsed > wallet.gapLimit) {
+      throw new ServiceError(`${wallet.gapLimit} receive addresses in a row are unused; reuse one or raise the gap limit.`, 409);
+    }
+
+    issued.add(wallet.descriptor, next);
+
+    const derived = deriveAddress(account, RECEIVE_CHAIN, next);
+    return { status: 201, body: { wallet: id, address: derived.address, path: derived.path, index: next } };
+  };
+
+  // The provider may not have indexed the last broadcast yet when the next send loads the wallet
+  const withoutSpent = (id, wallet) => {
+    const spent = spentOutpoints.get(id);
+    if (!spent) {
+      return wallet;
+    }
+
+    const listed = new Set(wallet.balance.unspentUTXOs.map(utxo => utxo.utxo));
+    for (const outpoint of spent) {
+      if (!listed.has(outpoint)) {
+        spent.delete(outpoint);
+      }
+    }
+
+    const unspentUTXOs = wallet.balance.unspentUTXOs.filter(utxo => !spent.has(utxo.utxo));
+    return { ...wallet, balance: { ...wallet.balance, unspentUTXOs } };
+  };
+
+  const send = async (body, { idempotent, onBroadcast = () => {} }) => {
+    const request = checkBody('CreateTransactionRequest', body);
+
+    // Rejected before the wallet is loaded, so that a refused request has no policy side effects
+    if (!idempotent && request.broadcast !== false) {
+      throw new ServiceError('Sending needs an Idempotency-Key header, so that a retried request cannot pay twice. Pass "broadcast": false to only sign or create a PSBT.', 400);
+    }
+
+    const to = decodeAddress(request.to, network).address;
+    const sendAll = request.amount.toLowerCase() === 'all';
+    const amountSatoshis = sendAll ? null : parseAmount(request.amount);
+
+    if (request.fee !== undefined && request.feeRate !== undefined) {
+      throw new ServiceError('Use either fee or feeRate, not both.', 400);
+    }
+
+    let feeOptions = { fee: request.fee };
+    if (request.fee === undefined) {
+      const value = String(request.feeRate ?? DEFAULT_FEE_PRIORITY);
+      const feeRates = FEE_PRIORITIES.includes(value) ? await getFeeRates({ network }) : null;
+      feeOptions = { feeRate: resolveFeeRate(value, feeRates) };
+    }
+
+    const wallet = withoutSpent(request.wallet, await loadWallet(request.wallet));
+
+    if (!sendAll) {
+      const maxSendable = getMaxSendable(wallet.balance.unspentUTXOs, { ...feeOptions, recipientAddress: to, network });
+      const error = validateAmount(amountSatoshis, maxSendable);
+      if (error) {
+        throw new ServiceError(error, 422);
+      }
+    }
+
+    const options = {
+      ...feeOptions,
+      sendAll,
+      log: quiet,
+      network,
+      approval: request.approval,
+      dryRun: request.broadcast === false,
+      ...(request.rbf !== undefined ? { rbf: request.rbf } : {})
+    };
+    const summary = (transaction) => ({
+      wallet: request.wallet,
+      to,
+      amount: transaction.outputs[0].value,
+      fee: transaction.fee,
+      feeRate: transaction.selection.feeRate,
+      vsize: transaction.vsize,
+      rbf: transaction.rbf,
+      from: transaction.inputs.map(utxo => utxo.utxo),
+      outputs: transaction.outputs,
+      changeAddress: transaction.selection.change > 0 ? wallet.changeAddress : null
+    });
+
+    if (wallet.watchOnly) {
+      const transaction = await createUnsignedTransaction(wallet, to, amountSatoshis, options);
+      return { status: 200, body: { ...summary(transaction), signed: false, broadcast: false, psbt: transaction.psbt } };
+    }
+
+    // Signed hex can be broadcast elsewhere, so it counts toward the policy limits even when not broadcast here
+    const transaction = await createSignedTransaction(wallet, to, amountSatoshis, { ...options, dryRun: false });
+
+    if (request.broadcast === false) {
+      recordSpend(transaction.policy, { txid: transaction.txId, via: 'hex' }, { network });
+      return { status: 200, body: { ...summary(transaction), signed: true, broadcast: false, txId: transaction.txId, hex: transaction.hex } };
+    }
+
+    const provider = getProvider({ network });
+    let txId;
+    try {
+      txId = await provider.broadcast(transaction.hex);
+    } finally {
+      await provider.close();
+    }
+
+    if (!spentOutpoints.has(request.wallet)) {
+      spentOutpoints.set(request.wallet, new Set());
+    }
+    transaction.inputs.forEach(utxo => spentOutpoints.get(request.wallet).add(utxo.utxo));
+    const response = {
+      status: 201,
+      body: { ...summary(transaction), signed: true, broadcast: true, txId, hex: transaction.hex, explorerUrl: getExplorerTxUrl(txId, network) }
+    };
+
+    // The payment is made: its response is stored under the idempotency key first,
+    // and the audit log cannot fail the request any more
+    try {
+      onBroadcast(response);
+    } finally {
+      try {
+        recordSpend(transaction.policy, { txid: txId }, { network });
+      } catch (error) {
+        log(`Transaction ${txId} was broadcast, but recording it in the audit log failed: ${error.message}`);
+      }
+    }
+
+    return response;
+  };
+
+  const createTransaction = async (params, body, req) => {
+    const key = req.headers['idempotency-key'];
+
+    // Only signing and PSBTs (broadcast: false) go without a key
+    if (key === undefined) {
+      return send(body, { idempotent: false });
+    }
+
+    if (!key || key.length > 200) {
+      throw new ServiceError('The Idempotency-Key header must have 1 to 200 characters.', 400);
+    }
+
+    const requestHash = crypto.createHash('sha256').update(JSON.stringify(body ?? null)).digest('hex');
+    const stored = idempotency.get(key);
+
+    if (stored) {
+      if (stored.requestHash !== requestHash) {
+        throw new ServiceError(`Idempotency key ${key} was already used for a different request.`, 422);
+      }
+      return { status: stored.status, body: stored.body, replayed: true };
+    }
+
+    idempotency.begin(key);
+
+    // A broadcast response is stored as soon as the transaction is out, before any other bookkeeping
+    let broadcast = false;
+    const onBroadcast = (response) => {
+      broadcast = true;
+      idempotency.finish(key, { requestHash, status: response.status, body: response.body });
+    };
+
+    // One send per wallet at a time; the queue keeps going after a failed send
+    const walletId = body && typeof body.wallet === 'string' ? body.wallet : '';
+    const previous = walletQueues.get(walletId) || Promise.resolve();
+    const result = previous.then(() => send(body, { idempotent: true, onBroadcast }));
+    walletQueues.set(walletId, result.catch(() => {}));
+
+    try {
+      const response = await result;
+      if (!broadcast) {
+        idempotency.finish(key, { requestHash, status: response.status, body: response.body });
+      }
+      return response;
+    } catch (error) {
+      // Failed requests are not stored, so the client can retry with the same key. After a broadcast
+      // the key stays taken even if storing its response failed: a retry must not pay again.
+      if (!broadcast) {
+        idempotency.abort(key);
+      }
+      throw error;
+    }
+  };
+
+  const getTransaction = async ({ txid }) => {
+    if (!/^[0-9a-f]{64}$/.test(txid)) {
+      throw new ServiceError('A txid is 64 lowercase hex characters.', 400);
+    }
+
+    const provider = getProvider({ network });
+    let tx;
+    try {
+      tx = await provider.getTransaction(txid);
+    } finally {
+      await provider.close();
+    }
+
+    const tipHeight = await fetchTipHeight(network);
+    const confirmations = tx.blockNumber === null || tx.blockNumber === undefined
+      ? 0
+      : tipHeight === null ? null : Math.max(tipHeight - tx.blockNumber + 1, 0);
+
+    return { status: 200, body: { ...tx, confirmations } };
+  };
+
+  const routes = [
+    { method: 'GET', pattern: /^\/openapi\.json$/, public: true, handler: async () => ({ status: 200, body: getOpenApiDocument() }) },
+    { method: 'GET', pattern: /^\/addresses\/(?<address>[^/]+)\/balance$/, handler: getBalance },
+    { method: 'GET', pattern: /^\/addresses\/(?<address>[^/]+)\/utxos$/, handler: getUtxos },
+    { method: 'POST', pattern: /^\/wallets\/(?<id>[^/]+)\/addresses$/, handler: createAddress },
+    { method: 'POST', pattern: /^\/transactions$/, handler: createTransaction },
+    { method: 'GET', pattern: /^\/transactions\/(?<txid>[^/]+)$/, handler: getTransaction }
+  ];
+
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    let status;
+    let body;
+
+    try {
+      const matches = routes.filter(route => route.pattern.test(pathname));
+      const route = matches.find(entry => entry.method === req.method);
+
+      if (matches.length === 0) {
+        throw new ServiceError(`No route for ${pathname}.`, 404);
+      }
+      if (!route) {
+        throw new ServiceError(`Method ${req.method} is not allowed on ${pathname}.`, 405);
+      }
+      if (!route.public && !isAuthorized(req, token)) {
+        throw new ServiceError('Missing or wrong API token.', 401);
+      }
+
+      const params = pathname.match(route.pattern).groups || {};
+      const requestBody = req.method === 'POST' ? await readJsonBody(req) : undefined;
+      const response = await route.handler(params, requestBody, req);
+
+      status = response.status;
+      body = response.body;
+      if (response.replayed) {
+        res.setHeader('idempotent-replayed', 'true');
+      }
+    } catch (error) {
+      status = getErrorStatus(error);
+      body = { error: status === 500 ? `Internal error: ${error.message}` : error.message };
+      if (error.details && error.details.length > 0) {
+        body.details = error.details;
+      }
+      if (error instanceof PolicyError) {
+        body.violations = error.violations;
+        if (error.approval) {
+          body.approval = error.approval;
+        }
+      }
+    }
+
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(`${JSON.stringify(body, null, 2)}\n`);
+    log(`${req.method} ${pathname} ${status}`);
+  });
+}
@@ -0,0 +1,296 @@
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { setTimeout as sleep } from 'timers/promises';
+import { getNetwork } from './networks.js';
+import { fetchAllTransactions, fetchTipHeight, analyzeUTXOs } from './getUTXos.js';
+import { request } from './httpClient.js';
+
+// Seconds between two polls of the watched addresses
+export const DEFAULT_WATCH_INTERVAL = 30;
+
+// Milliseconds an exec hook may run before it is stopped
+export const EXEC_HOOK_TIMEOUT = 30000;
+
+/**
+ * Events emitted by watch
+ * - payment.received: a new output to a watched address, in the mempool or already in a block
+ * - payment.confirmed: the output reached the requested number of confirmations
+ * - payment.dropped: the unconfirmed transaction of the output was replaced or evicted
+ * - utxo.spent: a transaction (confirmed or not) spends the output
+ */
+export const WATCH_EVENTS = ['payment.received', 'payment.confirmed', 'payment.dropped', 'utxo.spent'];
+
+/**
+ * Sign a webhook body with HMAC-SHA256
+ * The signed message is `<timestamp>.<body>`, so a receiver can reject replayed requests.
+ * @param {string} body - Request body
+ * @param {string} timestamp - Unix time in seconds, as sent in the X-Wallet-Timestamp header
+ * @param {string} secret - Shared webhook secret
+ * @returns {string} Hex signature, sent as `sha256=<signature>` in the X-Wallet-Signature header
+ */
+export function signWebhookBody(body, timestamp, secret) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Create a handler that prints every event to stdout as one JSON line
+ * @returns {Function} Event handler
+ */
+export function createStdoutHook() {
+  return async (event) => {
+    process.stdout.write(`${JSON.stringify(event)}\n`);
+  };
+}
+
+/**
+ * Create a handler that POSTs every event as JSON to a webhook URL
+ * Rate limits, server errors and network failures are retried with backoff by the HTTP client.
+ * @param {string} url - Webhook URL
+ * @param {Object} options - Webhook settings
+ * @param {string} options.secret - Shared secret for the HMAC signature
+ * @param {AbortSignal} options.signal - Cancels a delivery in progress
+ * @returns {Function} Event handler
+ */
+export function createWebhookHook(url, { secret, signal } = {}) {
+  if (!/^https?:\/\//.test(url)) {
+    throw new Error(`Invalid webhook URL: ${url}`);
+  }
+
+  if (!secret) {
+    throw new Error('A webhook needs a secret to sign its events: set --webhook-secret or BTC_WEBHOOK_SECRET.');
+  }
+
+  return async (event) => {
+    const body = JSON.stringify(event);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    await request('POST', url, {
+      headers: {
+        'content-type': 'application/json',
+        'x-wallet-event': event.type,
+        'x-wallet-event-id': event.id,
+        'x-wallet-timestamp': timestamp,
+        'x-wallet-signature': `sha256=${signWebhookBody(body, timestamp, secret)}`
+      },
+      body,
+      signal
+    });
+  };
+}
+
+/**
+ * Create a handler that runs a shell command for every event
+ * The command gets the event as JSON on stdin and its main fields in
+ * BTC_EVENT_TYPE, BTC_EVENT_ADDRESS, BTC_EVENT_TXID and BTC_EVENT_VALUE.
+ * @param {string} command - Shell command
+ * @param {Object} options - Optional settings
+ * @param {number} options.timeout - Milliseconds before the command is stopped (default: EXEC_HOOK_TIMEOUT)
+ * @returns {Function} Event handler
+ */
+export function createExecHook(command, { timeout = EXEC_HOOK_TIMEOUT } = {}) {
+  return (event) => new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 'inherit', 'inherit'],
+      env: {
+        ...process.env,
+        BTC_EVENT_TYPE: event.type,
+        BTC_EVENT_ADDRESS: event.address,
+        BTC_EVENT_TXID: event.txid,
+        BTC_EVENT_VALUE: String(event.value)
+      }
+    });
+
+    const timer = setTimeout(() => child.kill(), timeout);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`Hook "${command}" ${signal ? `was stopped (${signal})` : `exited with code ${code}`}`));
+      }
+    });
+
+    // A hook that does not read its input must not fail the delivery
+    child.stdin.on('error', () => {});
+    child.stdin.end(`${JSON.stringify(event)}\n`);
+  });
+}
+
+/**
+ * Build a watch event for an output
+ * @param {string} type - One of WATCH_EVENTS
+ * @param {Object} utxo - UTXO from analyzeUTXOs
+ * @param {Object} network - Network settings from getNetwork
+ * @param {Object} extra - Additional event fields
+ * @returns {Object} Event
+ */
+function createEvent(type, utxo, network, extra = {}) {
+  return {
+    id: `${type}:${utxo.utxo}`,
+    type,
+    time: new Date().toISOString(),
+    network: network.name,
+    address: utxo.address,
+    txid: utxo.txHash,
+    vout: utxo.index,
+    value: utxo.value,
+    confirmations: utxo.confirmations,
+    blockHeight: utxo.blockHeight,
+    ...extra
+  };
+}
+
+/**
+ * Find the transaction that spends an output
+ * @param {Array} transactions - Transactions of the address
+ * @param {Object} utxo - UTXO from analyzeUTXOs
+ * @returns {Object|undefined} Spending transaction
+ */
+function findSpendingTransaction(transactions, utxo) {
+  return transactions.find(tx => tx.inputs.some(input =>
+    input.prevout.hash === utxo.txHash && input.prevout.index === utxo.index
+  ));
+}
+
+/**
+ * Poll an address and compare its UTXOs with the previous poll
+ * The first poll of an address only records its UTXOs, so existing funds do not raise events.
+ * @param {string} address - Watched address
+ * @param {Map|undefined} previous - UTXOs of the last poll by outpoint, undefined on the first poll
+ * @param {Object} options - Poll settings
+ * @param {number} options.confirmations - Confirmations that raise payment.confirmed
+ * @param {Object} options.network - Network settings from getNetwork
+ * @returns {Promise<Object>} { utxos, events }: the UTXOs to compare the next poll with, and the events
+ */
+async function pollAddress(address, previous, { confirmations, network }) {
+  const transactions = await fetchAllTransactions(address, { log: () => {}, network });
+  const tipHeight = await fetchTipHeight(network);
+  const { unspentUTXOs } = analyzeUTXOs(address, transactions, { tipHeight, minConfirmations: 1, network });
+
+  const utxos = new Map();
+  const events = [];
+
+  for (const utxo of unspentUTXOs) {
+    // Without a tip height a confirmed output counts one confirmation
+    const confirmed = (utxo.confirmations ?? 1) >= confirmations;
+    const known = previous && previous.get(utxo.utxo);
+
+    if (previous && !known) {
+      events.push(createEvent('payment.received', utxo, network, { trusted: utxo.trusted }));
+    }
+    if (previous && confirmed && !(known && known.confirmed)) {
+      events.push(createEvent('payment.confirmed', utxo, network, { id: `payment.confirmed:${utxo.utxo}:${confirmations}` }));
+    }
+
+    utxos.set(utxo.utxo, { ...utxo, confirmed });
+  }
+
+  for (const [key, utxo] of previous || []) {
+    if (utxos.has(key)) {
+      continue;
+    }
+
+    const spendingTx = findSpendingTransaction(transactions, utxo);
+
+    if (spendingTx) {
+      events.push(createEvent('utxo.spent', utxo, network, {
+        spentBy: spendingTx.hash,
+        spentConfirmed: spendingTx.blockNumber !== undefined && spendingTx.blockNumber !== null
+      }));
+    } else if (!transactions.some(tx => tx.hash === utxo.txHash)) {
+      events.push(createEvent('payment.dropped', utxo, network));
+    }
+  }
+
+  return { utxos, events };
+}
+
+/**
+ * Watch addresses for payments and spends until cancelled
+ * Every poll syncs the transactions of each address (through the transaction cache when enabled)
+ * and compares its UTXOs from analyzeUTXOs with the previous poll. Each event goes to every hook
+ * in turn; a failing hook is logged and does not stop the watch, nor does a failing poll.
+ * The address list is loaded again after a new payment, so an HD wallet moves on to its next
+ * receive and change addresses.
+ * @param {Function} loadAddresses - Returns the addresses to watch (may be async)
+ * @param {Object} options - Optional settings
+ * @param {Function[]} options.hooks - Event handlers, e.g. from createStdoutHook (default: stdout)
+ * @param {number} options.interval - Seconds between polls (default: DEFAULT_WATCH_INTERVAL)
+ * @param {number} options.confirmations - Confirmations that raise payment.confirmed (default: 1)
+ * @param {Object} options.network - Network settings from getNetwork (default: configured network)
+ * @param {AbortSignal} options.signal - Stops the watch
+ * @param {Function} options.log - Progress logger (default: console.error, keeping stdout for events)
+ * @returns {Promise<void>} Resolves once the signal stops the watch
+ */
+export async function watch(loadAddresses, {
+  hooks = [createStdoutHook()],
+  interval = DEFAULT_WATCH_INTERVAL,
+  confirmations = 1,
+  network = getNetwork(),
+  signal,
+  log = console.error
+} = {}) {
+  const state = new Map();
+  let addresses = [...new Set(await loadAddresses())];
+
+  log(`Watching ${addresses.length} address(es) on ${network.name} every ${interval}s (confirmed at ${confirmations} confirmation(s))...`);
+
+  while (!(signal && signal.aborted)) {
+    let received = false;
+
+    for (const address of addresses) {
+      if (signal && signal.aborted) {
+        break;
+      }
+
+      let result;
+      try {
+        result = await pollAddress(address, state.get(address), { confirmations, network });
+      } catch (error) {
+        log(`Polling ${address} failed: ${error.message}`);
+        continue;
+      }
+
+      state.set(address, result.utxos);
+
+      for (const event of result.events) {
+        received = received || event.type === 'payment.received';
+
+        for (const hook of hooks) {
+          try {
+            await hook(event);
+          } catch (error) {
+            log(`Delivering ${event.id} failed: ${error.message}`);
+          }
+        }
+      }
+    }
+
+    if (received) {
+      try {
+        const reloaded = (await loadAddresses()).filter(address => !addresses.includes(address));
+        if (reloaded.length > 0) {
+          log(`Watching ${reloaded.length} more address(es): ${reloaded.join(', ')}`);
+          addresses = [...addresses, ...reloaded];
+        }
+      } catch (error) {
+        log(`Reloading the watched addresses failed: ${error.message}`);
+      }
+    }
+
+    try {
+      await sleep(interval * 1000, undefined, { signal });
+    } catch (error) {
+      break;
+    }
+  }
+
+  log('Stopped watching.');
+}